@@ -4,6 +4,8 @@ import { BootScene } from './src/scenes/BootScene.js';
 import { MenuScene } from './src/scenes/MenuScene.js';
 import { GameScene } from './src/scenes/GameScene.js';
 import { HeroSelectScene } from './src/scenes/HeroSelectScene.js';
+import { MapSelectScene } from './src/scenes/MapSelectScene.js';
+import { MetaShopScene } from './src/scenes/MetaShopScene.js';
 
 // Register the PWA service worker once the window finishes loading.
 // Registration is guarded so local dev without HTTPS (or older browsers)
@@ -27,6 +29,7 @@ if ('serviceWorker' in navigator) {
   - backgroundColor: used when no scene background is set.
   - pixelArt: disables texture smoothing; keeps sprites crisp when scaled.
   - physics: using Arcade Physics with no gravity (top-down style).
+  - input.gamepad: enables the Phaser gamepad plugin for controller support.
   - scene: ordered list of scenes that Phaser loads/initializes.
 */
 new Phaser.Game({
@@ -47,11 +50,17 @@ new Phaser.Game({
     } 
   },
 
+  // Gamepad plugin powers controller movement and menu navigation (GamepadInput).
+  input: {
+    gamepad: true
+  },
+
   scale: {
     mode: Phaser.Scale.FIT,
     autoCenter: Phaser.Scale.CENTER_BOTH
   },
 
-  // BootScene typically loads assets → GameScene runs the actual gameplay
-  scene: [BootScene, MenuScene, HeroSelectScene, GameScene]
+  // BootScene typically loads assets → GameScene runs the actual gameplay.
+  // HeroSelectScene hands off to 'map-select', so MapSelectScene must be listed.
+  scene: [BootScene, MenuScene, HeroSelectScene, MapSelectScene, MetaShopScene, GameScene]
 });
@@ -0,0 +1,100 @@
+/**
+ * Declarative achievement catalogue. AchievementTracker evaluates each
+ * `condition` against scene events during a run; HeroRegistry / MapRegistry
+ * entries reference achievement keys through `unlockedBy`.
+ *
+ * Condition fields:
+ *  • stat     – what is measured:
+ *                 'kills'      enemy:died (filter: mobKey)
+ *                 'damage'     combat:hit damage (filter: weaponKey)
+ *                 'treasures'  treasure:opened
+ *                 'bossKills'  boss:defeated (filter: mobKey)
+ *                 'wins'       runs that end in a win
+ *                 'level'      highest level reached this run
+ *                 'survivedMs' run time survived (pauses excluded)
+ *  • atLeast  – target value
+ *  • scope    – 'run' (default) or 'lifetime'; lifetime progress of additive
+ *               stats is persisted between runs. `level` / `survivedMs` are
+ *               always per run.
+ *  • heroKey / mapKey – only runs with this hero / on this map count
+ */
+export const AchievementRegistry = {
+  graveyardSurvivor: {
+    key: 'graveyardSurvivor',
+    condition: { stat: 'survivedMs', atLeast: 10 * 60 * 1000, mapKey: 'bounded_graveyard' },
+    ui: {
+      name: 'Gravewalker',
+      description: 'Survive 10 minutes on the Graveyard.'
+    }
+  },
+
+  smiteCrusade: {
+    key: 'smiteCrusade',
+    condition: { stat: 'kills', atLeast: 5000, scope: 'lifetime', heroKey: 'sirsmite' },
+    ui: {
+      name: 'Crusade',
+      description: 'Kill 5000 enemies with Sir Smite.'
+    }
+  },
+
+  moonslayer: {
+    key: 'moonslayer',
+    condition: { stat: 'bossKills', atLeast: 1, mobKey: 'werewolf_boss' },
+    ui: {
+      name: 'Moonslayer',
+      description: 'Defeat the werewolf at dawn.'
+    }
+  },
+
+  bloodHarvest: {
+    key: 'bloodHarvest',
+    condition: { stat: 'kills', atLeast: 2500, scope: 'lifetime' },
+    ui: {
+      name: 'Blood Harvest',
+      description: 'Kill 2500 enemies across all runs.'
+    }
+  },
+
+  treasureHunter: {
+    key: 'treasureHunter',
+    condition: { stat: 'treasures', atLeast: 3 },
+    ui: {
+      name: 'Treasure Hunter',
+      description: 'Open 3 treasure chests in a single run.'
+    }
+  },
+
+  ascendant: {
+    key: 'ascendant',
+    condition: { stat: 'level', atLeast: 30 },
+    ui: {
+      name: 'Ascendant',
+      description: 'Reach level 30 in a single run.'
+    }
+  }
+};
+
+// Stats that keep the best value instead of accumulating.
+export const MAX_VALUE_STATS = Object.freeze(['level', 'survivedMs']);
+
+/** Lookup helper so callers don't have to guard against unknown keys. */
+export function getAchievement(key) {
+  return AchievementRegistry[key] ?? null;
+}
+
+/** Ordered list of achievements for UI listings. */
+export function listAchievements() {
+  return Object.values(AchievementRegistry);
+}
+
+/** True when a condition's progress carries across runs. */
+export function isLifetimeCondition(condition) {
+  return condition?.scope === 'lifetime' && !MAX_VALUE_STATS.includes(condition?.stat);
+}
+
+/** Short "how to unlock" text for a hero/map entry locked behind `unlockedBy`. */
+export function getUnlockHint(entry) {
+  const achievement = getAchievement(entry?.unlockedBy);
+  if (!achievement) return 'Locked.';
+  return `Locked — ${achievement.ui?.name ?? achievement.key}: ${achievement.ui?.description ?? ''}`.trim();
+}
@@ -0,0 +1,96 @@
+import { getAchievement } from './AchievementRegistry.js';
+
+// Key used to store unlocked achievements and lifetime progress.
+const STORAGE_KEY = 'NOTBM:achievements';
+
+/** Fresh state used when nothing is stored yet. */
+function createEmptyState() {
+  return { unlocked: {}, progress: {} };
+}
+
+/** Coerce stored data into a valid state, dropping unknown achievement keys. */
+function normalizeState(data) {
+  const state = createEmptyState();
+  if (!data || typeof data !== 'object') return state;
+
+  Object.entries(data.unlocked ?? {}).forEach(([key, at]) => {
+    if (getAchievement(key)) state.unlocked[key] = at ?? true;
+  });
+  Object.entries(data.progress ?? {}).forEach(([key, value]) => {
+    const num = Number(value);
+    if (getAchievement(key) && Number.isFinite(num) && num > 0) state.progress[key] = num;
+  });
+
+  return state;
+}
+
+/**
+ * Persistent achievement state: which achievements are unlocked (with the
+ * unlock timestamp) and lifetime progress for `scope: 'lifetime'` conditions.
+ */
+export class AchievementStore {
+  /** Current state; empty when storage is missing or corrupt. */
+  static load() {
+    if (typeof window === 'undefined' || !window.localStorage) return createEmptyState();
+
+    try {
+      const raw = window.localStorage.getItem(STORAGE_KEY);
+      return normalizeState(raw ? JSON.parse(raw) : null);
+    } catch (err) {
+      console.warn('[AchievementStore] Failed to parse stored achievements', err);
+      return createEmptyState();
+    }
+  }
+
+  /** Persist state. Storage failures (quota, private mode) only warn. */
+  static save(state) {
+    if (typeof window === 'undefined' || !window.localStorage) return;
+
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(normalizeState(state)));
+    } catch (err) {
+      console.warn('[AchievementStore] Failed to persist achievements', err);
+    }
+  }
+
+  /** True once the achievement has been earned. */
+  static isUnlocked(key) {
+    return !!this.load().unlocked[key];
+  }
+
+  /**
+   * True when a registry entry (hero or map) is playable. Only `hidden`
+   * entries are gated by `unlockedBy`; visible content is never locked away
+   * from players who already had it.
+   */
+  static isContentUnlocked(entry) {
+    const required = entry?.unlockedBy;
+    if (!required || !entry?.hidden) return true;
+    return this.isUnlocked(required);
+  }
+
+  /** Mark an achievement earned. Returns false if it was already unlocked. */
+  static unlock(key) {
+    if (!getAchievement(key)) return false;
+    const state = this.load();
+    if (state.unlocked[key]) return false;
+
+    state.unlocked[key] = new Date().toISOString();
+    this.save(state);
+    return true;
+  }
+
+  /** Add run progress to the persisted lifetime counters (`{ key: delta }`). */
+  static addProgress(deltas = {}) {
+    const state = this.load();
+    let changed = false;
+    Object.entries(deltas ?? {}).forEach(([key, delta]) => {
+      const value = Number(delta);
+      if (!getAchievement(key) || !Number.isFinite(value) || value <= 0) return;
+      state.progress[key] = (state.progress[key] ?? 0) + value;
+      changed = true;
+    });
+    if (changed) this.save(state);
+    return state;
+  }
+}
@@ -0,0 +1,165 @@
+import { listAchievements, isLifetimeCondition, MAX_VALUE_STATS } from './AchievementRegistry.js';
+import { AchievementStore } from './AchievementStore.js';
+
+// How often (run-clock ms) survival conditions are re-checked.
+const SURVIVAL_CHECK_INTERVAL_MS = 1000;
+
+/**
+ * AchievementTracker
+ *
+ * Listens to gameplay events for the current run and evaluates every locked
+ * AchievementRegistry condition that applies to this hero/map. Unlocks are
+ * written to AchievementStore immediately and announced with
+ * `achievement:unlocked` ({ key, achievement }); lifetime progress is added to
+ * the store once when the run finishes.
+ */
+export class AchievementTracker {
+  constructor(scene, { events, heroKey, mapKey } = {}) {
+    this.scene = scene;
+    this.events = events ?? scene?.events ?? null;
+    this.heroKey = heroKey ?? null;
+    this.mapKey = mapKey ?? null;
+
+    const stored = AchievementStore.load();
+
+    // Only conditions that can still be earned on this hero/map are tracked.
+    this._tracked = listAchievements().filter((achievement) => {
+      const condition = achievement.condition ?? {};
+      if (stored.unlocked[achievement.key]) return false;
+      if (condition.heroKey && condition.heroKey !== this.heroKey) return false;
+      if (condition.mapKey && condition.mapKey !== this.mapKey) return false;
+      return true;
+    });
+
+    // key → progress earned during this run; key → lifetime progress before it.
+    this._runProgress = new Map();
+    this._storedProgress = { ...stored.progress };
+    this._nextSurvivalCheckMs = 0;
+    this._finished = false;
+
+    // --- Event handlers (bound once) ---
+    this._onEnemyDied = ({ mobKey } = {}) => {
+      this._record('kills', 1, { mobKey });
+    };
+
+    this._onCombatHit = ({ damage, weaponKey } = {}) => {
+      const value = Number(damage) || 0;
+      if (value > 0) this._record('damage', value, { weaponKey });
+    };
+
+    this._onTreasureOpened = () => {
+      this._record('treasures', 1);
+    };
+
+    this._onLevelChanged = ({ level } = {}) => {
+      this._record('level', Number(level) || 0);
+    };
+
+    this._onBossDefeated = ({ mobKey } = {}) => {
+      this._record('bossKills', 1, { mobKey });
+    };
+
+    this.events?.on?.('enemy:died', this._onEnemyDied);
+    this.events?.on?.('combat:hit', this._onCombatHit);
+    this.events?.on?.('treasure:opened', this._onTreasureOpened);
+    this.events?.on?.('level:changed', this._onLevelChanged);
+    this.events?.on?.('boss:defeated', this._onBossDefeated);
+  }
+
+  /** Re-check survival conditions on the run clock. Called each simulation step. */
+  update() {
+    if (this._finished) return;
+
+    const elapsedMs = Math.max(0, Number(this.scene?.getRunElapsedMs?.()) || 0);
+    if (elapsedMs < this._nextSurvivalCheckMs) return;
+    this._nextSurvivalCheckMs = elapsedMs + SURVIVAL_CHECK_INTERVAL_MS;
+
+    this._record('survivedMs', elapsedMs);
+  }
+
+  /**
+   * Close out the run: count a win, then persist lifetime progress. Safe to
+   * call more than once (endRun and shutdown both finish the tracker).
+   */
+  finishRun({ outcome = null } = {}) {
+    if (this._finished) return;
+
+    this.update();
+    if (outcome === 'win') this._record('wins', 1);
+    this._finished = true;
+
+    const lifetimeDeltas = {};
+    this._tracked.forEach((achievement) => {
+      if (!isLifetimeCondition(achievement.condition)) return;
+      const delta = this._runProgress.get(achievement.key) ?? 0;
+      if (delta > 0) lifetimeDeltas[achievement.key] = delta;
+    });
+    AchievementStore.addProgress(lifetimeDeltas);
+  }
+
+  /** Current progress toward an achievement (lifetime total where applicable). */
+  getProgress(key) {
+    const achievement = this._tracked.find((entry) => entry.key === key);
+    if (!achievement) return 0;
+    return this._currentValue(achievement);
+  }
+
+  destroy() {
+    this.events?.off?.('enemy:died', this._onEnemyDied);
+    this.events?.off?.('combat:hit', this._onCombatHit);
+    this.events?.off?.('treasure:opened', this._onTreasureOpened);
+    this.events?.off?.('level:changed', this._onLevelChanged);
+    this.events?.off?.('boss:defeated', this._onBossDefeated);
+
+    this._onEnemyDied = null;
+    this._onCombatHit = null;
+    this._onTreasureOpened = null;
+    this._onLevelChanged = null;
+    this._onBossDefeated = null;
+
+    this._tracked = [];
+    this._runProgress.clear();
+    this.scene = null;
+    this.events = null;
+  }
+
+  /** Feed one stat sample to every tracked condition that measures it. */
+  _record(stat, value, { mobKey = null, weaponKey = null } = {}) {
+    if (this._finished) return;
+
+    const keepMax = MAX_VALUE_STATS.includes(stat);
+    const unlocked = [];
+
+    this._tracked.forEach((achievement) => {
+      const condition = achievement.condition ?? {};
+      if (condition.stat !== stat) return;
+      if (condition.mobKey && condition.mobKey !== mobKey) return;
+      if (condition.weaponKey && condition.weaponKey !== weaponKey) return;
+
+      const previous = this._runProgress.get(achievement.key) ?? 0;
+      this._runProgress.set(achievement.key, keepMax ? Math.max(previous, value) : previous + value);
+
+      if (this._currentValue(achievement) >= (condition.atLeast ?? Infinity)) {
+        unlocked.push(achievement);
+      }
+    });
+
+    unlocked.forEach((achievement) => this._unlock(achievement));
+  }
+
+  /** Run progress plus stored lifetime progress for lifetime conditions. */
+  _currentValue(achievement) {
+    const run = this._runProgress.get(achievement.key) ?? 0;
+    if (!isLifetimeCondition(achievement.condition)) return run;
+    return run + (this._storedProgress[achievement.key] ?? 0);
+  }
+
+  /** Persist and announce an unlock, then stop tracking that achievement. */
+  _unlock(achievement) {
+    this._tracked = this._tracked.filter((entry) => entry !== achievement);
+    this._runProgress.delete(achievement.key);
+
+    if (!AchievementStore.unlock(achievement.key)) return;
+    this.events?.emit?.('achievement:unlocked', { key: achievement.key, achievement });
+  }
+}
@@ -16,6 +16,9 @@ import { DropRegistry } from '../drops/DropRegistry.js';
  * to stop their "fire" sound when the FX ends early, without controllers
  * directly referencing SoundManager.
  *
+ * Hits, explosions, deaths and pickups pass their world position so
+ * SoundManager pans and attenuates them from the camera center.
+ *
  * Note:
  *  - To avoid double-playing fire SFX, we skip 'weapon:fired' for weapons that
  *    opt into scoped fire audio (weapon.audio.fire.scoped === true).
@@ -87,8 +90,9 @@ export function setupAudioSystem(scene, soundManager) {
     soundManager.playSfx(fireConfig.key, fireConfig);
   });
 
-  scene.events.on('combat:hit', ({ weaponKey }) => {
-    if (!weaponKey) return;
+  scene.events.on('combat:hit', ({ weaponKey, enemy, statusTick }) => {
+    // Damage-over-time ticks stay silent; only direct hits play the weapon's hit sound.
+    if (!weaponKey || statusTick) return;
 
     const weapon = WeaponRegistry[weaponKey];
     if (!weapon) return;
@@ -96,10 +100,10 @@ export function setupAudioSystem(scene, soundManager) {
     const hitConfig = weapon.audio?.hit;
     if (!hitConfig?.key) return;
 
-    soundManager.playSfx(hitConfig.key, hitConfig);
+    soundManager.playSfx(hitConfig.key, { ...hitConfig, position: positionOf(enemy) });
   });
 
-  scene.events.on('weapons:exploded', ({ weaponKey }) => {
+  scene.events.on('weapons:exploded', ({ weaponKey, x, y }) => {
     if (!weaponKey) return;
 
     const weapon = WeaponRegistry[weaponKey];
@@ -109,10 +113,10 @@ export function setupAudioSystem(scene, soundManager) {
     if (!fireConfig?.key) return;
 
     // Explode uses fire sound by convention; keep behavior consistent.
-    soundManager.playSfx(fireConfig.key, fireConfig);
+    soundManager.playSfx(fireConfig.key, { ...fireConfig, position: positionOf({ x, y }) });
   });
 
-  scene.events.on('enemy:died', ({ mobKey }) => {
+  scene.events.on('enemy:died', ({ mobKey, x, y }) => {
     if (!mobKey) return;
 
     const mob = MobRegistry[mobKey];
@@ -121,10 +125,10 @@ export function setupAudioSystem(scene, soundManager) {
     const deathConfig = mob.audio?.death;
     if (!deathConfig?.key) return;
 
-    soundManager.playSfx(deathConfig.key, deathConfig);
+    soundManager.playSfx(deathConfig.key, { ...deathConfig, position: positionOf({ x, y }) });
   });
 
-  scene.events.on('drop:collected', ({ type }) => {
+  scene.events.on('drop:collected', ({ type, drop }) => {
     if (!type) return;
 
     const row = DropRegistry[type];
@@ -133,6 +137,12 @@ export function setupAudioSystem(scene, soundManager) {
     const pickupConfig = row.audio?.pickup;
     if (!pickupConfig?.key) return;
 
-    soundManager.playSfx(pickupConfig.key, pickupConfig);
+    soundManager.playSfx(pickupConfig.key, { ...pickupConfig, position: positionOf(drop) });
   });
 }
+
+/** World point for positional SFX, or null to play it centered. */
+function positionOf(source) {
+  if (!source || !Number.isFinite(source.x) || !Number.isFinite(source.y)) return null;
+  return { x: source.x, y: source.y };
+}
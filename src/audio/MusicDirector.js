@@ -0,0 +1,290 @@
+import Phaser from 'phaser';
+import { resolveMusicStinger, resolveMusicTrack, SceneMusic } from './MusicRegistry.js';
+
+const DEFAULT_FADE_MS = 1200;
+const INTENSITY_PER_SECOND = 0.5;
+
+/**
+ * MusicDirector
+ * -------------
+ * Game-wide music playback, owned by SoundManager so it survives scene changes.
+ *
+ * - Tracks (MusicRegistry) play as "decks": a looping base plus intensity
+ *   layers started in sync. Switching tracks cross-fades the old deck out
+ *   while the new one fades in; re-requesting the playing base track only
+ *   retargets its volume and layers.
+ * - `setIntensity(0..1)` eases layer volumes toward their mix.
+ * - `duck(level, { holdMs })` lowers everything temporarily (telegraphs, stingers).
+ * - Tracks whose audio is not cached yet are remembered and start once loaded.
+ *
+ * Steps on the game loop (not a scene clock), so fades keep running through
+ * pauses and scene transitions. Volumes go through SoundManager's music and
+ * master buses.
+ */
+export class MusicDirector {
+  constructor(game, soundManager) {
+    this.game = game;
+    this.soundManager = soundManager;
+
+    this.deck = null;
+    this._fadingDecks = [];
+    this._pending = null;
+
+    this.intensity = 0;
+    this._targetIntensity = 0;
+
+    this._duckLevel = 1;
+    this._duckTarget = 1;
+    this._duckFadeMs = 250;
+    this._duckHoldMs = Infinity;
+
+    this._onStep = (_time, delta) => this.update(delta);
+    game?.events?.on?.(Phaser.Core.Events.STEP, this._onStep);
+  }
+
+  /** Spec of the playing (or pending) track, for callers that restore it later. */
+  get currentTrack() {
+    return this._pending?.track ?? this.deck?.track ?? null;
+  }
+
+  /** Base key of the playing track. */
+  get currentKey() {
+    return this.deck?.track?.key ?? null;
+  }
+
+  /**
+   * Cross-fade to a MusicTracks key or inline `{ key, volume, layers }` spec.
+   * @param {string|Object} trackOrKey
+   * @param {{ fadeMs?: number }} [opts]
+   */
+  play(trackOrKey, { fadeMs = DEFAULT_FADE_MS } = {}) {
+    const track = resolveMusicTrack(trackOrKey);
+    if (!track) return;
+
+    if (!this._isCached(track.key)) {
+      this._pending = { track, fadeMs };
+      return;
+    }
+    this._pending = null;
+
+    // Same base loop: keep it running, just adopt the new volume and layers.
+    if (this.deck?.track?.key === track.key && this.deck.base?.isPlaying) {
+      this._retargetDeck(this.deck, track);
+      this._releaseDuck();
+      return;
+    }
+
+    if (this.deck) this._fadeOutDeck(this.deck, fadeMs);
+    this.deck = this._createDeck(track, fadeMs);
+    this._releaseDuck();
+    this._applyVolumes();
+  }
+
+  /** Play the SceneMusic track for `scene` (no-op for unlisted scenes). */
+  playSceneMusic(scene, opts) {
+    const trackKey = SceneMusic[scene?.scene?.key ?? scene?.sys?.settings?.key];
+    if (trackKey) this.play(trackKey, opts);
+  }
+
+  /** Retry a track that was requested before its audio finished loading. */
+  tryPlayPending() {
+    const pending = this._pending;
+    if (!pending || !this._isCached(pending.track.key)) return;
+    this.play(pending.track, { fadeMs: pending.fadeMs });
+  }
+
+  /** Fade out (or cut, with fadeMs 0) the current track. */
+  stop({ fadeMs = 0 } = {}) {
+    this._pending = null;
+    if (!this.deck) return;
+    this._fadeOutDeck(this.deck, fadeMs);
+    this.deck = null;
+  }
+
+  /** Target intensity in [0, 1]; layers ease toward it. */
+  setIntensity(value) {
+    this._targetIntensity = Phaser.Math.Clamp(Number(value) || 0, 0, 1);
+  }
+
+  /**
+   * Lower all music to `level` (0..1) for `holdMs`, then fade back. Without a
+   * finite `holdMs` it stays down until the next track change or `duck(1)`.
+   */
+  duck(level, { holdMs = Infinity, fadeMs = 250 } = {}) {
+    this._duckTarget = Phaser.Math.Clamp(Number(level), 0, 1);
+    this._duckFadeMs = Math.max(1, fadeMs);
+    this._duckHoldMs = holdMs > 0 ? holdMs : Infinity;
+  }
+
+  /**
+   * Play a MusicStingers key or inline `{ key, volume, duck }` over the music,
+   * ducking it until the stinger ends. Returns the sound, or null.
+   */
+  playStinger(stingerOrKey) {
+    const stinger = resolveMusicStinger(stingerOrKey);
+    if (!stinger || !this._isCached(stinger.key)) return null;
+
+    const sound = this.game.sound.add(stinger.key);
+    const busVolume = this.soundManager?.getOutputVolume?.('music') ?? 1.0;
+    sound.once('complete', () => sound.destroy());
+    sound.play({ volume: busVolume * stinger.volume });
+
+    const holdMs = Number.isFinite(sound.duration) && sound.duration > 0 ? sound.duration * 1000 : 2000;
+    this.duck(stinger.duck, { holdMs, fadeMs: 150 });
+    return sound;
+  }
+
+  /** Re-apply volumes right away (e.g. after a music bus change). */
+  refreshVolume() {
+    this._applyVolumes();
+  }
+
+  /** Advance fades, ducking and intensity by `deltaMs`. */
+  update(deltaMs = 0) {
+    const dt = Math.max(0, Number(deltaMs) || 0);
+    if (this._pending) this.tryPlayPending();
+
+    // Intensity eases so enemy-count jitter doesn't pump the layers.
+    const step = INTENSITY_PER_SECOND * (dt / 1000);
+    const diff = this._targetIntensity - this.intensity;
+    this.intensity += Phaser.Math.Clamp(diff, -step, step);
+
+    if (Number.isFinite(this._duckHoldMs)) {
+      this._duckHoldMs -= dt;
+      if (this._duckHoldMs <= 0) this._releaseDuck();
+    }
+    this._duckLevel = approach(this._duckLevel, this._duckTarget, dt / this._duckFadeMs);
+
+    if (this.deck) {
+      this.deck.gain = approach(this.deck.gain, 1, dt / this.deck.fadeMs);
+    }
+    this._fadingDecks.forEach((deck) => {
+      deck.gain = approach(deck.gain, 0, dt / deck.fadeMs);
+    });
+    const finished = this._fadingDecks.filter((deck) => deck.gain <= 0);
+    if (finished.length) {
+      finished.forEach((deck) => this._destroyDeck(deck));
+      this._fadingDecks = this._fadingDecks.filter((deck) => deck.gain > 0);
+    }
+
+    this._applyVolumes();
+  }
+
+  destroy() {
+    this.game?.events?.off?.(Phaser.Core.Events.STEP, this._onStep);
+    this._fadingDecks.forEach((deck) => this._destroyDeck(deck));
+    this._fadingDecks = [];
+    if (this.deck) this._destroyDeck(this.deck);
+    this.deck = null;
+    this._pending = null;
+    this.game = null;
+    this.soundManager = null;
+  }
+
+  // ------------------------
+  // Decks
+  // ------------------------
+
+  _createDeck(track, fadeMs) {
+    const sound = this.game.sound;
+    const base = sound.add(track.key, { loop: true, volume: 0 });
+    const deck = {
+      track,
+      base,
+      layers: [],
+      gain: fadeMs > 0 ? 0 : 1,
+      fadeMs: Math.max(1, fadeMs),
+    };
+    base.play();
+    this._syncLayers(deck, track.layers ?? []);
+    return deck;
+  }
+
+  _retargetDeck(deck, track) {
+    deck.track = track;
+    const keep = new Set((track.layers ?? []).map((layer) => layer.key));
+    deck.layers
+      .filter((layer) => !keep.has(layer.spec.key))
+      .forEach((layer) => layer.sound.destroy());
+    deck.layers = deck.layers.filter((layer) => keep.has(layer.spec.key));
+    this._syncLayers(deck, track.layers ?? []);
+  }
+
+  // Start any layer not already running; uncached layers are skipped.
+  _syncLayers(deck, layers) {
+    layers.forEach((spec) => {
+      const existing = deck.layers.find((layer) => layer.spec.key === spec.key);
+      if (existing) {
+        existing.spec = spec;
+        return;
+      }
+      if (!this._isCached(spec.key)) return;
+
+      const layerSound = this.game.sound.add(spec.key, { loop: true, volume: 0 });
+      // Start at the base's position so the loops stay aligned.
+      layerSound.play({ seek: deck.base.seek ?? 0 });
+      deck.layers.push({ spec, sound: layerSound });
+    });
+  }
+
+  _fadeOutDeck(deck, fadeMs) {
+    deck.fadeMs = Math.max(1, fadeMs);
+    if (fadeMs <= 0) {
+      this._destroyDeck(deck);
+      return;
+    }
+    this._fadingDecks.push(deck);
+  }
+
+  _destroyDeck(deck) {
+    deck.base?.stop();
+    deck.base?.destroy();
+    deck.layers.forEach((layer) => {
+      layer.sound.stop();
+      layer.sound.destroy();
+    });
+    deck.layers = [];
+    deck.base = null;
+  }
+
+  _applyVolumes() {
+    const bus = this.soundManager?.getOutputVolume?.('music') ?? 1.0;
+    const master = bus * this._duckLevel;
+
+    const applyDeck = (deck) => {
+      if (!deck.base) return;
+      const gain = master * deck.gain;
+      deck.base.setVolume(gain * (deck.track.volume ?? 1));
+      deck.layers.forEach(({ spec, sound }) => {
+        sound.setVolume(gain * (spec.volume ?? 1) * layerMix(spec, this.intensity));
+      });
+    };
+
+    if (this.deck) applyDeck(this.deck);
+    this._fadingDecks.forEach(applyDeck);
+  }
+
+  _releaseDuck() {
+    this._duckTarget = 1;
+    this._duckHoldMs = Infinity;
+  }
+
+  _isCached(key) {
+    return Boolean(key && this.game?.cache?.audio?.exists?.(key));
+  }
+}
+
+/** 0..1 mix of a layer for `intensity`, ramping between its `from` and `to`. */
+function layerMix(spec, intensity) {
+  const from = spec.from ?? 0;
+  const to = spec.to ?? 1;
+  if (to <= from) return intensity >= from ? 1 : 0;
+  return Phaser.Math.Clamp((intensity - from) / (to - from), 0, 1);
+}
+
+/** Move `value` toward `target` by at most `step` (fractions of the full 0..1 range). */
+function approach(value, target, step) {
+  if (value < target) return Math.min(target, value + step);
+  if (value > target) return Math.max(target, value - step);
+  return value;
+}
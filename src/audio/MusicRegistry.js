@@ -0,0 +1,105 @@
+/**
+ * Music tracks, stingers and scene/map assignments played by MusicDirector.
+ *
+ * Track fields:
+ *  - key: looping base track (AUDIO_MANIFEST key).
+ *  - volume: base track volume before the music bus.
+ *  - layers: `[{ key, volume, from, to }]` loops started in sync with the base;
+ *    each fades in as the director's intensity rises from `from` to `to`.
+ *
+ * Stinger fields:
+ *  - key / volume: one-shot played over the music.
+ *  - duck: music volume multiplier while the stinger plays.
+ *
+ * Maps pick tracks with a MapRegistry `music` block (see resolveMapMusic);
+ * anything a map leaves out comes from DEFAULT_MAP_MUSIC.
+ *
+ * Only `music.game.loop` ships as music today, so every track reuses it and
+ * the stingers reuse the boss SFX. To add an intensity layer or a dedicated
+ * boss track, register the file in AUDIO_MANIFEST and point the entry here at
+ * its key (uncached keys are skipped, but a missing file still fails to load).
+ */
+export const MusicTracks = {
+  menu: {
+    key: 'music.game.loop',
+    volume: 0.7,
+    layers: [],
+  },
+  night: {
+    key: 'music.game.loop',
+    volume: 1.0,
+    layers: [],
+  },
+  boss: {
+    key: 'music.game.loop',
+    volume: 1.0,
+    layers: [],
+  },
+};
+
+export const MusicStingers = {
+  victory: { key: 'sfx.boss.death', volume: 1.0, duck: 0.15 },
+  defeat: { key: 'sfx.boss.howl', volume: 1.0, duck: 0.15 },
+};
+
+/** Track per scene key; scenes not listed leave the current music alone. */
+export const SceneMusic = {
+  menu: 'menu',
+  'hero-select': 'menu',
+  'map-select': 'menu',
+  'meta-shop': 'menu',
+};
+
+/**
+ * Run music defaults. `intensity` tunes RunMusicController:
+ *  - fullAtEnemies: active enemy count that maps to intensity 1.
+ *  - timelinePulse: intensity held while a spawn timeline event runs
+ *    (events may set their own `intensity`).
+ *  - minPulseMs: shortest hold for a timeline pulse.
+ */
+export const DEFAULT_MAP_MUSIC = {
+  track: 'night',
+  boss: 'boss',
+  victory: 'victory',
+  defeat: 'defeat',
+  intensity: {
+    fullAtEnemies: 220,
+    timelinePulse: 0.6,
+    minPulseMs: 8000,
+  },
+};
+
+/**
+ * Resolve a track key or inline spec into a full track spec, or null.
+ * Inline specs are used as-is (with empty layers when omitted).
+ */
+export function resolveMusicTrack(trackOrKey) {
+  if (!trackOrKey) return null;
+  if (typeof trackOrKey === 'string') {
+    const track = MusicTracks[trackOrKey];
+    if (!track) {
+      console.warn(`[MusicRegistry] Unknown music track "${trackOrKey}"`);
+      return null;
+    }
+    return { id: trackOrKey, ...track };
+  }
+  if (!trackOrKey.key) return null;
+  return { layers: [], volume: 1.0, ...trackOrKey };
+}
+
+/** Resolve a stinger key or inline spec, or null. */
+export function resolveMusicStinger(stingerOrKey) {
+  if (!stingerOrKey) return null;
+  if (typeof stingerOrKey === 'string') return MusicStingers[stingerOrKey] ?? null;
+  return stingerOrKey.key ? { volume: 1.0, duck: 0.15, ...stingerOrKey } : null;
+}
+
+/** Merge a MapRegistry entry's `music` block over DEFAULT_MAP_MUSIC. */
+export function resolveMapMusic(mapConfig) {
+  const declared = mapConfig?.music ?? {};
+  return {
+    ...DEFAULT_MAP_MUSIC,
+    ...declared,
+    intensity: { ...DEFAULT_MAP_MUSIC.intensity, ...(declared.intensity ?? {}) },
+  };
+}
@@ -0,0 +1,79 @@
+import Phaser from 'phaser';
+import { resolveMapMusic } from './MusicRegistry.js';
+
+/**
+ * RunMusicController
+ * ------------------
+ * Drives MusicDirector for one GameScene run:
+ *  - plays the map's track (MapRegistry `music`, see resolveMapMusic) on start;
+ *  - feeds intensity from the active enemy count and from spawn timeline
+ *    events ('spawn:timeline'), whichever is higher;
+ *  - plays the victory / defeat stinger when the run ends.
+ *
+ * Boss encounters switch to `bossTrack` themselves (see BossEncounter).
+ */
+export class RunMusicController {
+  constructor(scene, director) {
+    this.scene = scene;
+    this.director = director ?? null;
+    this.config = resolveMapMusic(scene?.mapConfig);
+
+    this._pulseLevel = 0;
+    this._pulseRemainingMs = 0;
+    this._finished = false;
+
+    this._onTimeline = (payload) => this._handleTimeline(payload);
+    scene?.events?.on?.('spawn:timeline', this._onTimeline);
+  }
+
+  /** Track boss encounters fall back to when they name none. */
+  get bossTrack() {
+    return this.config.boss ?? null;
+  }
+
+  start() {
+    this.director?.setIntensity(0);
+    this.director?.play(this.config.track);
+  }
+
+  /** Recompute the intensity target; called every simulation step. */
+  update(dt) {
+    if (!this.director || this._finished) return;
+
+    if (this._pulseRemainingMs > 0) {
+      this._pulseRemainingMs -= dt || 0;
+      if (this._pulseRemainingMs <= 0) this._pulseLevel = 0;
+    }
+
+    const fullAt = Math.max(1, this.config.intensity.fullAtEnemies);
+    const active = this.scene?.enemyPools?.getTotalActive?.() ?? 0;
+    const crowd = Phaser.Math.Clamp(active / fullAt, 0, 1);
+
+    this.director.setIntensity(Math.max(crowd, this._pulseLevel));
+  }
+
+  /** Drop the layers and play the outcome stinger over the end-of-run menu. */
+  finish(outcome) {
+    if (this._finished) return;
+    this._finished = true;
+
+    this.director?.setIntensity(0);
+    this.director?.playStinger(outcome === 'win' ? this.config.victory : this.config.defeat);
+  }
+
+  destroy() {
+    this.scene?.events?.off?.('spawn:timeline', this._onTimeline);
+    this.scene = null;
+    this.director = null;
+  }
+
+  // Timeline events may set `intensity`; others use the map's default pulse.
+  _handleTimeline(payload) {
+    const tuning = this.config.intensity;
+    const level = Number.isFinite(payload?.intensity) ? payload.intensity : tuning.timelinePulse;
+    const durationMs = Math.max(tuning.minPulseMs, (Number(payload?.duration) || 0) * 1000);
+
+    this._pulseLevel = Math.max(this._pulseLevel, Phaser.Math.Clamp(level, 0, 1));
+    this._pulseRemainingMs = Math.max(this._pulseRemainingMs, durationMs);
+  }
+}
@@ -1,27 +1,79 @@
 import Phaser from 'phaser';
+import { MusicDirector } from './MusicDirector.js';
+
+/**
+ * Voice limits per bus. When a bus (or the whole mixer) is full, a new sound
+ * may steal a playing voice of lower priority, or of equal priority under the
+ * bus's `steal` policy: 'oldest', 'quietest', or 'none' (drop the new sound).
+ * `config.priority` on playSfx overrides the bus priority for one sound.
+ * There is no per-key cap: a heavily repeated sound competes for voices like
+ * any other and steals within its bus instead of being dropped.
+ */
+export const VOICE_POLICY = {
+  maxVoices: 32,
+  buses: {
+    ui: { maxVoices: 6, priority: 3, steal: 'oldest' },
+    music: { maxVoices: 4, priority: 2, steal: 'oldest' },
+    sfx: { maxVoices: 24, priority: 1, steal: 'quietest' },
+  },
+};
+
+/**
+ * Positional SFX tuning. Distances are in half-diagonals of the camera view:
+ * full volume inside `innerRadius`, fading to silent at `maxRadius` (sounds
+ * further away are culled). `panWidth` is the stereo spread at the view edge.
+ */
+export const POSITIONAL_AUDIO = {
+  innerRadius: 0.5,
+  maxRadius: 1.5,
+  panWidth: 0.8,
+};
+
+/**
+ * Throttle floor for the sfx bus while "reduce hit-sound spam" is on: every
+ * sfx waits at least `minIntervalMs` between plays of the same key, and the
+ * bus shrinks to `sfxMaxVoices` (stealing still applies).
+ */
+export const REDUCED_SPAM_THROTTLE = {
+  minIntervalMs: 70,
+  sfxMaxVoices: 8,
+};
 
 export class SoundManager {
   constructor(scene) {
     this.scene = scene;
     this.lastPlayTimes = new Map();  // key -> timestamp
-    this.activeCounts = new Map();   // key -> count
+    this.voices = [];                // { sound, key, bus, priority, volume, startedAt }
     this.busVolumes = {
+      master: 1.0,
       sfx: 1.0,
       ui: 1.0,
       music: 1.0
     };
-    this.music = null;
-    this.musicKey = null;
-    this.musicBus = 'music';
-    this.musicBaseVolume = 1.0;
+    this.muteOnFocusLoss = true;
+    this.reduceHitSpam = false;
     this._hasLoadedFromStorage = false;
-    this._pendingMusicRequest = null;
+    // Game-wide music (tracks, intensity layers, ducking, stingers).
+    this.musicDirector = scene?.game ? new MusicDirector(scene.game, this) : null;
+    this._bindFocusEvents(scene?.game);
   }
 
   setScene(scene) {
     this.scene = scene;
   }
 
+  /**
+   * Play a one-shot through the voice pool.
+   * @param {string} key
+   * @param {Object} [config]
+   * @param {string} [config.bus='sfx']
+   * @param {number} [config.volume=1]
+   * @param {{x:number,y:number}} [config.position] World point; pans and attenuates from the camera center.
+   * @param {number} [config.priority]          Defaults to the bus priority (VOICE_POLICY).
+   * @param {number} [config.minIntervalMs=0]
+   * @param {number} [config.pitchJitter=0]     Random detune range in semitones.
+   * @returns {Phaser.Sound.BaseSound|null}
+   */
   playSfx(key, config = {}) {
     if (!key || !this.scene) return null;
 
@@ -29,39 +81,51 @@ export class SoundManager {
       return null;
     }
 
-    const now = this.scene.time?.now ?? 0;
+    // Throttles use real time: GameScene's clock stops while the run is paused.
+    const now = this.scene.game?.loop?.time ?? this.scene.time?.now ?? 0;
 
     const volume = config.volume ?? 1.0;
     const bus = config.bus ?? 'sfx';
-    const maxSimultaneous = config.maxSimultaneous ?? 8;
-    const minIntervalMs = config.minIntervalMs ?? 0;
+    let minIntervalMs = config.minIntervalMs ?? 0;
+    let busPolicy = VOICE_POLICY.buses[bus] ?? VOICE_POLICY.buses.sfx;
+    if (this.reduceHitSpam && bus === 'sfx') {
+      minIntervalMs = Math.max(minIntervalMs, REDUCED_SPAM_THROTTLE.minIntervalMs);
+      busPolicy = { ...busPolicy, maxVoices: Math.min(busPolicy.maxVoices, REDUCED_SPAM_THROTTLE.sfxMaxVoices) };
+    }
     const pitchJitter = config.pitchJitter ?? 0;
+    const priority = Number.isFinite(config.priority) ? config.priority : busPolicy.priority;
 
     const lastTime = this.lastPlayTimes.get(key) ?? 0;
     if (minIntervalMs > 0 && now - lastTime < minIntervalMs) return null;
 
-    const currentCount = this.activeCounts.get(key) ?? 0;
-    if (currentCount >= maxSimultaneous) return null;
+    const spatial = config.position ? this._spatialize(config.position) : null;
+    if (spatial && spatial.gain <= 0) return null;
+
+    const baseVolume = this.getOutputVolume(bus);
+    const finalVolume = baseVolume * volume * (spatial?.gain ?? 1);
 
-    const baseVolume = this.busVolumes[bus] ?? 1.0;
-    const finalVolume = baseVolume * volume;
+    const candidate = { bus, priority, volume: finalVolume };
+    if (!this._claimVoice(candidate, busPolicy)) return null;
 
     const sound = this.scene.sound.add(key);
     this.lastPlayTimes.set(key, now);
-    this.activeCounts.set(key, currentCount + 1);
+
+    const voice = { sound, key, bus, priority, volume: finalVolume, startedAt: now };
+    this.voices.push(voice);
 
     if (pitchJitter !== 0) {
       const detuneCents = (Math.random() * 2 - 1) * pitchJitter * 100;
       sound.setDetune(detuneCents);
     }
+    if (spatial) sound.setPan?.(spatial.pan);
 
     let cleaned = false;
     const cleanup = () => {
       if (cleaned) return;
       cleaned = true;
 
-      const count = this.activeCounts.get(key) ?? 1;
-      this.activeCounts.set(key, Math.max(0, count - 1));
+      const index = this.voices.indexOf(voice);
+      if (index !== -1) this.voices.splice(index, 1);
 
       sound.destroy();
     };
@@ -74,71 +138,105 @@ export class SoundManager {
     return sound;
   }
 
-
-  playMusic(key, config = {}) {
-    if (!key || !this.scene) {
-      return;
+  /**
+   * Make room for `candidate` under the bus and global voice limits, stealing
+   * (stopping) voices as VOICE_POLICY allows. False means the sound should be dropped.
+   */
+  _claimVoice(candidate, busPolicy) {
+    const inBus = this.voices.filter((voice) => voice.bus === candidate.bus);
+    if (inBus.length >= busPolicy.maxVoices) {
+      const victim = this._pickVictim(inBus, candidate, busPolicy.steal);
+      if (!victim) return false;
+      victim.sound.stop();
     }
 
-    if (!this.scene.cache?.audio?.exists(key)) {
-      this._pendingMusicRequest = { key, config };
-      return;
+    if (this.voices.length >= VOICE_POLICY.maxVoices) {
+      // Across buses each voice is judged by its own bus's policy.
+      const victim = this._pickVictim(this.voices, candidate, null);
+      if (!victim) return false;
+      victim.sound.stop();
     }
+    return true;
+  }
+
+  // Lowest priority first; ties broken by `steal` (or the victim bus's policy when null).
+  _pickVictim(voices, candidate, steal) {
+    let best = null;
+    let bestScore = null;
+
+    voices.forEach((voice) => {
+      if (voice.priority > candidate.priority) return;
+
+      const policy = steal ?? VOICE_POLICY.buses[voice.bus]?.steal ?? 'none';
+      if (voice.priority === candidate.priority) {
+        if (policy === 'none') return;
+        if (policy === 'quietest' && voice.volume >= candidate.volume) return;
+      }
+
+      const tieBreak = policy === 'quietest' ? voice.volume : voice.startedAt;
+      if (!best || voice.priority < best.priority
+        || (voice.priority === best.priority && tieBreak < bestScore)) {
+        best = voice;
+        bestScore = tieBreak;
+      }
+    });
+
+    return best;
+  }
 
-    this._pendingMusicRequest = null;
-    const requestedBus = config.bus ?? 'music';
-    const baseVolume = config.volume ?? 1.0;
+  /** Gain and pan for a world point relative to the camera center (see POSITIONAL_AUDIO). */
+  _spatialize(position) {
+    const view = this.scene?.cameras?.main?.worldView;
+    if (!view || !Number.isFinite(position.x) || !Number.isFinite(position.y)) {
+      return { gain: 1, pan: 0 };
+    }
 
-    // If the requested track is already playing, just update volume/bus.
-    if (this.music && this.musicKey === key && this.music.isPlaying) {
-      this.musicBus = requestedBus;
-      this.musicBaseVolume = baseVolume;
-      this._updateMusicVolume();
-      return;
+    const dx = position.x - view.centerX;
+    const dy = position.y - view.centerY;
+    const halfDiagonal = Math.max(1, Math.hypot(view.width, view.height) / 2);
+    const distance = Math.hypot(dx, dy) / halfDiagonal;
+
+    const { innerRadius, maxRadius, panWidth } = POSITIONAL_AUDIO;
+    let gain = 1;
+    if (distance >= maxRadius) {
+      gain = 0;
+    } else if (distance > innerRadius) {
+      gain = 1 - (distance - innerRadius) / (maxRadius - innerRadius);
     }
 
-    // Stop any existing track before switching.
-    this.stopMusic();
+    const pan = Phaser.Math.Clamp(dx / Math.max(1, view.width / 2), -1, 1) * panWidth;
+    return { gain, pan };
+  }
 
-    this.musicKey = key;
-    this.musicBus = requestedBus;
-    this.musicBaseVolume = baseVolume;
-    this.music = this.scene.sound.add(key, { loop: true });
-    this._updateMusicVolume();
-    this.music.play();
+  /**
+   * Cross-fade to a looping track (AUDIO_MANIFEST key) through MusicDirector.
+   * `config.fadeMs` defaults to an instant switch.
+   */
+  playMusic(key, config = {}) {
+    if (!key) return;
+    const { volume = 1.0, fadeMs = 0, layers = [] } = config;
+    this.musicDirector?.play({ key, volume, layers }, { fadeMs });
   }
 
   tryPlayPendingMusic() {
-    if (!this._pendingMusicRequest) {
-      return;
-    }
-
-    const { key, config } = this._pendingMusicRequest;
-    if (!this.scene?.cache?.audio?.exists(key)) {
-      return;
-    }
-
-    this._pendingMusicRequest = null;
-    this.playMusic(key, config);
+    this.musicDirector?.tryPlayPending();
   }
 
   stopMusic() {
-    if (this.music) {
-      this.music.stop();
-      this.music.destroy();
-    }
-    this.music = null;
-    this.musicKey = null;
-    this.musicBus = 'music';
-    this.musicBaseVolume = 1.0;
+    this.musicDirector?.stop();
+  }
+
+  /** Base key of the track MusicDirector is playing. */
+  get musicKey() {
+    return this.musicDirector?.currentKey ?? null;
   }
 
   setBusVolume(bus, value) {
     const clamped = Phaser.Math.Clamp(value, 0, 1);
     this.busVolumes[bus] = clamped;
 
-    if (bus === 'music') {
-      this._updateMusicVolume();
+    if (bus === 'music' || bus === 'master') {
+      this.musicDirector?.refreshVolume();
     }
   }
 
@@ -146,12 +244,57 @@ export class SoundManager {
     return this.busVolumes[bus] ?? 1.0;
   }
 
+  /** Volume a bus actually plays at: its own level times the master bus. */
+  getOutputVolume(bus) {
+    return this.getBusVolume('master') * this.getBusVolume(bus);
+  }
+
+  /** Silence all audio while the window is unfocused (on by default). */
+  setMuteOnFocusLoss(enabled) {
+    this.muteOnFocusLoss = Boolean(enabled);
+    const sound = this._focusGame?.sound;
+    if (sound && !this.muteOnFocusLoss && this._mutedByBlur) {
+      sound.mute = false;
+      this._mutedByBlur = false;
+    }
+  }
+
+  /** Clamp sfx throttles to REDUCED_SPAM_THROTTLE. */
+  setReduceHitSpam(enabled) {
+    this.reduceHitSpam = Boolean(enabled);
+  }
+
+  /**
+   * Mute on window blur instead of Phaser's pause-on-blur, so music keeps its
+   * place in the loop and the setting can turn it off entirely.
+   */
+  _bindFocusEvents(game) {
+    if (!game?.events || !game.sound) return;
+    this._focusGame = game;
+    this._mutedByBlur = false;
+    game.sound.pauseOnBlur = false;
+
+    game.events.on(Phaser.Core.Events.BLUR, () => {
+      if (!this.muteOnFocusLoss || game.sound.mute) return;
+      game.sound.mute = true;
+      this._mutedByBlur = true;
+    });
+    game.events.on(Phaser.Core.Events.FOCUS, () => {
+      if (!this._mutedByBlur) return;
+      game.sound.mute = false;
+      this._mutedByBlur = false;
+    });
+  }
+
   saveToStorage() {
     try {
       const data = {
+        master: this.busVolumes.master ?? 1.0,
         sfx: this.busVolumes.sfx ?? 1.0,
         ui: this.busVolumes.ui ?? 1.0,
-        music: this.busVolumes.music ?? 1.0
+        music: this.busVolumes.music ?? 1.0,
+        muteOnFocusLoss: this.muteOnFocusLoss,
+        reduceHitSpam: this.reduceHitSpam
       };
       window.localStorage.setItem('NOTBM:audio', JSON.stringify(data));
     } catch (err) {
@@ -168,23 +311,16 @@ export class SoundManager {
       if (!raw) return;
 
       const data = JSON.parse(raw);
+      if (typeof data.master === 'number') this.setBusVolume('master', data.master);
       if (typeof data.sfx === 'number') this.setBusVolume('sfx', data.sfx);
       if (typeof data.ui === 'number') this.setBusVolume('ui', data.ui);
       if (typeof data.music === 'number') this.setBusVolume('music', data.music);
+      if (typeof data.muteOnFocusLoss === 'boolean') this.setMuteOnFocusLoss(data.muteOnFocusLoss);
+      if (typeof data.reduceHitSpam === 'boolean') this.setReduceHitSpam(data.reduceHitSpam);
     } catch (err) {
       // ignore parse / storage errors
     }
   }
-
-  _updateMusicVolume() {
-    if (!this.music) {
-      return;
-    }
-
-    const busVolume = this.busVolumes[this.musicBus] ?? 1.0;
-    const finalVolume = busVolume * this.musicBaseVolume;
-    this.music.setVolume(finalVolume);
-  }
 }
 
 export function getOrCreateSoundManager(scene) {
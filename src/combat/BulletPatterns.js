@@ -0,0 +1,221 @@
+import Phaser from 'phaser';
+import {
+  EnemyBulletPatterns,
+  getEnemyProjectileConfigFromWeaponKey,
+} from '../weapons/EnemyProjectilePresets.js';
+
+const TAU = Math.PI * 2;
+const DEG = Math.PI / 180;
+
+/**
+ * Pattern types an EnemyBulletPatterns entry can use (via `type`).
+ *
+ * `steps(spec)` is how many times `fire(run, spec, step)` is called, spaced by
+ * `spec.intervalMs` (the first step fires immediately). `fire` emits shots with
+ * `run.shoot(angle, extra)`; `run.aimAngle()` is the current source → target angle.
+ */
+export const BULLET_PATTERN_TYPES = {
+  // Evenly spaced ring; each wave rotates by `rotateDeg` to shift the gaps.
+  ring: {
+    defaults: { count: 12, waves: 1, intervalMs: 500, rotateDeg: 0, aimed: false, startDeg: 0 },
+    steps: (spec) => spec.waves,
+    fire(run, spec, step) {
+      const start = (spec.aimed ? run.aimAngle() : spec.startDeg * DEG) + step * spec.rotateDeg * DEG;
+      const count = Math.max(1, spec.count);
+      for (let i = 0; i < count; i += 1) run.shoot(start + (i * TAU) / count);
+    },
+  },
+
+  // `arms` evenly spaced streams turning `turnDeg` per step (negative = counter-clockwise).
+  spiral: {
+    defaults: { arms: 2, steps: 20, intervalMs: 90, turnDeg: 12 },
+    steps: (spec) => spec.steps,
+    fire(run, spec, step) {
+      const start = run.startAngle + step * spec.turnDeg * DEG;
+      const arms = Math.max(1, spec.arms);
+      for (let i = 0; i < arms; i += 1) run.shoot(start + (i * TAU) / arms);
+    },
+  },
+
+  // Fan centered on the target, re-aimed every volley.
+  fan: {
+    defaults: { count: 5, spreadDeg: 50, volleys: 1, intervalMs: 300 },
+    steps: (spec) => spec.volleys,
+    fire(run, spec) {
+      const center = run.aimAngle();
+      const count = Math.max(1, spec.count);
+      const spread = spec.spreadDeg * DEG;
+      for (let i = 0; i < count; i += 1) {
+        const t = count === 1 ? 0.5 : i / (count - 1);
+        run.shoot(center + (t - 0.5) * spread);
+      }
+    },
+  },
+
+  // Aimed seed shots that split into a ring of `count` fragments after `delayMs`.
+  // `fragment` overrides the seed's projectile config for the fragments.
+  burst: {
+    defaults: { seeds: 1, intervalMs: 400, delayMs: 800, count: 8, fragment: null },
+    steps: (spec) => spec.seeds,
+    fire(run, spec) {
+      run.shoot(run.aimAngle(), {
+        burst: {
+          delayMs: spec.delayMs,
+          count: spec.count,
+          shot: { ...run.shot, ...(spec.fragment ?? {}) },
+        },
+      });
+    },
+  },
+
+  // Shots that steer toward the hero at `turnRateDeg`/s for `homingMs`, then fly straight.
+  // Consecutive shots alternate across `spreadDeg` so they converge from the sides.
+  homing: {
+    defaults: { shots: 3, intervalMs: 250, spreadDeg: 40, turnRateDeg: 90, homingMs: 1500 },
+    steps: (spec) => spec.shots,
+    fire(run, spec, step) {
+      const shots = Math.max(1, spec.shots);
+      const t = shots === 1 ? 0.5 : step / (shots - 1);
+      run.shoot(run.aimAngle() + (t - 0.5) * spec.spreadDeg * DEG, {
+        homing: { turnRateDeg: spec.turnRateDeg, durationMs: spec.homingMs },
+      });
+    },
+  },
+};
+
+/**
+ * Resolve a pattern key or inline spec into a runnable spec: type defaults,
+ * then the registry entry, then `overrides`. `shot` is the projectile config
+ * passed to `EnemyProjectileSystem.fire`. Returns null (with a warning) when
+ * the key or type is unknown.
+ */
+export function resolveBulletPattern(patternOrKey, overrides = null) {
+  const declared = typeof patternOrKey === 'string'
+    ? EnemyBulletPatterns[patternOrKey]
+    : patternOrKey;
+  if (!declared) {
+    console.warn(`[BulletPatterns] Unknown pattern "${patternOrKey}"`);
+    return null;
+  }
+
+  const merged = { ...declared, ...(overrides ?? {}) };
+  const type = BULLET_PATTERN_TYPES[merged.type];
+  if (!type) {
+    console.warn(`[BulletPatterns] Unknown pattern type "${merged.type}"`);
+    return null;
+  }
+
+  const projectile = { ...(declared.projectile ?? {}), ...(overrides?.projectile ?? {}) };
+  const shot = merged.weaponKey
+    ? getEnemyProjectileConfigFromWeaponKey(merged.weaponKey, projectile)
+    : projectile;
+
+  return {
+    ...type.defaults,
+    ...merged,
+    key: typeof patternOrKey === 'string' ? patternOrKey : merged.key ?? merged.type,
+    shot: shot ?? projectile,
+  };
+}
+
+/**
+ * BulletPatternRunner
+ *
+ * Steps active patterns for EnemyProjectileSystem on simulation time. A run
+ * follows its `source` (shots leave from its current position) and stops
+ * early once the source dies or is pooled. `maxActive` caps concurrent
+ * non-forced patterns so screens full of casters stay readable.
+ */
+export class BulletPatternRunner {
+  constructor(projectiles, { maxActive = 8 } = {}) {
+    this.projectiles = projectiles;
+    this.maxActive = maxActive;
+    this.runs = [];
+  }
+
+  get activeCount() {
+    return this.runs.length;
+  }
+
+  /**
+   * Start a pattern. `source` is a sprite or `{ x, y }`; `target` is what fans
+   * and aimed shots track (defaults to the hero). `force` ignores `maxActive`.
+   * Returns the run handle (`done`, `stop()`), or null if refused.
+   */
+  start(patternOrKey, { source, target = null, overrides = null, force = false } = {}) {
+    if (!source) return null;
+    if (!force && this.runs.length >= this.maxActive) return null;
+
+    const spec = resolveBulletPattern(patternOrKey, overrides);
+    if (!spec) return null;
+
+    const type = BULLET_PATTERN_TYPES[spec.type];
+    const projectiles = this.projectiles;
+    const run = {
+      spec,
+      source,
+      target,
+      shot: spec.shot,
+      elapsedMs: 0,
+      step: 0,
+      steps: Math.max(0, Math.floor(type.steps(spec) ?? 0)),
+      startAngle: 0,
+      done: false,
+      aimAngle() {
+        const aim = run.target ?? projectiles.scene?.hero?.sprite;
+        if (!aim) return run.startAngle;
+        return Phaser.Math.Angle.Between(run.source.x, run.source.y, aim.x, aim.y);
+      },
+      shoot(angle, extra = null) {
+        return projectiles.fire({
+          ...run.shot,
+          ...(extra ?? {}),
+          x: run.source.x,
+          y: run.source.y,
+          angle,
+        });
+      },
+      stop() {
+        run.done = true;
+      },
+    };
+    run.startAngle = run.aimAngle();
+
+    this.runs.push(run);
+    this._advance(run, type);
+    return run;
+  }
+
+  /** Fire every step that came due during `dt` ms; drop finished runs. */
+  update(dt) {
+    if (!this.runs.length) return;
+
+    this.runs.forEach((run) => {
+      if (run.done) return;
+      const source = run.source;
+      if (source.active === false || source._isDying) {
+        run.done = true;
+        return;
+      }
+      run.elapsedMs += dt || 0;
+      this._advance(run, BULLET_PATTERN_TYPES[run.spec.type]);
+    });
+
+    this.runs = this.runs.filter((run) => !run.done);
+  }
+
+  /** Stop all running patterns (e.g. on teardown). */
+  clear() {
+    this.runs.forEach((run) => { run.done = true; });
+    this.runs = [];
+  }
+
+  _advance(run, type) {
+    const interval = Math.max(0, run.spec.intervalMs ?? 0);
+    while (!run.done && run.step < run.steps && run.elapsedMs >= run.step * interval) {
+      type.fire(run, run.spec, run.step);
+      run.step += 1;
+    }
+    if (run.step >= run.steps) run.done = true;
+  }
+}
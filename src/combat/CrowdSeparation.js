@@ -0,0 +1,106 @@
+import { CONFIG } from '../config/gameConfig.js';
+import { resolveMobSeparation } from '../mob/MobRegistry.js';
+
+// Golden angle (rad): spreads exactly-stacked enemies in distinct directions
+// without touching the seeded RNG streams.
+const GOLDEN_ANGLE = 2.399963229728653;
+
+/**
+ * CrowdSeparation keeps hordes from collapsing into a single pixel.
+ *
+ * Neighbours come from the scene's EnemySpatialIndex (rebuilt once per tick).
+ * EnemyBehaviorSystem stamps each enemy's separation radius/weight before
+ * behaviours run; seek behaviours in MobAI then ask for a separation vector
+ * and blend it into their velocity (see applyCrowdSeparation). Per-mob
+ * radius/weight come from MobRegistry via resolveMobSeparation.
+ *
+ * Each query only looks at nearby index cells and stops after
+ * CONFIG.CROWD.maxNeighbors overlaps, so the cost stays linear in the enemy
+ * count even at the pool cap.
+ */
+export class CrowdSeparation {
+  constructor({ index, maxNeighbors } = {}) {
+    this.index = index ?? null;
+    this.maxNeighbors = maxNeighbors ?? CONFIG.CROWD?.maxNeighbors ?? 8;
+    this._maxRadius = 0;
+    this._push = { x: 0, y: 0 };
+  }
+
+  /** Stamp separation data on every active enemy; call once per frame before behaviours run. */
+  prepare(group) {
+    this._maxRadius = 0;
+    if (!group?.children) return;
+
+    let index = 0;
+    group.children.iterate((enemy) => {
+      if (!enemy || !enemy.active || enemy._isDying) return;
+
+      const { radius, weight } = resolveMobSeparation(enemy.mobKey);
+      enemy._crowdRadius = radius;
+      enemy._crowdWeight = weight;
+      enemy._crowdIndex = index;
+      index += 1;
+
+      if (radius > this._maxRadius) this._maxRadius = radius;
+    });
+  }
+
+  /**
+   * Weighted push away from overlapping neighbours, or null when the enemy
+   * has no neighbours in range or never gives way. Pair spacing is the mean
+   * of both radii; each overlap contributes in proportion to its depth and
+   * the sum is clamped to unit length before weighting.
+   *
+   * The returned vector is reused between calls.
+   */
+  getSeparation(enemy) {
+    const weight = enemy?._crowdWeight ?? 0;
+    const radius = enemy?._crowdRadius ?? 0;
+    if (weight <= 0 || radius <= 0 || !this.index) return null;
+
+    const x = enemy.x;
+    const y = enemy.y;
+    const maxNeighbors = this.maxNeighbors;
+    let pushX = 0;
+    let pushY = 0;
+    let count = 0;
+
+    this.index.forEachNear(x, y, (radius + this._maxRadius) / 2, (other) => {
+      if (other === enemy || !other.active || other._isDying || !(other._crowdRadius > 0)) return true;
+
+      const spacing = (radius + other._crowdRadius) / 2;
+      const dx = x - other.x;
+      const dy = y - other.y;
+      const distSq = dx * dx + dy * dy;
+      if (distSq >= spacing * spacing) return true;
+
+      const dist = Math.sqrt(distSq);
+      const strength = 1 - dist / spacing;
+      if (dist > 0.0001) {
+        pushX += (dx / dist) * strength;
+        pushY += (dy / dist) * strength;
+      } else {
+        const angle = (enemy._crowdIndex ?? 0) * GOLDEN_ANGLE;
+        pushX += Math.cos(angle) * strength;
+        pushY += Math.sin(angle) * strength;
+      }
+
+      count += 1;
+      return count < maxNeighbors;
+    });
+
+    if (!count) return null;
+
+    const length = Math.hypot(pushX, pushY);
+    if (length <= 0) return null;
+    const scale = (length > 1 ? 1 / length : 1) * weight;
+
+    this._push.x = pushX * scale;
+    this._push.y = pushY * scale;
+    return this._push;
+  }
+
+  destroy() {
+    this.index = null;
+  }
+}
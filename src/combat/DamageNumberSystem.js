@@ -1,3 +1,5 @@
+import { getRunStream, RNG_STREAMS } from '../core/RunRng.js';
+
 /**
  * DamageNumberSystem
  *
@@ -21,6 +23,7 @@ export class DamageNumberSystem {
     this.size = size;
     this.depth = depth;
     this._destroyed = false;    // Used to prevent new spawns after teardown.
+    this.rng = getRunStream(scene, RNG_STREAMS.FX); // Cosmetic jitter stays off gameplay streams.
 
     // Object pool of BitmapText objects (no classType → we control creation).
     this.pool = scene.add.group({ maxSize: 128, runChildUpdate: false });
@@ -53,7 +56,7 @@ export class DamageNumberSystem {
        .setVisible(true)
        .setAlpha(1)
        .setScale(1)
-       .setAngle(Phaser.Math.Between(-8, 8)); // slight random tilt → organic feel
+       .setAngle(this.rng.between(-8, 8)); // slight random tilt → organic feel
 
     return txt;
   }
@@ -69,8 +72,8 @@ export class DamageNumberSystem {
     // Apply text and small jitter to avoid perfectly aligned spam.
     txt.setText(String(value))
        .setPosition(
-         x + Phaser.Math.Between(-4, 4),
-         y + Phaser.Math.Between(-6, 2)
+         x + this.rng.between(-4, 4),
+         y + this.rng.between(-6, 2)
        );
 
     // Color (damage = red-ish, heal = green-ish, crit = gold-ish).
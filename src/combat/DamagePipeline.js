@@ -40,12 +40,17 @@ export class DamagePipeline {
    *
    * @param {Phaser.GameObjects.Sprite} target - The enemy being hit.
    * @param {Object} payload - Damage metadata. Expected: { damage: number }.
+   *   Optional `status` entries are forwarded to StatusEffectSystem; ticks from
+   *   that system arrive tagged with `statusTick` (effect type) and `statusTint`.
    */
   applyHit(target, payload = {}) {
     if (!target || !target.active) return; // Ignore missing or recycled objects
 
+    // Status ticks derive from an already-modified hit, so passives aren't applied twice.
+    const isStatusTick = !!payload?.statusTick;
+
     const passiveManager = this.scene.passiveManager;
-    if (passiveManager?.applyDamageModifiers) {
+    if (!isStatusTick && passiveManager?.applyDamageModifiers) {
       payload = passiveManager.applyDamageModifiers(payload, { target, source: 'weapon' });
     }
 
@@ -57,14 +62,27 @@ export class DamagePipeline {
     target.hp -= damage;
 
     this.scene.damageNumbers?.hitEntity(target, damage, {
-      tint: payload?.crit ? 0xffd54a : 0xff4d4d,
+      tint: payload?.crit ? 0xffd54a : (payload?.statusTint ?? 0xff4d4d),
       crit: !!payload?.crit
     });
 
+    // Attach burn/poison/slow/etc. before the flash so the flash restores to the status tint.
+    const statusEffects = this.scene.statusEffects;
+    if (!isStatusTick && target.hp > 0 && Array.isArray(payload?.status) && payload.status.length) {
+      statusEffects?.apply?.(target, payload.status, { hitDamage: damage, sourceKey: payload?.sourceKey ?? null });
+    }
 
-    // Visual feedback: brief white flash
-    target.setTintFill(0xffffff);
-    this.scene.time.delayedCall(40, () => target.clearTint());
+    // Visual feedback: brief white flash (skipped for status ticks to avoid constant strobing)
+    if (!isStatusTick) {
+      target.setTintFill(0xffffff);
+      this.scene.time.delayedCall(40, () => {
+        if (statusEffects) {
+          statusEffects.restoreTint(target);
+        } else {
+          target.clearTint();
+        }
+      });
+    }
 
     const enemyHpAfter = target?.hp ?? target?.health?.hp ?? null;
 
@@ -85,13 +103,15 @@ export class DamagePipeline {
         mobKey,
         enemy: target,
         damage: effectiveDamage,
-        wasCrit: !!payload?.crit
+        wasCrit: !!payload?.crit,
+        statusTick: payload?.statusTick ?? null
       });
 
     }
 
     // If enemy still has HP, optionally play a hit reaction animation
-    if (target.hp > 0) {
+    // (status ticks skip it so frozen enemies stay frozen mid-pose).
+    if (target.hp > 0 && !isStatusTick) {
       const config = resolveMobConfig(target.mobKey);
       const animSet = config?.animationKeys ?? {};
       const hitAnim = animSet.hit;
@@ -114,7 +134,7 @@ export class DamagePipeline {
 
     // If HP <= 0, handle full death flow
     if (target.hp <= 0) {
-      this._handleDeath(target);
+      this._handleDeath(target, payload?.sourceKey ?? null);
     }
   }
 
@@ -129,8 +149,9 @@ export class DamagePipeline {
    * manually override XP in here.
    *
    * @param {Phaser.GameObjects.Sprite} enemy
+   * @param {string|null} [weaponKey] - Source of the killing blow (for kill credit).
    */
-  _handleDeath(enemy) {
+  _handleDeath(enemy, weaponKey = null) {
     if (!enemy || enemy._deathHandled) return; // Prevent double-processing
     enemy._deathHandled = true;
 
@@ -139,7 +160,9 @@ export class DamagePipeline {
     const deathAnim = animSet.death;
 
     this.scene.events.emit('enemy:died', {
+      enemy,
       mobKey: enemy.mobKey,
+      weaponKey,
       x: enemy.x,
       y: enemy.y
     });
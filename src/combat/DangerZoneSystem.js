@@ -0,0 +1,227 @@
+import Phaser from 'phaser';
+import { scaleEnemyDamage } from '../mob/MobStatsFactory.js';
+
+/**
+ * DangerZoneSystem
+ * ----------------
+ * Telegraphed enemy ground attacks: a warning decal fills over `windupMs`, then
+ * the zone detonates once and damages the hero through HealthSystem if the
+ * hero is still inside.
+ *
+ * - Shapes: `circle` ({ radius }) and `line` (a `length` × `width` strip from
+ *   (x, y) along `angle`, for sweeps and charges).
+ * - Timed on simulation dt, so pauses freeze the windup.
+ * - All zones share one Graphics object drawn under the mobs.
+ * - `maxZones` caps concurrent non-forced zones so crowds of casters stay readable.
+ *
+ * Users: MobRegistry `groundAttack` blocks (via EnemyBehaviorSystem) and the
+ * boss `slam` / `dangerZone` attacks (see BossAttackTypes).
+ */
+export class DangerZoneSystem {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {Object} [opts]
+   * @param {number} [opts.depth=1]        Decal depth; mobs start at 2.
+   * @param {number} [opts.maxZones=24]    Max concurrent non-forced zones.
+   * @param {number} [opts.flashMs=180]    How long the detonation flash lingers.
+   */
+  constructor(scene, { depth = 1, maxZones = 24, flashMs = 180 } = {}) {
+    this.scene = scene;
+    this.maxZones = maxZones;
+    this.flashMs = flashMs;
+    this.zones = [];
+
+    this.gfx = scene.add.graphics().setDepth(depth);
+  }
+
+  /** Number of zones still winding up or flashing. */
+  get activeCount() {
+    return this.zones.length;
+  }
+
+  /**
+   * Place a telegraphed zone. Returns the zone (`done` once detonated, `cancel()`),
+   * or null when over `maxZones` without `force`.
+   * @param {Object} opts
+   * @param {number} opts.x
+   * @param {number} opts.y
+   * @param {'circle'|'line'} [opts.shape='circle']
+   * @param {number} [opts.radius=80]        Circle radius.
+   * @param {number} [opts.length=240]       Line length from (x, y).
+   * @param {number} [opts.width=60]         Line thickness.
+   * @param {number} [opts.angle=0]          Line direction in radians.
+   * @param {number} [opts.windupMs=900]     Warning time before the hit.
+   * @param {number} [opts.damage=20]        Damage dealt to the hero inside at detonation.
+   * @param {number} [opts.color=0xff3b3b]
+   * @param {Object|null} [opts.source]      Enemy that cast it (passed through to events).
+   * @param {Function|null} [opts.onDetonate] Called with `(zone, hit)` after the damage check.
+   * @param {boolean} [opts.force=false]     Ignore the zone cap (boss attacks).
+   */
+  spawn({
+    x,
+    y,
+    shape = 'circle',
+    radius = 80,
+    length = 240,
+    width = 60,
+    angle = 0,
+    windupMs = 900,
+    damage = 20,
+    color = 0xff3b3b,
+    source = null,
+    onDetonate = null,
+    force = false,
+  } = {}) {
+    if (!this.gfx) return null;
+    if (!force && this.zones.length >= this.maxZones) return null;
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+
+    const zone = {
+      x,
+      y,
+      shape: shape === 'line' ? 'line' : 'circle',
+      radius: Math.max(1, radius),
+      length: Math.max(1, length),
+      width: Math.max(1, width),
+      angle,
+      windupMs: Math.max(1, windupMs),
+      damage: scaleEnemyDamage(this.scene, damage),
+      color,
+      source,
+      onDetonate,
+      elapsedMs: 0,
+      detonated: false,
+      done: false,
+      cancel() {
+        zone.done = true;
+      },
+    };
+    this.zones.push(zone);
+    return zone;
+  }
+
+  /** Advance windups, detonate finished zones and redraw the decals. */
+  update(dt = 0) {
+    const gfx = this.gfx;
+    if (!gfx) return;
+    if (!this.zones.length) {
+      gfx.clear();
+      return;
+    }
+
+    this.zones.forEach((zone) => {
+      if (zone.done) return;
+      zone.elapsedMs += dt || 0;
+      if (!zone.detonated && zone.elapsedMs >= zone.windupMs) {
+        this._detonate(zone);
+      }
+      if (zone.detonated && zone.elapsedMs >= zone.windupMs + this.flashMs) {
+        zone.done = true;
+      }
+    });
+    this.zones = this.zones.filter((zone) => !zone.done);
+
+    gfx.clear();
+    this.zones.forEach((zone) => this._draw(zone));
+  }
+
+  /** True when (px, py) lies inside the zone's shape. */
+  contains(zone, px, py) {
+    const dx = px - zone.x;
+    const dy = py - zone.y;
+    if (zone.shape === 'circle') {
+      return dx * dx + dy * dy <= zone.radius * zone.radius;
+    }
+
+    // Line: project onto the strip's axis.
+    const cos = Math.cos(zone.angle);
+    const sin = Math.sin(zone.angle);
+    const along = dx * cos + dy * sin;
+    const across = -dx * sin + dy * cos;
+    return along >= 0 && along <= zone.length && Math.abs(across) <= zone.width / 2;
+  }
+
+  /** Drop every zone without detonating (e.g. on run end). */
+  clear() {
+    this.zones.forEach((zone) => { zone.done = true; });
+    this.zones = [];
+    this.gfx?.clear();
+  }
+
+  destroy() {
+    this.clear();
+    this.gfx?.destroy();
+    this.gfx = null;
+    this.scene = null;
+  }
+
+  _detonate(zone) {
+    zone.detonated = true;
+
+    const scene = this.scene;
+    const heroSprite = scene?.hero?.sprite;
+    let hit = false;
+    if (heroSprite && zone.damage > 0 && this.contains(zone, heroSprite.x, heroSprite.y)) {
+      hit = Boolean(scene.hero?.health?.damage?.(zone.damage));
+      if (hit) scene.cameras?.main?.shake?.(120, 0.004);
+    }
+
+    scene?.events?.emit?.('dangerzone:detonated', { zone, source: zone.source, hit });
+    zone.onDetonate?.(zone, hit);
+  }
+
+  _draw(zone) {
+    const gfx = this.gfx;
+
+    if (zone.detonated) {
+      // Short flash that fades out after the hit lands.
+      const t = Phaser.Math.Clamp((zone.elapsedMs - zone.windupMs) / this.flashMs, 0, 1);
+      gfx.fillStyle(zone.color, 0.55 * (1 - t));
+      this._fillShape(zone, 1);
+      return;
+    }
+
+    const t = Phaser.Math.Clamp(zone.elapsedMs / zone.windupMs, 0, 1);
+    gfx.lineStyle(2, zone.color, 0.9);
+    this._strokeShape(zone);
+    gfx.fillStyle(zone.color, 0.12);
+    this._fillShape(zone, 1);
+    gfx.fillStyle(zone.color, 0.28);
+    this._fillShape(zone, t);
+  }
+
+  _strokeShape(zone) {
+    if (zone.shape === 'circle') {
+      this.gfx.strokeCircle(zone.x, zone.y, zone.radius);
+      return;
+    }
+    this.gfx.strokePoints(linePoints(zone, 1), true, true);
+  }
+
+  // Circles fill outward from the center; lines fill from the caster's end.
+  _fillShape(zone, t) {
+    if (t <= 0) return;
+    if (zone.shape === 'circle') {
+      this.gfx.fillCircle(zone.x, zone.y, zone.radius * t);
+      return;
+    }
+    this.gfx.fillPoints(linePoints(zone, t), true, true);
+  }
+}
+
+/** Corners of a line zone's strip, truncated to `t` of its length. */
+function linePoints(zone, t) {
+  const cos = Math.cos(zone.angle);
+  const sin = Math.sin(zone.angle);
+  const half = zone.width / 2;
+  const len = zone.length * t;
+  // Perpendicular offset (-sin, cos) scaled to half the width.
+  const px = -sin * half;
+  const py = cos * half;
+  return [
+    { x: zone.x + px, y: zone.y + py },
+    { x: zone.x + cos * len + px, y: zone.y + sin * len + py },
+    { x: zone.x + cos * len - px, y: zone.y + sin * len - py },
+    { x: zone.x - px, y: zone.y - py },
+  ];
+}
@@ -1,4 +1,6 @@
 import { ENEMY_BEHAVIORS, resolveBoundedNavPair } from '../mob/MobAI.js';
+import { resolveMobGroundAttack } from '../mob/MobRegistry.js';
+import { CrowdSeparation } from './CrowdSeparation.js';
 
 /**
  * EnemyBehaviorSystem keeps the per-frame AI loop out of GameScene. The runner
@@ -10,11 +12,14 @@ export class EnemyBehaviorSystem {
    * Create a lightweight runner that decouples AI iteration from the scene.
    * Centralizing the loop here keeps mob updates consistent and testable.
    */
-  constructor(scene, { enemyGroup, hero } = {}) {
+  constructor(scene, { enemyGroup, hero, spatialIndex } = {}) {
     this.scene = scene;
     this.enemyGroup = enemyGroup ?? null;
     this.hero = hero ?? null;
 
+    // Shared neighbour index for seek behaviours (see applyCrowdSeparation).
+    this.crowd = new CrowdSeparation({ index: spatialIndex ?? scene?.enemyIndex ?? null });
+
     // Default behavior keys (kept as constants so typos don't silently break).
     this._defaultSeekKey = 'seekPlayer';
 
@@ -28,6 +33,10 @@ export class EnemyBehaviorSystem {
       legionMember: 'legionMemberBounded',
     };
 
+    // Time-stop (clock pickup). Counted down from the simulation dt so it
+    // holds during pauses and replays identically.
+    this._freezeRemainingMs = 0;
+
     // Debug toggles
     this.debugStuckMobs = false;
     this.debugStuckThrottleMs = 1000; // per-mob throttle
@@ -44,6 +53,21 @@ export class EnemyBehaviorSystem {
     this.enemyGroup = group;
   }
 
+  /**
+   * Suspend every regular mob's behaviour for `durationMs` (boss controllers
+   * are not driven by this loop and keep acting). Overlapping freezes keep
+   * the longer remaining time.
+   */
+  freeze(durationMs) {
+    const ms = Number(durationMs) || 0;
+    this._freezeRemainingMs = Math.max(this._freezeRemainingMs, ms);
+  }
+
+  /** Milliseconds of time-stop left (0 when mobs are running). */
+  getFreezeRemainingMs() {
+    return Math.max(0, this._freezeRemainingMs);
+  }
+
   /**
    * Resolve the behavior function for an enemy, taking bounded-map overrides
    * into account so missing/legacy aiBehavior values don't degrade pathing.
@@ -84,14 +108,49 @@ export class EnemyBehaviorSystem {
     const dtMs = Number(dt);
     const nowMs = scene?.time?.now ?? 0;
 
+    if (this._freezeRemainingMs > 0) {
+      this._freezeRemainingMs = Math.max(0, this._freezeRemainingMs - (dtMs || 0));
+      group.children?.iterate?.((enemy) => {
+        if (!enemy || !enemy.active || enemy._bossController) return;
+        enemy.body?.setVelocity?.(0, 0);
+      });
+      return;
+    }
+
+    // Stamp separation radii/weights before any behaviour queries them.
+    this.crowd.prepare(group);
+
     group.children?.iterate?.((enemy) => {
       if (!enemy || !enemy.active || enemy._isDying) return;
       if (enemy._bossController) return;
 
+      // Freeze/stun (StatusEffectSystem) suspend the behaviour entirely: no steering, no attacks.
+      if (enemy._statusDisabled) {
+        enemy.body?.setVelocity?.(0, 0);
+        return;
+      }
+
+      // Undo last frame's slow before the behaviour runs so behaviours that
+      // keep their previous velocity don't compound the multiplier.
+      const unscaled = enemy._statusUnscaledVel;
+      if (unscaled) {
+        enemy.body?.velocity?.set?.(unscaled.x, unscaled.y);
+        enemy._statusUnscaledVel = null;
+      }
+
       const behavior = this._resolveBehavior(enemy);
 
       // Run AI
       behavior(enemy, heroSprite, scene, dt);
+      this._updateGroundAttack(enemy, heroSprite, dtMs);
+
+      // Slows scale whatever velocity the behaviour chose this frame.
+      const moveMult = enemy._statusMoveMult ?? 1;
+      if (moveMult !== 1 && enemy.body?.velocity) {
+        const vel = enemy.body.velocity;
+        enemy._statusUnscaledVel = { x: vel.x, y: vel.y };
+        vel.set(vel.x * moveMult, vel.y * moveMult);
+      }
 
       // -----------------------------
       // Debug: log only enemies that are stuck
@@ -115,8 +174,47 @@ export class EnemyBehaviorSystem {
     });
   }
 
+  /**
+   * Tick a mob's optional `groundAttack` (see resolveMobGroundAttack): once the
+   * cooldown is up and the hero is in range, place a telegraphed danger zone.
+   */
+  _updateGroundAttack(enemy, heroSprite, dtMs) {
+    const attack = resolveMobGroundAttack(enemy.mobKey);
+    const zones = this.scene?.dangerZones;
+    if (!attack || !zones) return;
+
+    if (!Number.isFinite(enemy._groundAttackCooldownMs)) {
+      enemy._groundAttackCooldownMs = attack.initialDelayMs;
+    }
+    enemy._groundAttackCooldownMs -= dtMs || 0;
+    if (enemy._groundAttackCooldownMs > 0) return;
+
+    const dx = heroSprite.x - enemy.x;
+    const dy = heroSprite.y - enemy.y;
+    if (dx * dx + dy * dy > attack.range * attack.range) return;
+
+    let zone;
+    if (attack.shape === 'line') {
+      zone = zones.spawn({ ...attack, x: enemy.x, y: enemy.y, angle: Math.atan2(dy, dx), source: enemy });
+    } else {
+      const lead = attack.leadMs / 1000;
+      const velocity = heroSprite.body?.velocity;
+      zone = zones.spawn({
+        ...attack,
+        x: heroSprite.x + (velocity?.x ?? 0) * lead,
+        y: heroSprite.y + (velocity?.y ?? 0) * lead,
+        source: enemy,
+      });
+    }
+
+    // At the zone cap, retry shortly instead of waiting a full cooldown.
+    enemy._groundAttackCooldownMs = zone ? attack.cooldownMs : 250;
+  }
+
   /** Clear references so the garbage collector can reclaim the runner during scene shutdown. */
   destroy() {
+    this.crowd?.destroy();
+    this.crowd = null;
     this.scene = null;
     this.enemyGroup = null;
     this.hero = null;
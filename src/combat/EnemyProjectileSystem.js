@@ -1,4 +1,6 @@
 import Phaser from 'phaser';
+import { BulletPatternRunner } from './BulletPatterns.js';
+import { scaleEnemyDamage } from '../mob/MobStatsFactory.js';
 
 /**
  * EnemyProjectileSystem
@@ -8,6 +10,8 @@ import Phaser from 'phaser';
  * - Exposes `fire(...)` to spawn a projectile with angle/speed/lifetime.
  * - Handles overlap vs the hero, applies damage, and recycles the projectile.
  * - Auto-releases projectiles when they go off-screen or after a lifetime.
+ * - Runs declarative bullet patterns (rings, spirals, fans, bursts, homing) via
+ *   `firePattern(...)`; see EnemyBulletPatterns in weapons/EnemyProjectilePresets.js.
  *
  * Notes:
  * - This is intentionally separate from your player `WeaponManager` / `DamagePipeline`
@@ -27,6 +31,7 @@ export class EnemyProjectileSystem {
    * @param {boolean} [opts.ignoreHeroIFrames=false]                   If true, projectile damage bypasses hero i-frames.
    * @param {{width:number,height:number}} [opts.body={width:24,height:24}]  Physics body size (offset auto-centered).
    * @param {number} [opts.maxSize=24]                                 Max pooled projectile instances.
+   * @param {number} [opts.maxPatterns=8]                              Max concurrent non-forced bullet patterns.
    */
   constructor(scene, {
     hero = null,
@@ -38,6 +43,7 @@ export class EnemyProjectileSystem {
     ignoreHeroIFrames = false,
     body = { width: 24, height: 24 },
     maxSize = 24,
+    maxPatterns = 8,
   } = {}) {
     this.scene = scene;
     this.texture = texture;
@@ -47,6 +53,7 @@ export class EnemyProjectileSystem {
     this.defaultLifetimeMs = defaultLifetimeMs;
     this.ignoreHeroIFrames = ignoreHeroIFrames;
     this.bodyConfig = body;
+    this.patterns = new BulletPatternRunner(this, { maxActive: maxPatterns });
 
     // Single pooled group for all enemy projectiles.
     // We use the stock Arcade Sprite class; metadata is attached per-instance.
@@ -126,6 +133,8 @@ export class EnemyProjectileSystem {
    * @param {{width:number,height:number}} [opts.body] Physics body size override.
    * @param {Object|null} [opts.explosion]   Optional explosion visual config.
    * @param {Object|null} [opts.aoe]         Optional AoE damage config.
+   * @param {{turnRateDeg:number,durationMs:number}|null} [opts.homing] Steer toward the hero for a while.
+   * @param {{delayMs:number,count:number,shot:Object}|null} [opts.burst] Split into a ring of `shot`s after a delay.
    * @returns {Phaser.Physics.Arcade.Sprite|null}
    */
   fire({
@@ -144,6 +153,8 @@ export class EnemyProjectileSystem {
     aoe,
     repeat,
     rotateToVelocity = true, 
+    homing = null,
+    burst = null,
   } = {}) {
     const projectile = this.group.get(x, y, this.texture);
     if (!projectile) return null;
@@ -205,9 +216,17 @@ export class EnemyProjectileSystem {
       }
     }
 
-    meta.damage = Number.isFinite(damage) ? damage : this.defaultDamage;
+    meta.damage = scaleEnemyDamage(this.scene, Number.isFinite(damage) ? damage : this.defaultDamage);
     meta.explosionCfg = explosion ?? null;
     meta.aoeCfg = aoe ?? null;
+    meta.speed = speedValue;
+    meta.rotateToVelocity = rotateToVelocity;
+    meta.homing = homing
+      ? { turnRate: (homing.turnRateDeg ?? 90) * (Math.PI / 180), remainingMs: homing.durationMs ?? 1500 }
+      : null;
+    meta.burst = burst
+      ? { remainingMs: burst.delayMs ?? 800, count: burst.count ?? 8, shot: burst.shot ?? {} }
+      : null;
 
     const lifetime = Math.max(250, Number.isFinite(lifetimeMs) ? lifetimeMs : this.defaultLifetimeMs);
 
@@ -217,6 +236,21 @@ export class EnemyProjectileSystem {
     return projectile;
   }
 
+  /**
+   * Start a bullet pattern (EnemyBulletPatterns key or inline spec) from `source`.
+   * Returns the run handle, or null when unknown or over `maxPatterns` (unless `force`).
+   * @param {string|Object} pattern
+   * @param {Object} opts
+   * @param {{x:number,y:number}} opts.source  Sprite the shots leave from; the run ends when it dies.
+   * @param {{x:number,y:number}|null} [opts.target]  Aim target; defaults to the hero.
+   * @param {Object|null} [opts.overrides]     Pattern field overrides.
+   * @param {boolean} [opts.force=false]       Ignore the concurrency cap (boss attacks).
+   */
+  firePattern(pattern, opts = {}) {
+    if (this._isDestroyed) return null;
+    return this.patterns.start(pattern, opts);
+  }
+
   /**
    * Expire a projectile and trigger any AoE/explosion side effects.
    * This centralizes cleanup so off-screen and timeout paths behave the same.
@@ -330,18 +364,32 @@ export class EnemyProjectileSystem {
 
   /**
    * Per-frame maintenance:
+   * - Step bullet patterns and in-flight homing / burst shots by `dt` ms.
    * - Recycle projectiles that drift far outside the camera view (with margin).
    */
-  update() {
+  update(dt = 0) {
+    if (this._isDestroyed) return;
+    this.patterns.update(dt);
+
     const margin = 96;
     const mapRuntime = this.scene.mapRuntime;
     // Bounded maps recycle projectiles by world bounds; infinite uses camera view.
     const bounds = mapRuntime?.isBounded?.() ? mapRuntime.getWorldBounds?.() : null;
     const view = bounds ? null : this.scene.cameras?.main?.worldView;
-    if (!bounds && !view) return;
 
     this.group.children?.iterate?.((projectile) => {
       if (!projectile?.active) return;
+      const meta = projectile._enemyProjectile;
+      if (meta?.homing) this._steerHoming(projectile, meta, dt);
+      if (meta?.burst) {
+        meta.burst.remainingMs -= dt;
+        if (meta.burst.remainingMs <= 0) {
+          this._detonateBurst(projectile, meta);
+          return;
+        }
+      }
+      if (!bounds && !view) return;
+
       const outsideBounds = bounds
         ? (projectile.x < bounds.left - margin ||
           projectile.x > bounds.right + margin ||
@@ -359,6 +407,44 @@ export class EnemyProjectileSystem {
     });
   }
 
+  /** Turn a homing shot toward the hero, at most `turnRate` rad/s, until its homing time runs out. */
+  _steerHoming(projectile, meta, dt) {
+    const homing = meta.homing;
+    const hero = this.scene.hero?.sprite;
+    const velocity = projectile.body?.velocity;
+    homing.remainingMs -= dt;
+    if (homing.remainingMs <= 0 || !hero || !velocity) {
+      meta.homing = null;
+      return;
+    }
+
+    const current = Math.atan2(velocity.y, velocity.x);
+    const desired = Phaser.Math.Angle.Between(projectile.x, projectile.y, hero.x, hero.y);
+    const maxTurn = homing.turnRate * (dt / 1000);
+    const delta = Phaser.Math.Clamp(Phaser.Math.Angle.Wrap(desired - current), -maxTurn, maxTurn);
+    const angle = current + delta;
+
+    projectile.body.setVelocity(Math.cos(angle) * meta.speed, Math.sin(angle) * meta.speed);
+    if (meta.rotateToVelocity) projectile.rotation = angle;
+  }
+
+  /** Replace a burst seed with a ring of fragments, starting along the seed's heading. */
+  _detonateBurst(projectile, meta) {
+    const { count, shot } = meta.burst;
+    const velocity = projectile.body?.velocity;
+    const start = velocity ? Math.atan2(velocity.y, velocity.x) : 0;
+    const x = projectile.x;
+    const y = projectile.y;
+
+    meta.burst = null;
+    this.release(projectile);
+
+    const total = Math.max(1, count);
+    for (let i = 0; i < total; i += 1) {
+      this.fire({ ...shot, x, y, angle: start + (i * Math.PI * 2) / total });
+    }
+  }
+
   /**
    * Internal overlap handler: apply damage to hero, camera feedback, then recycle.
    * @param {Phaser.Physics.Arcade.Sprite} projectile
@@ -428,6 +514,7 @@ export class EnemyProjectileSystem {
   destroy() {
     if (this._isDestroyed) return;
     this._isDestroyed = true;
+    this.patterns?.clear();
 
     // Unhook scene event
     this.scene?.events?.off?.(Phaser.Scenes.Events.DESTROY, this._onSceneDestroy);
@@ -0,0 +1,216 @@
+import { CONFIG } from '../config/gameConfig.js';
+import { SpatialHash } from '../core/SpatialHash.js';
+
+// enemyGroup → registered index, so group-based helpers (TargetingService,
+// AoeUtils) find the shared index without threading it through every caller.
+const indexByGroup = new WeakMap();
+
+/** True when `enemy` is a live candidate under the query options. */
+function accepts(enemy, exclude, filter) {
+  if (!enemy || !enemy.active || enemy === exclude) return false;
+  return !filter || filter(enemy);
+}
+
+/**
+ * EnemySpatialIndex
+ *
+ * Uniform-grid index over the active enemy group, rebuilt once per
+ * stepSimulation tick before weapons, AoE and AI run. Queries read live
+ * positions, so an enemy that moved since the rebuild is still measured
+ * exactly; cell lookups are padded by CONFIG.SPATIAL.slackPx to cover that
+ * drift. Enemies spawned after the rebuild appear on the next tick.
+ *
+ * Every query accepts `{ exclude, filter }`: one enemy to skip and/or a
+ * predicate candidates must pass.
+ */
+export class EnemySpatialIndex {
+  constructor(scene, { enemyGroup, cellSize, slackPx, register = true } = {}) {
+    this.scene = scene;
+    this.enemyGroup = enemyGroup ?? null;
+    this.hash = new SpatialHash(cellSize ?? CONFIG.SPATIAL?.cellSize ?? 32);
+    this.slack = Math.max(0, slackPx ?? CONFIG.SPATIAL?.slackPx ?? 8);
+    this.ready = false;
+
+    if (register && this.enemyGroup) indexByGroup.set(this.enemyGroup, this);
+  }
+
+  /** Registered index for `enemyGroup`, or null until its first rebuild. */
+  static forGroup(enemyGroup) {
+    const index = enemyGroup ? indexByGroup.get(enemyGroup) : null;
+    return index?.ready ? index : null;
+  }
+
+  /**
+   * The registered index for `enemyGroup`, or a throwaway one built from the
+   * group right now (one full scan, same cost as an unindexed query).
+   */
+  static resolve(enemyGroup) {
+    const shared = EnemySpatialIndex.forGroup(enemyGroup);
+    if (shared || !enemyGroup) return shared;
+
+    const snapshot = new EnemySpatialIndex(null, { enemyGroup, register: false });
+    snapshot.rebuild();
+    return snapshot;
+  }
+
+  /** Re-bucket every active enemy; call once per simulation tick. */
+  rebuild() {
+    const hash = this.hash;
+    hash.clear();
+    this.enemyGroup?.children?.iterate?.((enemy) => {
+      if (!enemy || !enemy.active) return;
+      hash.insert(enemy, enemy.x, enemy.y);
+    });
+    this.ready = Boolean(this.enemyGroup);
+  }
+
+  /** Raw candidate walk around (x, y); callers do their own distance check. */
+  forEachNear(x, y, radius, visit) {
+    this.hash.forEachNear(x, y, radius + this.slack, visit);
+  }
+
+  /** Closest enemy to `origin` within `range`, or null. */
+  nearest(origin, range = Infinity, options = {}) {
+    return this.kNearest(origin, 1, range, options)[0]?.enemy ?? null;
+  }
+
+  /**
+   * Up to `k` enemies within `range`, closest first, as `{ enemy, distSq }`.
+   * Searches outward ring by ring and stops once no unvisited cell can beat
+   * the current k-th candidate.
+   */
+  kNearest(origin, k, range = Infinity, { exclude = null, filter = null } = {}) {
+    const results = [];
+    const hash = this.hash;
+    if (!origin || !(k > 0) || !hash.size) return results;
+
+    const maxRange = Number.isFinite(range) ? Math.max(0, range) : Infinity;
+    const rangeSq = maxRange * maxRange;
+    const cellSize = hash.cellSize;
+    const cx = hash.cellOf(origin.x);
+    const cy = hash.cellOf(origin.y);
+    const rangeRings = Number.isFinite(maxRange) ? Math.ceil((maxRange + this.slack) / cellSize) : Infinity;
+    const maxRing = Math.min(rangeRings, hash.maxRingFrom(cx, cy));
+    let worstSq = Infinity;
+
+    const visit = (enemy) => {
+      if (!accepts(enemy, exclude, filter)) return;
+      const dx = enemy.x - origin.x;
+      const dy = enemy.y - origin.y;
+      const distSq = dx * dx + dy * dy;
+      if (distSq > rangeSq) return;
+      if (results.length >= k && distSq >= worstSq) return;
+
+      // Insertion into the short sorted list; ties keep visit order.
+      let at = results.length;
+      while (at > 0 && results[at - 1].distSq > distSq) at -= 1;
+      results.splice(at, 0, { enemy, distSq });
+      if (results.length > k) results.length = k;
+      if (results.length >= k) worstSq = results[k - 1].distSq;
+    };
+
+    for (let ring = 0; ring <= maxRing; ring += 1) {
+      hash.forEachInRing(cx, cy, ring, visit);
+
+      // Anything in ring + 1 sat at least `ring` cells away at rebuild time.
+      if (results.length >= k) {
+        const reach = ring * cellSize - this.slack;
+        if (reach > 0 && reach * reach >= worstSq) break;
+      }
+    }
+
+    return results;
+  }
+
+  /** Every enemy within `radius` of `origin`. */
+  withinRadius(origin, radius, { exclude = null, filter = null } = {}) {
+    const results = [];
+    if (!origin || !this.hash.size) return results;
+
+    const r = Number.isFinite(radius) ? Math.max(0, radius) : Infinity;
+    const radiusSq = r * r;
+    this.forEachNear(origin.x, origin.y, r, (enemy) => {
+      if (!accepts(enemy, exclude, filter)) return;
+      const dx = enemy.x - origin.x;
+      const dy = enemy.y - origin.y;
+      if (dx * dx + dy * dy <= radiusSq) results.push(enemy);
+    });
+    return results;
+  }
+
+  /**
+   * Enemies within `range` whose direction from `origin` lies inside a cone
+   * of total width `angleDeg` around `facing` (radians). A missing facing
+   * degrades to a plain radius query.
+   */
+  cone(origin, facing, angleDeg, range, options = {}) {
+    if (!facing && facing !== 0) return this.withinRadius(origin, range, options);
+
+    const half = (Math.max(0, angleDeg ?? 0) / 2) * (Math.PI / 180);
+    const minDot = Math.cos(Math.min(Math.PI, half));
+    const dirX = Math.cos(facing);
+    const dirY = Math.sin(facing);
+    const filter = options.filter ?? null;
+
+    return this.withinRadius(origin, range, {
+      exclude: options.exclude ?? null,
+      filter: (enemy) => {
+        if (filter && !filter(enemy)) return false;
+        const dx = enemy.x - origin.x;
+        const dy = enemy.y - origin.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist === 0) return true;
+        return (dx * dirX + dy * dirY) / dist >= minDot;
+      }
+    });
+  }
+
+  /**
+   * Enemies within `width / 2` of the segment `from` → `to`, ordered by
+   * distance along the segment (first hit first).
+   */
+  line(from, to, width = 0, { exclude = null, filter = null } = {}) {
+    const results = [];
+    const hash = this.hash;
+    if (!from || !to || !hash.size) return results;
+
+    const halfWidth = Math.max(0, width) / 2;
+    const pad = halfWidth + this.slack;
+    const segX = to.x - from.x;
+    const segY = to.y - from.y;
+    const segLenSq = segX * segX + segY * segY;
+    const halfWidthSq = halfWidth * halfWidth;
+    const hits = [];
+
+    hash.forEachInCells(
+      hash.cellOf(Math.min(from.x, to.x) - pad),
+      hash.cellOf(Math.min(from.y, to.y) - pad),
+      hash.cellOf(Math.max(from.x, to.x) + pad),
+      hash.cellOf(Math.max(from.y, to.y) + pad),
+      (enemy) => {
+        if (!accepts(enemy, exclude, filter)) return;
+        const px = enemy.x - from.x;
+        const py = enemy.y - from.y;
+        const t = segLenSq > 0 ? Math.max(0, Math.min(1, (px * segX + py * segY) / segLenSq)) : 0;
+        const dx = px - segX * t;
+        const dy = py - segY * t;
+        if (dx * dx + dy * dy <= halfWidthSq) hits.push({ enemy, t });
+      }
+    );
+
+    hits.sort((a, b) => a.t - b.t);
+    for (let i = 0; i < hits.length; i += 1) results.push(hits[i].enemy);
+    return results;
+  }
+
+  /** Unregister and drop the cell storage (scene shutdown). */
+  destroy() {
+    if (this.enemyGroup && indexByGroup.get(this.enemyGroup) === this) {
+      indexByGroup.delete(this.enemyGroup);
+    }
+    this.hash.destroy();
+    this.ready = false;
+    this.enemyGroup = null;
+    this.scene = null;
+  }
+}
@@ -57,6 +57,22 @@ export class HealthSystem {
     this.iFrameDuration = Math.max(0, next);
   }
 
+  /**
+   * Change the maximum hit points at runtime. Raising the cap heals by the
+   * same amount so a bonus is usable immediately; lowering it clamps health.
+   */
+  setMaxHealth(maxHealth = this.maxHealth) {
+    const next = Number(maxHealth);
+    if (!Number.isFinite(next) || next <= 0 || next === this.maxHealth) return;
+
+    const gained = next - this.maxHealth;
+    this.maxHealth = next;
+    if (!this.dead) {
+      this.health = Phaser.Math.Clamp(this.health + Math.max(0, gained), 0, next);
+    }
+    this._emitHealthChanged();
+  }
+
   /**
    * Restores the entity to full health and clears invincibility timers.
    * Used when the scene restarts or if the player obtains a full heal power-up.
@@ -21,13 +21,22 @@ export class PlayerDerivedStatsApplier {
 
   applyAggregate(aggregate = {}) {
     const health = this.hero?.health;
-    if (!health?.setIFrameDurationMs) return;
+    if (!health) return;
 
-    const baseIFrame = this.heroEntry?.stats?.iframeMs ?? 0;
-    const bonus = aggregate?.iframeMsBonus ?? 0;
-    if (!Number.isFinite(baseIFrame) || !Number.isFinite(bonus)) return;
+    // Prefer the hero's run stats (registry stats after run modifiers).
+    const stats = this.hero?.stats ?? this.heroEntry?.stats;
+    const baseIFrame = stats?.iframeMs ?? 0;
+    const iframeBonus = aggregate?.iframeMsBonus ?? 0;
+    if (health.setIFrameDurationMs && Number.isFinite(baseIFrame) && Number.isFinite(iframeBonus)) {
+      health.setIFrameDurationMs(baseIFrame + iframeBonus);
+    }
 
-    health.setIFrameDurationMs(baseIFrame + bonus);
+    // Flat max health comes from permanent meta upgrades (MetaUpgradeRegistry).
+    const baseMaxHealth = stats?.maxHealth;
+    const healthBonus = aggregate?.maxHealthFlat ?? 0;
+    if (health.setMaxHealth && Number.isFinite(baseMaxHealth) && Number.isFinite(healthBonus)) {
+      health.setMaxHealth(Math.max(1, baseMaxHealth + healthBonus));
+    }
   }
 
   applyNow() {
@@ -0,0 +1,84 @@
+/**
+ * Data-driven catalogue of status effects that weapons can apply through their
+ * `damage.status` arrays. StatusEffectSystem interprets these entries; adding a
+ * new effect should only require a new entry here.
+ *
+ * Each entry defines:
+ *  • durationMs   – lifetime of one application
+ *  • stacking     – how re-application behaves:
+ *                     'refresh' → reset duration, keep the strongest tick/slow
+ *                     'stack'   → add a stack (up to maxStacks) and reset duration
+ *                     'extend'  → add duration (capped at maxDurationMs)
+ *                     'ignore'  → no effect while already active
+ *  • tickMs / damageMult / tickDamage – damage over time; each tick deals
+ *                     `tickDamage` (flat) or `damageMult × triggering hit` per stack
+ *  • moveMult     – movement multiplier honoured by EnemyBehaviorSystem (0 = rooted)
+ *  • disablesAI   – skip the mob's behaviour entirely (no movement, no attacks)
+ *  • tint         – sprite tint while active; `priority` decides which tint wins
+ *  • immuneTiers  – mob tiers (MobRegistry `tier`) that ignore the effect
+ */
+export const StatusEffectRegistry = {
+  burn: {
+    durationMs: 3000,
+    stacking: 'refresh',
+    tickMs: 500,
+    damageMult: 0.15,
+    tint: 0xff8a3d,
+    priority: 2,
+  },
+
+  poison: {
+    durationMs: 5000,
+    stacking: 'stack',
+    maxStacks: 5,
+    tickMs: 1000,
+    damageMult: 0.1,
+    tint: 0x8dff6a,
+    priority: 1,
+  },
+
+  bleed: {
+    durationMs: 4000,
+    stacking: 'stack',
+    maxStacks: 10,
+    tickMs: 500,
+    damageMult: 0.05,
+    tint: 0xc8243f,
+    priority: 1,
+  },
+
+  slow: {
+    durationMs: 2000,
+    stacking: 'refresh',
+    moveMult: 0.6,
+    tint: 0x8fbcff,
+    priority: 3,
+  },
+
+  freeze: {
+    durationMs: 1200,
+    stacking: 'ignore',
+    moveMult: 0,
+    disablesAI: true,
+    pausesAnimation: true,
+    tint: 0x9ff0ff,
+    priority: 5,
+    immuneTiers: ['boss'],
+  },
+
+  stun: {
+    durationMs: 600,
+    stacking: 'extend',
+    maxDurationMs: 1500,
+    moveMult: 0,
+    disablesAI: true,
+    tint: 0xfff27a,
+    priority: 4,
+    immuneTiers: ['boss'],
+  },
+};
+
+/** Lookup helper so callers don't have to guard against unknown keys. */
+export function getStatusEffect(type) {
+  return StatusEffectRegistry[type] ?? null;
+}
@@ -0,0 +1,266 @@
+import { getStatusEffect } from './StatusEffectRegistry.js';
+import { getRunStream, RNG_STREAMS } from '../core/RunRng.js';
+
+/**
+ * StatusEffectSystem owns every burn/poison/bleed/slow/freeze/stun currently
+ * attached to an enemy.
+ *
+ * - DamagePipeline calls `apply()` with the `status` array of each hit payload.
+ * - `update(dt)` advances durations and deals tick damage back through
+ *   DamagePipeline (tagged `statusTick` so ticks don't re-apply statuses).
+ * - Movement impact is published on the enemy (`_statusMoveMult`,
+ *   `_statusDisabled`) and honoured by EnemyBehaviorSystem.
+ *
+ * Time is accumulated from the simulation dt rather than `scene.time.now`, so
+ * effects freeze with the shared pause and stay deterministic under replay.
+ */
+export class StatusEffectSystem {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {{ damagePipeline?: import('./DamagePipeline.js').DamagePipeline, events?: Phaser.Events.EventEmitter }} [options]
+   */
+  constructor(scene, { damagePipeline, events } = {}) {
+    this.scene = scene;
+    this.damagePipeline = damagePipeline ?? null;
+    this.events = events ?? scene?.events ?? null;
+
+    // Chance rolls share the seeded combat stream with crits.
+    this.rng = getRunStream(scene, RNG_STREAMS.COMBAT);
+
+    this._elapsedMs = 0;
+
+    // enemy → Map(type → effect state)
+    this._active = new Map();
+
+    this._onEnemyReleased = ({ enemy } = {}) => this.clear(enemy);
+    this.events?.on?.('enemy:released', this._onEnemyReleased);
+  }
+
+  /** Allows late binding when DamagePipeline is created after this system. */
+  setDamagePipeline(damagePipeline) {
+    this.damagePipeline = damagePipeline;
+  }
+
+  /**
+   * Apply a weapon's `damage.status` entries to an enemy.
+   * Entries may be a bare type (`'burn'`) or an object overriding registry
+   * defaults: `{ type, chance, durationMs, tickMs, tickDamage, damageMult, moveMult }`.
+   *
+   * @param {Phaser.GameObjects.Sprite} enemy
+   * @param {Array<string|Object>} statuses
+   * @param {{ hitDamage?: number, sourceKey?: string|null }} [context]
+   */
+  apply(enemy, statuses, { hitDamage = 0, sourceKey = null } = {}) {
+    if (!enemy?.active || enemy._isDying) return;
+    if (!Array.isArray(statuses) || statuses.length === 0) return;
+
+    statuses.forEach((entry) => {
+      const spec = typeof entry === 'string' ? { type: entry } : entry;
+      const def = getStatusEffect(spec?.type);
+      if (!def) return;
+      if (Array.isArray(def.immuneTiers) && def.immuneTiers.includes(enemy.tier)) return;
+
+      const chance = Number.isFinite(spec.chance) ? spec.chance : 1;
+      if (chance < 1 && !this.rng.chance(chance)) return;
+
+      this._applyOne(enemy, spec.type, def, spec, hitDamage, sourceKey);
+    });
+  }
+
+  /** True if the enemy currently carries the given effect. */
+  has(enemy, type) {
+    return this._active.get(enemy)?.has(type) ?? false;
+  }
+
+  /** Current stack count for an effect (0 when absent). */
+  getStacks(enemy, type) {
+    return this._active.get(enemy)?.get(type)?.stacks ?? 0;
+  }
+
+  /**
+   * Re-apply the status tint after something else overwrote it (e.g. the
+   * DamagePipeline hit flash). Clears the tint when no effect is active.
+   */
+  restoreTint(enemy) {
+    if (!enemy) return;
+    const effects = this._active.get(enemy);
+    const tint = effects ? this._resolveTint(effects) : null;
+    if (tint != null) {
+      enemy.setTint(tint);
+    } else {
+      enemy.clearTint();
+    }
+  }
+
+  /** Advance effect timers and deal any due tick damage. */
+  update(dt) {
+    this._elapsedMs += Math.max(0, Number(dt) || 0);
+    const now = this._elapsedMs;
+
+    this._active.forEach((effects, enemy) => {
+      if (!enemy?.active || enemy._isDying) {
+        this.clear(enemy);
+        return;
+      }
+
+      let changed = false;
+      effects.forEach((state, type) => {
+        if (state.tickMs > 0 && state.tickDamage > 0) {
+          while (state.nextTickAt <= now && state.nextTickAt <= state.expiresAt) {
+            state.nextTickAt += state.tickMs;
+            this._tick(enemy, type, state);
+            if (!enemy.active || enemy._isDying) return;
+          }
+        }
+
+        if (now >= state.expiresAt) {
+          effects.delete(type);
+          changed = true;
+        }
+      });
+
+      if (!enemy.active || enemy._isDying || effects.size === 0) {
+        this.clear(enemy);
+      } else if (changed) {
+        this._syncEnemy(enemy, effects);
+      }
+    });
+  }
+
+  /** Drop every effect on an enemy and restore its movement/tint/animation. */
+  clear(enemy) {
+    if (!enemy || !this._active.has(enemy)) return;
+    this._active.delete(enemy);
+
+    enemy._statusMoveMult = 1;
+    enemy._statusDisabled = false;
+    if (enemy._statusAnimPaused) {
+      enemy._statusAnimPaused = false;
+      enemy.anims?.resume?.();
+    }
+    enemy.clearTint?.();
+  }
+
+  /** Remove listeners and forget tracked enemies during scene shutdown. */
+  destroy() {
+    this.events?.off?.('enemy:released', this._onEnemyReleased);
+    this._onEnemyReleased = null;
+
+    Array.from(this._active.keys()).forEach((enemy) => this.clear(enemy));
+    this._active.clear();
+
+    this.scene = null;
+    this.events = null;
+    this.damagePipeline = null;
+  }
+
+  /** Create or re-apply one effect following its stacking rule. */
+  _applyOne(enemy, type, def, spec, hitDamage, sourceKey) {
+    const durationMs = Math.max(0, Number(spec.durationMs ?? def.durationMs) || 0);
+    if (durationMs <= 0) return;
+
+    const tickMs = Math.max(0, Number(spec.tickMs ?? def.tickMs) || 0);
+    const tickDamage = Number.isFinite(spec.tickDamage)
+      ? spec.tickDamage
+      : Math.max(0, Number(hitDamage) || 0) * (spec.damageMult ?? def.damageMult ?? 0);
+    const moveMult = spec.moveMult ?? def.moveMult ?? 1;
+    const now = this._elapsedMs;
+
+    let effects = this._active.get(enemy);
+    if (!effects) {
+      effects = new Map();
+      this._active.set(enemy, effects);
+    }
+
+    const current = effects.get(type);
+    if (!current) {
+      effects.set(type, {
+        def,
+        stacks: 1,
+        expiresAt: now + durationMs,
+        tickMs,
+        nextTickAt: now + tickMs,
+        tickDamage,
+        moveMult,
+        sourceKey
+      });
+    } else {
+      switch (def.stacking) {
+        case 'ignore':
+          return;
+        case 'extend': {
+          const cap = now + (def.maxDurationMs ?? durationMs);
+          current.expiresAt = Math.min(current.expiresAt + durationMs, cap);
+          break;
+        }
+        case 'stack':
+          current.stacks = Math.min(def.maxStacks ?? 1, current.stacks + 1);
+          current.expiresAt = now + durationMs;
+          current.tickDamage = Math.max(current.tickDamage, tickDamage);
+          break;
+        case 'refresh':
+        default:
+          current.expiresAt = Math.max(current.expiresAt, now + durationMs);
+          current.tickDamage = Math.max(current.tickDamage, tickDamage);
+          current.moveMult = Math.min(current.moveMult, moveMult);
+          break;
+      }
+      current.sourceKey = sourceKey ?? current.sourceKey;
+    }
+
+    this._syncEnemy(enemy, effects);
+  }
+
+  /** Deal one tick of damage for an effect through the shared pipeline. */
+  _tick(enemy, type, state) {
+    const damage = state.tickDamage * state.stacks;
+    if (!(damage > 0)) return;
+
+    this.damagePipeline?.applyHit?.(enemy, {
+      damage,
+      crit: false,
+      status: [],
+      sourceKey: state.sourceKey,
+      statusTick: type,
+      statusTint: state.def.tint
+    });
+  }
+
+  /** Publish combined movement/tint/animation state onto the enemy. */
+  _syncEnemy(enemy, effects) {
+    let moveMult = 1;
+    let disabled = false;
+    let pauseAnim = false;
+
+    effects.forEach((state) => {
+      moveMult = Math.min(moveMult, state.moveMult);
+      disabled = disabled || !!state.def.disablesAI;
+      pauseAnim = pauseAnim || !!state.def.pausesAnimation;
+    });
+
+    enemy._statusMoveMult = Math.max(0, moveMult);
+    enemy._statusDisabled = disabled;
+
+    if (pauseAnim && !enemy._statusAnimPaused) {
+      enemy._statusAnimPaused = true;
+      enemy.anims?.pause?.();
+    } else if (!pauseAnim && enemy._statusAnimPaused) {
+      enemy._statusAnimPaused = false;
+      enemy.anims?.resume?.();
+    }
+
+    this.restoreTint(enemy);
+  }
+
+  /** Tint of the highest-priority active effect, or null. */
+  _resolveTint(effects) {
+    let best = null;
+    effects.forEach((state) => {
+      if (state.def.tint == null) return;
+      if (!best || (state.def.priority ?? 0) > (best.priority ?? 0)) {
+        best = state.def;
+      }
+    });
+    return best?.tint ?? null;
+  }
+}
@@ -34,6 +34,32 @@ export const CONFIG = {
     SPAWN_IMPULSE: {
       MIN: 10,
       MAX: 40
+    },
+    // Late-game gem merging (DropManager.mergeXp). Once ACTIVE_THRESHOLD drops
+    // are live, XP gems sharing a grid cell fold into one `xp_crystal` holding
+    // their combined value; cells are NEAR_CELL px near the hero and FAR_CELL
+    // px beyond FAR_RADIUS. Passes repeat with doubled cells (up to MAX_PASSES)
+    // until the count is back under TARGET_RATIO × threshold. Gems inside the
+    // magnet radius are left alone. PRESERVE_EXPIRED turns gems that would
+    // despawn (TTL / distance) into crystals instead, so XP is never lost: an
+    // expiring gem joins a crystal within FOLD_RADIUS, or starts a new one.
+    // Crystals never despawn, so every check also folds crystals beyond
+    // CULL_DISTANCE of the hero into a nearer one and keeps at most
+    // MAX_CRYSTALS (the farthest fold into their nearest neighbour).
+    MERGE: {
+      ENABLED: true,
+      ACTIVE_THRESHOLD: 600,
+      TARGET_RATIO: 0.75,
+      CHECK_INTERVAL_MS: 500,
+      NEAR_CELL: 96,
+      FAR_CELL: 320,
+      FAR_RADIUS: 700,
+      MIN_CLUSTER: 2,
+      MAX_PASSES: 3,
+      PRESERVE_EXPIRED: true,
+      FOLD_RADIUS: 640,
+      CULL_DISTANCE: 1600,
+      MAX_CRYSTALS: 48
     }
   },
   PASSIVES: {
@@ -60,15 +86,56 @@ export const CONFIG = {
     }
   },
 
+  // Global baseline; DifficultyRegistry tiers multiply these per run.
   DIFFICULTY: {
     playerDamageMult: 1.0,
     enemyHealthMult: 1.0,
-    xpRateMult: 1.0
+    enemyDamageMult: 1.0,
+    enemySpeedMult: 1.0,
+    spawnPressure: 1.0,
+    xpRateMult: 1.0,
+    dropRateMult: 1.0
   },
 
   COMBAT: {
     // If true, enemy projectile damage bypasses the hero's invulnerability frames.
     ENEMY_PROJECTILES_IGNORE_IFRAMES: false
+  },
+
+  // Meta-currency payout at the end of each run (see MetaProgressStore).
+  // Each term is "one currency per N"; set a divisor to 0 to disable it.
+  META: {
+    secondsPerCurrency: 15,
+    killsPerCurrency: 20,
+    damagePerCurrency: 2500,
+    // Multiplier applied to the total when the run is won.
+    winMultiplier: 1.5,
+    // Moonstones per gold coin picked up during the run.
+    currencyPerGold: 1
+  },
+
+  // Controller tuning (see GamepadInput). The deadzone is radial on the left
+  // stick; menus treat a stick push past navThreshold like a d-pad press and
+  // repeat it while held.
+  INPUT: {
+    gamepadDeadzone: 0.2,
+    navThreshold: 0.5,
+    navRepeatDelayMs: 350,
+    navRepeatMs: 140
+  },
+
+  // Enemy spatial index (see EnemySpatialIndex). Cells should be at least as
+  // wide as the common separation radius; slackPx pads cell lookups for
+  // enemies that moved since the per-tick rebuild.
+  SPATIAL: {
+    cellSize: 32,
+    slackPx: 8
+  },
+
+  // Crowd separation for seeking enemies (see CrowdSeparation). maxNeighbors
+  // caps how many overlaps a single enemy sums per frame.
+  CROWD: {
+    maxNeighbors: 8
   }
 };
 
@@ -109,7 +176,18 @@ export const LEVEL_UP = Object.freeze({
 
   // Defensive runtime enforcement in PassiveManager.addPassive.
   // Keep enabled for gameplay, disable temporarily for debug tooling if needed.
-  enforcePassiveStackLevelGate: true
+  enforcePassiveStackLevelGate: true,
+
+  // --- Level-up actions ---
+
+  // Base per-run charges for the modal's Reroll / Skip / Banish actions.
+  // Hero stats (`rerollCharges`, `skipCharges`, `banishCharges`) and meta
+  // upgrades with the same effect keys add to these.
+  actionCharges: Object.freeze({ reroll: 1, skip: 1, banish: 1 }),
+
+  // Skipping a level-up converts it into this fraction of the XP needed
+  // for the next level.
+  skipXpFraction: 0.25
 });
 
 // Dev-only helpers for fast-forwarding runs and booting with predefined loadouts.
@@ -0,0 +1,169 @@
+/**
+ * Named sub-streams owned by a run. Each gameplay domain draws from its own
+ * stream so that, for example, an extra FX roll never shifts the spawn sequence.
+ */
+export const RNG_STREAMS = Object.freeze({
+  SPAWN: 'spawn',
+  DROPS: 'drops',
+  COMBAT: 'combat',
+  LEVELUP: 'levelup',
+  FX: 'fx',
+});
+
+/**
+ * Creates a deterministic pseudo-random generator (Mulberry32) from a numeric seed.
+ * Returns a function that yields floats in [0, 1), matching Math.random's contract.
+ */
+export function makeSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state += 0x6d2b79f5;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Stable 32-bit FNV-1a hash so stream names map to the same sub-seed every run.
+ */
+function hashString(value) {
+  const str = String(value ?? '');
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i += 1) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Mix a base seed with a salt into a well-distributed 32-bit seed.
+ */
+function mixSeed(seed, salt) {
+  let h = (seed ^ Math.imul(salt >>> 0, 0x9e3779b1)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * RngStream
+ *
+ * Thin convenience wrapper around a seeded generator. Helpers mirror the
+ * Phaser.Math / Phaser.Utils.Array calls they replace so call sites stay familiar.
+ */
+export class RngStream {
+  /**
+   * @param {() => number} next - Source of floats in [0, 1).
+   */
+  constructor(next) {
+    this._next = typeof next === 'function' ? next : Math.random;
+    // Bound so the stream can be passed anywhere a Math.random-style function is expected.
+    this.next = this.next.bind(this);
+  }
+
+  /** Float in [0, 1). */
+  next() {
+    return this._next();
+  }
+
+  /** Float in [min, max) — replaces Phaser.Math.FloatBetween. */
+  float(min, max) {
+    return min + this._next() * (max - min);
+  }
+
+  /** Integer in [min, max] inclusive — replaces Phaser.Math.Between. */
+  between(min, max) {
+    const lo = Math.ceil(Math.min(min, max));
+    const hi = Math.floor(Math.max(min, max));
+    return lo + Math.floor(this._next() * (hi - lo + 1));
+  }
+
+  /** Random angle in radians [0, 2π). */
+  angle() {
+    return this._next() * Math.PI * 2;
+  }
+
+  /** True with probability `p`. */
+  chance(p) {
+    if (!(p > 0)) return false;
+    return this._next() < p;
+  }
+
+  /** Random element, or undefined for empty/invalid arrays — replaces Phaser.Utils.Array.GetRandom. */
+  pick(array) {
+    if (!Array.isArray(array) || array.length === 0) return undefined;
+    return array[Math.floor(this._next() * array.length)];
+  }
+
+  /** Fisher–Yates shuffle into a new array. */
+  shuffle(array) {
+    const result = Array.isArray(array) ? array.slice() : [];
+    for (let i = result.length - 1; i > 0; i -= 1) {
+      const j = Math.floor(this._next() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+}
+
+// Shared unseeded fallback for systems running outside a GameScene (menus, tools).
+const UNSEEDED_STREAM = new RngStream(Math.random);
+
+/**
+ * RunRng
+ *
+ * Per-run random number service owned by GameScene. A single run seed fans out
+ * into named sub-streams (see RNG_STREAMS) so the same seed, hero and map
+ * reproduce the same spawns, drops, crits and level-up offers.
+ */
+export class RunRng {
+  /**
+   * Resolve the seed for a new run. Scene data may pin a seed (replays, bug
+   * reports); otherwise a fresh one is rolled so normal runs still vary.
+   */
+  static resolveSeed(seed) {
+    const numeric = Number(seed);
+    if (Number.isFinite(numeric)) return numeric >>> 0;
+    if (typeof seed === 'string' && seed.length > 0) return hashString(seed);
+    return (Math.random() * 4294967296) >>> 0;
+  }
+
+  constructor(seed) {
+    this.seed = RunRng.resolveSeed(seed);
+    this._streams = new Map();
+  }
+
+  /**
+   * Fetch (or lazily create) the stream with the given name.
+   * Streams are independent: draws on one never advance another.
+   */
+  stream(name) {
+    const key = String(name ?? RNG_STREAMS.FX);
+    let stream = this._streams.get(key);
+    if (!stream) {
+      stream = new RngStream(makeSeededRandom(this.deriveSeed(key)));
+      this._streams.set(key, stream);
+    }
+    return stream;
+  }
+
+  /**
+   * Derive a stable sub-seed for stateless consumers that re-seed per call
+   * (e.g. LevelUpRewards seeds each level's offer independently).
+   */
+  deriveSeed(name, salt = 0) {
+    return mixSeed(mixSeed(this.seed, hashString(name)), Number(salt) >>> 0);
+  }
+}
+
+/**
+ * Resolve a run stream from a scene, falling back to an unseeded stream when the
+ * scene has no RunRng (keeps helpers usable from menus and debug tools).
+ */
+export function getRunStream(scene, name) {
+  return scene?.rng?.stream?.(name) ?? UNSEEDED_STREAM;
+}
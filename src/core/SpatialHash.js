@@ -0,0 +1,151 @@
+/**
+ * Uniform-cell spatial hash for point items (enemies, pickups, ...).
+ *
+ * Built for per-frame rebuilds: `clear()` keeps every cell array alive and
+ * only truncates it, so steady-state rebuilds don't allocate. Cell keys are
+ * packed integers rather than strings for the same reason. The occupied cell
+ * range is tracked so unbounded queries stop at the populated area.
+ */
+
+// Cell coordinates are offset into a positive range before packing; covers
+// ±32768 cells, i.e. ±1M px at the default cell size.
+const CELL_OFFSET = 32768;
+const CELL_SPAN = 65536;
+
+export class SpatialHash {
+  /**
+   * @param {number} cellSize cell edge in px; roughly the typical query radius
+   */
+  constructor(cellSize = 32) {
+    this.cellSize = Math.max(1, cellSize);
+    this._invCell = 1 / this.cellSize;
+    this._cells = new Map();
+    this._used = [];
+    this.size = 0;
+    this._resetBounds();
+  }
+
+  _key(cx, cy) {
+    return (cx + CELL_OFFSET) * CELL_SPAN + (cy + CELL_OFFSET);
+  }
+
+  _resetBounds() {
+    this.minCellX = Infinity;
+    this.minCellY = Infinity;
+    this.maxCellX = -Infinity;
+    this.maxCellY = -Infinity;
+  }
+
+  /** Cell coordinate containing world coordinate `v`. */
+  cellOf(v) {
+    return Math.floor(v * this._invCell);
+  }
+
+  /** Empty every cell while keeping the arrays for the next rebuild. */
+  clear() {
+    for (let i = 0; i < this._used.length; i += 1) {
+      this._used[i].length = 0;
+    }
+    this._used.length = 0;
+    this.size = 0;
+    this._resetBounds();
+  }
+
+  /** Add `item` at (x, y). Items are not deduplicated. */
+  insert(item, x, y) {
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+    const cx = this.cellOf(x);
+    const cy = this.cellOf(y);
+    const key = this._key(cx, cy);
+
+    let cell = this._cells.get(key);
+    if (!cell) {
+      cell = [];
+      this._cells.set(key, cell);
+    }
+    if (cell.length === 0) this._used.push(cell);
+    cell.push(item);
+    this.size += 1;
+
+    if (cx < this.minCellX) this.minCellX = cx;
+    if (cx > this.maxCellX) this.maxCellX = cx;
+    if (cy < this.minCellY) this.minCellY = cy;
+    if (cy > this.maxCellY) this.maxCellY = cy;
+  }
+
+  /**
+   * Visit every item in the cell rectangle [minX..maxX] × [minY..maxY],
+   * clipped to the occupied range. Return `false` from `visit` to stop early;
+   * the method then returns false as well.
+   */
+  forEachInCells(minX, minY, maxX, maxY, visit) {
+    if (!this.size) return true;
+    const x0 = Math.max(minX, this.minCellX);
+    const x1 = Math.min(maxX, this.maxCellX);
+    const y0 = Math.max(minY, this.minCellY);
+    const y1 = Math.min(maxY, this.maxCellY);
+
+    for (let cx = x0; cx <= x1; cx += 1) {
+      for (let cy = y0; cy <= y1; cy += 1) {
+        const cell = this._cells.get(this._key(cx, cy));
+        if (!cell) continue;
+        for (let i = 0; i < cell.length; i += 1) {
+          if (visit(cell[i]) === false) return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Visit every item stored in a cell overlapping the square of half-size
+   * `radius` around (x, y). Items are candidates only; callers do their own
+   * distance check. Return `false` from `visit` to stop early.
+   */
+  forEachNear(x, y, radius, visit) {
+    if (!this.size || !Number.isFinite(x) || !Number.isFinite(y)) return;
+    const r = Math.max(0, radius);
+    this.forEachInCells(
+      this.cellOf(x - r),
+      this.cellOf(y - r),
+      this.cellOf(x + r),
+      this.cellOf(y + r),
+      visit
+    );
+  }
+
+  /**
+   * Visit the items in the square ring of cells at Chebyshev distance `ring`
+   * from cell (cx, cy); ring 0 is the cell itself. Used by nearest-first
+   * searches that grow outward until the answer can no longer improve.
+   */
+  forEachInRing(cx, cy, ring, visit) {
+    if (ring === 0) return this.forEachInCells(cx, cy, cx, cy, visit);
+
+    // Top and bottom rows span the full width; the side columns skip corners.
+    if (this.forEachInCells(cx - ring, cy - ring, cx + ring, cy - ring, visit) === false) return false;
+    if (this.forEachInCells(cx - ring, cy + ring, cx + ring, cy + ring, visit) === false) return false;
+    if (this.forEachInCells(cx - ring, cy - ring + 1, cx - ring, cy + ring - 1, visit) === false) return false;
+    return this.forEachInCells(cx + ring, cy - ring + 1, cx + ring, cy + ring - 1, visit);
+  }
+
+  /** Rings needed from cell (cx, cy) to cover every occupied cell. */
+  maxRingFrom(cx, cy) {
+    if (!this.size) return -1;
+    return Math.max(
+      cx - this.minCellX,
+      this.maxCellX - cx,
+      cy - this.minCellY,
+      this.maxCellY - cy,
+      0
+    );
+  }
+
+  /** Drop every cell array (scene shutdown). */
+  destroy() {
+    this._cells.clear();
+    this._used.length = 0;
+    this.size = 0;
+    this._resetBounds();
+  }
+}
@@ -8,7 +8,6 @@ const XP_PICKUP_AUDIO = {
     key: 'sfx.drops.common.xppickup',
     bus: 'sfx',
     volume: 1.0,
-    maxSimultaneous: 10,
     minIntervalMs: 10,
     pitchJitter: 0.03
   }
@@ -45,6 +44,30 @@ const makeTreasureDrop = (type, closedFrame, openFrame) => ({
   lifetimeMs: CONFIG.XP.DROP_TTL_MS,
 });
 
+// Gold and instant-effect pickups share the heart magnet tuning; their icons
+// are generated at boot (see pickupTextures.js).
+const makePickupDrop = (texture, value) => ({
+  texture,
+  frame: 0,
+
+  scale: CONFIG.XP.SCALE,
+  depth: CONFIG.XP.DEPTH,
+
+  value,
+  body: { type: 'circle', r: CONFIG.XP.BODY_RADIUS },
+
+  magnet: {
+    delayMs: CONFIG.XP.MAGNET_DELAY_MS,
+    radius: CONFIG.XP.MAGNET_RADIUS,
+    snapRadius: CONFIG.XP.SNAP_RADIUS,
+    maxSpeed: CONFIG.XP.MAX_SPEED,
+    accel: CONFIG.XP.ACCEL
+  },
+
+  audio: null,
+  lifetimeMs: CONFIG.XP.DROP_TTL_MS,
+});
+
 /**
  * DropRegistry
  *
@@ -52,7 +75,9 @@ const makeTreasureDrop = (type, closedFrame, openFrame) => ({
  * Each entry describes:
  *  - Which sprite texture/frame to use
  *  - Visual scaling and render depth
- *  - Pickup value (XP amount, currency type, etc.)
+ *  - Pickup value (XP amount, currency type, etc.). Currencies: 'xp',
+ *    'health', 'gold' (banked as meta currency at run end), 'treasure', and
+ *    'effect' with an `effect` key from PickupEffectRegistry.
  *  - Physics body shape for collisions / overlaps
  *  - Magnet behavior (when attraction starts, how fast it pulls, snap behavior, etc.)
  *
@@ -185,6 +210,21 @@ export const DropRegistry = {
     // Time-to-live before the drop despawns (ms)
     lifetimeMs: CONFIG.XP.DROP_TTL_MS
   },
+  // Merged gem stack (DropManager.mergeXp); spawned with the combined XP as
+  // its `value` override. Persistent: never despawns by TTL or distance.
+  xp_crystal: {
+    ...makePickupDrop('pickup_xp_crystal', { currency: 'xp', amount: 0 }),
+    persistent: true,
+    spawnImpulse: false,
+    audio: XP_PICKUP_AUDIO,
+    lifetimeMs: 0,
+  },
+  // Meta-economy coin; the run total is paid out with the end-of-run reward.
+  gold_coin: { ...makePickupDrop('pickup_gold', { currency: 'gold', amount: 1 }), audio: XP_PICKUP_AUDIO },
+  // Instant effects (see PickupEffectRegistry).
+  pickup_vacuum: makePickupDrop('pickup_vacuum', { currency: 'effect', effect: 'vacuum', amount: 0 }),
+  pickup_bomb: makePickupDrop('pickup_bomb', { currency: 'effect', effect: 'bomb', amount: 0 }),
+  pickup_clock: makePickupDrop('pickup_clock', { currency: 'effect', effect: 'clock', amount: 0 }),
   treasure_1: makeTreasureDrop('treasure_1', 0, 4),
   treasure_2: makeTreasureDrop('treasure_2', 1, 5),
   treasure_3: makeTreasureDrop('treasure_3', 2, 6),
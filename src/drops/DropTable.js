@@ -8,15 +8,40 @@
  *      - `'sequential'`: choose `entries[i]` per roll (falls back to `entries[0]`).
  *   - `entries`: possible drops the mob can produce
  *   - `rolls`: how many times to attempt spawning entries (multi-drop)
+ *   - Gold coins and the vacuum / bomb / clock pickups are regular weighted
+ *     entries (see DropRegistry + PickupEffectRegistry); keep their weights low.
+ *   - `treasure` (optional): one extra chest roll after the regular rolls —
+ *      `{ chance, entries: [{ type: 'treasure_N', weight }] }`. Chest tiers
+ *      decide how many upgrades are rolled (see TreasureRewards).
  */
 
-const TREASURE_PROD_DISABLED_ENTRIES = [
-  { type: 'treasure_1', weight: 0 },
-  { type: 'treasure_2', weight: 0 },
-  { type: 'treasure_3', weight: 0 },
-  { type: 'treasure_4', weight: 0 },
-  { type: 'treasure_5', weight: 0 },
-];
+// Elites occasionally carry a small chest.
+const ELITE_TREASURE = {
+  chance: 0.12,
+  entries: [
+    { type: 'treasure_1', weight: 75 },
+    { type: 'treasure_2', weight: 25 },
+  ]
+};
+
+// Bosses always drop a chest; tougher bosses skew toward bigger tiers.
+const BOSS_TREASURE = {
+  chance: 1,
+  entries: [
+    { type: 'treasure_2', weight: 50 },
+    { type: 'treasure_3', weight: 40 },
+    { type: 'treasure_4', weight: 10 },
+  ]
+};
+
+const MAJOR_BOSS_TREASURE = {
+  chance: 1,
+  entries: [
+    { type: 'treasure_3', weight: 45 },
+    { type: 'treasure_4', weight: 40 },
+    { type: 'treasure_5', weight: 15 },
+  ]
+};
 
 export const DropTables = {
   /**
@@ -28,7 +53,11 @@ export const DropTables = {
     entries: [
       { type: 'xp_small', weight: 94 },
       { type: 'xp_large', weight: 5 },
-      { type: 'health_minor', weight: 5 }
+      { type: 'health_minor', weight: 5 },
+      { type: 'gold_coin', weight: 2 },
+      { type: 'pickup_vacuum', weight: 0.3 },
+      { type: 'pickup_bomb', weight: 0.2 },
+      { type: 'pickup_clock', weight: 0.2 }
     ]
   },
 
@@ -38,7 +67,11 @@ export const DropTables = {
     entries: [
       { type: 'xp_small', weight: 94 },
       { type: 'xp_large', weight: 5 },
-      { type: 'health_minor', weight: 5 }
+      { type: 'health_minor', weight: 5 },
+      { type: 'gold_coin', weight: 2 },
+      { type: 'pickup_vacuum', weight: 0.3 },
+      { type: 'pickup_bomb', weight: 0.2 },
+      { type: 'pickup_clock', weight: 0.2 }
     ]
   },
 
@@ -51,7 +84,11 @@ export const DropTables = {
     entries: [
       { type: 'xp_small', weight: 96 },
       { type: 'xp_large', weight: 3 },
-      { type: 'health_minor', weight: 5 }
+      { type: 'health_minor', weight: 5 },
+      { type: 'gold_coin', weight: 2 },
+      { type: 'pickup_vacuum', weight: 0.3 },
+      { type: 'pickup_bomb', weight: 0.2 },
+      { type: 'pickup_clock', weight: 0.2 }
     ]
   },
 
@@ -64,7 +101,11 @@ export const DropTables = {
     entries: [
       { type: 'xp_small', weight: 89 },
       { type: 'xp_large', weight: 10 },
-      { type: 'health_minor', weight: 5 }
+      { type: 'health_minor', weight: 5 },
+      { type: 'gold_coin', weight: 2 },
+      { type: 'pickup_vacuum', weight: 0.3 },
+      { type: 'pickup_bomb', weight: 0.2 },
+      { type: 'pickup_clock', weight: 0.2 }
     ]
   },
 
@@ -78,8 +119,13 @@ export const DropTables = {
     entries: [
       { type: 'xp_small', weight: 72 },
       { type: 'xp_large', weight: 25 },
-      { type: 'health_minor', weight: 8 }
-    ]
+      { type: 'health_minor', weight: 8 },
+      { type: 'gold_coin', weight: 10 },
+      { type: 'pickup_vacuum', weight: 2 },
+      { type: 'pickup_bomb', weight: 2 },
+      { type: 'pickup_clock', weight: 2 }
+    ],
+    treasure: ELITE_TREASURE
   },
 
   nightman_elite: {
@@ -88,14 +134,19 @@ export const DropTables = {
     entries: [
       { type: 'xp_small', weight: 68 },
       { type: 'xp_large', weight: 30 },
-      { type: 'health_minor', weight: 8 }
-    ]
+      { type: 'health_minor', weight: 8 },
+      { type: 'gold_coin', weight: 10 },
+      { type: 'pickup_vacuum', weight: 2 },
+      { type: 'pickup_bomb', weight: 2 },
+      { type: 'pickup_clock', weight: 2 }
+    ],
+    treasure: ELITE_TREASURE
   },
 
   /**
    * Bosses: multiple rolls, strong bias toward large XP.
    * Include minor heals, and reserve major heals for the toughest bosses.
-   * Treasure is wired in but disabled in PROD via weight 0 entries.
+   * Every boss drops a chest; the late bosses roll from the bigger tiers.
    */
   evilwizard_boss: {
     selectionMode: 'weighted',
@@ -104,8 +155,10 @@ export const DropTables = {
       { type: 'xp_small', weight: 38 },
       { type: 'xp_large', weight: 60 },
       { type: 'health_minor', weight: 8 },
-      ...TREASURE_PROD_DISABLED_ENTRIES,
-    ]
+      { type: 'gold_coin', weight: 15 },
+      { type: 'pickup_vacuum', weight: 3 },
+    ],
+    treasure: BOSS_TREASURE
   },
 
   darkwizard_boss: {
@@ -115,8 +168,10 @@ export const DropTables = {
       { type: 'xp_small', weight: 38 },
       { type: 'xp_large', weight: 60 },
       { type: 'health_minor', weight: 8 },
-      ...TREASURE_PROD_DISABLED_ENTRIES,
-    ]
+      { type: 'gold_coin', weight: 15 },
+      { type: 'pickup_vacuum', weight: 3 },
+    ],
+    treasure: BOSS_TREASURE
   },
 
   werewolf_boss: {
@@ -127,8 +182,10 @@ export const DropTables = {
       { type: 'xp_large', weight: 64 },
       { type: 'health_minor', weight: 2 },
       { type: 'health_major', weight: 8 },
-      ...TREASURE_PROD_DISABLED_ENTRIES,
-    ]
+      { type: 'gold_coin', weight: 15 },
+      { type: 'pickup_vacuum', weight: 3 },
+    ],
+    treasure: MAJOR_BOSS_TREASURE
   },
 
   bringerofdeath_boss: {
@@ -139,8 +196,10 @@ export const DropTables = {
       { type: 'xp_large', weight: 64 },
       { type: 'health_minor', weight: 2 },
       { type: 'health_major', weight: 8 },
-      ...TREASURE_PROD_DISABLED_ENTRIES,
-    ]
+      { type: 'gold_coin', weight: 15 },
+      { type: 'pickup_vacuum', weight: 3 },
+    ],
+    treasure: MAJOR_BOSS_TREASURE
   },
 
   demonknight_boss: {
@@ -151,8 +210,10 @@ export const DropTables = {
       { type: 'xp_large', weight: 69 },
       { type: 'health_minor', weight: 2 },
       { type: 'health_major', weight: 8 },
-      ...TREASURE_PROD_DISABLED_ENTRIES,
-    ]
+      { type: 'gold_coin', weight: 15 },
+      { type: 'pickup_vacuum', weight: 3 },
+    ],
+    treasure: MAJOR_BOSS_TREASURE
   },
 
   /**
@@ -164,7 +225,8 @@ export const DropTables = {
     rolls: 1,
     entries: [
       { type: 'xp_small', weight: 99 },
-      { type: 'health_minor', weight: 10 }
+      { type: 'health_minor', weight: 10 },
+      { type: 'gold_coin', weight: 1 }
     ]
   }
 };
@@ -0,0 +1,40 @@
+/**
+ * PickupEffectRegistry
+ *
+ * Tuning for instant-effect pickups. A DropRegistry entry opts in with
+ * `value: { currency: 'effect', effect: '<key>' }`; PickupController hands the
+ * key to PickupEffectSystem when the drop is collected.
+ *
+ *  - vacuum: every XP drop on the map homes in on the hero (MagnetSystem.vacuum)
+ *    at `speed` px/s, ignoring magnet radius and delay.
+ *  - bomb:   every enemy inside the camera view (plus `marginPx`) takes
+ *    `damage + maxHpFraction × maxHp` through DamagePipeline. Bosses only
+ *    take the flat part.
+ *  - clock:  EnemyBehaviorSystem.freeze(durationMs) stops regular mob AI;
+ *    boss controllers keep running.
+ *
+ * `ui.banner` is the callout the HUD shows on pickup; `ui.color` tints it.
+ */
+export const PickupEffectRegistry = {
+  vacuum: {
+    ui: { banner: 'VACUUM!', color: '#8fe3ff' },
+    currencies: ['xp'],
+    speed: 900,
+  },
+  bomb: {
+    ui: { banner: 'BOMB!', color: '#ff8a3b' },
+    damage: 40,
+    maxHpFraction: 0.35,
+    marginPx: 32,
+    sparks: 24,
+  },
+  clock: {
+    ui: { banner: 'TIME STOP', color: '#c8d0ff' },
+    durationMs: 5000,
+  },
+};
+
+/** Lookup helper so callers don't have to guard against unknown keys. */
+export function getPickupEffect(key) {
+  return PickupEffectRegistry[key] ?? null;
+}
@@ -1,6 +1,8 @@
 import { TreasurePickupModal } from '../../ui/TreasurePickupModal.js';
 import { CollectSystem } from '../systems/CollectSystem.js';
 import { MagnetSystem } from '../systems/MagnetSystem.js';
+import { PickupEffectSystem } from '../systems/PickupEffectSystem.js';
+import { rollTreasureRewards } from '../../progression/TreasureRewards.js';
 
 /**
  * PickupController glues together the drop systems and XP bookkeeping.
@@ -27,6 +29,8 @@ export class PickupController {
     this.collectSystem = new CollectSystem(scene, { group, player, passiveManager });
     // MagnetSystem pulls drops toward the player after their magnet delay.
     this.magnetSystem = new MagnetSystem(scene, { group, player, passiveManager, dropManager });
+    // Vacuum / bomb / clock pickups (DropRegistry currency 'effect').
+    this.effects = new PickupEffectSystem(scene, { magnetSystem: this.magnetSystem });
 
     // Expose collectDrop/collectXP for legacy code paths. The wrapper lets us
     // detach it on destroy() without mutating GameScene directly.
@@ -40,11 +44,13 @@ export class PickupController {
   }
 
   /**
-   * Advance magnet + collect systems every frame.
+   * Advance magnet + collect systems every frame, then let DropManager merge
+   * XP gems when the active drop count runs high.
    */
   update(dt) {
     this.collectSystem?.update?.();
     this.magnetSystem?.update?.(dt);
+    this.dropManager?.update?.(dt);
   }
 
   _applyDropReward(drop) {
@@ -53,16 +59,27 @@ export class PickupController {
       : { currency: 'xp', amount: drop.value };
     const amount = Math.max(0, Number(value?.amount) || 0);
 
+    if (value?.currency === 'effect') {
+      this.effects?.trigger?.(value.effect, { x: drop.x, y: drop.y });
+      return;
+    }
+
     if (amount > 0) {
-      if (value?.currency === 'health') {
+      if (value?.currency === 'gold') {
+        // Banked by RunStatsTracker and paid out with the end-of-run reward.
+        this.scene.events?.emit('pickup:gold', { amount, source: drop.type });
+      } else if (value?.currency === 'health') {
         const health = this.scene.playerHealth ?? this.scene.hero?.health;
         const healed = health?.heal?.(amount);
         if (healed) {
           this.scene.events?.emit('player:healed', { amount, source: drop.type });
         }
       } else {
-        this.levelFlow?.addXP?.(amount);
-        this.scene.playerXP = Number(this.scene.playerXP ?? 0) + amount;
+        // Difficulty tiers scale XP income (DifficultyRegistry xpRateMult).
+        const xpRateMult = this.scene.difficulty?.xpRateMult ?? 1;
+        const xp = Math.max(1, Math.round(amount * xpRateMult));
+        this.levelFlow?.addXP?.(xp);
+        this.scene.playerXP = Number(this.scene.playerXP ?? 0) + xp;
       }
     }
   }
@@ -72,16 +89,36 @@ export class PickupController {
 
     this._acquireTreasurePause();
 
+    const type = drop.type;
+    const finish = () => {
+      if (drop?.active) {
+        this.dropManager?.release?.(drop);
+      }
+      this.treasureModal = null;
+      this._releaseTreasurePause();
+      this.scene?.events?.emit('treasure:closed', { type });
+    };
+
+    // Rewards are seeded, so playback re-rolls the same ones before skipping the modal.
+    const rewards = rollTreasureRewards(this.scene, type);
+
+    // Replay playback consumes the recorded acknowledgement instead of opening
+    // the modal, one frame later like a click would be.
+    if (this.scene.replayPlayer) {
+      const player = this.scene.replayPlayer;
+      player.queueDecision(() => {
+        if (!player.takeChoice('treasure')) player.reportDesync(`no recorded choice for ${type} treasure`);
+        finish();
+      });
+      return;
+    }
+
     this.treasureModal?.destroy?.();
     this.treasureModal = new TreasurePickupModal(this.scene, {
       depthBase: this.scene.mapRender?.uiBaseDepth ?? 0,
-      onClose: () => {
-        if (drop?.active) {
-          this.dropManager?.release?.(drop);
-        }
-        this.treasureModal = null;
-        this._releaseTreasurePause();
-      }
+      treasureType: type,
+      rewards,
+      onClose: finish
     });
   }
 
@@ -173,6 +210,8 @@ export class PickupController {
       delete this.scene.collectXP;
     }
 
+    this.effects?.destroy?.();
+    this.effects = null;
     this.collectSystem = null;
     this.magnetSystem = null;
     this.dropManager = null;
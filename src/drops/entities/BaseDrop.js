@@ -39,6 +39,8 @@ export class BaseDrop extends Phaser.Physics.Arcade.Sprite {
     this.maxSpeed = 0;                          // max velocity while being magnet-pulled
     this.accel = 0;                             // acceleration toward the player
     this.spawnImpulseEnabled = true;            // whether DropManager should fan this drop out on spawn
+    this._vacuumed = false;                     // pulled map-wide by a vacuum pickup (MagnetSystem.vacuum)
+    this.persistent = false;                    // exempt from TTL / distance despawns (merged XP crystals)
     this.isTreasure = false;
     this.isOpening = false;
     this.opened = false;
@@ -112,6 +114,7 @@ export class BaseDrop extends Phaser.Physics.Arcade.Sprite {
     this.isOpening = false;
     this.opened = false;
     this._pickupLocked = false;
+    this._vacuumed = false;
 
     if (this.isTreasure) {
       if (idleAnimationKey) {
@@ -172,6 +175,7 @@ export class BaseDrop extends Phaser.Physics.Arcade.Sprite {
 
     // Spawn impulse behavior controls.
     this.spawnImpulseEnabled = row.spawnImpulse !== false;
+    this.persistent = row.persistent === true;
 
     // Store the drop logical type & value payload (XP amount, etc).
     this.type = row.type ?? DEFAULT_DROP_TYPE;
@@ -205,6 +209,8 @@ export class BaseDrop extends Phaser.Physics.Arcade.Sprite {
     this.maxSpeed = 0;
     this.accel = 0;
     this.spawnImpulseEnabled = true;
+    this._vacuumed = false;
+    this.persistent = false;
     this.isTreasure = false;
     this.isOpening = false;
     this.opened = false;
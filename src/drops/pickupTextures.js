@@ -0,0 +1,72 @@
+// Drop bodies assume a 16px sprite (BaseDrop centres the circle on 8, 8).
+const SIZE = 16;
+
+/**
+ * Procedural 16×16 icons for the merged XP crystal, gold coin and
+ * instant-effect pickups (DropRegistry `pickup_*` textures). Existing keys
+ * are left untouched so real sprites can replace these later.
+ */
+const PICKUP_TEXTURES = {
+  pickup_gold: (g) => {
+    g.fillStyle(0xd4a73a, 1);
+    g.fillCircle(8, 8, 7);
+    g.fillStyle(0xffd166, 1);
+    g.fillCircle(8, 8, 5);
+    g.fillStyle(0xfff2b0, 1);
+    g.fillRect(7, 4, 2, 8);
+  },
+  pickup_xp_crystal: (g) => {
+    g.fillStyle(0x3f7fd9, 1);
+    g.fillTriangle(8, 0, 15, 7, 1, 7);
+    g.fillTriangle(1, 7, 15, 7, 8, 16);
+    g.fillStyle(0x8fe3ff, 1);
+    g.fillTriangle(8, 2, 12, 7, 4, 7);
+    g.fillStyle(0xe9fbff, 1);
+    g.fillRect(6, 4, 2, 2);
+  },
+  pickup_vacuum: (g) => {
+    // Horseshoe magnet: red arms, silver tips.
+    g.lineStyle(4, 0xe04a5f, 1);
+    g.beginPath();
+    g.arc(8, 7, 5, 0, Math.PI, false);
+    g.strokePath();
+    g.fillStyle(0xe04a5f, 1);
+    g.fillRect(1, 2, 4, 5);
+    g.fillRect(11, 2, 4, 5);
+    g.fillStyle(0xdde6f0, 1);
+    g.fillRect(1, 1, 4, 3);
+    g.fillRect(11, 1, 4, 3);
+  },
+  pickup_bomb: (g) => {
+    g.fillStyle(0x2a2333, 1);
+    g.fillCircle(7, 9, 6);
+    g.fillStyle(0x5b4a6e, 1);
+    g.fillCircle(5, 7, 2);
+    g.lineStyle(2, 0xc8a878, 1);
+    g.lineBetween(11, 4, 13, 2);
+    g.fillStyle(0xff8a3b, 1);
+    g.fillCircle(14, 2, 2);
+  },
+  pickup_clock: (g) => {
+    g.fillStyle(0xc8d0ff, 1);
+    g.fillCircle(8, 8, 7);
+    g.fillStyle(0x1d2433, 1);
+    g.fillCircle(8, 8, 5);
+    g.lineStyle(2, 0xe9e2ff, 1);
+    g.lineBetween(8, 8, 8, 4);
+    g.lineBetween(8, 8, 11, 8);
+  },
+};
+
+/** Generate any missing pickup icons; called from BootScene.preload. */
+export function ensurePickupTextures(scene) {
+  if (!scene?.textures) return;
+
+  Object.entries(PICKUP_TEXTURES).forEach(([key, draw]) => {
+    if (scene.textures.exists(key)) return;
+    const g = scene.make.graphics({ x: 0, y: 0, add: false });
+    draw(g);
+    g.generateTexture(key, SIZE, SIZE);
+    g.destroy();
+  });
+}
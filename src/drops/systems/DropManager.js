@@ -1,9 +1,9 @@
-import Phaser from 'phaser';
 import { CONFIG } from '../../config/gameConfig.js';
 import { Pool } from '../../core/Pool.js';
 import { DropFactory } from '../DropFactory.js';
 import { BaseDrop } from '../entities/BaseDrop.js';
 import { DEFAULT_DROP_TYPE } from '../DropRegistry.js';
+import { getRunStream, RNG_STREAMS } from '../../core/RunRng.js';
 
 /**
  * DropManager
@@ -12,9 +12,35 @@ import { DEFAULT_DROP_TYPE } from '../DropRegistry.js';
  *  - Uses a Pool to reuse drop instances (avoids allocations + GC churn)
  *  - Uses a DropFactory to configure/reset a drop when spawning
  *  - Applies an optional random "spawn impulse" so drops scatter outward slightly
+ *  - Merges XP gems into `xp_crystal` stacks once too many drops are live
+ *    (CONFIG.XP.MERGE), and turns expiring gems into crystals so XP is kept
  *
  * This cleanly separates: spawning, pooling, configuration, and physics.
  */
+
+const CRYSTAL_TYPE = 'xp_crystal';
+
+/** XP carried by a drop, or 0 for non-XP / treasure drops. */
+function xpValueOf(drop) {
+  if (!drop || drop.isTreasure) return 0;
+  const value = drop.value;
+  if (typeof value === 'object' && value !== null) {
+    return (value.currency ?? 'xp') === 'xp' ? Math.max(0, Number(value.amount) || 0) : 0;
+  }
+  return Math.max(0, Number(value) || 0);
+}
+
+/** Sprite scale for a crystal worth `amount` XP. */
+function crystalScale(amount) {
+  const growth = Math.min(0.75, Math.log10(Math.max(1, amount)) * 0.25);
+  return (CONFIG.XP.SCALE ?? 1) * (1 + growth);
+}
+
+function distSq(a, x, y) {
+  const dx = a.x - x;
+  const dy = a.y - y;
+  return dx * dx + dy * dy;
+}
 export class DropManager {
   /**
    * Initialize pooling and factory helpers for all runtime drop spawns.
@@ -23,6 +49,9 @@ export class DropManager {
   constructor(scene) {
     this.scene = scene;
 
+    // Seeded drops stream so scatter impulses replay with the run seed.
+    this.rng = getRunStream(scene, RNG_STREAMS.DROPS);
+
     // Factory resolves drop config via DropRegistry + overrides.
     this.factory = new DropFactory(scene);
 
@@ -30,6 +59,9 @@ export class DropManager {
     // Arguments:
     //   scene, class, defaultTextureKey, poolSize, runPrewarm
     this.pool = new Pool(scene, BaseDrop, 'xpgem', 4000, true);
+
+    // Merge checks run on accumulated simulation time so replays match.
+    this._mergeElapsedMs = 0;
   }
 
   /**
@@ -71,6 +103,201 @@ export class DropManager {
     this.pool.release(drop);
   }
 
+  /**
+   * Despawn a drop whose lifetime or keep-distance ran out (MagnetSystem).
+   * With MERGE.PRESERVE_EXPIRED, XP gems join the nearest crystal within
+   * MERGE.FOLD_RADIUS (any crystal once MAX_CRYSTALS exist) or start a new one.
+   */
+  expire(drop) {
+    const amount = xpValueOf(drop);
+    const merge = CONFIG.XP.MERGE ?? {};
+    if (amount <= 0 || !merge.ENABLED || !merge.PRESERVE_EXPIRED) {
+      this.release(drop);
+      return;
+    }
+
+    const { x, y } = drop;
+    this.release(drop);
+
+    const crystals = this._activeCrystals();
+    const atCap = crystals.length >= (merge.MAX_CRYSTALS ?? Infinity);
+    const foldRadius = atCap ? Infinity : (merge.FOLD_RADIUS ?? 0);
+    const nearest = this._nearestCrystal(crystals, x, y, foldRadius);
+    if (nearest) this._addToCrystal(nearest, amount);
+    else this.spawnCrystal(x, y, amount);
+  }
+
+  /** Spawn a persistent crystal worth `amount` XP, sized by its value. */
+  spawnCrystal(x, y, amount) {
+    return this.spawn(x, y, CRYSTAL_TYPE, {
+      value: { currency: 'xp', amount },
+      scale: crystalScale(amount),
+    });
+  }
+
+  /**
+   * Fold crystals beyond MERGE.CULL_DISTANCE of the hero into the nearest
+   * crystal inside it (or, with none inside, into the far crystal closest to
+   * the hero), then fold the farthest crystals into their nearest neighbour
+   * until at most MERGE.MAX_CRYSTALS remain. XP value is always carried over.
+   *
+   * @returns {number} how many crystals were folded away.
+   */
+  boundCrystals() {
+    const merge = CONFIG.XP.MERGE ?? {};
+    const hero = this.scene.player ?? this.scene.hero?.sprite ?? null;
+    let crystals = this._activeCrystals();
+    if (!hero || crystals.length < 2) return 0;
+
+    const heroDistSq = (crystal) => distSq(crystal, hero.x, hero.y);
+    // Farthest from the hero first.
+    crystals.sort((a, b) => heroDistSq(b) - heroDistSq(a));
+
+    const cullSq = (merge.CULL_DISTANCE ?? Infinity) ** 2;
+    const far = crystals.filter((crystal) => heroDistSq(crystal) > cullSq);
+    const near = crystals.filter((crystal) => heroDistSq(crystal) <= cullSq);
+    let folded = 0;
+
+    if (far.length > 0) {
+      const anchors = near.length > 0 ? near : [far.pop()];
+      far.forEach((crystal) => {
+        this._foldCrystal(crystal, this._nearestCrystal(anchors, crystal.x, crystal.y, Infinity));
+        folded += 1;
+      });
+      crystals = anchors === near ? near : [...near, ...anchors];
+    }
+
+    // Crystals are still sorted farthest first; each folds into a survivor.
+    const excess = crystals.length - Math.max(1, merge.MAX_CRYSTALS ?? Infinity);
+    if (excess > 0) {
+      const survivors = crystals.slice(excess);
+      crystals.slice(0, excess).forEach((crystal) => {
+        this._foldCrystal(crystal, this._nearestCrystal(survivors, crystal.x, crystal.y, Infinity));
+        folded += 1;
+      });
+    }
+    return folded;
+  }
+
+  _activeCrystals() {
+    const crystals = [];
+    this.pool.group.children.iterate((drop) => {
+      if (drop?.active && drop.type === CRYSTAL_TYPE && !drop._vacuumed && !drop._pickupLocked) {
+        crystals.push(drop);
+      }
+    });
+    return crystals;
+  }
+
+  _nearestCrystal(crystals, x, y, radius) {
+    let best = null;
+    let bestSq = radius * radius;
+    crystals.forEach((crystal) => {
+      const d = distSq(crystal, x, y);
+      if (d <= bestSq) {
+        best = crystal;
+        bestSq = d;
+      }
+    });
+    return best;
+  }
+
+  _addToCrystal(crystal, amount) {
+    const total = xpValueOf(crystal) + amount;
+    crystal.value = { currency: 'xp', amount: total };
+    crystal.setScale(crystalScale(total));
+  }
+
+  // Move a crystal's XP onto `into` and release it.
+  _foldCrystal(crystal, into) {
+    if (!into || into === crystal) return;
+    this._addToCrystal(into, xpValueOf(crystal));
+    this.release(crystal);
+  }
+
+  /** Run a merge check every MERGE.CHECK_INTERVAL_MS of simulation time. */
+  update(dt) {
+    const merge = CONFIG.XP.MERGE ?? {};
+    if (!merge.ENABLED) return;
+
+    this._mergeElapsedMs += Number(dt) || 0;
+    if (this._mergeElapsedMs < (merge.CHECK_INTERVAL_MS ?? 500)) return;
+    this._mergeElapsedMs = 0;
+
+    this.mergeXp();
+    this.boundCrystals();
+  }
+
+  /**
+   * Fold XP gems sharing a grid cell into single crystals while the active
+   * drop count is at or above MERGE.ACTIVE_THRESHOLD. Gems inside the magnet
+   * radius (about to be collected), vacuumed or locked drops are skipped.
+   *
+   * @returns {number} how many drops were removed by merging.
+   */
+  mergeXp() {
+    const merge = CONFIG.XP.MERGE ?? {};
+    const group = this.pool.group;
+    const threshold = Math.max(1, merge.ACTIVE_THRESHOLD ?? Infinity);
+    if (group.countActive(true) < threshold) return 0;
+
+    const target = threshold * (merge.TARGET_RATIO ?? 0.75);
+    const hero = this.scene.player ?? this.scene.hero?.sprite ?? null;
+    const keepRadius = CONFIG.XP.MAGNET_RADIUS ?? 0;
+    const farRadiusSq = (merge.FAR_RADIUS ?? Infinity) ** 2;
+    const minCluster = Math.max(2, merge.MIN_CLUSTER ?? 2);
+
+    let removed = 0;
+    for (let pass = 0; pass < Math.max(1, merge.MAX_PASSES ?? 1); pass += 1) {
+      const scale = 2 ** pass;
+      const nearCell = (merge.NEAR_CELL ?? 96) * scale;
+      const farCell = (merge.FAR_CELL ?? 320) * scale;
+
+      const cells = new Map();
+      group.children.iterate((drop) => {
+        if (!drop?.active || drop._vacuumed || drop._pickupLocked) return;
+        if (xpValueOf(drop) <= 0) return;
+
+        const dx = hero ? drop.x - hero.x : Infinity;
+        const dy = hero ? drop.y - hero.y : Infinity;
+        const distSq = dx * dx + dy * dy;
+        if (distSq <= keepRadius * keepRadius) return;
+
+        const cell = distSq > farRadiusSq ? farCell : nearCell;
+        const key = `${cell}:${Math.floor(drop.x / cell)}:${Math.floor(drop.y / cell)}`;
+        const bucket = cells.get(key);
+        if (bucket) bucket.push(drop);
+        else cells.set(key, [drop]);
+      });
+
+      cells.forEach((drops) => {
+        if (drops.length < minCluster) return;
+
+        // Value-weighted centre so the crystal lands where most XP was.
+        let total = 0;
+        let sumX = 0;
+        let sumY = 0;
+        drops.forEach((drop) => {
+          const amount = xpValueOf(drop);
+          total += amount;
+          sumX += drop.x * amount;
+          sumY += drop.y * amount;
+        });
+
+        drops.forEach((drop) => this.release(drop));
+        this.spawnCrystal(sumX / total, sumY / total, total);
+        removed += drops.length - 1;
+      });
+
+      if (group.countActive(true) < target) break;
+    }
+
+    if (removed > 0) {
+      this.scene.events?.emit?.('drops:merged', { removed, active: group.countActive(true) });
+    }
+    return removed;
+  }
+
   /**
    * Applies a slight random velocity so drops scatter when spawned.
    * Makes pickup fields visually readable and prevents pile-up.
@@ -91,8 +318,8 @@ export class DropManager {
     }
 
     // Pick a random direction and a random speed between MIN → MAX.
-    const angle = Phaser.Math.FloatBetween(0, Math.PI * 2);
-    const speed = Phaser.Math.FloatBetween(min, max);
+    const angle = this.rng.angle();
+    const speed = this.rng.float(min, max);
 
     // Apply as initial velocity.
     body.setVelocity(Math.cos(angle) * speed, Math.sin(angle) * speed);
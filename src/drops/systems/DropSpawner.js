@@ -1,5 +1,6 @@
-import { DEFAULT_DROP_TYPE } from '../DropRegistry.js';
+import { DEFAULT_DROP_TYPE, DropRegistry } from '../DropRegistry.js';
 import { weightedPick } from '../utils/WeightedTable.js';
+import { getRunStream, RNG_STREAMS } from '../../core/RunRng.js';
 
 /**
  * DropSpawner
@@ -19,8 +20,12 @@ export class DropSpawner {
     this.dropManager = dropManager;
     this.tables = tables;
 
-    // Optional: let callers inject a seeded RNG for deterministic tests
-    // this.rng = Math.random;
+    // Seeded drops stream so loot rolls replay with the run seed.
+    this.rng = getRunStream(scene, RNG_STREAMS.DROPS);
+
+    // Difficulty `dropRateMult` reweights non-XP entries and scales chest chances.
+    this.dropRateMult = Math.max(0, Number(scene?.difficulty?.dropRateMult ?? 1));
+    this._scaledEntries = new WeakMap();
   }
 
   /**
@@ -30,6 +35,8 @@ export class DropSpawner {
    *  1) Try weightedPick(entries)  ← ensures weights are actually used
    *  2) Fallback to entries[i]     ← supports fixed/sequential scripting if desired
    *  3) Fallback to entries[0]     ← last resort
+   *
+   * Tables with a `treasure` block then roll once more for a chest.
    */
   spawnFromTable(mobKey, x, y, overrides = {}) {
     const table = this.tables?.[mobKey] ?? this.tables?.default;
@@ -46,26 +53,61 @@ export class DropSpawner {
         entry = entries[i] || entries[0] || null;
       } else {
         // Weighted mode: if all weights are <= 0, skip this roll.
-        entry = weightedPick(entries /*, this.rng */);
+        entry = weightedPick(this._applyDropRate(entries), this.rng.next);
       }
 
       if (!entry) continue;
+      this._spawnEntry(entry, x, y, overrides);
+    }
 
-      // Resolve final drop type: entry > caller overrides > default
-      const type = entry.type ?? overrides.type ?? DEFAULT_DROP_TYPE;
+    this._rollTreasure(table?.treasure, x, y);
+  }
 
-      // Avoid passing `type` down inside overrides after we resolved it
-      const { type: _ignore, ...restOverrides } = overrides;
+  /**
+   * Separate chest roll so treasure never displaces the XP rolls above:
+   * `treasure: { chance, entries: [{ type: 'treasure_N', weight }] }`.
+   * Caller overrides target XP drops, so chests ignore them.
+   */
+  _rollTreasure(treasure, x, y) {
+    if (!treasure) return;
+    const chance = Math.min(1, (treasure.chance ?? 0) * this.dropRateMult);
+    if (!this.rng.chance(chance)) return;
 
-      // Merge per-entry overrides (lowest precedence) then caller overrides (highest)
-      const mergedOverrides = {
-        ...(entry.overrides ?? {}),
-        ...restOverrides,
-      };
+    const entry = weightedPick(treasure.entries ?? [], this.rng.next);
+    if (entry) this._spawnEntry(entry, x, y, {});
+  }
 
-      const spawnPoint = this._resolveSpawnPoint(x, y);
-      this.dropManager?.spawn(spawnPoint.x, spawnPoint.y, type, mergedOverrides);
+  /** Entries with non-XP weights scaled by `dropRateMult` (cached per table). */
+  _applyDropRate(entries) {
+    if (this.dropRateMult === 1) return entries;
+
+    let scaled = this._scaledEntries.get(entries);
+    if (!scaled) {
+      scaled = entries.map((entry) => {
+        const currency = DropRegistry[entry.type]?.value?.currency ?? 'xp';
+        if (currency === 'xp') return entry;
+        return { ...entry, weight: Number(entry.weight ?? 0) * this.dropRateMult };
+      });
+      this._scaledEntries.set(entries, scaled);
     }
+    return scaled;
+  }
+
+  _spawnEntry(entry, x, y, overrides) {
+    // Resolve final drop type: entry > caller overrides > default
+    const type = entry.type ?? overrides.type ?? DEFAULT_DROP_TYPE;
+
+    // Avoid passing `type` down inside overrides after we resolved it
+    const { type: _ignore, ...restOverrides } = overrides;
+
+    // Merge per-entry overrides (lowest precedence) then caller overrides (highest)
+    const mergedOverrides = {
+      ...(entry.overrides ?? {}),
+      ...restOverrides,
+    };
+
+    const spawnPoint = this._resolveSpawnPoint(x, y);
+    this.dropManager?.spawn(spawnPoint.x, spawnPoint.y, type, mergedOverrides);
   }
 
   _resolveSpawnPoint(x, y) {
@@ -67,6 +67,36 @@ export class MagnetSystem {
     this.group = pool?.group ?? this.group;
   }
 
+  /**
+   * Pull every active drop paying one of `currencies` toward the player,
+   * regardless of magnet radius or delay (vacuum pickup). Vacuumed drops also
+   * skip lifetime / distance despawns until collected.
+   *
+   * @param {{ currencies?: string[], speed?: number }} [opts]
+   * @returns {number} how many drops were caught.
+   */
+  vacuum({ currencies = ['xp'], speed = 900 } = {}) {
+    const group = this.group ?? this.pool?.group;
+    if (!group) return 0;
+
+    const wanted = new Set(currencies);
+    let count = 0;
+    group.children.iterate((drop) => {
+      if (!drop || !drop.active || !drop.body || drop.isTreasure) return;
+      const currency = (typeof drop.value === 'object' && drop.value !== null)
+        ? (drop.value.currency ?? 'xp')
+        : 'xp';
+      if (!wanted.has(currency)) return;
+
+      drop._vacuumed = true;
+      drop.magnetReadyAt = 0;
+      drop.maxSpeed = Math.max(drop.maxSpeed ?? 0, speed);
+      drop.body.setMaxSpeed(drop.maxSpeed);
+      count += 1;
+    });
+    return count;
+  }
+
   /**
    * Called every frame.
    * For each drop:
@@ -105,7 +135,9 @@ export class MagnetSystem {
     group.children.iterate((drop) => {
       if (!drop || !drop.active || !drop.body) return;
 
-      const expiredByTime = (drop.expiresAt ?? 0) > 0 && now >= drop.expiresAt;
+      const vacuumed = drop._vacuumed === true;
+      const kept = vacuumed || drop.persistent === true;
+      const expiredByTime = !kept && (drop.expiresAt ?? 0) > 0 && now >= drop.expiresAt;
       const dCenterX = drop.body?.center?.x ?? drop.x ?? 0;
       const dCenterY = drop.body?.center?.y ?? drop.y ?? 0;
 
@@ -113,24 +145,34 @@ export class MagnetSystem {
       const dy = pCenterY - dCenterY;
       const distSq = dx * dx + dy * dy;
 
-      const expiredByDistance = !bounds && maxKeepDistanceSq > 0 && distSq > maxKeepDistanceSq;
-      const expiredByBounds = bounds
+      const expiredByDistance = !kept && !bounds && maxKeepDistanceSq > 0 && distSq > maxKeepDistanceSq;
+      const expiredByBounds = !vacuumed && bounds
         ? (dCenterX < bounds.left || dCenterX > bounds.right || dCenterY < bounds.top || dCenterY > bounds.bottom)
         : false;
 
-      if (expiredByTime || expiredByDistance || expiredByBounds) {
+      if (expiredByTime || expiredByDistance) {
+        // DropManager may keep the XP by turning the gem into a crystal.
+        if (dropManager?.expire) dropManager.expire(drop);
+        else dropManager?.release?.(drop);
+        return;
+      }
+      if (expiredByBounds) {
         dropManager?.release?.(drop);
         return;
       }
 
       if (now < (drop.magnetReadyAt ?? 0)) return;
 
-      const baseRadiusSq = drop.magnetRadiusSq ?? 0;
-      if (baseRadiusSq <= 0 || distSq === 0) return;
+      if (distSq === 0) return;
+
+      if (!vacuumed) {
+        const baseRadiusSq = drop.magnetRadiusSq ?? 0;
+        if (baseRadiusSq <= 0) return;
 
-      // NEW: scale radius by passive ( (r * k)^2 = r^2 * k^2 )
-      const effectiveRadiusSq = baseRadiusSq * (radiusMult * radiusMult);
-      if (distSq > effectiveRadiusSq) return;
+        // NEW: scale radius by passive ( (r * k)^2 = r^2 * k^2 )
+        const effectiveRadiusSq = baseRadiusSq * (radiusMult * radiusMult);
+        if (distSq > effectiveRadiusSq) return;
+      }
 
       const baseMaxSpeed = drop.maxSpeed ?? 0;
       const maxSpeed = baseMaxSpeed * speedMult;  // NEW: speed buff
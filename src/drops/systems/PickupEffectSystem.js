@@ -0,0 +1,106 @@
+import Phaser from 'phaser';
+import { resolveMobConfig } from '../../mob/MobRegistry.js';
+import { getPickupEffect } from '../PickupEffectRegistry.js';
+
+/**
+ * PickupEffectSystem
+ *
+ * Runs the instant effects of vacuum / bomb / clock pickups (see
+ * PickupEffectRegistry). Combat systems are read from the scene when an
+ * effect fires, so this can be built before DamagePipeline and
+ * EnemyBehaviorSystem exist.
+ *
+ * Every trigger emits `'pickup:effect' { effect, config, x, y, ... }` for the
+ * HUD and audio.
+ */
+export class PickupEffectSystem {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {{ magnetSystem?: import('./MagnetSystem.js').MagnetSystem, events?: Phaser.Events.EventEmitter }} [deps]
+   */
+  constructor(scene, { magnetSystem, events } = {}) {
+    this.scene = scene;
+    this.magnetSystem = magnetSystem ?? null;
+    this.events = events ?? scene?.events ?? null;
+
+    this._handlers = {
+      vacuum: (config) => this._vacuum(config),
+      bomb: (config) => this._bomb(config),
+      clock: (config) => this._clock(config),
+    };
+  }
+
+  /**
+   * Fire an effect by PickupEffectRegistry key.
+   * @returns {boolean} false when the key is unknown.
+   */
+  trigger(effect, { x = 0, y = 0 } = {}) {
+    const config = getPickupEffect(effect);
+    const handler = this._handlers[effect];
+    if (!config || !handler) {
+      console.warn(`[PickupEffectSystem] Unknown pickup effect "${effect}"`);
+      return false;
+    }
+
+    const result = handler(config) ?? {};
+    this.events?.emit?.('pickup:effect', { effect, config, x, y, ...result });
+    return true;
+  }
+
+  _vacuum(config) {
+    const pulled = this.magnetSystem?.vacuum?.({
+      currencies: config.currencies,
+      speed: config.speed,
+    }) ?? 0;
+    return { pulled };
+  }
+
+  _bomb(config) {
+    const scene = this.scene;
+    const pipeline = scene?.damagePipeline;
+    const group = scene?.enemyPools?.getAllGroup?.();
+    const view = scene?.cameras?.main?.worldView;
+    if (!pipeline || !group || !view) return { hits: 0 };
+
+    const margin = Math.max(0, config.marginPx ?? 0);
+    const area = new Phaser.Geom.Rectangle(
+      view.x - margin,
+      view.y - margin,
+      view.width + margin * 2,
+      view.height + margin * 2
+    );
+
+    // Snapshot first: kills release enemies back into the pool mid-iteration.
+    const targets = group.getChildren().filter((enemy) => (
+      enemy?.active && !enemy._isDying && area.contains(enemy.x, enemy.y)
+    ));
+
+    targets.forEach((enemy) => {
+      const isBoss = resolveMobConfig(enemy.mobKey)?.tier === 'boss';
+      const maxHp = Number(enemy.maxHp) || 0;
+      const damage = (config.damage ?? 0) + (isBoss ? 0 : maxHp * (config.maxHpFraction ?? 0));
+      pipeline.applyHit(enemy, { damage, sourceKey: 'pickup_bomb' });
+    });
+
+    const camera = scene.cameras.main;
+    camera.flash?.(160, 255, 190, 120);
+    camera.shake?.(220, 0.008);
+    const hero = scene.hero?.sprite;
+    if (hero) scene.fx?.explode?.(hero.x, hero.y, config.sparks ?? 24);
+
+    return { hits: targets.length };
+  }
+
+  _clock(config) {
+    const durationMs = Math.max(0, config.durationMs ?? 0);
+    this.scene?.enemyAI?.freeze?.(durationMs);
+    return { durationMs };
+  }
+
+  destroy() {
+    this.scene = null;
+    this.magnetSystem = null;
+    this.events = null;
+    this._handlers = null;
+  }
+}
@@ -0,0 +1,434 @@
+// src/encounters/BossEncounter.js
+import Phaser from 'phaser';
+import { getRunStream, RNG_STREAMS } from '../core/RunRng.js';
+import { resolveMobConfig } from '../mob/MobRegistry.js';
+import { releaseArenaLock } from '../scenes/game/arenaLock.js';
+
+/**
+ * One scripted boss fight, driven by a resolved EncounterRegistry entry
+ * (see resolveEncounterConfig). Lifecycle:
+ *
+ *   leadIn  → telegraph plays, optional arena lock / music change is armed
+ *   fight   → boss is live; HP phases and the optional time limit are tracked
+ *   dying   → death cinematic (simulation paused via the 'bossDeath' source)
+ *   done    → outcome applied ('win' ends the run, 'continue' resumes it)
+ *
+ * Scene events: 'encounter:started', 'encounter:spawned', 'encounter:phase',
+ * 'boss:defeated' and 'encounter:ended'. Every payload carries `encounter`
+ * (the registry key) and `mobKey`.
+ */
+export class BossEncounter {
+  constructor(scene, config) {
+    this.scene = scene;
+    this.config = config;
+    this.key = config.key;
+    this.mobKey = config.mobKey;
+
+    this.state = 'idle';
+
+    this._boss = null;
+    this._spawnTimer = null;
+    this._fightElapsedMs = 0;
+    this._nextPhaseIndex = 0;
+    this._previousMusic = null;
+    this._restoreWeighted = false;
+
+    // IMPORTANT: bossDeath pause sets scene.time.timeScale = 0, so Phaser delayedCall will stall.
+    // Use real-time timers for anything that must complete during the cinematic.
+    this._leadOutTimeoutId = null;
+    this._animFallbackTimeoutId = null;
+
+    // bind so we can remove listeners cleanly
+    this._onEnemyDied = (payload) => this._handleEnemyDied(payload);
+  }
+
+  /** True from start() until the outcome has been applied. */
+  get isActive() {
+    return this.state !== 'idle' && this.state !== 'done';
+  }
+
+  /** Live boss enemy during the fight, otherwise null. */
+  get boss() {
+    return this.state === 'fight' || this.state === 'dying' ? this._boss : null;
+  }
+
+  destroy() {
+    this._clearSpawnTimer();
+    this._clearLeadOutTimeout();
+    this._clearAnimFallbackTimeout();
+    this.scene?.events?.off('enemy:died', this._onEnemyDied);
+
+    if (this._boss) this._boss._encounterKey = null;
+    this._boss = null;
+    this.state = 'done';
+    this.scene = null;
+  }
+
+  start() {
+    if (this.state !== 'idle' || !this.scene) return;
+    this.state = 'leadIn';
+
+    const config = this.config;
+
+    // Listen for death globally; we filter down to our own boss.
+    this.scene.events?.on('enemy:died', this._onEnemyDied);
+
+    if (config.disableWeightedSpawns) {
+      const director = this.scene.spawnDirector;
+      this._restoreWeighted = director?.isWeightedEnabled?.() ?? false;
+      director?.setWeightedEnabled?.(false);
+    }
+
+    if (config.arena) {
+      // updateArenaLock turns the camera view into the arena once this time passes.
+      this.scene._finale = {
+        lockAtMs: (this.scene.time?.now ?? 0) + (config.arena.cleanupMs ?? 15000),
+        arena: config.arena,
+        encounter: this.key
+      };
+    }
+
+    this._duckForTelegraph();
+    this._playSfx(config.telegraph?.sfx);
+    this.scene.events?.emit?.('encounter:started', this._eventPayload({
+      label: config.label,
+      text: config.telegraph?.text ?? null
+    }));
+
+    // Spawn after lead-in (normal run time; not paused yet)
+    const leadInMs = Math.max(0, Number(config.leadInMs) || 0);
+    this._spawnTimer = this.scene.time?.delayedCall?.(leadInMs, () => {
+      this._spawnTimer = null;
+      this._spawnBoss();
+    });
+  }
+
+  /** Track HP phases and the time limit; called every unpaused frame. */
+  update(dt) {
+    if (this.state !== 'fight') return;
+
+    const boss = this._boss;
+    if (!boss?.active) return;
+
+    const maxHp = boss.maxHp ?? 0;
+    if (maxHp > 0) {
+      const fraction = Math.max(0, boss.hp) / maxHp;
+      const phases = this.config.phases ?? [];
+      while (this._nextPhaseIndex < phases.length && fraction <= phases[this._nextPhaseIndex].hpPct) {
+        this._enterPhase(phases[this._nextPhaseIndex], this._nextPhaseIndex);
+        this._nextPhaseIndex += 1;
+      }
+    }
+
+    const timeLimitMs = this.config.outcomes?.timeLimitMs ?? 0;
+    if (timeLimitMs > 0) {
+      this._fightElapsedMs += dt;
+      if (this._fightElapsedMs >= timeLimitMs) this._handleTimeout();
+    }
+  }
+
+  _spawnBoss() {
+    if (!this.scene || this.scene.isGameOver || this.state !== 'leadIn') return;
+
+    const config = this.config;
+    const radius = Number(config.spawnRadius ?? config.spawn?.radius ?? 620) || 620;
+
+    const hero = this.scene.hero?.sprite;
+    const pool = this.scene.enemyPools?.getPool?.(this.mobKey);
+    if (!hero || !pool?.get) {
+      console.warn(`[BossEncounter] Cannot spawn ${this.mobKey} for encounter "${this.key}"`);
+      this._finish('aborted');
+      return;
+    }
+
+    // On bounded maps, try to use the reserved boss spawn group first.
+    let spawnPoint = null;
+    if (this.scene.mapRuntime?.isBounded?.()) {
+      spawnPoint = this.scene.spawnDirector?.getSpawnPoint?.({
+        heroSprite: hero,
+        spawnKey: 'boss',
+        requireKey: true,
+      });
+    }
+
+    let x;
+    let y;
+    if (spawnPoint) {
+      x = spawnPoint.x;
+      y = spawnPoint.y;
+    } else {
+      // Ring spawn for infinite maps and bounded maps without a boss key.
+      const ang = getRunStream(this.scene, RNG_STREAMS.SPAWN).angle();
+      x = hero.x + Math.cos(ang) * radius;
+      y = hero.y + Math.sin(ang) * radius;
+    }
+
+    const enemy = pool.get(x, y);
+    if (!enemy) {
+      this._finish('aborted');
+      return;
+    }
+
+    enemy.reset?.(x, y, this.mobKey, {
+      ...(config.mobOverrides ?? {}),
+    });
+
+    // ensure it’s active in physics
+    enemy.setActive?.(true);
+    enemy.setVisible?.(true);
+    enemy.enableBody?.(true, x, y, true, true);
+
+    // allow pooling normally until we enter the death cinematic
+    enemy._deathSequenceLock = false;
+    enemy._encounterKey = this.key;
+    enemy._encounterPhase = null;
+
+    this._boss = enemy;
+    this._fightElapsedMs = 0;
+    this._nextPhaseIndex = 0;
+    this.state = 'fight';
+    this._startMusic();
+
+    // let the rest of the game know a boss spawned (boss controllers attach here)
+    this.scene.events.emit('enemy:spawned', { enemy });
+    this.scene.events.emit('encounter:spawned', this._eventPayload({
+      enemy,
+      label: config.label,
+      hpBar: config.hpBar ?? null,
+      phases: config.phases ?? []
+    }));
+  }
+
+  _enterPhase(phase, index) {
+    if (this._boss) this._boss._encounterPhase = phase.id ?? index;
+    this._playSfx(phase.sfx);
+    this.scene?.events?.emit?.('encounter:phase', this._eventPayload({
+      enemy: this._boss,
+      phase,
+      index
+    }));
+  }
+
+  _handleEnemyDied(payload) {
+    if (!payload || this.state !== 'fight') return;
+    // Prefer the exact instance; regular spawns may share the boss mobKey.
+    if (payload.enemy ? payload.enemy !== this._boss : payload.mobKey !== this.mobKey) return;
+
+    this.state = 'dying';
+    this.scene?.events?.emit?.('boss:defeated', this._eventPayload());
+
+    const enemy = payload.enemy ?? this._boss;
+    if (!enemy) {
+      this._applyDefeat();
+      return;
+    }
+
+    this._runDeathSequence(enemy);
+  }
+
+  _handleTimeout() {
+    const boss = this._boss;
+    if (this.config.outcomes?.timeout === 'continue') {
+      // The boss withdraws; hand it back to the pool without a death.
+      if (boss) {
+        boss._encounterKey = null;
+        this.scene?.fx?.explode?.(boss.x, boss.y, 14);
+        this.scene?.enemyPools?.release?.(boss);
+      }
+      this._finish('timeout');
+      return;
+    }
+
+    const scene = this.scene;
+    this._finish('timeout', { keepArena: true });
+    scene?.endRun?.('loss', { reason: 'bossTimeout' });
+  }
+
+  _runDeathSequence(enemy) {
+    if (!this.scene || this.scene.isGameOver) return;
+
+    // prevent pool cleanup until sequence completes
+    enemy._deathSequenceLock = true;
+
+    // Freeze the sim while the cinematic plays.
+    // NOTE: this sets scene.time.timeScale = 0 via PauseController.
+    this.scene._acquireSimulationPause?.('bossDeath');
+
+    // stop motion / damage
+    enemy.body?.setVelocity?.(0, 0);
+    enemy.body?.setAcceleration?.(0, 0);
+
+    const config = this.config;
+    if (config.winSfx) this._playSfx(config.winSfx);
+    if (config.deathSfx) this._playSfx(config.deathSfx);
+
+    const deathAnimKey = config.deathAnimKey ?? resolveMobConfig(this.mobKey)?.animationKeys?.death;
+
+    const finish = () => this._completeDeath(enemy);
+
+    // If we can play the death anim, finish on completion.
+    if (deathAnimKey && enemy.anims && this.scene.anims?.exists?.(deathAnimKey)) {
+      enemy.play(deathAnimKey, true);
+
+      let finished = false;
+      const finishOnce = () => {
+        if (finished) return;
+        finished = true;
+        this._clearAnimFallbackTimeout();
+        finish();
+      };
+
+      // Phaser emits ANIMATION_COMPLETE_KEY + key (string concat)
+      enemy.once(
+        Phaser.Animations.Events.ANIMATION_COMPLETE_KEY + deathAnimKey,
+        finishOnce
+      );
+
+      // Defensive fallback MUST be real-time because scene.time may be paused.
+      // Use a conservative duration; prefer currentAnim.duration if available.
+      const animDurationMs = Number(enemy.anims?.currentAnim?.duration ?? 700) || 700;
+      const fallbackMs = Math.max(150, animDurationMs + 250);
+
+      this._clearAnimFallbackTimeout();
+      this._animFallbackTimeoutId = window.setTimeout(() => {
+        this._animFallbackTimeoutId = null;
+        finishOnce();
+      }, fallbackMs);
+
+      return;
+    }
+
+    // If anim can’t play, just finish.
+    finish();
+  }
+
+  _completeDeath(enemy) {
+    if (!this.scene || this.scene.isGameOver) return;
+
+    const leadOutMs = Math.max(0, Number(this.config.leadOutMs) || 0);
+
+    // Lead-out MUST be real-time because bossDeath pause stops Phaser's clock.
+    this._clearLeadOutTimeout();
+    this._leadOutTimeoutId = window.setTimeout(() => {
+      this._leadOutTimeoutId = null;
+
+      if (!this.scene || this.scene.isGameOver) return;
+
+      // Allow pooling again now that the cinematic is done
+      enemy._deathSequenceLock = false;
+      enemy._encounterKey = null;
+
+      // Now we can safely release the sprite back to the pool
+      this.scene.enemyPools?.release(enemy);
+
+      this._applyDefeat();
+    }, leadOutMs);
+  }
+
+  /** Apply the `outcomes.defeat` result once the cinematic is over. */
+  _applyDefeat() {
+    const scene = this.scene;
+    // Unpause the world if we paused it for the cinematic
+    scene?._releaseSimulationPause?.('bossDeath');
+
+    const endsRun = (this.config.outcomes?.defeat ?? 'win') === 'win';
+    this._finish('defeated', { keepArena: endsRun });
+    if (endsRun) scene?.endRun?.('win', { reason: 'bossKilled' });
+  }
+
+  /**
+   * Leave the encounter: restore music, spawns and arena (unless the run is
+   * about to end anyway) and announce the result.
+   */
+  _finish(result, { keepArena = false } = {}) {
+    const scene = this.scene;
+    if (!scene || this.state === 'done') return;
+    this.state = 'done';
+
+    this._clearSpawnTimer();
+    scene.events?.off('enemy:died', this._onEnemyDied);
+
+    if (!keepArena && this.config.arena && scene._finale?.encounter === this.key) {
+      releaseArenaLock(scene);
+    }
+    if (this._restoreWeighted) {
+      scene.spawnDirector?.setWeightedEnabled?.(true);
+      this._restoreWeighted = false;
+    }
+    this._restoreMusic();
+
+    scene.events?.emit?.('encounter:ended', this._eventPayload({ result }));
+    this._boss = null;
+  }
+
+  // Hold the music down under the telegraph so the callout reads.
+  _duckForTelegraph() {
+    const duck = this.config.telegraph?.duck;
+    if (!duck) return;
+    this.scene?.soundManager?.musicDirector?.duck?.(duck.level ?? 0.3, {
+      holdMs: duck.holdMs ?? 3000,
+      fadeMs: duck.fadeMs ?? 300
+    });
+  }
+
+  // The encounter's track, or the map's boss track (RunMusicController) when it names none.
+  _startMusic() {
+    const track = this.config.music ?? this.scene?.runMusic?.bossTrack ?? null;
+    const director = this.scene?.soundManager?.musicDirector;
+    if (!track || !director) return;
+
+    this._previousMusic = director.currentTrack;
+    director.play(track);
+  }
+
+  _restoreMusic() {
+    const previous = this._previousMusic;
+    this._previousMusic = null;
+    if (!previous || this.scene?.isGameOver) return;
+    this.scene?.soundManager?.musicDirector?.play?.(previous);
+  }
+
+  _eventPayload(extra = {}) {
+    return { encounter: this.key, mobKey: this.mobKey, ...extra };
+  }
+
+  _clearSpawnTimer() {
+    if (this._spawnTimer) {
+      this._spawnTimer.remove(false);
+      this._spawnTimer = null;
+    }
+  }
+
+  _clearLeadOutTimeout() {
+    if (this._leadOutTimeoutId != null) {
+      window.clearTimeout(this._leadOutTimeoutId);
+      this._leadOutTimeoutId = null;
+    }
+  }
+
+  _clearAnimFallbackTimeout() {
+    if (this._animFallbackTimeoutId != null) {
+      window.clearTimeout(this._animFallbackTimeoutId);
+      this._animFallbackTimeoutId = null;
+    }
+  }
+
+  _playSfx(sfx) {
+    if (!sfx) return;
+
+    const sm = this.scene?.soundManager;
+
+    // allow passing a string key: 'sfx.boss.howl'
+    if (typeof sfx === 'string') {
+      // SoundManager.playSfx applies bus volume (sfx/ui/music) automatically.
+      sm?.playSfx?.(sfx, { bus: 'sfx' });
+      return;
+    }
+
+    // allow passing an object: { key, bus, volume, ... }
+    const key = sfx?.key;
+    if (!key) return;
+
+    sm?.playSfx?.(key, sfx);
+  }
+}
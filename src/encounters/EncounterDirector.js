@@ -0,0 +1,73 @@
+import { BossEncounter } from './BossEncounter.js';
+import { EncounterRegistry, resolveEncounterConfig } from './EncounterRegistry.js';
+
+/**
+ * EncounterDirector starts registered encounters on request and owns them
+ * until they finish. GameScene forwards `spawn:control` payloads carrying
+ * `encounter: '<registry key>'` (with `phase: 'start'` or no phase) here, so
+ * any EncounterRegistry entry can be scheduled from the spawn timeline.
+ *
+ * Only one encounter per key runs at a time; repeated starts are ignored.
+ */
+export class EncounterDirector {
+  constructor(scene) {
+    this.scene = scene;
+    this.encounters = new Map();
+  }
+
+  /** True when `key` names an EncounterRegistry entry. */
+  static has(key) {
+    return Boolean(key && EncounterRegistry[key]);
+  }
+
+  /**
+   * Start the encounter named by `control.encounter`; the rest of the payload
+   * overrides registry fields. Returns the encounter, or null if unknown or
+   * already running.
+   */
+  start(control = {}) {
+    const key = control?.encounter;
+    const config = resolveEncounterConfig(key, control);
+    if (!config) {
+      console.warn(`[EncounterDirector] Unknown encounter "${key}"`);
+      return null;
+    }
+    if (this.encounters.get(key)?.isActive) return null;
+
+    const encounter = new BossEncounter(this.scene, config);
+    this.encounters.set(key, encounter);
+    encounter.start();
+    return encounter;
+  }
+
+  /** Running encounter for `key`, if any. */
+  get(key) {
+    const encounter = this.encounters.get(key);
+    return encounter?.isActive ? encounter : null;
+  }
+
+  /** True while any encounter is between start and outcome. */
+  hasActive() {
+    for (const encounter of this.encounters.values()) {
+      if (encounter.isActive) return true;
+    }
+    return false;
+  }
+
+  /** Step running encounters and drop finished ones. */
+  update(dt) {
+    this.encounters.forEach((encounter, key) => {
+      encounter.update(dt);
+      if (encounter.state === 'done') {
+        encounter.destroy();
+        this.encounters.delete(key);
+      }
+    });
+  }
+
+  destroy() {
+    this.encounters.forEach((encounter) => encounter.destroy());
+    this.encounters.clear();
+    this.scene = null;
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Scripted boss encounters, keyed by the id the spawn timeline uses in
+ * `control.encounter`. BossEncounter reads the resolved entry; any field may
+ * be overridden per timeline event by putting it on the control payload.
+ *
+ * Entry fields:
+ *  - mobKey: MobRegistry key of the boss.
+ *  - label: name shown on the boss HP bar.
+ *  - telegraph: `{ sfx, text, duck }` played/shown as soon as the encounter
+ *    starts; `duck: { level, holdMs }` lowers the music under it (null skips).
+ *  - leadInMs: delay between the telegraph and the boss spawn.
+ *  - leadOutMs: real-time pause after the death animation before the outcome.
+ *  - arena: `{ cleanupMs }` locks the camera view into an arena `cleanupMs`
+ *    after the start; null leaves the map open.
+ *  - disableWeightedSpawns: stop the ambient spawner for the fight.
+ *  - music: MusicTracks key or `{ key, volume, layers }` played once the boss
+ *    spawns; null uses the map's boss track. The previous track comes back if
+ *    the run continues afterwards.
+ *  - hpBar: `{ color }` styling for the HUD boss bar; null hides it.
+ *  - phases: `[{ id, hpPct, sfx?, text? }]`, fired once each when the boss
+ *    HP fraction drops to `hpPct` (emitted as 'encounter:phase').
+ *  - deathSfx / winSfx: played when the death cinematic begins.
+ *  - mobOverrides: Enemy.reset overrides for the boss (e.g. `{ stats: { hp } }`).
+ *  - spawn: `{ radius }` ring distance when the map has no keyed boss spawn.
+ *  - outcomes:
+ *      defeat: 'win' ends the run, 'continue' resumes it.
+ *      timeLimitMs: optional fight length (from spawn); 0 disables.
+ *      timeout: 'loss' ends the run, 'continue' lets the boss withdraw.
+ */
+export const EncounterRegistry = {
+  werewolf: {
+    mobKey: 'werewolf_boss',
+    label: 'The Werewolf',
+    telegraph: {
+      sfx: { key: 'sfx.boss.howl', bus: 'sfx', volume: 5.5, minIntervalMs: 2000 },
+      text: 'A howl splits the night...',
+      duck: { level: 0.2, holdMs: 4000 },
+    },
+    leadInMs: 10000,
+    leadOutMs: 5000,
+    arena: { cleanupMs: 10000 },
+    disableWeightedSpawns: true,
+    music: null,
+    hpBar: { color: 0xc83a5a },
+    phases: [
+      { id: 'frenzy', hpPct: 0.5, text: 'The Werewolf is frenzied!' },
+    ],
+    deathSfx: null,
+    winSfx: 'sfx.boss.death',
+    mobOverrides: {},
+    spawn: { radius: 620 },
+    outcomes: { defeat: 'win', timeLimitMs: 0, timeout: 'loss' },
+  },
+
+  demonknight: {
+    mobKey: 'demonknight_boss',
+    label: 'Demon Knight',
+    telegraph: {
+      sfx: 'sfx.boss.howl',
+      text: 'Hoofbeats thunder closer...',
+      duck: { level: 0.35, holdMs: 2500 },
+    },
+    leadInMs: 4000,
+    leadOutMs: 1500,
+    arena: { cleanupMs: 4000 },
+    disableWeightedSpawns: true,
+    music: null,
+    hpBar: { color: 0xd8642a },
+    phases: [
+      { id: 'wrath', hpPct: 0.5, text: 'The Demon Knight burns with wrath!' },
+    ],
+    deathSfx: null,
+    winSfx: 'sfx.boss.death',
+    mobOverrides: { stats: { hp: 6000 } },
+    spawn: { radius: 580 },
+    outcomes: { defeat: 'continue', timeLimitMs: 0, timeout: 'continue' },
+  },
+
+  evilwizard: {
+    mobKey: 'evilwizard_boss',
+    label: 'Evil Wizard',
+    telegraph: {
+      sfx: 'sfx.boss.howl',
+      text: 'The air crackles with dark magic...',
+      duck: { level: 0.35, holdMs: 2500 },
+    },
+    leadInMs: 4000,
+    leadOutMs: 1500,
+    arena: null,
+    disableWeightedSpawns: false,
+    music: null,
+    hpBar: { color: 0x8a4ae0 },
+    phases: [
+      { id: 'empowered', hpPct: 0.66 },
+      { id: 'desperate', hpPct: 0.33, text: 'The Evil Wizard grows desperate!' },
+    ],
+    deathSfx: null,
+    winSfx: 'sfx.boss.death',
+    mobOverrides: { stats: { hp: 4000 } },
+    spawn: { radius: 560 },
+    // The wizard teleports away if it survives for a minute.
+    outcomes: { defeat: 'continue', timeLimitMs: 60000, timeout: 'continue' },
+  },
+};
+
+/**
+ * Registry entry for `key` with the control payload's fields layered on top
+ * (nested `telegraph`, `arena` and `outcomes` merge field by field). Returns
+ * null for unknown keys.
+ */
+export function resolveEncounterConfig(key, control = {}) {
+  const base = EncounterRegistry[key];
+  if (!base) return null;
+
+  const overrides = control ?? {};
+  const merged = { ...base, ...overrides, key };
+
+  merged.telegraph = mergeSection(base.telegraph, overrides.telegraph);
+  merged.arena = mergeSection(base.arena, overrides.arena);
+  merged.outcomes = { ...(base.outcomes ?? {}), ...(overrides.outcomes ?? {}) };
+  merged.phases = (overrides.phases ?? base.phases ?? [])
+    .filter((phase) => Number.isFinite(phase?.hpPct))
+    .slice()
+    .sort((a, b) => b.hpPct - a.hpPct);
+
+  // Legacy timeline fields from the original werewolf finale.
+  if (overrides.telegraphSfx) merged.telegraph = { ...merged.telegraph, sfx: overrides.telegraphSfx };
+  if (overrides.cleanupMs != null && merged.arena) merged.arena = { ...merged.arena, cleanupMs: overrides.cleanupMs };
+
+  return merged;
+}
+
+/** Shallow-merge a nested section; an explicit null override disables it. */
+function mergeSection(base, override) {
+  if (override === null) return null;
+  if (override === undefined) return base ?? null;
+  return { ...(base ?? {}), ...override };
+}
@@ -1,4 +1,5 @@
 import Phaser from 'phaser';
+import { getRunStream, RNG_STREAMS } from '../core/RunRng.js';
 
 export class FXSystem {
   constructor(scene) {
@@ -15,6 +16,9 @@ export class FXSystem {
       maxSize: 500,
       runChildUpdate: false
     });
+
+    // Cosmetic rolls use their own stream so visuals never shift gameplay rolls.
+    this.rng = getRunStream(scene, RNG_STREAMS.FX);
   }
 
   /*
@@ -61,8 +65,8 @@ export class FXSystem {
       if (!s) continue;
 
       // Choose a random direction + distance
-      const ang  = Math.random() * Math.PI * 2;
-      const dist = 40 + Math.random() * 120;
+      const ang  = this.rng.angle();
+      const dist = this.rng.float(40, 160);
       const tx   = x + Math.cos(ang) * dist;
       const ty   = y + Math.sin(ang) * dist;
 
@@ -73,7 +77,7 @@ export class FXSystem {
         y: ty,
         alpha: 0,
         scale: 0,
-        duration: 250 + Math.random() * 200,
+        duration: this.rng.float(250, 450),
         ease: 'Cubic.easeOut',
         onComplete: () => this._release(s)
       });
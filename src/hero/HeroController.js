@@ -1,4 +1,5 @@
 import Phaser from 'phaser';
+import { quantizeMoveAxis } from '../run/ReplayRecorder.js';
 
 /**
  * HeroController
@@ -60,9 +61,10 @@ export class HeroController {
     this.onFacingChange = onFacingChange;
 
     this.enabled = true;
-    this.inputSources = { cursors: null, wasd: null };
+    this.inputSources = { cursors: null, wasd: null, actions: null };
     this.deathController = null;
     this._moveVectorProvider = null;
+    this.lastMoveAxes = { x: 0, y: 0 };  // axes applied last update (read by ReplayRecorder)
 
     this._bodyInit = false;             // lazily configure Arcade body once
     this._onShutdown = () => this.destroy();
@@ -71,11 +73,14 @@ export class HeroController {
 
   /**
    * Connect Phaser input sources. Call once in your Scene after creating cursors/WASD.
-   * @param {{cursors?: Phaser.Types.Input.Keyboard.CursorKeys, wasd?: Record<string, Phaser.Input.Keyboard.Key>}} param0
+   * `actions` (an object with `isDown(action)`) reads the rebindable move
+   * actions from InputBindings and takes precedence over cursors/WASD.
+   * @param {{cursors?: Phaser.Types.Input.Keyboard.CursorKeys, wasd?: Record<string, Phaser.Input.Keyboard.Key>, actions?: {isDown: Function}}} param0
    */
-  setInputSources({ cursors = null, wasd = null } = {}) {
+  setInputSources({ cursors = null, wasd = null, actions = null } = {}) {
     this.inputSources.cursors = cursors;
     this.inputSources.wasd = wasd;
+    this.inputSources.actions = actions;
     return this;
   }
 
@@ -136,6 +141,8 @@ export class HeroController {
 
     // If control is disabled (dead/menu/etc.), stop the hero and keep cosmetics in sync.
     if (!this.enabled || sceneDisabled || dead) {
+      this.lastMoveAxes.x = 0;
+      this.lastMoveAxes.y = 0;
       if (!deathSequenceActive) {
         this.sprite.setVelocity(0, 0);
         this.sprite.anims.timeScale = 1; // normalize anim tempo while frozen
@@ -155,10 +162,11 @@ export class HeroController {
     // Final effective speed
     const speed = baseSpeed * moveSpeedMult;
 
-    const { cursors, wasd } = this.inputSources;
+    const { cursors, wasd, actions } = this.inputSources;
     const joystickVec = this._moveVectorProvider ? this._moveVectorProvider() : null;
-    const jx = joystickVec?.x ?? 0;
-    const jy = joystickVec?.y ?? 0;
+    // Snap analog input to the replay grid up front so recorded runs play back identically.
+    const jx = quantizeMoveAxis(joystickVec?.x ?? 0);
+    const jy = quantizeMoveAxis(joystickVec?.y ?? 0);
     const joystickActive = Math.hypot(jx, jy) > 0.01;
 
     let xAxis = 0;
@@ -169,15 +177,21 @@ export class HeroController {
       yAxis = Phaser.Math.Clamp(jy, -1, 1);
     } else {
       // Convert keys to a simple axis representation: -1, 0, +1 per axis.
-      const left  = (cursors?.left?.isDown  || wasd?.A?.isDown) ? 1 : 0;
-      const right = (cursors?.right?.isDown || wasd?.D?.isDown) ? 1 : 0;
-      const up    = (cursors?.up?.isDown    || wasd?.W?.isDown) ? 1 : 0;
-      const down  = (cursors?.down?.isDown  || wasd?.S?.isDown) ? 1 : 0;
+      const held = (action, cursorKey, wasdKey) => (actions
+        ? actions.isDown(action)
+        : (cursors?.[cursorKey]?.isDown || wasd?.[wasdKey]?.isDown));
+      const left  = held('moveLeft', 'left', 'A') ? 1 : 0;
+      const right = held('moveRight', 'right', 'D') ? 1 : 0;
+      const up    = held('moveUp', 'up', 'W') ? 1 : 0;
+      const down  = held('moveDown', 'down', 'S') ? 1 : 0;
 
       xAxis = -left + right; // left=−1, right=+1, neutral=0
       yAxis = -up + down;    // up=−1,  down=+1, neutral=0
     }
 
+    this.lastMoveAxes.x = xAxis;
+    this.lastMoveAxes.y = yAxis;
+
     const axisMagnitude = Phaser.Math.Clamp(Math.hypot(xAxis, yAxis), 0, 1);
     const dirXAxis = (Math.abs(xAxis) > 0.01) ? Math.sign(xAxis) : 0;
     const dirYAxis = (Math.abs(yAxis) > 0.01) ? Math.sign(yAxis) : 0;
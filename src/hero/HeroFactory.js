@@ -35,17 +35,34 @@ function applyPhysicsTuning(sprite, stats = {}) {
   }
 }
 
+/**
+ * Multiply numeric registry stats by `statMults` (e.g. `{ speed: 1.2 }`);
+ * stats without a multiplier are copied as-is.
+ */
+function applyStatMults(stats = {}, statMults = null) {
+  if (!statMults) return stats;
+  const out = { ...stats };
+  Object.entries(statMults).forEach(([stat, mult]) => {
+    if (typeof out[stat] === 'number' && Number.isFinite(mult)) out[stat] *= mult;
+  });
+  return out;
+}
+
 /**
  * Factory helper used by GameScene to spawn the selected hero and wire up all
  * supporting systems (health, controllers, cosmetics) in a single call.
+ * `statMults` scales registry stats for this run (run modifiers); the
+ * resulting stats are exposed on the bundle as `stats`.
  */
 export function createHero(scene, heroKey, {
   x = 0,
   y = 0,
-  onFacingChange
+  onFacingChange,
+  statMults = null
 } = {}) {
   const entry = getHeroEntry(heroKey);
-  const { sheets, depth = {}, stats = {}, cosmetics = {}, defaultFacing = 'down' } = entry;
+  const { sheets, depth = {}, cosmetics = {}, defaultFacing = 'down' } = entry;
+  const stats = applyStatMults(entry.stats ?? {}, statMults);
   const singleDirection = Boolean(entry.animations?.singleDirection);
 
   const idleSheet = sheets?.idle;
@@ -103,6 +120,7 @@ export function createHero(scene, heroKey, {
   // Structured hero interface consumed by GameScene and HUD layers.
   return {
     key: entry.key,
+    stats,
     sprite,
     glow,
     health,
@@ -572,7 +572,9 @@ const HEROES = {
       maxHealth: 150,
       iframeMs: 200,
       drag: 0,
-      damping: false
+      damping: false,
+      // Extra level-up reroll charge per run (see LEVEL_UP.actionCharges)
+      rerollCharges: 1
     },
     cosmetics: {
       glowKey: 'player_glow',
@@ -663,7 +665,9 @@ const HEROES = {
       maxHealth: 150,
       iframeMs: 200,
       drag: 0,
-      damping: false
+      damping: false,
+      // Extra level-up banish charge per run (see LEVEL_UP.actionCharges)
+      banishCharges: 1
     },
     cosmetics: {
       glowKey: 'player_glow',
@@ -678,6 +682,59 @@ const HEROES = {
   }
 };
 
+/**
+ * Build a secret hero on top of an existing one: sprites, animations, body and
+ * cosmetics are shared, so only the loadout, stats and name need declaring.
+ */
+function heroVariant(base, overrides) {
+  return {
+    ...base,
+    ...overrides,
+    stats: { ...base.stats, ...(overrides.stats ?? {}) },
+    ui: { ...base.ui, ...(overrides.ui ?? {}) }
+  };
+}
+
+// Hidden heroes with `unlockedBy` show as "???" cards in HeroSelectScene until
+// the AchievementRegistry entry is earned.
+HEROES.templar = heroVariant(HEROES.sirsmite, {
+  key: 'templar',
+  hidden: true,
+  unlockedBy: 'smiteCrusade',
+  progression: {
+    3: ['holyhammer'],
+    8: ['magicpotion'],
+    15: ['sword'],
+    22: ['bow']
+  },
+  weapons: {
+    allowed: ['smite', 'holyhammer', 'sword', 'magicpotion', 'bow'],
+    starter: ['smite'],
+    starterlabel: 'Smite'
+  },
+  stats: { speed: 95, maxHealth: 260 },
+  ui: { name: 'Templar', blurb: 'Sir Smite, five thousand kills later.' }
+});
+
+HEROES.archmage = heroVariant(HEROES.wizard, {
+  key: 'archmage',
+  hidden: true,
+  unlockedBy: 'moonslayer',
+  progression: {
+    3: ['sparkcross'],
+    8: ['fireblast'],
+    15: ['lifeeraser'],
+    22: ['vanquish']
+  },
+  weapons: {
+    allowed: ['chainlightning', 'sparkcross', 'fireblast', 'lifeeraser', 'vanquish', 'staff'],
+    starter: ['chainlightning'],
+    starterlabel: 'Chain Lightning'
+  },
+  stats: { speed: 120, maxHealth: 120 },
+  ui: { name: 'Archmage', blurb: 'Saw the werewolf fall at dawn.' }
+});
+
 export const HeroRegistry = HEROES;
 
 /**
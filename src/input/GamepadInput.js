@@ -0,0 +1,189 @@
+import Phaser from 'phaser';
+import { CONFIG } from '../config/gameConfig.js';
+
+// Standard-mapping button indices (Xbox labels; PlayStation/Switch pads report
+// the same positions through the browser Gamepad API).
+export const GAMEPAD_BUTTONS = Object.freeze({
+  A: 0,
+  B: 1,
+  X: 2,
+  Y: 3,
+  LB: 4,
+  RB: 5,
+  SELECT: 8,
+  START: 9,
+  DPAD_UP: 12,
+  DPAD_DOWN: 13,
+  DPAD_LEFT: 14,
+  DPAD_RIGHT: 15
+});
+
+// Semantic action emitted for each face/shoulder button. D-pad presses are
+// folded into the up/down/left/right navigation events instead.
+const BUTTON_ACTIONS = Object.freeze({
+  [GAMEPAD_BUTTONS.A]: 'confirm',
+  [GAMEPAD_BUTTONS.B]: 'back',
+  [GAMEPAD_BUTTONS.X]: 'action1',
+  [GAMEPAD_BUTTONS.Y]: 'action2',
+  [GAMEPAD_BUTTONS.LB]: 'prevTab',
+  [GAMEPAD_BUTTONS.RB]: 'nextTab',
+  [GAMEPAD_BUTTONS.SELECT]: 'select',
+  [GAMEPAD_BUTTONS.START]: 'pause'
+});
+
+const ZERO_VECTOR = Object.freeze({ x: 0, y: 0 });
+
+/**
+ * GamepadInput
+ *
+ * Per-scene wrapper around Phaser's gamepad plugin. Gameplay reads
+ * `getMoveVector()` for analog movement; menus subscribe to semantic events
+ * instead of raw buttons:
+ *  • confirm / back / action1 / action2 / select / pause / prevTab / nextTab
+ *  • up / down / left / right — d-pad or left stick, repeated while held
+ *
+ * Use getGamepadInput(scene) rather than constructing one directly so every
+ * overlay in a scene shares the same instance; it is destroyed with the scene.
+ */
+export class GamepadInput extends Phaser.Events.EventEmitter {
+  constructor(scene) {
+    super();
+    this.scene = scene;
+    this.plugin = scene?.input?.gamepad ?? null;
+
+    this._navDirection = null;
+    this._navRepeatAt = 0;
+
+    this._onButtonDown = (pad, button) => {
+      const action = BUTTON_ACTIONS[button?.index];
+      if (action) this.emit(action, { pad });
+    };
+
+    this._onUpdate = (time) => this._pollNavigation(time);
+
+    this.plugin?.on?.('down', this._onButtonDown);
+    scene?.events?.on?.('update', this._onUpdate);
+  }
+
+  /** True when at least one controller is connected. */
+  isConnected() {
+    return this._getPads().length > 0;
+  }
+
+  /**
+   * Left-stick movement with a radial deadzone, rescaled so the first step
+   * past the deadzone starts from zero. Falls back to the d-pad.
+   * @returns {{x:number, y:number}} vector with length ≤ 1
+   */
+  getMoveVector() {
+    const deadzone = Phaser.Math.Clamp(CONFIG.INPUT?.gamepadDeadzone ?? 0.2, 0, 0.95);
+
+    for (const pad of this._getPads()) {
+      const x = pad.leftStick?.x ?? 0;
+      const y = pad.leftStick?.y ?? 0;
+      const magnitude = Math.hypot(x, y);
+      if (magnitude > deadzone) {
+        const scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+        return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+      }
+
+      const dx = (pad.right ? 1 : 0) - (pad.left ? 1 : 0);
+      const dy = (pad.down ? 1 : 0) - (pad.up ? 1 : 0);
+      if (dx || dy) {
+        const length = Math.hypot(dx, dy);
+        return { x: dx / length, y: dy / length };
+      }
+    }
+
+    return ZERO_VECTOR;
+  }
+
+  destroy() {
+    this.plugin?.off?.('down', this._onButtonDown);
+    this.scene?.events?.off?.('update', this._onUpdate);
+    this.removeAllListeners();
+
+    this._onButtonDown = null;
+    this._onUpdate = null;
+    this.plugin = null;
+    this.scene = null;
+  }
+
+  /** Connected pads in slot order. */
+  _getPads() {
+    const pads = this.plugin?.gamepads ?? [];
+    return pads.filter((pad) => pad?.connected);
+  }
+
+  /** Current held navigation direction from the d-pad or left stick. */
+  _readNavDirection() {
+    const threshold = CONFIG.INPUT?.navThreshold ?? 0.5;
+
+    for (const pad of this._getPads()) {
+      if (pad.up) return 'up';
+      if (pad.down) return 'down';
+      if (pad.left) return 'left';
+      if (pad.right) return 'right';
+
+      const x = pad.leftStick?.x ?? 0;
+      const y = pad.leftStick?.y ?? 0;
+      if (Math.max(Math.abs(x), Math.abs(y)) < threshold) continue;
+      if (Math.abs(x) > Math.abs(y)) return x < 0 ? 'left' : 'right';
+      return y < 0 ? 'up' : 'down';
+    }
+
+    return null;
+  }
+
+  /** Emit a navigation event on press, then again on a repeat cadence while held. */
+  _pollNavigation(time) {
+    const direction = this._readNavDirection();
+
+    if (direction !== this._navDirection) {
+      this._navDirection = direction;
+      if (!direction) return;
+      this._navRepeatAt = time + (CONFIG.INPUT?.navRepeatDelayMs ?? 350);
+      this.emit(direction, { repeat: false });
+      return;
+    }
+
+    if (direction && time >= this._navRepeatAt) {
+      this._navRepeatAt = time + (CONFIG.INPUT?.navRepeatMs ?? 140);
+      this.emit(direction, { repeat: true });
+    }
+  }
+}
+
+/**
+ * Shared GamepadInput for a scene, created on first use and destroyed when
+ * the scene shuts down.
+ */
+export function getGamepadInput(scene) {
+  if (!scene) return null;
+  if (scene.gamepadInput) return scene.gamepadInput;
+
+  const gamepadInput = new GamepadInput(scene);
+  scene.gamepadInput = gamepadInput;
+  scene.events?.once?.(Phaser.Scenes.Events.SHUTDOWN, () => {
+    gamepadInput.destroy();
+    if (scene.gamepadInput === gamepadInput) scene.gamepadInput = null;
+  });
+  return gamepadInput;
+}
+
+/**
+ * Subscribe `handlers` (action → function) to the scene's gamepad events.
+ * @returns {Function} unbind callback; safe to call more than once
+ */
+export function bindGamepad(scene, handlers = {}) {
+  const gamepadInput = getGamepadInput(scene);
+  if (!gamepadInput) return () => {};
+
+  const entries = Object.entries(handlers).filter(([, handler]) => typeof handler === 'function');
+  entries.forEach(([action, handler]) => gamepadInput.on(action, handler));
+
+  return () => {
+    entries.forEach(([action, handler]) => gamepadInput.off(action, handler));
+    entries.length = 0;
+  };
+}
@@ -0,0 +1,256 @@
+import Phaser from 'phaser';
+
+// Key used to store/retrieve keyboard bindings (sits next to NOTBM:audio).
+const STORAGE_KEY = 'NOTBM:input';
+
+// Each action holds at most this many keys (primary + alternate).
+export const MAX_KEYS_PER_ACTION = 2;
+
+const KeyCodes = Phaser.Input.Keyboard.KeyCodes;
+
+/**
+ * Every rebindable keyboard action. Keys are Phaser KeyCodes names so they
+ * serialise cleanly; `defaults` reproduce the original hardcoded layout.
+ * Menu shortcuts are actions too, so the same key may serve different
+ * actions in different scenes (R rerolls in the level-up modal, retries on
+ * the end-run menu). Only the held-key debug weapon cheats stay local.
+ */
+export const INPUT_ACTIONS = Object.freeze({
+  moveUp: { label: 'Move Up', defaults: ['W', 'UP'] },
+  moveDown: { label: 'Move Down', defaults: ['S', 'DOWN'] },
+  moveLeft: { label: 'Move Left', defaults: ['A', 'LEFT'] },
+  moveRight: { label: 'Move Right', defaults: ['D', 'RIGHT'] },
+  pause: { label: 'Pause', defaults: ['ESC', 'P'] },
+  confirm: { label: 'Confirm', defaults: ['ENTER', 'SPACE'] },
+  back: { label: 'Back', defaults: ['ESC'] },
+  choice1: { label: 'Choice 1', defaults: ['ONE'] },
+  choice2: { label: 'Choice 2', defaults: ['TWO'] },
+  choice3: { label: 'Choice 3', defaults: ['THREE'] },
+  choice4: { label: 'Choice 4', defaults: ['FOUR'] },
+  reroll: { label: 'Reroll', defaults: ['R'] },
+  banish: { label: 'Banish', defaults: ['X'] },
+  skip: { label: 'Skip', defaults: ['K'] },
+  toggleDebug: { label: 'Toggle Debug', defaults: ['F3', 'BACKTICK'] },
+  toggleMapDebug: { label: 'Map Debug', defaults: ['B'] },
+  retry: { label: 'Retry', defaults: ['R'] },
+  mainMenu: { label: 'Main Menu', defaults: ['M'] },
+  exportReplay: { label: 'Export Replay', defaults: ['E'] },
+  openHowToPlay: { label: 'How to Play', defaults: ['H'] },
+  openUpgrades: { label: 'Upgrades', defaults: ['U'] },
+  // Not A: that is Move Left.
+  openAbout: { label: 'About', defaults: ['I'] },
+  watchReplay: { label: 'Watch Replay', defaults: ['R'] },
+});
+
+// Short on-screen names for KeyCodes that read poorly as-is.
+const KEY_LABELS = {
+  ESC: 'Esc',
+  ENTER: 'Enter',
+  SPACE: 'Space',
+  BACKSPACE: 'Bksp',
+  TAB: 'Tab',
+  SHIFT: 'Shift',
+  CTRL: 'Ctrl',
+  ALT: 'Alt',
+  UP: '↑',
+  DOWN: '↓',
+  LEFT: '←',
+  RIGHT: '→',
+  BACKTICK: '`',
+  ZERO: '0',
+  ONE: '1',
+  TWO: '2',
+  THREE: '3',
+  FOUR: '4',
+  FIVE: '5',
+  SIX: '6',
+  SEVEN: '7',
+  EIGHT: '8',
+  NINE: '9'
+};
+
+// keyCode → KeyCodes name (first name wins for aliased codes).
+const KEY_NAMES_BY_CODE = Object.entries(KeyCodes).reduce((map, [name, code]) => {
+  if (!map.has(code)) map.set(code, name);
+  return map;
+}, new Map());
+
+let cachedBindings = null;
+let captureActive = false;
+
+/** Fresh copy of the default layout. */
+function createDefaultBindings() {
+  return Object.fromEntries(
+    Object.entries(INPUT_ACTIONS).map(([action, entry]) => [action, entry.defaults.slice()])
+  );
+}
+
+/**
+ * Coerce stored data into a full binding map. Unknown actions and key names
+ * are dropped; actions missing from the save keep their defaults.
+ */
+function normalizeBindings(data) {
+  const bindings = createDefaultBindings();
+  if (!data || typeof data !== 'object') return bindings;
+
+  Object.keys(bindings).forEach((action) => {
+    if (!Array.isArray(data[action])) return;
+    bindings[action] = data[action]
+      .filter((name) => typeof name === 'string' && KeyCodes[name] != null)
+      .slice(0, MAX_KEYS_PER_ACTION);
+  });
+
+  return bindings;
+}
+
+/**
+ * Persistent keyboard bindings. Reads are cached because the binding map is
+ * consulted on every keydown; writes refresh the cache.
+ */
+export class InputBindingsStore {
+  /** Current bindings as `{ action: [keyName, ...] }`. */
+  static load() {
+    if (cachedBindings) return cachedBindings;
+    if (typeof window === 'undefined' || !window.localStorage) {
+      cachedBindings = createDefaultBindings();
+      return cachedBindings;
+    }
+
+    try {
+      const raw = window.localStorage.getItem(STORAGE_KEY);
+      cachedBindings = normalizeBindings(raw ? JSON.parse(raw) : null);
+    } catch (err) {
+      console.warn('[InputBindingsStore] Failed to parse stored bindings', err);
+      cachedBindings = createDefaultBindings();
+    }
+    return cachedBindings;
+  }
+
+  /** Persist bindings. Storage failures (quota, private mode) only warn. */
+  static save(bindings) {
+    cachedBindings = normalizeBindings(bindings);
+    if (typeof window === 'undefined' || !window.localStorage) return;
+
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(cachedBindings));
+    } catch (err) {
+      console.warn('[InputBindingsStore] Failed to persist bindings', err);
+    }
+  }
+
+  /** Key names bound to `action` (empty for unknown actions). */
+  static getKeys(action) {
+    return this.load()[action] ?? [];
+  }
+
+  /**
+   * Bind `keyName` into `slot` of `action`; a null key clears the slot.
+   * Returns the updated bindings, or null when the request is invalid.
+   */
+  static setKey(action, slot, keyName) {
+    if (!INPUT_ACTIONS[action] || slot < 0 || slot >= MAX_KEYS_PER_ACTION) return null;
+    if (keyName != null && KeyCodes[keyName] == null) return null;
+
+    const bindings = normalizeBindings(this.load());
+    const keys = bindings[action].slice();
+    if (keyName == null) {
+      keys.splice(slot, 1);
+    } else {
+      // Rebinding to a key the action already has just moves it into place.
+      const existing = keys.indexOf(keyName);
+      if (existing >= 0) keys.splice(existing, 1);
+      keys.splice(Math.min(slot, keys.length), 0, keyName);
+    }
+    bindings[action] = keys.slice(0, MAX_KEYS_PER_ACTION);
+
+    this.save(bindings);
+    return bindings;
+  }
+
+  /** Restore and persist the default layout. */
+  static resetDefaults() {
+    this.save(createDefaultBindings());
+    return this.load();
+  }
+}
+
+/** KeyCodes name for a keyboard event, or null for keys Phaser does not know. */
+export function getKeyName(event) {
+  return KEY_NAMES_BY_CODE.get(event?.keyCode) ?? null;
+}
+
+/** Display label for a KeyCodes name. */
+export function formatKeyName(keyName) {
+  if (!keyName) return '—';
+  if (KEY_LABELS[keyName]) return KEY_LABELS[keyName];
+  if (keyName.startsWith('NUMPAD_')) return `Num ${formatKeyName(keyName.slice(7))}`;
+  return keyName.length === 1 ? keyName : keyName.charAt(0) + keyName.slice(1).toLowerCase();
+}
+
+/** Primary key label for prompts such as "Back (Esc)". */
+export function describeAction(action) {
+  return formatKeyName(InputBindingsStore.getKeys(action)[0]);
+}
+
+/** True when the keyboard event is bound to `action`. */
+export function matchesAction(event, action) {
+  const code = event?.keyCode;
+  if (code == null) return false;
+  return InputBindingsStore.getKeys(action).some((name) => KeyCodes[name] === code);
+}
+
+/** True while any key bound to `action` is held (keys are added lazily). */
+export function isActionDown(scene, action) {
+  const keyboard = scene?.input?.keyboard;
+  if (!keyboard) return false;
+  return InputBindingsStore.getKeys(action).some((name) => keyboard.addKey(name)?.isDown);
+}
+
+/**
+ * Route keydown events to `handlers` (action → function). Bindings are looked
+ * up per event, so rebinding takes effect without re-subscribing. A handler
+ * mapped to several actions runs once per keypress.
+ * @returns {Function} unbind callback; safe to call more than once
+ */
+export function bindInputActions(scene, handlers = {}) {
+  const keyboard = scene?.input?.keyboard;
+  if (!keyboard) return () => {};
+
+  const entries = Object.entries(handlers).filter(([, handler]) => typeof handler === 'function');
+  const onKeyDown = (event) => {
+    if (captureActive) return;
+    const fired = new Set();
+    entries.forEach(([action, handler]) => {
+      if (fired.has(handler) || !matchesAction(event, action)) return;
+      fired.add(handler);
+      handler(event);
+    });
+  };
+
+  keyboard.on('keydown', onKeyDown);
+  return () => keyboard.off('keydown', onKeyDown);
+}
+
+/**
+ * Hand the next keypress to `onKey(keyName, event)` (used by the rebinding
+ * page). Action listeners ignore that keypress. Returns a cancel callback.
+ */
+export function captureNextKey(scene, onKey) {
+  const keyboard = scene?.input?.keyboard;
+  if (!keyboard) return () => {};
+
+  const cancel = () => {
+    keyboard.off('keydown', onKeyDown);
+    captureActive = false;
+  };
+  const onKeyDown = (event) => {
+    const keyName = getKeyName(event);
+    if (!keyName) return;
+    cancel();
+    onKey?.(keyName, event);
+  };
+
+  captureActive = true;
+  keyboard.on('keydown', onKeyDown);
+  return cancel;
+}
@@ -12,6 +12,7 @@ function formatMapName(key) {
 }
 
 // Registry of map configs; bounded entries include tilemap/collision metadata.
+// `music` picks MusicRegistry tracks for the run (see resolveMapMusic).
 export const MapRegistry = {
   endless_default: {
     type: 'infinite',
@@ -21,6 +22,10 @@ export const MapRegistry = {
     ground: {
       textureKey: 'ground',
     },
+    music: {
+      track: 'night',
+      boss: 'boss',
+    },
     ui: {
       name: 'Blood Mire',
       blurb: 'A familiar endless stretch of grass. Survive the night.',
@@ -39,11 +44,18 @@ export const MapRegistry = {
   endless_blood: {
     type: 'infinite',
     order: 2,
+    // Hidden maps with `unlockedBy` appear as secret locked cards until the
+    // AchievementRegistry entry is earned.
     hidden: true,
+    unlockedBy: 'bloodHarvest',
     spawnTimelineKey: 'default',
     ground: {
       textureKey: 'ground',
     },
+    music: {
+      track: 'night',
+      boss: 'boss',
+    },
     ui: {
       name: 'Blood Mire',
       blurb: 'A corrupted field stained crimson. Endless waves await.',
@@ -63,10 +75,15 @@ export const MapRegistry = {
     type: 'infinite',
     order: 3,
     hidden: true,
+    unlockedBy: 'graveyardSurvivor',
     spawnTimelineKey: 'default',
     ground: {
       textureKey: 'ground',
     },
+    music: {
+      track: 'night',
+      boss: 'boss',
+    },
     ui: {
       name: 'Graveyard Drift',
       blurb: 'An endless drift among the resting dead.',
@@ -88,6 +105,12 @@ export const MapRegistry = {
     order: 4,
     hidden: false,
     spawnTimelineKey: 'bounded_graveyard',
+    // Smaller arena: the crowd layer should come in with fewer enemies.
+    music: {
+      track: 'night',
+      boss: 'boss',
+      intensity: { fullAtEnemies: 150 },
+    },
     ui: {
       name: 'Graveyard',
       blurb: 'A fixed graveyard with winding paths and tight corners.',
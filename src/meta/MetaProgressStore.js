@@ -0,0 +1,126 @@
+import { CONFIG } from '../config/gameConfig.js';
+import { MetaUpgradeRegistry, clampMetaRank, getNextRankCost } from './MetaUpgradeRegistry.js';
+
+// Key used to store/retrieve meta-progression (currency + purchased ranks).
+const STORAGE_KEY = 'NOTBM:meta';
+
+/** Fresh progress object used when nothing is stored yet. */
+function createEmptyProgress() {
+  return { currency: 0, lifetimeEarned: 0, upgrades: {} };
+}
+
+/**
+ * Coerce stored data into a valid progress object. Unknown upgrade keys are
+ * dropped and ranks are clamped so registry rebalances never break saves.
+ */
+function normalizeProgress(data) {
+  const progress = createEmptyProgress();
+  if (!data || typeof data !== 'object') return progress;
+
+  progress.currency = Math.max(0, Math.floor(Number(data.currency) || 0));
+  progress.lifetimeEarned = Math.max(0, Math.floor(Number(data.lifetimeEarned) || 0));
+
+  Object.entries(data.upgrades ?? {}).forEach(([key, rank]) => {
+    if (!MetaUpgradeRegistry[key]) return;
+    const clamped = clampMetaRank(key, rank);
+    if (clamped > 0) progress.upgrades[key] = clamped;
+  });
+
+  return progress;
+}
+
+/**
+ * Currency earned for a finished run, derived from a RunStatsTracker snapshot
+ * (`timeSurvivedSeconds`, `kills`, `damageDealt`). Tuned via `CONFIG.META`;
+ * `rewardMult` is the run modifiers' bonus (see RunModifiers). Gold coins
+ * (`goldCollected`) are added afterwards at `currencyPerGold` each, unscaled.
+ */
+export function computeRunReward(snapshot = {}, { outcome = null, rewardMult = 1 } = {}) {
+  const tuning = CONFIG.META ?? {};
+  const seconds = Math.max(0, Number(snapshot?.timeSurvivedSeconds ?? snapshot?.timeSurvived) || 0);
+  const kills = Math.max(0, Number(snapshot?.kills) || 0);
+  const damage = Math.max(0, Number(snapshot?.damageDealt) || 0);
+
+  const per = (value, divisor) => (divisor > 0 ? value / divisor : 0);
+  let reward = per(seconds, tuning.secondsPerCurrency)
+    + per(kills, tuning.killsPerCurrency)
+    + per(damage, tuning.damagePerCurrency);
+
+  if (outcome === 'win') {
+    reward *= tuning.winMultiplier ?? 1;
+  }
+  if (Number.isFinite(rewardMult) && rewardMult > 0) {
+    reward *= rewardMult;
+  }
+
+  const gold = Math.max(0, Number(snapshot?.goldCollected) || 0);
+  reward += gold * (tuning.currencyPerGold ?? 1);
+
+  return Math.max(0, Math.floor(reward));
+}
+
+/**
+ * Persistent meta-progression. Every method reads and writes localStorage
+ * directly so the shop and GameScene never hold stale copies.
+ */
+export class MetaProgressStore {
+  /** Current progress; an empty profile when storage is missing or corrupt. */
+  static load() {
+    if (typeof window === 'undefined' || !window.localStorage) return createEmptyProgress();
+
+    try {
+      const raw = window.localStorage.getItem(STORAGE_KEY);
+      return normalizeProgress(raw ? JSON.parse(raw) : null);
+    } catch (err) {
+      console.warn('[MetaProgressStore] Failed to parse stored progress', err);
+      return createEmptyProgress();
+    }
+  }
+
+  /** Persist progress. Storage failures (quota, private mode) only warn. */
+  static save(progress) {
+    if (typeof window === 'undefined' || !window.localStorage) return;
+
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(normalizeProgress(progress)));
+    } catch (err) {
+      console.warn('[MetaProgressStore] Failed to persist progress', err);
+    }
+  }
+
+  /** Purchased ranks as `{ key: rank }`, e.g. for `computeMetaBonuses`. */
+  static getRanks() {
+    return { ...this.load().upgrades };
+  }
+
+  /** Add run earnings to the wallet and return the updated progress. */
+  static award(amount) {
+    const progress = this.load();
+    const value = Math.max(0, Math.floor(Number(amount) || 0));
+    if (value <= 0) return progress;
+
+    progress.currency += value;
+    progress.lifetimeEarned += value;
+    this.save(progress);
+    return progress;
+  }
+
+  /**
+   * Buy the next rank of an upgrade. Returns `{ ok, progress, reason? }` where
+   * reason is 'unknown' | 'maxed' | 'funds' when the purchase is refused.
+   */
+  static purchase(key) {
+    const progress = this.load();
+    if (!MetaUpgradeRegistry[key]) return { ok: false, progress, reason: 'unknown' };
+
+    const rank = progress.upgrades[key] ?? 0;
+    const cost = getNextRankCost(key, rank);
+    if (cost == null) return { ok: false, progress, reason: 'maxed' };
+    if (progress.currency < cost) return { ok: false, progress, reason: 'funds' };
+
+    progress.currency -= cost;
+    progress.upgrades[key] = rank + 1;
+    this.save(progress);
+    return { ok: true, progress };
+  }
+}
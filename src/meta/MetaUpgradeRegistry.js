@@ -0,0 +1,139 @@
+/**
+ * Permanent upgrades bought with meta-currency between runs.
+ *
+ * Each entry defines:
+ *  • maxRank – number of times the upgrade can be bought
+ *  • costs   – price of each rank (index 0 buys rank 1)
+ *  • effects – bonuses granted per rank, using the same keys as
+ *              PassiveRegistry `effects` so PassiveManager can fold them into
+ *              its aggregate (plus `maxHealthFlat` and the level-up
+ *              `rerollCharges` / `skipCharges`, which only meta upgrades grant)
+ *  • ui      – label + description for the upgrade shop
+ */
+export const MetaUpgradeRegistry = {
+  vitality: {
+    key: 'vitality',
+    maxRank: 5,
+    costs: [20, 40, 70, 110, 160],
+    effects: {
+      maxHealthFlat: 10
+    },
+    ui: {
+      name: 'Vitality',
+      description: '+10 max health per rank.'
+    }
+  },
+
+  swiftness: {
+    key: 'swiftness',
+    maxRank: 5,
+    costs: [25, 50, 85, 130, 190],
+    effects: {
+      moveSpeedPct: 0.03
+    },
+    ui: {
+      name: 'Swiftness',
+      description: '+3% move speed per rank.'
+    }
+  },
+
+  magnetism: {
+    key: 'magnetism',
+    maxRank: 5,
+    costs: [15, 30, 55, 90, 135],
+    effects: {
+      xpMagnetRadiusPct: 0.1
+    },
+    ui: {
+      name: 'Magnetism',
+      description: '+10% XP pickup range per rank.'
+    }
+  },
+
+  wrath: {
+    key: 'wrath',
+    maxRank: 5,
+    costs: [30, 60, 100, 150, 220],
+    effects: {
+      damagePct: 0.05
+    },
+    ui: {
+      name: 'Wrath',
+      description: '+5% damage per rank.'
+    }
+  },
+
+  warding: {
+    key: 'warding',
+    maxRank: 3,
+    costs: [40, 90, 160],
+    effects: {
+      iframeMsBonus: 50
+    },
+    ui: {
+      name: 'Warding',
+      description: '+50ms invulnerability after being hit per rank.'
+    }
+  },
+
+  fortune: {
+    key: 'fortune',
+    maxRank: 3,
+    costs: [50, 120, 250],
+    effects: {
+      rerollCharges: 1,
+      skipCharges: 1
+    },
+    ui: {
+      name: 'Fortune',
+      description: '+1 level-up reroll and skip per run per rank.'
+    }
+  }
+};
+
+/** Lookup helper so callers don't have to guard against unknown keys. */
+export function getMetaUpgrade(key) {
+  return MetaUpgradeRegistry[key] ?? null;
+}
+
+/** Ordered list of upgrades for the shop UI. */
+export function listMetaUpgrades() {
+  return Object.values(MetaUpgradeRegistry);
+}
+
+/** Clamp a stored rank to the upgrade's valid range (0 for unknown keys). */
+export function clampMetaRank(key, rank) {
+  const entry = getMetaUpgrade(key);
+  if (!entry) return 0;
+  const value = Math.floor(Number(rank) || 0);
+  return Math.max(0, Math.min(entry.maxRank ?? 0, value));
+}
+
+/** Price of the next rank, or `null` once the upgrade is maxed. */
+export function getNextRankCost(key, currentRank = 0) {
+  const entry = getMetaUpgrade(key);
+  if (!entry) return null;
+  const rank = clampMetaRank(key, currentRank);
+  if (rank >= (entry.maxRank ?? 0)) return null;
+  const cost = Number(entry.costs?.[rank]);
+  return Number.isFinite(cost) ? Math.max(0, cost) : null;
+}
+
+/**
+ * Sum the effects granted by a `{ key: rank }` map into a flat bonus object
+ * (e.g. `{ maxHealthFlat: 20, moveSpeedPct: 0.06 }`).
+ */
+export function computeMetaBonuses(ranks = {}) {
+  const bonuses = {};
+  Object.entries(ranks ?? {}).forEach(([key, rank]) => {
+    const entry = getMetaUpgrade(key);
+    const count = clampMetaRank(key, rank);
+    if (!entry || count <= 0) return;
+
+    Object.entries(entry.effects ?? {}).forEach(([effectKey, value]) => {
+      if (!Number.isFinite(value)) return;
+      bonuses[effectKey] = (bonuses[effectKey] ?? 0) + value * count;
+    });
+  });
+  return bonuses;
+}
@@ -10,6 +10,7 @@
  */
 
 import { resolveMobConfig } from './MobRegistry.js';
+import { scaleEnemyDamage } from './MobStatsFactory.js';
 import { EnemyProjectileWeaponController } from '../weapons/controllers/enemy/EnemyProjectileWeaponController.js';
 
 /**
@@ -91,6 +92,28 @@ function resolveEnemyAiParams(enemy) {
   };
 }
 
+/**
+ * Blend the crowd separation push (EnemyBehaviorSystem.crowd) into the
+ * velocity a seek behaviour just chose. The push is scaled by `speed` and the
+ * result never exceeds the faster of `speed` and the seek velocity, so
+ * crowds spread sideways instead of speeding up. Facing is left alone.
+ */
+function applyCrowdSeparation(enemy, scene, speed) {
+  const crowd = scene?.enemyAI?.crowd;
+  const vel = enemy?.body?.velocity;
+  if (!crowd || !vel || !(speed > 0)) return;
+
+  const push = crowd.getSeparation(enemy);
+  if (!push) return;
+
+  const vx = vel.x + push.x * speed;
+  const vy = vel.y + push.y * speed;
+  const maxSpeed = Math.max(speed, Math.hypot(vel.x, vel.y));
+  const length = Math.hypot(vx, vy);
+  const scale = length > maxSpeed ? maxSpeed / length : 1;
+  enemy.setVelocity(vx * scale, vy * scale);
+}
+
 function resolveEnemyBodySize(enemy) {
   const body = enemy?.body;
   const bodyWidth = Number.isFinite(body?.width) ? body.width : Number(enemy?.width) || 0;
@@ -395,6 +418,7 @@ export const ENEMY_BEHAVIORS = {
   debugStops: true,
   debugThrottleMs: 0, // no throttle while debugging
 });
+    applyCrowdSeparation(enemy, scene, speed);
 
   },
 
@@ -403,7 +427,7 @@ export const ENEMY_BEHAVIORS = {
    * Direct "seek the player" homing.
    * Very strong behavior (no inertia or smoothing).
    */
-  seekPlayer: (enemy, player, _scene, _dt) => {
+  seekPlayer: (enemy, player, scene, _dt) => {
     const dx = player.x - enemy.x;
     const dy = player.y - enemy.y;
     const dist = Math.hypot(dx, dy) || 1;
@@ -411,15 +435,18 @@ export const ENEMY_BEHAVIORS = {
     // --- Arrival radius (prevents pile-on jitter) -------------------
     // Tune this to ~ (heroRadius + enemyRadius)
     const STOP_DIST = 18;
+    const speed = enemy.speed || 60;
 
     if (dist <= STOP_DIST) {
       enemy.setVelocity(0, 0);
+      // Still spread out so arrivals ring the hero instead of stacking.
+      applyCrowdSeparation(enemy, scene, speed);
       return;
     }
 
-    const speed = enemy.speed || 60;
     enemy.setVelocity((dx / dist) * speed, (dy / dist) * speed);
     enemy.setFlipX(dx < 0); // left/right for single-direction sheets
+    applyCrowdSeparation(enemy, scene, speed);
   },
 
   /**
@@ -680,6 +707,7 @@ export const ENEMY_BEHAVIORS = {
         range: Number.isFinite(params.attackRange) ? params.attackRange : Infinity,
         salvo: Number.isFinite(params.salvo) ? params.salvo : 1,
         spreadDeg: Number.isFinite(params.spreadDeg) ? params.spreadDeg : 0,
+        pattern: params.attackPatterns ?? params.attackPattern ?? null,
         aimMode: 'atTarget'
       });
     }
@@ -720,10 +748,10 @@ export const ENEMY_BEHAVIORS = {
 
     // 🔑 Damage now prefers AI override, then mob stats.damage, then fallback
     const statsDamage = Number.isFinite(mobConfig?.stats?.damage) ? mobConfig.stats.damage : null;
-    const meleeDamage =
+    const meleeDamage = scaleEnemyDamage(scene,
       Number.isFinite(params.meleeDamage) ? params.meleeDamage :
       statsDamage != null ? statsDamage :
-      2;
+      2);
 
     const attackCooldown = Number.isFinite(params.attackCooldownMs) ? params.attackCooldownMs : 1200;
     const windupMs = Number.isFinite(params.windupMs) ? params.windupMs : 0;
@@ -775,6 +803,7 @@ export const ENEMY_BEHAVIORS = {
         enemy.setVelocity((dx / denom) * speed, (dy / denom) * speed);
         enemy.setFlipX(dx < 0);
       }
+      applyCrowdSeparation(enemy, scene, speed);
       ensureMoveAnim();
       return;
     }
@@ -786,8 +815,11 @@ export const ENEMY_BEHAVIORS = {
     }
     ensureIdleAnim();
 
-    // Still recovering from prior attack → wait.
-    if (now < (enemy._bossNextAttack ?? 0)) return;
+    // Still recovering from prior attack → wait (shuffling apart from the pack).
+    if (now < (enemy._bossNextAttack ?? 0)) {
+      applyCrowdSeparation(enemy, scene, speed);
+      return;
+    }
 
     // Begin attack sequence.
     enemy._isAttacking = true;
@@ -944,6 +976,7 @@ export const ENEMY_BEHAVIORS = {
       }
       ensureIdleAnim();
     }
+    applyCrowdSeparation(enemy, scene, speed);
 
     // --------- Ranged weapon setup + firing ----------
     if (!enemy._rangedWeapon && scene?.enemyProjectiles) {
@@ -955,6 +988,7 @@ export const ENEMY_BEHAVIORS = {
         range: Number.isFinite(params.attackRange) ? params.attackRange : Infinity,
         salvo: Number.isFinite(params.salvo) ? params.salvo : 1,
         spreadDeg: Number.isFinite(params.spreadDeg) ? params.spreadDeg : 0,
+        pattern: params.attackPatterns ?? params.attackPattern ?? null,
         aimMode: 'atTarget'
       });
     }
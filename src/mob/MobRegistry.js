@@ -14,6 +14,13 @@
  *  • Base stats (speed / hp / etc.)
  *  • Rewards (XP, drops)
  *  • AI behavior key → resolved in ENEMY_BEHAVIORS
+ *  • Optional crowd `separation` ({ radius, weight }) → see resolveMobSeparation
+ *  • Optional `groundAttack`: telegraphed danger zone dropped on the hero on a
+ *    cooldown → see resolveMobGroundAttack and DangerZoneSystem
+ *  • Optional `boss` block: HP-threshold phases cycling named attacks
+ *    (charge, reposition, projectile, pattern, summon, slam, dangerZone) → see resolveBossBehavior
+ *    and BossAttackTypes. Bosses spawned by an encounter get the controller;
+ *    `attach: 'always'` gives it to every spawn of the mob.
  */
 export const MobRegistry = {
   evileye: {
@@ -85,6 +92,12 @@ export const MobRegistry = {
      * Defines how this mob moves/acts every tick.
      */
     ai: 'seekPlayer',
+
+    /**
+     * Crowd spacing for seek behaviours: neighbours closer than `radius` px
+     * push each other apart, scaled by `weight` (0 = never gives way).
+     */
+    separation: { radius: 14, weight: 1 },
   },
 
   littlescary: {
@@ -131,6 +144,8 @@ export const MobRegistry = {
     },
 
     ai: 'seekPlayer',
+
+    separation: { radius: 14, weight: 1 },
   },
 
   spookybat: {
@@ -234,6 +249,9 @@ export const MobRegistry = {
 
     /** Moves toward player unless overridden by spawner (e.g., wallLine). */
     ai: 'seekPlayer',
+
+    /** Heavier crawlers shove fodder aside more than they get shoved. */
+    separation: { radius: 15, weight: 0.7 },
   },
 
   cocodemon_elite: {
@@ -326,6 +344,18 @@ export const MobRegistry = {
       windupMs: 120,
       lungeSpeed: 220,
     },
+
+    // Tail sweep: a strip from the elite toward the hero.
+    groundAttack: {
+      shape: 'line',
+      cooldownMs: 6000,
+      range: 240,
+      length: 240,
+      width: 48,
+      windupMs: 900,
+      damage: 20,
+      color: 0xff8a3b,
+    },
   },
 
   nightman_elite: {
@@ -1251,6 +1281,27 @@ export const MobRegistry = {
       windupMs: 140,
       lungeSpeed: 260,
     },
+
+    // Encounter-only: charges and slams; calls skeletons once enraged.
+    boss: {
+      phases: [
+        { id: 'hunt', hpPct: 1, attacks: ['charge', 'stalk', 'quake', 'slam'] },
+        {
+          id: 'wrath',
+          hpPct: 0.5,
+          speedMult: 1.2,
+          onEnter: 'summon',
+          attacks: ['charge', 'quake', 'slam', 'charge', 'summon'],
+        },
+      ],
+      attacks: {
+        quake: { type: 'dangerZone', count: 4, intervalMs: 300, radius: 80, damage: 35, leadMs: 300 },
+        charge: { type: 'charge', speed: 560, windupMs: 550, hitRadius: 60, hitDamage: 40 },
+        stalk: { type: 'reposition', speed: 140, durationMs: 1500 },
+        slam: { type: 'slam', windupMs: 900, radius: 140, damage: 50 },
+        summon: { type: 'summon', mobKey: 'crawlybones', count: 6, radius: 100 },
+      },
+    },
   },
 
   bringerofdeath_boss: {
@@ -1370,6 +1421,17 @@ export const MobRegistry = {
       windupMs: 110,
       lungeSpeed: 250,
     },
+
+    // Calls a spell down where the hero is heading; keep moving to dodge it.
+    groundAttack: {
+      cooldownMs: 4200,
+      range: 420,
+      radius: 64,
+      windupMs: 1100,
+      damage: 30,
+      leadMs: 400,
+      color: 0xb05cff,
+    },
   },
 
   evilwizard_boss: {
@@ -1511,6 +1573,31 @@ export const MobRegistry = {
       },
       salvo: 1,
       spreadDeg: 0,
+      // Cycled per attack; falls back to the single shot above at the pattern cap.
+      attackPatterns: ['wizardFan', 'wizardHoming'],
+    },
+
+    // Encounter-only: keeps its distance, casts bullet patterns and summons bats.
+    boss: {
+      phases: [
+        { id: 'empowered', hpPct: 1, attacks: ['blink', 'fan', 'blink', 'ring', 'blink', 'barrage'] },
+        {
+          id: 'desperate',
+          hpPct: 0.33,
+          speedMult: 1.25,
+          onEnter: 'summon',
+          attacks: ['blink', 'spiral', 'summon', 'blink', 'homing', 'blink', 'ring'],
+        },
+      ],
+      attacks: {
+        blink: { type: 'reposition', speed: 260, durationMs: 900, margin: 96 },
+        fan: { type: 'pattern', pattern: 'wizardFan' },
+        ring: { type: 'pattern', pattern: 'wizardRing' },
+        spiral: { type: 'pattern', pattern: 'wizardSpiral', recoveryMs: 500 },
+        homing: { type: 'pattern', pattern: 'wizardHoming' },
+        barrage: { type: 'projectile', shots: 12, intervalMs: 120 },
+        summon: { type: 'summon', mobKey: 'spookybat', count: 10, radius: 140 },
+      },
     },
   },
 
@@ -1651,7 +1738,9 @@ export const MobRegistry = {
       },
       attackRange: 520,
       salvo: 1,
-      spreadDeg: 0
+      spreadDeg: 0,
+      // Cycled per attack; falls back to the single shot above at the pattern cap.
+      attackPatterns: ['darkBurst', 'darkRing', 'darkSpiral'],
     },
   },
 
@@ -1767,6 +1856,29 @@ export const MobRegistry = {
       salvo: 1,
       spreadDeg: 0,
     },
+
+    // Charge → patrol → fireblast barrage; below half HP it slams, rakes the ground, fans and calls eyes.
+    boss: {
+      phases: [
+        { id: 'hunt', hpPct: 1, attacks: ['charge', 'patrol', 'barrage'] },
+        {
+          id: 'frenzy',
+          hpPct: 0.5,
+          speedMult: 1.15,
+          onEnter: 'slam',
+          attacks: ['charge', 'slam', 'patrol', 'claws', 'fan', 'charge', 'summon'],
+        },
+      ],
+      attacks: {
+        claws: { type: 'dangerZone', count: 5, intervalMs: 220, radius: 70, windupMs: 850, damage: 30, scatter: 110 },
+        charge: { type: 'charge', speed: 700, windupMs: 450, hitRadius: 70, hitDamage: 30 },
+        patrol: { type: 'reposition', speed: 160, durationMs: 1200 },
+        barrage: { type: 'projectile', shots: 20, intervalMs: 90 },
+        fan: { type: 'projectile', shots: 3, intervalMs: 450, salvo: 9, spreadDeg: 120 },
+        slam: { type: 'slam', windupMs: 800, radius: 170, damage: 40 },
+        summon: { type: 'summon', mobKey: 'evileye', count: 8, radius: 120 },
+      },
+    },
   }
 };
 
@@ -1783,11 +1895,11 @@ export const DefaultMobSpawnTable = [
  * Weighted selection helper (used by the *old* SpawnSystem).
  * Modern SpawnDirector uses weightedPick in spawn/utils.js instead.
  */
-export function pickMobKey(table = DefaultMobSpawnTable) {
+export function pickMobKey(table = DefaultMobSpawnTable, rng = Math.random) {
   const totalWeight = table.reduce((sum, entry) => sum + (entry.weight ?? 0), 0);
   if (totalWeight <= 0) return 'evileye';
 
-  const roll = Math.random() * totalWeight;
+  const roll = rng() * totalWeight;
   let accum = 0;
 
   for (const entry of table) {
@@ -1856,6 +1968,76 @@ export function resolveMobConfig(mobKey) {
   return MobRegistry[mobKey] ?? MobRegistry.evileye;
 }
 
+/**
+ * Crowd separation weight per tier when a mob has no `separation.weight`.
+ * Bosses hold their ground; elites give way half as much as fodder.
+ */
+export const DEFAULT_MOB_SEPARATION_WEIGHTS = {
+  normal: 1,
+  elite: 0.5,
+  boss: 0,
+};
+
+// Gap (px) added to the body-derived default radius.
+const SEPARATION_RADIUS_PAD = 2;
+
+const separationCache = new Map();
+
+/**
+ * Resolve `{ radius, weight }` for crowd separation (see CrowdSeparation).
+ * Without an explicit radius, neighbours settle roughly shoulder to shoulder:
+ * twice the body's half-extent (scaled) plus a small pad.
+ */
+export function resolveMobSeparation(mobKey) {
+  const cached = separationCache.get(mobKey);
+  if (cached) return cached;
+
+  const config = resolveMobConfig(mobKey);
+  const declared = config?.separation ?? {};
+  const scale = Number.isFinite(config?.scale) ? config.scale : 1;
+  const defaultRadius = getBodySpawnBuffer(config?.body) * scale * 2 + SEPARATION_RADIUS_PAD;
+  const defaultWeight = DEFAULT_MOB_SEPARATION_WEIGHTS[config?.tier] ?? DEFAULT_MOB_SEPARATION_WEIGHTS.normal;
+
+  const resolved = Object.freeze({
+    radius: Math.max(0, Number.isFinite(declared.radius) ? declared.radius : defaultRadius),
+    weight: Math.max(0, Number.isFinite(declared.weight) ? declared.weight : defaultWeight),
+  });
+  separationCache.set(mobKey, resolved);
+  return resolved;
+}
+
+/**
+ * Defaults for a mob `groundAttack` block: every `cooldownMs` while the hero is
+ * within `range`, drop a telegraphed DangerZoneSystem zone on the hero (circle,
+ * optionally led by `leadMs` of hero movement) or a `line` strip from the mob
+ * toward the hero.
+ */
+export const DEFAULT_MOB_GROUND_ATTACK = {
+  shape: 'circle',
+  cooldownMs: 5000,
+  initialDelayMs: 1500,
+  range: 380,
+  radius: 70,
+  length: 260,
+  width: 56,
+  windupMs: 1000,
+  damage: 20,
+  leadMs: 0,
+  color: 0xff3b3b,
+};
+
+const groundAttackCache = new Map();
+
+/** Resolve a mob's `groundAttack` block over DEFAULT_MOB_GROUND_ATTACK, or null when it has none. */
+export function resolveMobGroundAttack(mobKey) {
+  if (groundAttackCache.has(mobKey)) return groundAttackCache.get(mobKey);
+
+  const declared = resolveMobConfig(mobKey)?.groundAttack ?? null;
+  const resolved = declared ? Object.freeze({ ...DEFAULT_MOB_GROUND_ATTACK, ...declared }) : null;
+  groundAttackCache.set(mobKey, resolved);
+  return resolved;
+}
+
 export const DEFAULT_MOB_COLLISION_FLAGS = {
   worldBounds: true,
   mapLayers: true,
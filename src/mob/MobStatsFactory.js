@@ -61,3 +61,13 @@ export function resolveMobStats({ scene, mobKey, config, overrides = {} }) {
 
   return stats;
 }
+
+/**
+ * Apply `scene.combatTuning.damageMult` to enemy damage that does not come
+ * from resolved mob stats: projectiles, danger zones, melee params and boss attacks.
+ */
+export function scaleEnemyDamage(scene, damage) {
+  const mult = Number(scene?.combatTuning?.damageMult ?? 1);
+  if (!Number.isFinite(damage) || !Number.isFinite(mult)) return damage;
+  return damage * mult;
+}
@@ -0,0 +1,390 @@
+import { getRunStream, RNG_STREAMS } from '../../core/RunRng.js';
+import { EnemyProjectileWeaponController } from '../../weapons/controllers/enemy/EnemyProjectileWeaponController.js';
+import { resolveMobConfig } from '../MobRegistry.js';
+
+/**
+ * Attack types a MobRegistry `boss.attacks` entry can use (via `type`).
+ *
+ * Each type is a small state: `enter` / `update` / `exit` hooks run by
+ * BossBehaviorController with `(controller, spec, state)`, where `spec` is the
+ * registry attack merged over the type's `defaults` and `state` is a fresh
+ * scratch object per use. `update` returns true once the attack is finished.
+ * Timings read `controller.stateElapsedMs`; speeds are scaled by the current
+ * phase's `speedMult`.
+ */
+export const BossAttackTypes = {
+  // Windup (telegraph) → straight dash at the hero's predicted position → recovery.
+  charge: {
+    defaults: {
+      speed: 700,
+      windupMs: 450,
+      // Dash length is planned from the distance so the boss can cross the arena.
+      minDurationMs: 450,
+      maxDurationMs: 1400,
+      stopDist: 32,
+      recoveryMs: 250,
+      // Seconds of hero velocity to lead the target by.
+      leadFactor: 0.25,
+      // One hit per dash; 0 disables.
+      hitRadius: 70,
+      hitDamage: 30,
+    },
+
+    enter(ctrl, spec, state) {
+      const enemy = ctrl.enemy;
+      const hero = ctrl.hero();
+      ctrl.stopMovement();
+
+      state.phase = 'windup';
+      state.didHit = false;
+      state.target = { x: hero?.x ?? enemy.x, y: hero?.y ?? enemy.y };
+      ctrl.faceToward(state.target.x - enemy.x);
+      ctrl.playAnim('attack');
+    },
+
+    update(ctrl, spec, state) {
+      const enemy = ctrl.enemy;
+      const hero = ctrl.hero();
+      const target = state.target;
+      const speed = spec.speed * ctrl.speedMult;
+
+      if (state.phase === 'windup') {
+        if (ctrl.stateElapsedMs < spec.windupMs) return false;
+
+        // Refine the target right before the dash, leading a moving hero.
+        if (hero?.body?.velocity) {
+          target.x = hero.x + (hero.body.velocity.x ?? 0) * spec.leadFactor;
+          target.y = hero.y + (hero.body.velocity.y ?? 0) * spec.leadFactor;
+        } else if (hero) {
+          target.x = hero.x;
+          target.y = hero.y;
+        }
+
+        ctrl.playAnim('move');
+
+        const dist = ctrl.distanceTo(target.x, target.y);
+        const travelMs = Math.max(0, dist - spec.stopDist) / speed * 1000;
+        const overshootMs = 120; // commitment / punch-through
+        state.plannedMs = clampMs(travelMs + overshootMs, spec.minDurationMs, spec.maxDurationMs);
+
+        // Fixed direction for the whole dash (no homing).
+        const dx = target.x - enemy.x;
+        const dy = target.y - enemy.y;
+        const len = Math.hypot(dx, dy) || 1;
+        state.dir = { x: dx / len, y: dy / len };
+        state.phase = 'dash';
+        state.dashStartedAt = ctrl.stateElapsedMs;
+        ctrl.setVelocityToward(target.x, target.y, speed);
+        return false;
+      }
+
+      if (state.phase === 'dash') {
+        // Reassert dash velocity so friction/collisions don't turn the charge into a weak slide.
+        const body = enemy.body;
+        if (body) {
+          body.setMaxSpeed?.(speed);
+          body.setMaxVelocity?.(speed, speed);
+          body.setVelocity?.(state.dir.x * speed, state.dir.y * speed);
+        }
+
+        if (!state.didHit && hero && spec.hitDamage > 0 && spec.hitRadius > 0
+          && ctrl.distanceTo(hero.x, hero.y) <= spec.hitRadius) {
+          state.didHit = true;
+          if (ctrl.damageHero(spec.hitDamage)) {
+            ctrl.scene?.cameras?.main?.shake?.(150, 0.004);
+          }
+          ctrl.playAnim('attack');
+          startRecovery(ctrl, state);
+          return false;
+        }
+
+        const dashElapsed = ctrl.stateElapsedMs - state.dashStartedAt;
+        if (dashElapsed >= state.plannedMs || ctrl.distanceTo(target.x, target.y) <= spec.stopDist) {
+          startRecovery(ctrl, state);
+          return false;
+        }
+
+        ctrl.faceToward(state.dir.x >= 0 ? 1 : -1);
+        return false;
+      }
+
+      return ctrl.stateElapsedMs - state.recoverStartedAt >= spec.recoveryMs;
+    },
+
+    exit(ctrl) {
+      ctrl.stopMovement();
+    },
+  },
+
+  // Walk between random points in view for a while (the old werewolf "patrol").
+  reposition: {
+    defaults: {
+      speed: 160,
+      durationMs: 1200,
+      arriveDist: 28,
+      margin: 64,
+    },
+
+    enter(ctrl, spec, state) {
+      ctrl.playAnim('move');
+      state.target = ctrl.pickPointInView(spec.margin);
+    },
+
+    update(ctrl, spec, state) {
+      if (ctrl.stateElapsedMs >= spec.durationMs) return true;
+
+      ctrl.setVelocityToward(state.target.x, state.target.y, spec.speed * ctrl.speedMult);
+      if (ctrl.distanceTo(state.target.x, state.target.y) <= spec.arriveDist) {
+        state.target = ctrl.pickPointInView(spec.margin);
+      }
+      return false;
+    },
+
+    exit(ctrl) {
+      ctrl.stopMovement();
+    },
+  },
+
+  // Aimed volleys through EnemyProjectileSystem. salvo 1 = stream, salvo > 1 with spreadDeg = fan.
+  projectile: {
+    defaults: {
+      shots: 20,
+      intervalMs: 90,
+      delayMs: 0,
+      salvo: 1,
+      spreadDeg: 0,
+      // Defaults to the mob's aiParams.projectileWeaponKey / projectileOverrides.
+      weaponKey: null,
+      overrides: null,
+      // Raw shot used when neither the attack nor the mob names a weapon.
+      speed: 320,
+      lifetimeMs: 3500,
+      damage: 2,
+    },
+
+    enter(ctrl, spec, state) {
+      const enemy = ctrl.enemy;
+      ctrl.stopMovement();
+      ctrl.playAnim('attack');
+
+      const params = resolveMobConfig(enemy.mobKey)?.aiParams ?? {};
+      const weaponKey = spec.weaponKey ?? params.projectileWeaponKey ?? null;
+      const overrides = spec.overrides
+        ?? (weaponKey ? params.projectileOverrides ?? null : null)
+        ?? { speed: spec.speed, lifetimeMs: spec.lifetimeMs, damage: spec.damage, rotateToVelocity: true };
+
+      state.shotsRemaining = Math.max(0, spec.shots);
+      state.nextShotAt = spec.delayMs;
+      state.weapon = new EnemyProjectileWeaponController(ctrl.scene, enemy, {
+        weaponKey,
+        overrides,
+        aimMode: 'atTarget',
+        enemyProjectiles: ctrl.scene?.enemyProjectiles,
+        salvo: spec.salvo,
+        spreadDeg: spec.spreadDeg,
+      });
+    },
+
+    update(ctrl, spec, state) {
+      const hero = ctrl.hero();
+      const now = ctrl.scene?.time?.now ?? 0;
+
+      while (state.shotsRemaining > 0 && ctrl.stateElapsedMs >= state.nextShotAt) {
+        if (hero) {
+          ctrl.faceToward(hero.x - ctrl.enemy.x);
+          state.weapon?.forceFireAt(hero, now);
+        }
+        state.shotsRemaining -= 1;
+        state.nextShotAt += spec.intervalMs;
+      }
+
+      return state.shotsRemaining <= 0;
+    },
+
+    exit(ctrl, spec, state) {
+      state.weapon?.destroy?.();
+      state.weapon = null;
+    },
+  },
+
+  // Stand and cast an EnemyBulletPatterns entry (or inline spec); done once it has fully fired.
+  pattern: {
+    defaults: {
+      pattern: null,
+      overrides: null,
+      recoveryMs: 300,
+    },
+
+    enter(ctrl, spec, state) {
+      ctrl.stopMovement();
+      ctrl.playAnim('attack');
+
+      const hero = ctrl.hero();
+      if (hero) ctrl.faceToward(hero.x - ctrl.enemy.x);
+      // Boss casts ignore the pattern cap so a crowd of casters can't silence the fight.
+      state.run = ctrl.scene?.enemyProjectiles?.firePattern?.(spec.pattern, {
+        source: ctrl.enemy,
+        target: hero,
+        overrides: spec.overrides,
+        force: true,
+      }) ?? null;
+      state.doneAt = state.run ? null : 0;
+    },
+
+    update(ctrl, spec, state) {
+      if (state.doneAt === null && state.run?.done) state.doneAt = ctrl.stateElapsedMs;
+      return state.doneAt !== null && ctrl.stateElapsedMs >= state.doneAt + spec.recoveryMs;
+    },
+
+    exit(ctrl, spec, state) {
+      // Phase changes interrupt the cast; shots already in flight keep going.
+      state.run?.stop?.();
+      state.run = null;
+    },
+  },
+
+  // Call adds in a ring around the boss through SpawnDirector (pool caps still apply).
+  summon: {
+    defaults: {
+      mobKey: 'evileye',
+      count: 6,
+      radius: 110,
+      windupMs: 500,
+      recoveryMs: 300,
+      mobOverrides: null,
+    },
+
+    enter(ctrl, spec, state) {
+      ctrl.stopMovement();
+      ctrl.playAnim('attack');
+      state.summoned = false;
+    },
+
+    update(ctrl, spec, state) {
+      if (!state.summoned && ctrl.stateElapsedMs >= spec.windupMs) {
+        state.summoned = true;
+        ctrl.scene?.spawnDirector?.spawnAround?.(spec.mobKey, ctrl.enemy, {
+          count: spec.count,
+          radius: spec.radius,
+          overrides: spec.mobOverrides,
+        });
+      }
+      return state.summoned && ctrl.stateElapsedMs >= spec.windupMs + spec.recoveryMs;
+    },
+  },
+
+  // Telegraphed ground slam: a DangerZoneSystem circle under the boss.
+  slam: {
+    defaults: {
+      windupMs: 700,
+      radius: 150,
+      damage: 40,
+      recoveryMs: 400,
+      color: 0xff3b3b,
+    },
+
+    enter(ctrl, spec, state) {
+      const enemy = ctrl.enemy;
+      const scene = ctrl.scene;
+      ctrl.stopMovement();
+      ctrl.playAnim('attack');
+
+      state.zone = scene?.dangerZones?.spawn?.({
+        x: enemy.x,
+        y: enemy.y,
+        radius: spec.radius,
+        windupMs: spec.windupMs,
+        damage: spec.damage,
+        color: spec.color,
+        source: enemy,
+        force: true,
+        onDetonate: (zone) => {
+          scene?.cameras?.main?.shake?.(180, 0.006);
+          scene?.fx?.explode?.(zone.x, zone.y, 18);
+        },
+      }) ?? null;
+    },
+
+    update(ctrl, spec) {
+      return ctrl.stateElapsedMs >= spec.windupMs + spec.recoveryMs;
+    },
+
+    exit(ctrl, spec, state) {
+      // An interrupted slam never lands.
+      if (state.zone && !state.zone.detonated) state.zone.cancel();
+      state.zone = null;
+    },
+  },
+
+  // Zones dropped on the hero one after another; punishes standing still.
+  // Later zones scatter up to `scatter` px around the hero (seeded).
+  dangerZone: {
+    defaults: {
+      count: 3,
+      intervalMs: 350,
+      radius: 90,
+      windupMs: 1000,
+      damage: 30,
+      scatter: 80,
+      // Aim this many ms of hero movement ahead.
+      leadMs: 0,
+      recoveryMs: 400,
+      color: 0xff3b3b,
+    },
+
+    enter(ctrl, spec, state) {
+      ctrl.stopMovement();
+      ctrl.playAnim('attack');
+      state.placed = 0;
+    },
+
+    update(ctrl, spec, state) {
+      const hero = ctrl.hero();
+      const zones = ctrl.scene?.dangerZones;
+
+      while (state.placed < spec.count && ctrl.stateElapsedMs >= state.placed * spec.intervalMs) {
+        if (hero && zones) {
+          const lead = spec.leadMs / 1000;
+          let x = hero.x + (hero.body?.velocity?.x ?? 0) * lead;
+          let y = hero.y + (hero.body?.velocity?.y ?? 0) * lead;
+          if (state.placed > 0 && spec.scatter > 0) {
+            const rng = getRunStream(ctrl.scene, RNG_STREAMS.COMBAT);
+            const angle = rng.angle();
+            const dist = rng.float(0, spec.scatter);
+            x += Math.cos(angle) * dist;
+            y += Math.sin(angle) * dist;
+          }
+          ctrl.faceToward(hero.x - ctrl.enemy.x);
+          zones.spawn({
+            x,
+            y,
+            radius: spec.radius,
+            windupMs: spec.windupMs,
+            damage: spec.damage,
+            color: spec.color,
+            source: ctrl.enemy,
+            force: true,
+          });
+        }
+        state.placed += 1;
+      }
+
+      const lastAt = Math.max(0, spec.count - 1) * spec.intervalMs;
+      return state.placed >= spec.count && ctrl.stateElapsedMs >= lastAt + spec.windupMs + spec.recoveryMs;
+    },
+  },
+};
+
+function startRecovery(ctrl, state) {
+  ctrl.stopMovement();
+  state.phase = 'recover';
+  state.recoverStartedAt = ctrl.stateElapsedMs;
+}
+
+/** Clamp a duration so dash lengths stay within the authored limits. */
+function clampMs(value, min, max) {
+  const v = Number.isFinite(value) ? value : 0;
+  const lo = Number.isFinite(min) ? min : 0;
+  const hi = Number.isFinite(max) ? max : lo;
+  return Math.max(lo, Math.min(hi, v));
+}
@@ -0,0 +1,298 @@
+import { getRunStream, RNG_STREAMS } from '../../core/RunRng.js';
+import { resolveMobConfig } from '../MobRegistry.js';
+import { scaleEnemyDamage } from '../MobStatsFactory.js';
+import { BossAttackTypes } from './BossAttacks.js';
+
+const behaviorCache = new Map();
+
+/**
+ * Normalized `boss` block for `mobKey`, or null when the mob has none.
+ * Attacks are merged over their type defaults and phases sorted from full HP
+ * down; unknown attack types/keys are dropped with a warning.
+ */
+export function resolveBossBehavior(mobKey) {
+  if (behaviorCache.has(mobKey)) return behaviorCache.get(mobKey);
+
+  const declared = resolveMobConfig(mobKey)?.boss ?? null;
+  let resolved = null;
+
+  if (declared) {
+    const attacks = {};
+    Object.entries(declared.attacks ?? {}).forEach(([key, spec]) => {
+      const type = BossAttackTypes[spec?.type];
+      if (!type) {
+        console.warn(`[BossBehaviorController] ${mobKey}: unknown attack type "${spec?.type}" for "${key}"`);
+        return;
+      }
+      attacks[key] = Object.freeze({ ...type.defaults, ...spec });
+    });
+
+    const phases = (declared.phases ?? [])
+      .map((phase, index) => ({ id: `phase${index + 1}`, hpPct: 1, ...phase }))
+      .sort((a, b) => b.hpPct - a.hpPct);
+    phases.forEach((phase) => {
+      [...(phase.attacks ?? []), phase.onEnter].forEach((key) => {
+        if (key && !attacks[key]) {
+          console.warn(`[BossBehaviorController] ${mobKey}: phase "${phase.id}" references unknown attack "${key}"`);
+        }
+      });
+    });
+
+    if (phases.length) {
+      resolved = Object.freeze({
+        attach: declared.attach ?? 'encounter',
+        phases,
+        attacks,
+      });
+    }
+  }
+
+  behaviorCache.set(mobKey, resolved);
+  return resolved;
+}
+
+/**
+ * BossBehaviorController
+ *
+ * Runs a MobRegistry `boss` block (see resolveBossBehavior) on one enemy:
+ *  - Phases are ordered by `hpPct`; the boss moves into a phase once its HP
+ *    fraction drops to that threshold and never moves back.
+ *  - Each phase cycles its `attacks` list (in order, or seeded-random with
+ *    `order: 'random'`); `onEnter` names an attack that interrupts whatever is
+ *    running when the phase begins.
+ *  - Attacks are BossAttackTypes entries; this class only sequences them and
+ *    offers the movement/targeting helpers they share.
+ *
+ * While attached, EnemyBehaviorSystem skips the enemy (see `_bossController`).
+ * Emits 'boss:phase' `{ enemy, mobKey, phase, index }` on every phase change.
+ */
+export class BossBehaviorController {
+  constructor(scene, enemy, behavior) {
+    this.scene = scene;
+    this.enemy = enemy;
+    this.behavior = behavior;
+
+    this.phaseIndex = -1;
+    this.phase = null;
+    this.speedMult = 1;
+
+    this.attackKey = null;
+    this.stateElapsedMs = 0;
+    this._attackSpec = null;
+    this._attackType = null;
+    this._attackState = null;
+    this._sequenceIndex = 0;
+    this._queuedAttack = null;
+    this._isDestroyed = false;
+
+    this._updatePhase();
+    if (!this._attackType) this._nextAttack();
+  }
+
+  /**
+   * Advance the phase check and the active attack each frame while the boss is alive.
+   */
+  update(dt) {
+    if (this._isDestroyed) return;
+    if (!this.enemy?.active || this.enemy?._isDying) return;
+
+    this.stateElapsedMs += dt || 0;
+    this._updatePhase();
+
+    const type = this._attackType;
+    if (!type) return;
+    if (type.update(this, this._attackSpec, this._attackState, dt)) {
+      this._nextAttack();
+    }
+  }
+
+  /**
+   * Tear down the controller and release any active attack helpers.
+   */
+  destroy() {
+    if (this._isDestroyed) return;
+    this._exitAttack();
+    this.stopMovement();
+    this._isDestroyed = true;
+    this.scene = null;
+    this.enemy = null;
+    this.behavior = null;
+  }
+
+  // ------------------------
+  // Phases + attack sequencing
+  // ------------------------
+
+  _updatePhase() {
+    const phases = this.behavior?.phases ?? [];
+    const enemy = this.enemy;
+    const fraction = enemy?.maxHp > 0 ? Math.max(0, enemy.hp) / enemy.maxHp : 1;
+
+    let target = 0;
+    for (let i = 0; i < phases.length; i += 1) {
+      if (fraction <= phases[i].hpPct) target = i;
+    }
+    if (target > this.phaseIndex) this._enterPhase(target);
+  }
+
+  _enterPhase(index) {
+    const phase = this.behavior.phases[index];
+    this.phaseIndex = index;
+    this.phase = phase;
+    this.speedMult = Number.isFinite(phase.speedMult) ? phase.speedMult : 1;
+    this._sequenceIndex = 0;
+
+    this.scene?.events?.emit?.('boss:phase', {
+      enemy: this.enemy,
+      mobKey: this.enemy?.mobKey,
+      phase: phase.id,
+      index,
+    });
+
+    if (phase.onEnter) {
+      this._queuedAttack = phase.onEnter;
+      this._nextAttack();
+    }
+  }
+
+  _pickAttackKey() {
+    if (this._queuedAttack) {
+      const key = this._queuedAttack;
+      this._queuedAttack = null;
+      return key;
+    }
+
+    const list = this.phase?.attacks ?? [];
+    if (!list.length) return null;
+
+    if (this.phase.order === 'random') {
+      return getRunStream(this.scene, RNG_STREAMS.COMBAT).pick(list);
+    }
+
+    const key = list[this._sequenceIndex % list.length];
+    this._sequenceIndex += 1;
+    return key;
+  }
+
+  _nextAttack() {
+    this._exitAttack();
+
+    const key = this._pickAttackKey();
+    const spec = key ? this.behavior.attacks[key] : null;
+    const type = spec ? BossAttackTypes[spec.type] : null;
+    if (!type) {
+      // resolveBossBehavior already warned about the bad reference; idle this phase.
+      this.attackKey = null;
+      return;
+    }
+
+    this.attackKey = key;
+    this.stateElapsedMs = 0;
+    this._attackSpec = spec;
+    this._attackType = type;
+    this._attackState = {};
+    type.enter?.(this, spec, this._attackState);
+  }
+
+  _exitAttack() {
+    this._attackType?.exit?.(this, this._attackSpec, this._attackState);
+    this._attackType = null;
+    this._attackSpec = null;
+    this._attackState = null;
+  }
+
+  // ------------------------
+  // Helpers shared by BossAttackTypes
+  // ------------------------
+
+  /** Current hero sprite so attacks always target the player. */
+  hero() {
+    return this.scene?.hero?.sprite ?? null;
+  }
+
+  /** Deal contact damage to the hero; true if it landed (i-frames may block it). */
+  damageHero(amount) {
+    return Boolean(this.scene?.hero?.health?.damage?.(scaleEnemyDamage(this.scene, amount)));
+  }
+
+  /** Play the enemy's `idle` / `move` / `attack` animation if it exists. */
+  playAnim(kind) {
+    const enemy = this.enemy;
+    const keys = enemy?.animationKeys ?? {};
+    const key = kind === 'move' ? keys.move ?? keys.idle : keys[kind];
+    if (key && enemy.anims?.animationManager?.exists?.(key)) {
+      enemy.play(key, true);
+    }
+  }
+
+  /** Flip the boss sprite so it faces the movement direction. */
+  faceToward(dx) {
+    this.enemy?.setFlipX(dx < 0);
+  }
+
+  /** Apply a velocity toward a point while honoring the desired top speed. */
+  setVelocityToward(x, y, speed) {
+    const enemy = this.enemy;
+    const body = enemy?.body;
+    if (!enemy || !body) return;
+
+    const dx = x - enemy.x;
+    const dy = y - enemy.y;
+    const dist = Math.hypot(dx, dy);
+    if (dist <= 0) return;
+
+    this.faceToward(dx);
+
+    // Some mob configs clamp max speed; boss attacks need to actually reach `speed`.
+    body.setMaxSpeed?.(speed);
+    body.setMaxVelocity?.(speed, speed);
+    body.setVelocity?.((dx / dist) * speed, (dy / dist) * speed);
+  }
+
+  distanceTo(x, y) {
+    const enemy = this.enemy;
+    if (!enemy) return Infinity;
+    return Math.hypot(x - enemy.x, y - enemy.y);
+  }
+
+  /** Stop the boss body so attacks begin from a standstill. */
+  stopMovement() {
+    const body = this.enemy?.body;
+    if (!body) return;
+    body.stop?.();
+    body.setVelocity?.(0, 0);
+  }
+
+  /**
+   * Random point inside the camera view with a margin (bounded maps ask
+   * SpawnDirector for a walkable point instead).
+   */
+  pickPointInView(margin) {
+    const runtime = this.scene?.mapRuntime;
+    if (runtime?.isBounded?.()) {
+      const point = this.scene?.spawnDirector?.getSpawnPoint?.({
+        heroSprite: this.hero(),
+        margin,
+        attempts: 16,
+      });
+      if (point) return point;
+    }
+
+    const view = this.scene?.cameras?.main?.worldView;
+    if (!view) {
+      return { x: this.enemy?.x ?? 0, y: this.enemy?.y ?? 0 };
+    }
+
+    const minX = view.x + margin;
+    const maxX = view.x + view.width - margin;
+    const minY = view.y + margin;
+    const maxY = view.y + view.height - margin;
+
+    if (minX >= maxX || minY >= maxY) {
+      return { x: this.enemy?.x ?? view.centerX, y: this.enemy?.y ?? view.centerY };
+    }
+
+    const rng = getRunStream(this.scene, RNG_STREAMS.COMBAT);
+    return { x: rng.float(minX, maxX), y: rng.float(minY, maxY) };
+  }
+}
@@ -54,6 +54,11 @@ export class Enemy extends Phaser.Physics.Arcade.Sprite {
     this._bossNextAttack = null;
     this._deathHandled = false;
     this._attackDealt = false;
+    // Set again by BossEncounter after reset when this spawn is an encounter boss.
+    this._encounterKey = null;
+    this._encounterPhase = null;
+    // Countdown for the MobRegistry `groundAttack` (EnemyBehaviorSystem seeds it).
+    this._groundAttackCooldownMs = null;
 
     // Swap to the correct spritesheet and default animation frame.
     const sheetKey = config.sheetKey ?? mobKey;
@@ -166,6 +171,12 @@ export class Enemy extends Phaser.Physics.Arcade.Sprite {
     // LOS cache metadata (cleared each spawn)
     this._losCanSee = undefined;
 
+    // Status effect metadata (StatusEffectSystem also clears on release)
+    this._statusMoveMult = 1;
+    this._statusDisabled = false;
+    this._statusAnimPaused = false;
+    this._statusUnscaledVel = null;
+
     // Legion formation metadata (cleared each spawn)
     this._formationId = null;
     this._formationAngle = 0;
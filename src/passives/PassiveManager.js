@@ -2,6 +2,7 @@ import { CONFIG } from '../config/gameConfig.js';
 import { LEVEL_UP } from '../config/gameConfig.js';
 import { PassiveRegistry, isValidPassive } from './PassiveRegistry.js';
 import { canGrantNextStack } from './passiveStackGate.js';
+import { getRunStream, RNG_STREAMS } from '../core/RunRng.js';
 
 /**
  * Clamp requested stack counts to each passive's max so upgrades stay within limits.
@@ -39,6 +40,8 @@ export class PassiveManager {
     this.loadout = [];
     this.stackCounts = new Map();
     this.aggregate = {};
+    // Permanent meta-upgrade bonuses; the base layer every aggregate starts from.
+    this.permanentBonuses = {};
   }
 
   /**
@@ -52,6 +55,20 @@ export class PassiveManager {
     this.stackCounts.clear();
     this.loadout = [];
     this.aggregate = {};
+    this.permanentBonuses = {};
+  }
+
+  /**
+   * Set permanent bonuses (meta upgrades) that are added on top of passive
+   * stacks, using the same effect keys as PassiveRegistry entries.
+   */
+  setPermanentBonuses(bonuses = {}) {
+    const next = {};
+    for (const [effectKey, value] of Object.entries(bonuses ?? {})) {
+      if (Number.isFinite(value)) next[effectKey] = value;
+    }
+    this.permanentBonuses = next;
+    this._recomputeAggregate();
   }
 
   /**
@@ -252,8 +269,8 @@ export class PassiveManager {
 
     if (chance <= 0 || amount <= 0) return;
 
-    const rng = this.scene?.rng ?? Math.random;
-    if (rng() >= chance) return;
+    const rng = getRunStream(this.scene, RNG_STREAMS.COMBAT);
+    if (!rng.chance(chance)) return;
 
     const healed = this.hero?.health?.heal?.(amount) || false;
 
@@ -271,7 +288,7 @@ export class PassiveManager {
    * Rebuild the aggregate stat map from current stacks and emit changes.
    */
   _recomputeAggregate() {
-    const aggregate = {};
+    const aggregate = { ...this.permanentBonuses };
     for (const [key, count] of this.stackCounts.entries()) {
       const entry = PassiveRegistry[key];
       if (!entry) continue;
@@ -3,10 +3,34 @@ import { XPBar } from '../ui/XPBar.js';
 import { LevelUpModal } from '../ui/LevelUpModal.js';
 import { LEVEL_UP } from '../config/gameConfig.js';
 import { getLevelUpChoices } from './LevelUpRewards.js';
+import { getReadyEvolutions, getEvolutionFor, applyEvolution } from '../weapons/WeaponEvolutions.js';
+
+// Level-up actions recorded alongside regular choices (ReplayRecorder keeps both).
+const ACTION_TYPES = ['reroll', 'banish', 'skip'];
+
+/**
+ * Per-run action charges: LEVEL_UP.actionCharges plus hero stats and meta
+ * upgrade bonuses (`rerollCharges`, `skipCharges`, `banishCharges`).
+ */
+function resolveActionCharges(scene) {
+  const base = LEVEL_UP.actionCharges ?? {};
+  const heroStats = scene?.heroEntry?.stats ?? {};
+  const meta = scene?.metaBonuses ?? {};
+  const total = (action, statKey) => Math.max(0, Math.floor(
+    (Number(base[action]) || 0) + (Number(heroStats[statKey]) || 0) + (Number(meta[statKey]) || 0)
+  ));
+
+  return {
+    reroll: total('reroll', 'rerollCharges'),
+    skip: total('skip', 'skipCharges'),
+    banish: total('banish', 'banishCharges')
+  };
+}
 
 /**
  * LevelUpFlow centralises XP progression, modal presentation, and the shared
- * simulation pause while the player chooses upgrades.
+ * simulation pause while the player chooses upgrades. It also owns the run's
+ * Reroll / Skip / Banish charges and the banished-key list LevelUpRewards honours.
  */
 export class LevelUpFlow {
   /**
@@ -27,11 +51,21 @@ export class LevelUpFlow {
     this._pendingLevelUps = 0;
     this._modalActive = false;
 
+    // Per-run action charges and keys removed from the reward pool.
+    this.actionCharges = resolveActionCharges(scene);
+    this.banished = new Set();
+    this._offerReroll = 0;
+
     this._onLevelUp = this._onLevelUp.bind(this);
     this._onModalClosed = this._onModalClosed.bind(this);
+    this._applyAutoEvolutions = this._applyAutoEvolutions.bind(this);
 
     scene.events.on('level:up', this._onLevelUp);
     scene.events.on('level:modal:closed', this._onModalClosed);
+
+    // Auto-grant evolutions fire as soon as the weapon or passive side completes.
+    scene.events.on('weapons:upgraded', this._applyAutoEvolutions);
+    scene.events.on('passive:applied', this._applyAutoEvolutions);
   }
 
   /**
@@ -48,6 +82,16 @@ export class LevelUpFlow {
     this.levelSystem?.addXP?.(amount);
   }
 
+  /** Keys banished this run (LevelUpRewards and treasure rolls skip them). */
+  getBanished() {
+    return this.banished;
+  }
+
+  /** Remaining Reroll / Skip / Banish charges. */
+  getActionCharges() {
+    return { ...this.actionCharges };
+  }
+
   /**
    * Debug helper to force level without opening modal flows.
    */
@@ -70,6 +114,8 @@ export class LevelUpFlow {
 
     this.scene.events.off('level:up', this._onLevelUp);
     this.scene.events.off('level:modal:closed', this._onModalClosed);
+    this.scene.events.off('weapons:upgraded', this._applyAutoEvolutions);
+    this.scene.events.off('passive:applied', this._applyAutoEvolutions);
 
     this.levelUpModal?.destroy?.();
     this.levelUpModal = null;
@@ -116,6 +162,32 @@ export class LevelUpFlow {
    */
   _showModal(level) {
     this._applyPause();
+    this._offerReroll = 0;
+    const choices = this._buildChoices(level);
+
+    // Replay playback re-applies the recorded decision instead of asking the
+    // player, one frame later like a click would be.
+    if (this.scene.replayPlayer) {
+      this.scene.replayPlayer.queueDecision(() => this._applyReplayChoice(level, choices));
+      return;
+    }
+
+    this.levelUpModal?.destroy?.();
+    this.levelUpModal = new LevelUpModal(this.scene, {
+      level,
+      choices,
+      actionCharges: this.getActionCharges(),
+      depthBase: this.scene?.mapRender?.uiBaseDepth ?? 0,
+      onSelect: (choice) => this._selectChoice(level, choice),
+      onAction: (action, choice) => this._handleAction(level, action, choice)
+    });
+  }
+
+  /**
+   * Build the current offer for `level`, honouring banishes and the reroll
+   * count, followed by the restore option.
+   */
+  _buildChoices(level) {
     const loadout = this.scene.weaponManager?.getLoadout?.() ?? [];
     const heroEntry = this.scene.heroEntry ?? null;
     const passiveManager = this.scene.passiveManager ?? null;
@@ -129,19 +201,116 @@ export class LevelUpFlow {
       currentLoadout: loadout,
       currentPassives,
       getPassiveStackCount: getStackCount,
-      maxChoices: LEVEL_UP.choicesPerLevel
+      maxChoices: LEVEL_UP.choicesPerLevel,
+      banished: this.banished,
+      reroll: this._offerReroll
     });
 
     const choices = [...upgradeChoices];
     choices.push({ type: 'restore', amount: LEVEL_UP.restoreHealthAmount });
+    return choices;
+  }
 
-    this.levelUpModal?.destroy?.();
-    this.levelUpModal = new LevelUpModal(this.scene, {
+  /**
+   * Spend a Reroll / Banish / Skip charge. Reroll and Banish refresh the open
+   * modal; Skip closes it. Returns false when the action is unavailable.
+   */
+  _handleAction(level, action, choice = null) {
+    if (!this._applyAction(level, action, choice)) return false;
+
+    if (action !== 'skip') {
+      this.levelUpModal?.setChoices?.(this._buildChoices(level), this.getActionCharges());
+    }
+    return true;
+  }
+
+  /** Validate, consume, record, and apply one action without touching the UI. */
+  _applyAction(level, action, choice = null) {
+    if (!ACTION_TYPES.includes(action) || !(this.actionCharges[action] > 0)) return false;
+
+    // Only reward cards can be banished (restore has no key).
+    if (action === 'banish' && !choice?.key) return false;
+
+    this.actionCharges[action] -= 1;
+
+    const record = action === 'banish'
+      ? { type: 'banish', key: choice.key }
+      : { type: action };
+    this.scene.events?.emit?.('level:choice:made', { level, choice: record });
+    this.scene.events?.emit?.('level:action:used', {
       level,
-      choices,
-      depthBase: this.scene?.mapRender?.uiBaseDepth ?? 0,
-      onSelect: (choice) => this._handleChoice(choice)
+      action,
+      key: record.key ?? null,
+      remaining: this.actionCharges[action]
     });
+
+    if (action === 'reroll') {
+      this._offerReroll += 1;
+    } else if (action === 'banish') {
+      this.banished.add(choice.key);
+    } else if (action === 'skip') {
+      this._applySkip();
+    }
+    return true;
+  }
+
+  /** Convert a skipped level-up into part of the next level's XP. */
+  _applySkip() {
+    const xpToNext = Number(this.levelSystem?.xpToNext) || 0;
+    const amount = Math.floor(xpToNext * (LEVEL_UP.skipXpFraction ?? 0));
+    if (amount > 0) {
+      this.addXP(amount);
+      this.scene.playerXP = Number(this.scene.playerXP ?? 0) + amount;
+    }
+    this.scene.events?.emit?.('level:reward:selected', { type: 'skip', xp: amount });
+  }
+
+  /**
+   * Announce the player's pick (ReplayRecorder listens) and apply it.
+   */
+  _selectChoice(level, choice) {
+    if (!choice) return;
+    this.scene.events?.emit?.('level:choice:made', { level, choice });
+    this._handleChoice(choice);
+  }
+
+  /**
+   * Apply the recorded level-up decisions, then close the flow exactly as the
+   * modal would. Rerolls and banishes are replayed in order until the final
+   * pick or skip. Offers are seeded, so a mismatch means the replay desynced.
+   */
+  _applyReplayChoice(level, initialChoices) {
+    const player = this.scene?.replayPlayer;
+    if (!player) return;
+
+    let choices = initialChoices;
+    let recorded = player.takeChoice('levelup')?.choice ?? null;
+
+    while (recorded && (recorded.type === 'reroll' || recorded.type === 'banish')) {
+      if (!this._applyAction(level, recorded.type, recorded)) {
+        player.reportDesync(`${recorded.type} for level ${level} could not be applied`);
+      }
+      choices = this._buildChoices(level);
+      recorded = player.takeChoice('levelup')?.choice ?? null;
+    }
+
+    if (!recorded) {
+      player.reportDesync(`no recorded choice for level ${level}`);
+    } else if (recorded.type === 'skip') {
+      this._applyAction(level, 'skip');
+    } else {
+      const offered = choices.some((choice) => (
+        choice.type === recorded.type
+        && (choice.key ?? null) === (recorded.key ?? null)
+        && (choice.subtype ?? null) === (recorded.subtype ?? null)
+      ));
+      if (!offered) {
+        player.reportDesync(`choice ${recorded.key ?? recorded.type} for level ${level} was not offered; applying anyway`);
+      }
+      this._selectChoice(level, recorded);
+    }
+
+    this.scene.events?.emit?.('level:modal:closed', { level });
   }
 
   /**
@@ -151,7 +320,16 @@ export class LevelUpFlow {
     if (!choice) return;
 
     if (choice.type === 'weapon' && choice.key) {
-      if (choice.subtype === 'upgrade') {
+      if (choice.subtype === 'evolution') {
+        const evolution = getEvolutionFor(choice.from);
+        if (evolution?.into === choice.key && applyEvolution(this.scene, evolution)) {
+          this.scene.events?.emit?.('level:reward:selected', {
+            type: 'weapon-evolution',
+            key: choice.key,
+            from: choice.from
+          });
+        }
+      } else if (choice.subtype === 'upgrade') {
         const upgraded = this.scene.weaponManager?.upgradeWeapon?.(choice.key);
         if (upgraded) {
           this.scene.events?.emit?.('level:reward:selected', {
@@ -180,6 +358,24 @@ export class LevelUpFlow {
     }
   }
 
+  /**
+   * Evolve every ready `autoGrant` evolution without waiting for a level-up card.
+   */
+  _applyAutoEvolutions() {
+    getReadyEvolutions(this.scene)
+      .filter((evolution) => evolution.autoGrant)
+      .forEach((evolution) => {
+        if (applyEvolution(this.scene, evolution)) {
+          this.scene.events?.emit?.('level:reward:selected', {
+            type: 'weapon-evolution',
+            key: evolution.into,
+            from: evolution.from,
+            auto: true
+          });
+        }
+      });
+  }
+
   /**
    * Restore hero health based on the configured amount or percent string.
    */
@@ -3,8 +3,12 @@ import { PassiveRegistry, isValidPassive } from '../passives/PassiveRegistry.js'
 import { CONFIG, LEVEL_UP } from '../config/gameConfig.js';
 import { canGrantNextStack, getPassiveFirstEligibleLevel } from '../passives/passiveStackGate.js';
 import * as WeaponProgression from '../weapons/WeaponProgression.js';
+import { makeSeededRandom, RNG_STREAMS } from '../core/RunRng.js';
+import { isEvolvedWeapon, describeEvolutionHint, getReadyEvolutions } from '../weapons/WeaponEvolutions.js';
 
 const PASSIVE_SEED_OFFSET = 0x9e3779b9;
+// Each reroll of the same level shifts every seed by this stride.
+const REROLL_SEED_STRIDE = 0x85ebca6b;
 const WEAPON_RARITY_ORDER = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
 
 /**
@@ -29,22 +33,6 @@ function collectProgressionKeys(progression, level) {
   return keys;
 }
 
-/**
- * Creates a deterministic pseudo-random generator from a given numeric seed.
- * This ensures that level-up choices are stable per run.
- */
-function makeSeededRandom(seed) {
-  let state = seed >>> 0;
-
-  return () => {
-    state += 0x6d2b79f5;
-    let t = state;
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
 /**
  * Shuffle an array deterministically using a seeded RNG.
  */
@@ -73,6 +61,7 @@ function toDisplayName(entry, key) {
  * - Must be allowed
  * - Must exist in registry
  * - Must not already be owned
+ * - Must not be an evolution result (those are only reached by evolving)
  */
 function normalizeWeaponCandidates(candidates, allowedSet, ownedSet) {
   const unique = new Set();
@@ -85,6 +74,7 @@ function normalizeWeaponCandidates(candidates, allowedSet, ownedSet) {
     if (!allowedSet.has(key)) return;
     if (!WeaponRegistry[key]) return;
     if (ownedSet.has(key)) return;
+    if (isEvolvedWeapon(key)) return;
 
     filtered.push(key);
   });
@@ -156,12 +146,26 @@ function buildOwnedPassiveCounts(currentPassives, resolver) {
 }
 
 /**
- * Build a deterministic seed from run start time and level.
+ * Build a deterministic seed for a level's offer from the run's levelup stream.
+ * Each level is seeded independently so offers do not depend on how many
+ * times earlier levels were rolled; `reroll` counts rerolls of this level.
+ * Falls back to run start time outside GameScene.
  */
-function buildSeed(scene, level, offset = 0) {
+function buildSeed(scene, level, offset = 0, reroll = 0) {
+  const salt = (offset + reroll * REROLL_SEED_STRIDE) >>> 0;
+  if (typeof scene?.rng?.deriveSeed === 'function') {
+    return (scene.rng.deriveSeed(RNG_STREAMS.LEVELUP, level) + salt) >>> 0;
+  }
+
   const base = Number(scene?._runStartedAt ?? 0);
   const levelSeed = Number.isFinite(base) ? base + level : level;
-  return (levelSeed + offset) >>> 0;
+  return (levelSeed + salt) >>> 0;
+}
+
+/** Normalise a banish list (Set or array) into a Set. */
+function toKeySet(keys) {
+  if (keys instanceof Set) return keys;
+  return new Set(Array.isArray(keys) ? keys : []);
 }
 
 /**
@@ -226,13 +230,17 @@ function getWeaponChoicesInternal({
   level,
   currentLoadout = [],
   maxChoices = 3,
-  getWeaponLevel
+  getWeaponLevel,
+  banished = null,
+  reroll = 0
 }) {
   const allowedKeys = Array.isArray(heroEntry?.weapons?.allowed)
     ? heroEntry.weapons.allowed
     : Object.keys(WeaponRegistry);
 
-  const allowedSet = new Set(allowedKeys.filter((key) => WeaponRegistry[key]));
+  // Banished weapons leave the pool entirely: no new copies, no upgrades.
+  const banishedSet = toKeySet(banished);
+  const allowedSet = new Set(allowedKeys.filter((key) => WeaponRegistry[key] && !banishedSet.has(key)));
   const ownedSet = new Set(currentLoadout);
 
   const ownedLevels = new Map();
@@ -241,7 +249,7 @@ function getWeaponChoicesInternal({
     ownedLevels.set(key, lvl);
   });
 
-  const maxLevel = CONFIG.WEAPONS.MAX_LEVEL ?? 5;
+  const maxLevel = scene?.weaponManager?.getMaxLevel?.() ?? CONFIG.WEAPONS.MAX_LEVEL ?? 5;
 
   const hasProgressionTable =
     heroEntry?.progression &&
@@ -260,12 +268,12 @@ function getWeaponChoicesInternal({
   const upgradeCandidates = [];
   ownedSet.forEach((key) => {
     const lvl = ownedLevels.get(key) ?? CONFIG.WEAPONS.DEFAULT_LEVEL;
-    if (lvl < maxLevel && allowedSet.has(key) && WeaponRegistry[key]) {
+    if (lvl < maxLevel && allowedSet.has(key) && WeaponRegistry[key] && !isEvolvedWeapon(key)) {
       upgradeCandidates.push(key);
     }
   });
 
-  const seedBase = buildSeed(scene, level, 0);
+  const seedBase = buildSeed(scene, level, 0, reroll);
   const shuffledNew = deterministicShuffle(gatedNew, seedBase);
   const shuffledUpgrade = deterministicShuffle(upgradeCandidates, seedBase + 1337);
 
@@ -282,6 +290,7 @@ function getWeaponChoicesInternal({
       name: toDisplayName(entry, key),
       rarity: entry?.ui?.rarity ?? 'common',
       description: entry?.ui?.description ?? '',
+      hint: describeEvolutionHint(key),
       ui: entry?.ui ?? null
     });
   });
@@ -302,6 +311,7 @@ function getWeaponChoicesInternal({
         name: toDisplayName(entry, key),
         rarity: entry?.ui?.rarity ?? 'common',
         description,
+        hint: describeEvolutionHint(key),
         ui: entry?.ui ?? null
       });
     });
@@ -310,9 +320,35 @@ function getWeaponChoicesInternal({
   return picks;
 }
 
+/**
+ * Offer every evolution the loadout can perform now. Auto-granted evolutions
+ * are applied by LevelUpFlow and never take a card.
+ */
+export function getEvolutionChoices({ scene, maxChoices = 3, banished = null }) {
+  const banishedSet = toKeySet(banished);
+  return getReadyEvolutions(scene)
+    .filter((evolution) => !evolution.autoGrant && !banishedSet.has(evolution.into))
+    .slice(0, Math.max(0, maxChoices))
+    .map((evolution) => {
+      const entry = WeaponRegistry[evolution.into];
+      return {
+        type: 'weapon',
+        subtype: 'evolution',
+        key: evolution.into,
+        from: evolution.from,
+        name: toDisplayName(entry, evolution.into),
+        rarity: entry?.ui?.rarity ?? 'legendary',
+        description: entry?.ui?.description ?? '',
+        hint: `Evolves ${toDisplayName(WeaponRegistry[evolution.from], evolution.from)}`,
+        ui: entry?.ui ?? null
+      };
+    });
+}
+
 /**
  * Build passive reward choices based on hero allowlists and current stacks.
- * Honors the passive cadence gate (interval/start/milestones) via CONFIG.LEVEL_UP.
+ * Honors the passive cadence gate (interval/start/milestones) via CONFIG.LEVEL_UP
+ * unless `respectCadence` is false (treasure chests ignore the cadence).
  */
 export function getPassiveChoices({
   scene,
@@ -320,10 +356,13 @@ export function getPassiveChoices({
   level,
   currentPassives = [],
   getStackCount,
-  maxChoices = 3
+  maxChoices = 3,
+  respectCadence = true,
+  banished = null,
+  reroll = 0
 }) {
   // NEW: passive cadence gate
-  if (!shouldOfferPassives(level)) {
+  if (respectCadence && !shouldOfferPassives(level)) {
     return [];
   }
 
@@ -331,7 +370,8 @@ export function getPassiveChoices({
     ? heroEntry.passives.allowed
     : Object.keys(PassiveRegistry);
 
-  const allowedSet = new Set(allowedKeys.filter((key) => PassiveRegistry[key]));
+  const banishedSet = toKeySet(banished);
+  const allowedSet = new Set(allowedKeys.filter((key) => PassiveRegistry[key] && !banishedSet.has(key)));
   const ownedCounts = buildOwnedPassiveCounts(currentPassives, getStackCount);
 
   const maxSlots = CONFIG?.PASSIVES?.maxSlots ?? Infinity;
@@ -354,7 +394,7 @@ export function getPassiveChoices({
   const filtered = filterPassiveCandidates(candidates, allowedSet, ownedCounts, level);
   if (!filtered.length) return [];
 
-  const seed = buildSeed(scene, level, PASSIVE_SEED_OFFSET);
+  const seed = buildSeed(scene, level, PASSIVE_SEED_OFFSET, reroll);
   const shuffled = deterministicShuffle(filtered, seed);
   const picks = shuffled.slice(0, Math.max(0, maxChoices));
 
@@ -371,8 +411,50 @@ export function getPassiveChoices({
   });
 }
 
+/**
+ * Every reward the hero could receive right now, unshuffled: ready evolutions,
+ * new weapons, weapon upgrades, and passive stacks. Treasure chests roll from
+ * this pool so they stay in sync with level-up offers.
+ */
+export function getRewardPool({
+  scene,
+  heroEntry,
+  level,
+  currentLoadout = [],
+  currentPassives = [],
+  getPassiveStackCount,
+  banished = null
+}) {
+  const evolutions = getEvolutionChoices({ scene, maxChoices: Infinity, banished });
+
+  const weapons = getWeaponChoicesInternal({
+    scene,
+    heroEntry,
+    level,
+    currentLoadout,
+    maxChoices: Infinity,
+    getWeaponLevel: (key) => scene.weaponManager?.getWeaponLevel?.(key),
+    banished
+  });
+
+  const passives = getPassiveChoices({
+    scene,
+    heroEntry,
+    level,
+    currentPassives,
+    getStackCount: getPassiveStackCount,
+    maxChoices: Infinity,
+    respectCadence: false,
+    banished
+  });
+
+  return [...evolutions, ...weapons, ...passives];
+}
+
 /**
  * Combine weapon and passive choices into a final level-up reward set.
+ * `banished` keys never appear; `reroll` (0 for the first offer) reshuffles
+ * the same level's seeded offer once per reroll.
  */
 export function getLevelUpChoices({
   scene,
@@ -381,7 +463,42 @@ export function getLevelUpChoices({
   currentLoadout = [],
   currentPassives = [],
   getPassiveStackCount,
-  maxChoices = 3
+  maxChoices = 3,
+  banished = null,
+  reroll = 0
+}) {
+  if (Math.max(0, maxChoices) === 0) return [];
+
+  // Ready evolutions always make the offer; regular picks fill what is left.
+  const evolutionChoices = getEvolutionChoices({ scene, maxChoices, banished });
+  const regularChoices = getRegularChoices({
+    scene,
+    heroEntry,
+    level,
+    currentLoadout,
+    currentPassives,
+    getPassiveStackCount,
+    maxChoices: maxChoices - evolutionChoices.length,
+    banished,
+    reroll
+  });
+
+  return [...evolutionChoices, ...regularChoices];
+}
+
+/**
+ * Mix weapon and passive choices for the slots left after evolutions.
+ */
+function getRegularChoices({
+  scene,
+  heroEntry,
+  level,
+  currentLoadout,
+  currentPassives,
+  getPassiveStackCount,
+  maxChoices,
+  banished,
+  reroll
 }) {
   const total = Math.max(0, maxChoices);
   if (total === 0) return [];
@@ -392,7 +509,9 @@ export function getLevelUpChoices({
     level,
     currentLoadout,
     maxChoices: total,
-    getWeaponLevel: (key) => scene.weaponManager?.getWeaponLevel?.(key)
+    getWeaponLevel: (key) => scene.weaponManager?.getWeaponLevel?.(key),
+    banished,
+    reroll
   });
 
   // NEW: passive choices already include gating, but we also short-circuit here
@@ -404,7 +523,9 @@ export function getLevelUpChoices({
         level,
         currentPassives,
         getStackCount: getPassiveStackCount,
-        maxChoices: total
+        maxChoices: total,
+        banished,
+        reroll
       })
     : [];
 
@@ -432,7 +553,7 @@ export function getLevelUpChoices({
     return allWeaponsOrdered.slice(0, total);
   }
 
-  const rng = makeSeededRandom(buildSeed(scene, level, 0x1234abcd));
+  const rng = makeSeededRandom(buildSeed(scene, level, 0x1234abcd, reroll));
 
   if (total === 1) {
     const roll = rng();
@@ -0,0 +1,117 @@
+import { getRewardPool } from './LevelUpRewards.js';
+import { getEvolutionFor, applyEvolution } from '../weapons/WeaponEvolutions.js';
+import { getRunStream, RNG_STREAMS } from '../core/RunRng.js';
+
+/**
+ * How many upgrades each chest tier rolls (inclusive range). Higher tiers come
+ * from tougher enemies; see the `treasure` blocks in DropTables.
+ */
+export const TREASURE_TIERS = {
+  treasure_1: { minRewards: 1, maxRewards: 1 },
+  treasure_2: { minRewards: 1, maxRewards: 2 },
+  treasure_3: { minRewards: 2, maxRewards: 3 },
+  treasure_4: { minRewards: 3, maxRewards: 5 },
+  treasure_5: { minRewards: 5, maxRewards: 5 },
+};
+
+/** Treasure tier config, falling back to the smallest chest. */
+export function getTreasureTier(type) {
+  return TREASURE_TIERS[type] ?? TREASURE_TIERS.treasure_1;
+}
+
+/**
+ * Roll and apply a chest's rewards. Each roll draws from the same pool the
+ * level-up modal uses (re-read after every grant so stacks and evolutions
+ * chain), preferring evolutions, then upgrades to owned items, then new items.
+ * When nothing is left the roll fully restores health instead.
+ *
+ * Rolls use the seeded drops stream, so replays reproduce them without
+ * recording anything beyond the chest acknowledgement.
+ *
+ * @returns {Array<Object>} applied choices, each tagged with `result` for the modal
+ */
+export function rollTreasureRewards(scene, type) {
+  if (!scene) return [];
+
+  const rng = getRunStream(scene, RNG_STREAMS.DROPS);
+  const tier = getTreasureTier(type);
+  const count = rng.between(tier.minRewards, tier.maxRewards);
+
+  const rewards = [];
+  for (let i = 0; i < count; i += 1) {
+    const choice = pickReward(scene, rng);
+    const applied = applyTreasureReward(scene, choice);
+    if (applied) rewards.push(applied);
+  }
+
+  scene.events?.emit?.('treasure:rewarded', { type, rewards });
+  return rewards;
+}
+
+/** Choose one reward from the current pool following the chest priorities. */
+function pickReward(scene, rng) {
+  const passiveManager = scene.passiveManager ?? null;
+
+  const pool = getRewardPool({
+    scene,
+    heroEntry: scene.heroEntry ?? null,
+    level: scene.levelSystem?.level ?? 1,
+    currentLoadout: scene.weaponManager?.getLoadout?.() ?? [],
+    currentPassives: passiveManager?.getLoadout?.() ?? [],
+    getPassiveStackCount: passiveManager?.getStackCount?.bind(passiveManager),
+    banished: scene.levelFlow?.getBanished?.() ?? null
+  });
+
+  const evolutions = pool.filter((choice) => choice.subtype === 'evolution');
+  if (evolutions.length) return rng.pick(evolutions);
+
+  const upgrades = pool.filter((choice) => (
+    choice.subtype === 'upgrade'
+    || (choice.type === 'passive' && (passiveManager?.getStackCount?.(choice.key) ?? 0) > 0)
+  ));
+  if (upgrades.length) return rng.pick(upgrades);
+
+  if (pool.length) return rng.pick(pool);
+
+  return { type: 'restore' };
+}
+
+/**
+ * Apply one rolled reward through WeaponManager / PassiveManager.
+ * Returns the choice plus a `result` label, or null when nothing changed.
+ */
+function applyTreasureReward(scene, choice) {
+  if (!choice) return null;
+
+  if (choice.type === 'weapon') {
+    if (choice.subtype === 'evolution') {
+      const evolution = getEvolutionFor(choice.from);
+      if (evolution?.into !== choice.key || !applyEvolution(scene, evolution)) return null;
+      return { ...choice, result: 'EVOLVED' };
+    }
+
+    if (choice.subtype === 'upgrade') {
+      if (!scene.weaponManager?.upgradeWeapon?.(choice.key)) return null;
+      const level = scene.weaponManager.getWeaponLevel(choice.key);
+      return { ...choice, result: `Lv ${level}` };
+    }
+
+    if (!scene.weaponManager?.addWeapon?.(choice.key)) return null;
+    return { ...choice, result: 'NEW' };
+  }
+
+  if (choice.type === 'passive') {
+    if (!scene.passiveManager?.addPassive?.(choice.key)) return null;
+    const stacks = scene.passiveManager.getStackCount(choice.key);
+    return { ...choice, result: stacks > 1 ? `x${stacks}` : 'NEW' };
+  }
+
+  if (choice.type === 'restore') {
+    const health = scene.hero?.health ?? scene.playerHealth;
+    if (!health?.heal) return null;
+    health.heal(health.maxHealth ?? 0);
+    return { ...choice, name: 'Restore Health', result: 'FULL' };
+  }
+
+  return null;
+}
@@ -0,0 +1,107 @@
+import { CONFIG } from '../config/gameConfig.js';
+
+export const DEFAULT_DIFFICULTY_KEY = 'normal';
+
+/**
+ * Difficulty tiers offered on MapSelectScene, in display order.
+ *
+ * Every multiplier scales the matching CONFIG.DIFFICULTY baseline:
+ *  - playerDamageMult: hero weapon damage (WeaponControllerBase).
+ *  - enemyHealthMult / enemyDamageMult / enemySpeedMult: become
+ *    `scene.combatTuning` for resolveMobStats; projectile, ground-attack and
+ *    boss damage go through scaleEnemyDamage.
+ *  - spawnPressure: multiplies SpawnRegistry `pace.pressure` (SpawnDirector.setPace),
+ *    so the spawn timeline runs faster.
+ *  - xpRateMult: XP granted by pickups.
+ *  - dropRateMult: weight of non-XP drops (hearts) and treasure chest chances.
+ *
+ * `ui` holds the selector label, blurb and accent color.
+ */
+export const DifficultyRegistry = {
+  story: {
+    ui: { name: 'Story', blurb: 'Softer hits and slower crowds. Enjoy the night.', color: '#8fe3b0' },
+    playerDamageMult: 1.15,
+    enemyHealthMult: 0.7,
+    enemyDamageMult: 0.5,
+    enemySpeedMult: 0.9,
+    spawnPressure: 0.8,
+    xpRateMult: 1.25,
+    dropRateMult: 1.5,
+  },
+  normal: {
+    ui: { name: 'Normal', blurb: 'The night as intended.', color: '#c8d0ff' },
+    playerDamageMult: 1.0,
+    enemyHealthMult: 1.0,
+    enemyDamageMult: 1.0,
+    enemySpeedMult: 1.0,
+    spawnPressure: 1.0,
+    xpRateMult: 1.0,
+    dropRateMult: 1.0,
+  },
+  nightmare: {
+    ui: { name: 'Nightmare', blurb: 'Tougher, faster mobs arrive sooner. Hearts are scarce.', color: '#ffb36b' },
+    playerDamageMult: 1.0,
+    enemyHealthMult: 1.6,
+    enemyDamageMult: 1.5,
+    enemySpeedMult: 1.1,
+    spawnPressure: 1.25,
+    xpRateMult: 0.9,
+    dropRateMult: 0.75,
+  },
+  endless_moon: {
+    ui: { name: 'Endless Moon', blurb: 'Brutal crowds from the first minute. Few hearts, fewer mistakes.', color: '#ff6b8a' },
+    playerDamageMult: 1.0,
+    enemyHealthMult: 2.4,
+    enemyDamageMult: 2.0,
+    enemySpeedMult: 1.2,
+    spawnPressure: 1.5,
+    xpRateMult: 0.8,
+    dropRateMult: 0.5,
+  },
+};
+
+const MULTIPLIER_FIELDS = [
+  'playerDamageMult',
+  'enemyHealthMult',
+  'enemyDamageMult',
+  'enemySpeedMult',
+  'spawnPressure',
+  'xpRateMult',
+  'dropRateMult',
+];
+
+/** Registered tiers with their keys, in display order. */
+export function listDifficulties() {
+  return Object.entries(DifficultyRegistry).map(([key, entry]) => ({ key, ...entry }));
+}
+
+/**
+ * Resolve a tier key into `{ key, label, ui, ...multipliers }` with the
+ * CONFIG.DIFFICULTY baseline folded in. Unknown or missing keys fall back to
+ * DEFAULT_DIFFICULTY_KEY.
+ */
+export function resolveDifficulty(key) {
+  let resolvedKey = key ?? DEFAULT_DIFFICULTY_KEY;
+  if (!DifficultyRegistry[resolvedKey]) {
+    console.warn(`[DifficultyRegistry] Unknown difficulty "${resolvedKey}", using ${DEFAULT_DIFFICULTY_KEY}`);
+    resolvedKey = DEFAULT_DIFFICULTY_KEY;
+  }
+
+  const entry = DifficultyRegistry[resolvedKey];
+  const baseline = CONFIG.DIFFICULTY ?? {};
+  const tier = { key: resolvedKey, label: entry.ui?.name ?? resolvedKey, ui: entry.ui ?? {} };
+  MULTIPLIER_FIELDS.forEach((field) => {
+    tier[field] = (baseline[field] ?? 1) * (entry[field] ?? 1);
+  });
+  return tier;
+}
+
+/** `scene.combatTuning` shape read by resolveMobStats. */
+export function getCombatTuning(tier) {
+  return {
+    hpMult: tier?.enemyHealthMult ?? 1,
+    damageMult: tier?.enemyDamageMult ?? 1,
+    speedMult: tier?.enemySpeedMult ?? 1,
+    maxSpeedMult: tier?.enemySpeedMult ?? 1,
+  };
+}
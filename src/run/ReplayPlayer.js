@@ -0,0 +1,130 @@
+import { MOVE_AXIS_STEPS } from './ReplayRecorder.js';
+
+// Position drift (px) tolerated at a checkpoint before playback reports a desync.
+const DESYNC_TOLERANCE_PX = 24;
+
+/**
+ * ReplayPlayer
+ *
+ * Feeds a recorded run back into GameScene. HeroController pulls the move
+ * vector through `getMoveVector()` (installed as its move-vector provider),
+ * LevelUpFlow and PickupController consume recorded decisions via
+ * `takeChoice()`, and `update()` compares hero position against the recorded
+ * checkpoints. Any mismatch goes through `reportDesync()`, which emits
+ * 'replay:desynced' so GameScene can flag the replay on screen instead of
+ * silently producing a different run.
+ *
+ * Recorded decisions are queued with `queueDecision()` and applied by
+ * GameScene before the next simulation step, matching a live run where the
+ * modal stays open for at least one frame and the click lands between steps.
+ */
+export class ReplayPlayer {
+  constructor(scene, replay) {
+    this.scene = scene;
+    this.replay = replay;
+
+    // Decode the run-length move stream into absolute change times.
+    const moves = Array.isArray(replay?.moves) ? replay.moves : [];
+    this._moveTimes = [];
+    this._moveVectors = [];
+    let atMs = 0;
+    for (let i = 0; i + 2 < moves.length; i += 3) {
+      atMs += Number(moves[i]) || 0;
+      this._moveTimes.push(atMs);
+      this._moveVectors.push({
+        x: (Number(moves[i + 1]) || 0) / MOVE_AXIS_STEPS,
+        y: (Number(moves[i + 2]) || 0) / MOVE_AXIS_STEPS,
+      });
+    }
+    this._moveCursor = -1;
+
+    // Decisions are consumed in recorded order, one queue per kind.
+    this._choiceQueues = new Map();
+    (replay?.choices ?? []).forEach((entry) => {
+      if (!entry?.kind) return;
+      if (!this._choiceQueues.has(entry.kind)) this._choiceQueues.set(entry.kind, []);
+      this._choiceQueues.get(entry.kind).push(entry);
+    });
+
+    this._checkpoints = Array.isArray(replay?.checkpoints) ? replay.checkpoints : [];
+    this._checkpointCursor = 0;
+    this._pendingDecisions = [];
+    this.desynced = false;
+  }
+
+  /** Current run clock in whole milliseconds (matches ReplayRecorder). */
+  _now() {
+    return Math.round(Number(this.scene?.getRunElapsedMs?.()) || 0);
+  }
+
+  /** Recorded move vector in effect at the current run time. */
+  getMoveVector() {
+    const now = this._now();
+    while (this._moveCursor + 1 < this._moveTimes.length && this._moveTimes[this._moveCursor + 1] <= now) {
+      this._moveCursor += 1;
+    }
+    return this._moveVectors[this._moveCursor] ?? { x: 0, y: 0 };
+  }
+
+  /**
+   * Pop the next recorded decision of the given kind ('levelup' | 'treasure').
+   * Returns null once the recording has no more decisions of that kind.
+   */
+  takeChoice(kind) {
+    const queue = this._choiceQueues.get(kind);
+    return queue?.length ? queue.shift() : null;
+  }
+
+  /** Defer applying a recorded decision until the next simulation step. */
+  queueDecision(apply) {
+    if (typeof apply === 'function') this._pendingDecisions.push(apply);
+  }
+
+  /** Apply queued decisions in order (GameScene calls this once per frame). */
+  applyPendingDecisions() {
+    while (this._pendingDecisions.length > 0) {
+      this._pendingDecisions.shift()();
+    }
+  }
+
+  /**
+   * Flag the replay as desynced (first report only) and tell the scene.
+   * Playback keeps running so the rest of the run can still be watched.
+   */
+  reportDesync(reason) {
+    if (this.desynced) return;
+    this.desynced = true;
+
+    const atMs = this._now();
+    console.warn(`[ReplayPlayer] Replay desynced at ${atMs}ms: ${reason}`);
+    this.scene?.events?.emit?.('replay:desynced', { atMs, reason });
+  }
+
+  /** Compare hero position with any checkpoints that are now due. */
+  update() {
+    const sprite = this.scene?.hero?.sprite;
+    if (!sprite) return;
+
+    const now = this._now();
+    while (this._checkpointCursor + 2 < this._checkpoints.length) {
+      const atMs = this._checkpoints[this._checkpointCursor];
+      if (atMs > now) break;
+
+      const x = this._checkpoints[this._checkpointCursor + 1];
+      const y = this._checkpoints[this._checkpointCursor + 2];
+      this._checkpointCursor += 3;
+
+      const drift = Math.hypot(sprite.x - x, sprite.y - y);
+      if (drift > DESYNC_TOLERANCE_PX) {
+        this.reportDesync(`hero ${Math.round(drift)}px from the ${atMs}ms checkpoint`);
+      }
+    }
+  }
+
+  destroy() {
+    this._choiceQueues.clear();
+    this._pendingDecisions = [];
+    this.scene = null;
+    this.replay = null;
+  }
+}
@@ -0,0 +1,147 @@
+import { REPLAY_FORMAT, REPLAY_VERSION } from './ReplayStore.js';
+
+// Move axes are stored as integers in 1/1000 steps. HeroController snaps live
+// input to the same grid so a played-back vector matches the recorded one exactly.
+export const MOVE_AXIS_STEPS = 1000;
+
+// How often the hero position is written out so playback can detect desyncs.
+const CHECKPOINT_INTERVAL_MS = 5000;
+
+/** Snap an analog axis value onto the replay quantization grid. */
+export function quantizeMoveAxis(value) {
+  return Math.round((Number(value) || 0) * MOVE_AXIS_STEPS) / MOVE_AXIS_STEPS;
+}
+
+/** Keep only the fields needed to re-apply a level-up choice (drops UI labels/icons). */
+function compactChoice(choice = {}) {
+  const out = { type: choice.type };
+  if (choice.subtype != null) out.subtype = choice.subtype;
+  if (choice.key != null) out.key = choice.key;
+  if (choice.from != null) out.from = choice.from;
+  if (choice.amount != null) out.amount = choice.amount;
+  return out;
+}
+
+/**
+ * ReplayRecorder
+ *
+ * Captures everything the player contributes to a run: the hero move vector
+ * sampled once per simulation step and every level-up / treasure decision.
+ * Everything else (spawns, drops, crits, offers) is reproduced by RunRng from
+ * the seed, so the file stays small.
+ *
+ * Moves are run-length encoded as a flat `[deltaMs, x, y, ...]` array keyed by
+ * the run clock (pauses excluded). The simulation runs in fixed steps of
+ * `stepMs` (stored with the replay), which keeps playback independent of the
+ * display refresh rate.
+ */
+export class ReplayRecorder {
+  constructor(scene, { seed, stepMs, heroKey, mapKey, difficultyKey, runModifiers, metaUpgrades, events } = {}) {
+    this.scene = scene;
+    this.events = events ?? scene?.events ?? null;
+    this.seed = seed >>> 0;
+    this.stepMs = Number(stepMs) || null;
+    this.heroKey = heroKey ?? null;
+    this.mapKey = mapKey ?? null;
+    this.difficultyKey = difficultyKey ?? null;
+    this.runModifiers = Array.isArray(runModifiers) ? [...runModifiers] : [];
+    // Permanent upgrade ranks change hero stats, so playback needs them too.
+    this.metaUpgrades = { ...(metaUpgrades ?? {}) };
+
+    this._moves = [];
+    this._lastX = 0;
+    this._lastY = 0;
+    this._lastChangeMs = 0;
+    this._hasSample = false;
+    this._lastSampleMs = 0;
+
+    this._choices = [];
+    this._checkpoints = [];
+    this._nextCheckpointMs = 0;
+    this._result = null;
+
+    // --- Event handlers (bound once) ---
+    this._onLevelChoice = ({ level, choice } = {}) => {
+      if (!choice?.type) return;
+      this._choices.push({ atMs: this._now(), kind: 'levelup', level, choice: compactChoice(choice) });
+    };
+
+    this._onTreasureClosed = ({ type } = {}) => {
+      this._choices.push({ atMs: this._now(), kind: 'treasure', type: type ?? null });
+    };
+
+    this.events?.on?.('level:choice:made', this._onLevelChoice);
+    this.events?.on?.('treasure:closed', this._onTreasureClosed);
+  }
+
+  /** Current run clock in whole milliseconds. */
+  _now() {
+    return Math.round(Number(this.scene?.getRunElapsedMs?.()) || 0);
+  }
+
+  /**
+   * Record the move vector HeroController applied this step. Called from
+   * stepSimulation right after the hero update so it sees the final axes.
+   */
+  sample() {
+    if (this._result) return;
+
+    const axes = this.scene?.hero?.controller?.lastMoveAxes;
+    const atMs = this._now();
+    const x = Math.round((axes?.x ?? 0) * MOVE_AXIS_STEPS);
+    const y = Math.round((axes?.y ?? 0) * MOVE_AXIS_STEPS);
+
+    if (!this._hasSample || x !== this._lastX || y !== this._lastY) {
+      this._moves.push(atMs - this._lastChangeMs, x, y);
+      this._lastChangeMs = atMs;
+      this._lastX = x;
+      this._lastY = y;
+      this._hasSample = true;
+    }
+    this._lastSampleMs = atMs;
+
+    const sprite = this.scene?.hero?.sprite;
+    if (sprite && atMs >= this._nextCheckpointMs) {
+      this._checkpoints.push(atMs, Math.round(sprite.x), Math.round(sprite.y));
+      this._nextCheckpointMs = atMs + CHECKPOINT_INTERVAL_MS;
+    }
+  }
+
+  /**
+   * Freeze the recording and return the serialisable replay. Safe to call
+   * more than once (endRun and shutdown both finish the recorder).
+   */
+  finish({ outcome = null } = {}) {
+    if (this._result) return this._result;
+
+    this._result = {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      stepMs: this.stepMs,
+      heroKey: this.heroKey,
+      mapKey: this.mapKey,
+      difficultyKey: this.difficultyKey,
+      runModifiers: this.runModifiers,
+      metaUpgrades: this.metaUpgrades,
+      recordedAt: new Date().toISOString(),
+      durationMs: this._lastSampleMs,
+      outcome,
+      moves: this._moves,
+      choices: this._choices,
+      checkpoints: this._checkpoints,
+    };
+    return this._result;
+  }
+
+  destroy() {
+    this.events?.off?.('level:choice:made', this._onLevelChoice);
+    this.events?.off?.('treasure:closed', this._onTreasureClosed);
+
+    this._onLevelChoice = null;
+    this._onTreasureClosed = null;
+
+    this.scene = null;
+    this.events = null;
+  }
+}
@@ -0,0 +1,94 @@
+// Key used to store/retrieve the most recently recorded run in localStorage
+const STORAGE_KEY = 'NOTBM:lastReplay';
+
+// Bumped whenever the recorded layout changes so stale files are rejected
+// instead of silently desyncing.
+export const REPLAY_FORMAT = 'notbm-replay';
+export const REPLAY_VERSION = 2;
+
+/**
+ * Validate a parsed replay payload. Returns the replay when it carries
+ * everything playback needs (seed, hero, map, move + choice streams), or
+ * `null` when the data is malformed or from an unsupported version.
+ */
+export function normalizeReplay(data) {
+  if (!data || typeof data !== 'object') return null;
+  if (data.format !== REPLAY_FORMAT || data.version !== REPLAY_VERSION) return null;
+  if (!Number.isFinite(Number(data.seed))) return null;
+  if (!Array.isArray(data.moves) || data.moves.length % 3 !== 0) return null;
+
+  return {
+    ...data,
+    seed: Number(data.seed) >>> 0,
+    heroKey: data.heroKey ?? null,
+    mapKey: data.mapKey ?? null,
+    difficultyKey: data.difficultyKey ?? null,
+    runModifiers: Array.isArray(data.runModifiers) ? data.runModifiers : [],
+    choices: Array.isArray(data.choices) ? data.choices : [],
+    checkpoints: Array.isArray(data.checkpoints) ? data.checkpoints : [],
+  };
+}
+
+export class ReplayStore {
+  /**
+   * Loads the last recorded replay from localStorage.
+   * Returns `null` if nothing is stored or the payload is invalid.
+   */
+  static load() {
+    if (typeof window === 'undefined' || !window.localStorage) return null;
+
+    try {
+      const raw = window.localStorage.getItem(STORAGE_KEY);
+      if (!raw) return null;
+      return normalizeReplay(JSON.parse(raw));
+    } catch (err) {
+      console.warn('[ReplayStore] Failed to parse stored replay', err);
+      return null;
+    }
+  }
+
+  /**
+   * Persists a replay so it can be watched from the main menu.
+   * Storage failures (quota, private mode) only warn.
+   */
+  static save(replay) {
+    if (!replay || typeof window === 'undefined' || !window.localStorage) return;
+
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(replay));
+    } catch (err) {
+      console.warn('[ReplayStore] Failed to persist replay', err);
+    }
+  }
+
+  /**
+   * Parse replay file contents (e.g. a file dropped onto the menu).
+   * Returns `null` for anything that is not a supported replay.
+   */
+  static parse(text) {
+    try {
+      return normalizeReplay(JSON.parse(String(text ?? '')));
+    } catch (err) {
+      console.warn('[ReplayStore] Failed to parse replay file', err);
+      return null;
+    }
+  }
+
+  /**
+   * Offer the replay as a downloadable `.json` file so it can be attached to
+   * bug reports or shared between machines.
+   */
+  static download(replay) {
+    if (!replay || typeof document === 'undefined' || typeof Blob === 'undefined') return;
+
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `notbm-replay-${replay.heroKey ?? 'hero'}-${replay.seed}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+}
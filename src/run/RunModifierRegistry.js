@@ -0,0 +1,76 @@
+/**
+ * Run modifiers ("curses") the player can stack on MapSelectScene. Each one
+ * makes the run harder and multiplies the meta-currency payout by `rewardMult`
+ * (stacked modifiers multiply together).
+ *
+ * Effect blocks, all optional (applied by RunModifiers):
+ *  - mobStats: `{ hpMult, damageMult, speedMult, maxSpeedMult }` folded into
+ *    `scene.combatTuning` for resolveMobStats.
+ *  - drops: `{ disableCurrencies: ['health'] }` zeroes DropTables entries whose
+ *    DropRegistry value pays that currency.
+ *  - spawn: `{ tierWeightMult: { elite: 2 } }` scales SpawnDirector weights
+ *    for every SpawnRegistry mob of that MobRegistry tier.
+ *  - weapons: `{ startLevel, maxLevel }` for WeaponManager.setLevelRange.
+ *  - hero: `{ statMults: { speed: 1.2 } }` passed to HeroFactory.
+ *  - onDeath: `{ explode: { radius, windupMs, damage, color } }` drops a
+ *    DangerZoneSystem circle where each enemy dies (bosses excluded).
+ *
+ * `ui` holds the picker label and blurb.
+ */
+export const RunModifierRegistry = {
+  volatile_dead: {
+    ui: { name: 'Volatile Dead', blurb: 'Enemies burst on death. Step out of the ring.' },
+    rewardMult: 1.2,
+    onDeath: {
+      explode: { radius: 56, windupMs: 600, damage: 6, color: 0xff8a3b },
+    },
+  },
+  heartless: {
+    ui: { name: 'Heartless', blurb: 'No health drops.' },
+    rewardMult: 1.25,
+    drops: { disableCurrencies: ['health'] },
+  },
+  elite_surge: {
+    ui: { name: 'Elite Surge', blurb: 'Elites spawn twice as often.' },
+    rewardMult: 1.2,
+    spawn: { tierWeightMult: { elite: 2 } },
+  },
+  seasoned_arsenal: {
+    ui: { name: 'Seasoned Arsenal', blurb: 'Weapons start at Lv 3 but cap at Lv 6. No evolutions.' },
+    rewardMult: 1.1,
+    weapons: { startLevel: 3, maxLevel: 6 },
+  },
+  glass_sprinter: {
+    ui: { name: 'Glass Sprinter', blurb: 'Move 20% faster with half HP.' },
+    rewardMult: 1.3,
+    hero: { statMults: { speed: 1.2, maxVelocity: 1.2, maxHealth: 0.5 } },
+  },
+  iron_hide: {
+    ui: { name: 'Iron Hide', blurb: 'Enemies have 50% more HP.' },
+    rewardMult: 1.15,
+    mobStats: { hpMult: 1.5 },
+  },
+};
+
+/** Registered modifiers with their keys, in display order. */
+export function listRunModifiers() {
+  return Object.entries(RunModifierRegistry).map(([key, entry]) => ({ key, ...entry }));
+}
+
+/**
+ * Keep known keys only, deduplicated and in registry order so the same set
+ * always resolves (and replays) the same way.
+ */
+export function normalizeRunModifierKeys(keys) {
+  const wanted = new Set(Array.isArray(keys) ? keys : []);
+  wanted.forEach((key) => {
+    if (!RunModifierRegistry[key]) console.warn(`[RunModifierRegistry] Unknown run modifier "${key}"`);
+  });
+  return Object.keys(RunModifierRegistry).filter((key) => wanted.has(key));
+}
+
+/** Combined payout multiplier for a set of modifier keys. */
+export function getRunModifierRewardMult(keys) {
+  return normalizeRunModifierKeys(keys)
+    .reduce((mult, key) => mult * (RunModifierRegistry[key].rewardMult ?? 1), 1);
+}
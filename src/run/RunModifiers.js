@@ -0,0 +1,139 @@
+import { DropRegistry } from '../drops/DropRegistry.js';
+import { resolveMobConfig } from '../mob/MobRegistry.js';
+import { normalizeRunModifierKeys, RunModifierRegistry } from './RunModifierRegistry.js';
+
+/**
+ * RunModifiers
+ *
+ * The active run modifiers for one GameScene run. Each `applyTo*` method
+ * translates the RunModifierRegistry effect blocks onto an existing seam, so
+ * GameScene only needs to call them while composing its systems:
+ *  - combatTuning      → resolveMobStats multipliers
+ *  - applyToDropTables → DropSpawner tables
+ *  - heroStatMults     → HeroFactory
+ *  - applyToSpawnDirector / applyToWeaponManager
+ *  - attach(scene)     → runtime hooks (death explosions)
+ */
+export class RunModifiers {
+  constructor(keys = []) {
+    this.keys = normalizeRunModifierKeys(keys);
+    this.entries = this.keys.map((key) => ({ key, ...RunModifierRegistry[key] }));
+    this._scene = null;
+    this._onEnemyDied = null;
+  }
+
+  get isEmpty() {
+    return this.entries.length === 0;
+  }
+
+  /** Meta payout multiplier (product of every modifier's `rewardMult`). */
+  get rewardMult() {
+    return this.entries.reduce((mult, entry) => mult * (entry.rewardMult ?? 1), 1);
+  }
+
+  /** Display names, for the run summary. */
+  get labels() {
+    return this.entries.map((entry) => entry.ui?.name ?? entry.key);
+  }
+
+  /** Multiply `mobStats` blocks into a combatTuning object (returns a copy). */
+  combatTuning(base = {}) {
+    const tuning = { ...base };
+    this.entries.forEach(({ mobStats }) => {
+      Object.entries(mobStats ?? {}).forEach(([field, mult]) => {
+        tuning[field] = (tuning[field] ?? 1) * mult;
+      });
+    });
+    return tuning;
+  }
+
+  /** Combined `hero.statMults`, or null when no modifier touches the hero. */
+  get heroStatMults() {
+    let mults = null;
+    this.entries.forEach(({ hero }) => {
+      Object.entries(hero?.statMults ?? {}).forEach(([stat, mult]) => {
+        mults = mults ?? {};
+        mults[stat] = (mults[stat] ?? 1) * mult;
+      });
+    });
+    return mults;
+  }
+
+  /**
+   * Copy of `tables` with entries paying a disabled currency weighted 0.
+   * Returns `tables` itself when no modifier filters drops.
+   */
+  applyToDropTables(tables) {
+    const disabled = new Set(this.entries.flatMap(({ drops }) => drops?.disableCurrencies ?? []));
+    if (!disabled.size) return tables;
+
+    const isDisabled = (entry) => disabled.has(DropRegistry[entry?.type]?.value?.currency ?? 'xp');
+    const out = {};
+    Object.entries(tables ?? {}).forEach(([mobKey, table]) => {
+      out[mobKey] = {
+        ...table,
+        entries: (table?.entries ?? []).map((entry) => (isDisabled(entry) ? { ...entry, weight: 0 } : entry)),
+      };
+    });
+    return out;
+  }
+
+  /** Scale spawn weights per mob tier (`spawn.tierWeightMult`). */
+  applyToSpawnDirector(director) {
+    const tierMults = {};
+    this.entries.forEach(({ spawn }) => {
+      Object.entries(spawn?.tierWeightMult ?? {}).forEach(([tier, mult]) => {
+        tierMults[tier] = (tierMults[tier] ?? 1) * mult;
+      });
+    });
+    if (!director || !Object.keys(tierMults).length) return;
+
+    Object.keys(director.spawnConfig?.byMob ?? {}).forEach((mobKey) => {
+      const tier = resolveMobConfig(mobKey)?.tier;
+      if (tier && tierMults[tier] != null) director.setWeightMultiplier(mobKey, tierMults[tier]);
+    });
+  }
+
+  /** Apply `weapons` level ranges; the strictest cap wins when several stack. */
+  applyToWeaponManager(weaponManager) {
+    const range = {};
+    this.entries.forEach(({ weapons }) => {
+      if (Number.isFinite(weapons?.startLevel)) {
+        range.startLevel = Math.max(range.startLevel ?? 1, weapons.startLevel);
+      }
+      if (Number.isFinite(weapons?.maxLevel)) {
+        range.maxLevel = Math.min(range.maxLevel ?? Infinity, weapons.maxLevel);
+      }
+    });
+    if (Object.keys(range).length) weaponManager?.setLevelRange?.(range);
+  }
+
+  /** Subscribe runtime hooks; call `detach()` (or destroy) on shutdown. */
+  attach(scene) {
+    this.detach();
+    const explosions = this.entries.map(({ onDeath }) => onDeath?.explode).filter(Boolean);
+    if (!scene || !explosions.length) return;
+
+    this._scene = scene;
+    this._onEnemyDied = ({ enemy, mobKey, x, y } = {}) => {
+      const tier = resolveMobConfig(mobKey ?? enemy?.mobKey)?.tier;
+      if (tier === 'boss') return;
+      explosions.forEach((explode) => {
+        scene.dangerZones?.spawn?.({ ...explode, x, y, shape: 'circle', source: enemy ?? null });
+      });
+    };
+    scene.events?.on?.('enemy:died', this._onEnemyDied);
+  }
+
+  detach() {
+    if (this._scene && this._onEnemyDied) {
+      this._scene.events?.off?.('enemy:died', this._onEnemyDied);
+    }
+    this._scene = null;
+    this._onEnemyDied = null;
+  }
+
+  destroy() {
+    this.detach();
+  }
+}
@@ -1,3 +1,16 @@
+import { WeaponRegistry } from '../weapons/WeaponRegistry.js';
+
+// Per-weapon damage is bucketed by run minute for the end-of-run DPS sparkline.
+const DPS_BUCKET_MS = 60000;
+
+/**
+ * RunStatsTracker
+ *
+ * Run totals (kills, damage, gold) plus a per-weapon breakdown: damage, kills
+ * (killing blows), hits, crits, time equipped and damage per run minute.
+ * Only WeaponRegistry keys get a row, so pickup bombs and other non-weapon
+ * sources still count toward the totals but not the breakdown.
+ */
 export class RunStatsTracker {
   constructor(scene, { events, startTime = null } = {}) {
     this.scene = scene;
@@ -8,24 +21,116 @@ export class RunStatsTracker {
     // Core counters
     this.kills = 0;
     this.damageDealt = 0;
+    this.goldCollected = 0;
+
+    // weaponKey → { damage, kills, hits, crits, equippedMs, equippedSince, damageByMinute }
+    this.weapons = new Map();
 
     // --- Event handlers (bound once) ---
-    this._onEnemyDied = () => {
+    this._onEnemyDied = ({ weaponKey } = {}) => {
       this.kills = (this.kills | 0) + 1;
+
+      const weapon = this._weaponEntry(weaponKey);
+      if (weapon) weapon.kills += 1;
     };
 
     this._onCombatHit = (payload = {}) => {
-      // DamagePipeline emits: { damage: effectiveDamage, weaponKey, mobKey, enemy, wasCrit }
+      // DamagePipeline emits: { damage: effectiveDamage, weaponKey, mobKey, enemy, wasCrit, statusTick }
       const dmg = Number(payload?.damage) || 0;
       if (dmg <= 0) return;
 
       // total confirmed damage dealt to enemies
       this.damageDealt += dmg;
+
+      const weapon = this._weaponEntry(payload?.weaponKey);
+      if (!weapon) return;
+      weapon.damage += dmg;
+      const minute = Math.floor(this.getElapsedMs() / DPS_BUCKET_MS);
+      weapon.damageByMinute[minute] = (weapon.damageByMinute[minute] ?? 0) + dmg;
+      // Status ticks add damage but aren't separate hits.
+      if (!payload?.statusTick) {
+        weapon.hits += 1;
+        if (payload?.wasCrit) weapon.crits += 1;
+      }
+    };
+
+    this._onLoadoutChanged = (loadout) => this._syncEquipped(loadout);
+
+    this._onGold = ({ amount } = {}) => {
+      this.goldCollected += Math.max(0, Number(amount) || 0);
     };
 
     // --- Subscriptions ---
     this.events?.on?.('enemy:died', this._onEnemyDied);
     this.events?.on?.('combat:hit', this._onCombatHit);
+    this.events?.on?.('pickup:gold', this._onGold);
+    this.events?.on?.('weapons:changed', this._onLoadoutChanged);
+
+    // The starting loadout is equipped before the HUD (and this tracker) exists.
+    this._syncEquipped(scene?.weaponManager?.getLoadout?.() ?? []);
+  }
+
+  /** Row for a registered weapon key, created on first use; null otherwise. */
+  _weaponEntry(weaponKey) {
+    if (!weaponKey || !WeaponRegistry[weaponKey]) return null;
+    let entry = this.weapons.get(weaponKey);
+    if (!entry) {
+      entry = { damage: 0, kills: 0, hits: 0, crits: 0, equippedMs: 0, equippedSince: null, damageByMinute: [] };
+      this.weapons.set(weaponKey, entry);
+    }
+    return entry;
+  }
+
+  /** Open / close equipped intervals against the current loadout keys. */
+  _syncEquipped(loadout) {
+    const nowMs = this.getElapsedMs();
+    const equipped = new Set(Array.isArray(loadout) ? loadout : []);
+
+    this.weapons.forEach((entry, key) => {
+      if (entry.equippedSince != null && !equipped.has(key)) {
+        entry.equippedMs += Math.max(0, nowMs - entry.equippedSince);
+        entry.equippedSince = null;
+      }
+    });
+    equipped.forEach((key) => {
+      const entry = this._weaponEntry(key);
+      if (entry && entry.equippedSince == null) entry.equippedSince = nowMs;
+    });
+  }
+
+  /**
+   * Per-weapon rows, highest damage first. `dpsByMinute[i]` is the average DPS
+   * during run minute i (the last, partial minute uses the time actually played).
+   */
+  getWeaponBreakdown(now = null) {
+    const elapsedMs = this.getElapsedMs(now);
+    const minutes = Math.max(1, Math.ceil(elapsedMs / DPS_BUCKET_MS));
+
+    const rows = [];
+    this.weapons.forEach((entry, key) => {
+      const equippedMs = entry.equippedMs
+        + (entry.equippedSince != null ? Math.max(0, elapsedMs - entry.equippedSince) : 0);
+      const dpsByMinute = [];
+      for (let i = 0; i < minutes; i += 1) {
+        const spanMs = Math.min(DPS_BUCKET_MS, elapsedMs - i * DPS_BUCKET_MS);
+        dpsByMinute.push(spanMs > 0 ? (entry.damageByMinute[i] ?? 0) / (spanMs / 1000) : 0);
+      }
+
+      rows.push({
+        key,
+        damage: entry.damage,
+        kills: entry.kills,
+        hits: entry.hits,
+        crits: entry.crits,
+        equippedMs,
+        dps: equippedMs > 0 ? entry.damage / (equippedMs / 1000) : 0,
+        dpsByMinute,
+      });
+    });
+
+    return rows
+      .filter((row) => row.damage > 0 || row.equippedMs > 0)
+      .sort((a, b) => b.damage - a.damage);
   }
 
   setStartTime(startTime) {
@@ -35,7 +140,10 @@ export class RunStatsTracker {
   reset({ startTime = null } = {}) {
     this.kills = 0;
     this.damageDealt = 0;
+    this.goldCollected = 0;
+    this.weapons.clear();
     this.startTime = startTime;
+    this._syncEquipped(this.scene?.weaponManager?.getLoadout?.() ?? []);
   }
 
   getElapsedMs(now = null) {
@@ -61,15 +169,25 @@ export class RunStatsTracker {
 
       // New: total damage dealt to enemies (confirmed via combat:hit)
       damageDealt: Math.max(0, Number(this.damageDealt) || 0),
+
+      // Gold coins picked up (meta economy, see computeRunReward).
+      goldCollected: Math.max(0, Number(this.goldCollected) || 0),
+
+      weapons: this.getWeaponBreakdown(now),
     };
   }
 
   destroy() {
     this.events?.off?.('enemy:died', this._onEnemyDied);
     this.events?.off?.('combat:hit', this._onCombatHit);
+    this.events?.off?.('pickup:gold', this._onGold);
+    this.events?.off?.('weapons:changed', this._onLoadoutChanged);
 
     this._onEnemyDied = null;
     this._onCombatHit = null;
+    this._onGold = null;
+    this._onLoadoutChanged = null;
+    this.weapons = null;
 
     this.scene = null;
     this.events = null;
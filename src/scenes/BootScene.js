@@ -12,6 +12,7 @@ import { registerWeaponAnimations } from '../weapons/registerWeaponAnimations.js
 import { PassiveRegistry } from '../passives/PassiveRegistry.js';
 import { MapRegistry, listMaps } from '../maps/MapRegistry.js';
 import { buildLoadingUI } from '../ui/BootLoadingUI.js';
+import { ensurePickupTextures } from '../drops/pickupTextures.js';
 
 export class BootScene extends Phaser.Scene {
   /** Initialize BootScene state so runtime dependencies are ready. */
@@ -42,6 +43,9 @@ export class BootScene extends Phaser.Scene {
     g.generateTexture('spark', 2, 2);
 
     g.destroy();
+
+    // Gold coin + vacuum / bomb / clock pickup icons.
+    ensurePickupTextures(this);
     
     const ui = buildLoadingUI(this);
     this._bootLoadingUI = ui;
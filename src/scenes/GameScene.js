@@ -10,6 +10,7 @@ import { HeroFactory } from '../hero/HeroFactory.js';
 import { WeaponManager } from '../weapons/WeaponManager.js';
 import { DamagePipeline } from '../combat/DamagePipeline.js';
 import { WeaponRegistry } from '../weapons/WeaponRegistry.js';
+import { withEvolutions } from '../weapons/WeaponEvolutions.js';
 import { DropManager } from '../drops/systems/DropManager.js';
 import { DropTables } from '../drops/DropTable.js';
 import { DropSpawner } from '../drops/systems/DropSpawner.js';
@@ -22,17 +23,23 @@ import { BloodMoonOverlay } from '../world/BloodMoonOverlay.js';
 import { LevelUpFlow } from '../progression/LevelUpFlow.js';
 import { PickupController } from '../drops/controllers/PickupController.js';
 import { EnemyBehaviorSystem } from '../combat/EnemyBehaviorSystem.js';
+import { EnemySpatialIndex } from '../combat/EnemySpatialIndex.js';
 import { EnemyProjectileSystem } from '../combat/EnemyProjectileSystem.js';
+import { DangerZoneSystem } from '../combat/DangerZoneSystem.js';
 import { PlayerDerivedStatsApplier } from '../combat/PlayerDerivedStatsApplier.js';
 import { HUDManager } from '../ui/HUDManager.js';
+import { getGamepadInput } from '../input/GamepadInput.js';
+import { isActionDown } from '../input/InputBindings.js';
 import { resolveMobCollisionFlags, resolveMobConfig } from '../mob/MobRegistry.js';
 import { PassiveManager } from '../passives/PassiveManager.js';
 import { PassiveRegistry } from '../passives/PassiveRegistry.js';
 import { DamageNumberSystem } from '../combat/DamageNumberSystem.js';
+import { StatusEffectSystem } from '../combat/StatusEffectSystem.js';
 import { getOrCreateSoundManager } from '../audio/SoundManager.js';
 import { setupAudioSystem } from '../audio/AudioSystem.js';
+import { RunMusicController } from '../audio/RunMusicController.js';
 import { CONFIG, DEV_RUN } from '../config/gameConfig.js';
-import { WerewolfEncounter } from '../encounters/WerewolfEncounter.js';
+import { EncounterDirector } from '../encounters/EncounterDirector.js';
 import { DEFAULT_MAP_KEY, MapRegistry } from '../maps/MapRegistry.js';
 import { BoundedMapLoader } from '../maps/BoundedMapLoader.js';
 import { BoundedNavGrid } from '../maps/BoundedNavGrid.js';
@@ -40,8 +47,19 @@ import { FlowField } from '../maps/FlowField.js';
 import { MapDebugOverlay } from '../maps/MapDebugOverlay.js';
 import { MapRuntime } from '../maps/MapRuntime.js';
 import { MapQuery } from '../maps/MapQuery.js';
+import { RunRng, RNG_STREAMS } from '../core/RunRng.js';
+import { ReplayRecorder } from '../run/ReplayRecorder.js';
+import { ReplayPlayer } from '../run/ReplayPlayer.js';
+import { ReplayStore, normalizeReplay } from '../run/ReplayStore.js';
+import { getCombatTuning, resolveDifficulty } from '../run/DifficultyRegistry.js';
+import { RunModifiers } from '../run/RunModifiers.js';
+import { MetaProgressStore, computeRunReward } from '../meta/MetaProgressStore.js';
+import { computeMetaBonuses } from '../meta/MetaUpgradeRegistry.js';
+import { AchievementTracker } from '../achievements/AchievementTracker.js';
+import { AchievementToast } from '../ui/AchievementToast.js';
 import { resetRunState } from './game/resetRunState.js';
 import { PauseController } from './game/PauseController.js';
+import { SimulationLoop, SIM_STEP_MS } from './game/SimulationLoop.js';
 import { wireGameSceneEvents } from './game/wireEvents.js';
 import { cleanupGameScene } from './game/cleanup.js';
 import { applyDevRun } from './game/applyDevRun.js';
@@ -77,22 +95,49 @@ export class GameScene extends Phaser.Scene {
     // source of truth for player status and run timing.
     resetRunState(this);
 
+    // Replay playback (scene data `replay`) pins the seed, hero and map of the
+    // recording; live runs may still pin a seed directly.
+    const sceneData = this.scene?.settings?.data ?? {};
+    this.replay = normalizeReplay(sceneData.replay);
+
+    // Per-run RNG service. Scene data may pin a seed so the same seed, hero and
+    // map reproduce the same run; every gameplay roll draws from a named stream.
+    this.rng = new RunRng(this.replay?.seed ?? sceneData.seed);
+    this.runSeed = this.rng.seed;
+
+    // Permanent meta-upgrade ranks bought in the shop. Playback uses the ranks
+    // stored with the recording so the hero matches the original run.
+    this.metaUpgrades = this.replay
+      ? { ...(this.replay.metaUpgrades ?? {}) }
+      : MetaProgressStore.getRanks();
+    this.metaBonuses = computeMetaBonuses(this.metaUpgrades);
+
+    // Difficulty tier picked on MapSelectScene (playback uses the recorded one).
+    // combatTuning feeds resolveMobStats; the other multipliers are read by
+    // weapons, pickups, drops and the spawn pace below.
+    this.difficulty = resolveDifficulty(this.replay?.difficultyKey ?? sceneData.difficultyKey);
+    this.combatTuning = getCombatTuning(this.difficulty);
+
+    // Opt-in curses stack on top of the tier; each one hooks a setup seam
+    // below (hero stats, drop tables, spawn weights, weapon levels).
+    this.runModifiers = new RunModifiers(this.replay?.runModifiers ?? sceneData.runModifiers);
+    this.combatTuning = this.runModifiers.combatTuning(this.combatTuning);
+
     // Compose the scene via small focused helpers. Each method sets up a
     // specific slice of responsibility so future changes have a clear home.
     this.pause = new PauseController(this);
+    // Fixed-step loop; from here on scene.time.now is simulation time.
+    this.simLoop = new SimulationLoop(this);
     this._setupWorld();
     this._setupHero();
     applyMapRenderOrder(this);
     this._setupSystems();
     this._setupWeapons();
     this._setupHUD();
+    this._setupReplay();
+    this._setupAchievements();
     this._setupAudio();
-    this.werewolfEncounter = new WerewolfEncounter(this, {
-      mobKey: 'werewolf_boss',
-      telegraphSfx: 'sfx.boss.howl',
-      deathSfx: null, // add later when you have it
-      defaultLeadInMs: 2500,
-    });
+    this.encounters = new EncounterDirector(this);
     this._disposeEvents = wireGameSceneEvents(this);
     this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => cleanupGameScene(this));
     applyDevRun(this, DEV_RUN);
@@ -105,7 +150,7 @@ export class GameScene extends Phaser.Scene {
     this.cameras.main.setRoundPixels(true);
     this.cameras.main.setBackgroundColor(0x0b0f18);
 
-    const mapKey = this.scene?.settings?.data?.mapKey ?? DEFAULT_MAP_KEY;
+    const mapKey = this.replay?.mapKey ?? this.scene?.settings?.data?.mapKey ?? DEFAULT_MAP_KEY;
     this.mapKey = mapKey;
     this.mapConfig = MapRegistry[mapKey] ?? MapRegistry[DEFAULT_MAP_KEY];
     this.mapRender = resolveMapRenderConfig(this.mapConfig);
@@ -207,7 +252,7 @@ export class GameScene extends Phaser.Scene {
     // Resolve the requested hero, falling back to the default if the scene was
     // started without data. Animation registration must happen before the hero
     // is instantiated so spritesheets can play back immediately.
-    const requestedHeroKey = this.scene?.settings?.data?.heroKey;
+    const requestedHeroKey = this.replay?.heroKey ?? this.scene?.settings?.data?.heroKey;
     const heroEntry = getHeroEntry(requestedHeroKey ?? DEFAULT_HERO_KEY);
     this.heroEntry = heroEntry;
     registerHeroAnimations(this, heroEntry);
@@ -220,7 +265,7 @@ export class GameScene extends Phaser.Scene {
     const spawnKey = this.mapConfig?.spawns?.heroKey ?? 'player';
     const spawnPoints = this.mapSpawnPoints?.byKey?.[spawnKey] ?? [];
     if (spawnPoints.length) {
-      spawnPoint = Phaser.Utils.Array.GetRandom(spawnPoints);
+      spawnPoint = this.rng.stream(RNG_STREAMS.SPAWN).pick(spawnPoints);
     } else if (this.mapRuntime?.isBounded?.()) {
       const bounds = this.mapRuntime.getWorldBounds?.();
       if (bounds) {
@@ -234,6 +279,7 @@ export class GameScene extends Phaser.Scene {
     this.hero = HeroFactory.create(this, heroEntry.key, {
       x: spawnPoint?.x ?? 0,
       y: spawnPoint?.y ?? 0,
+      statMults: this.runModifiers.heroStatMults,
       onFacingChange: (dir) => { this.playerFacing = dir; }
     });
 
@@ -274,10 +320,10 @@ export class GameScene extends Phaser.Scene {
 
 
     // Input bindings are still configured here so the controller remains a
-    // reusable system. WASD + arrow keys mirror the previous behaviour.
-    this.cursors = this.input.keyboard.createCursorKeys();
-    this.keys = this.input.keyboard.addKeys('W,A,S,D');
-    this.hero.controller.setInputSources({ cursors: this.cursors, wasd: this.keys });
+    // reusable system. Move keys come from the rebindable InputBindings map.
+    this.hero.controller.setInputSources({
+      actions: { isDown: (action) => isActionDown(this, action) }
+    });
   }
 
   /** Handle _setupSystems so this system stays coordinated. */
@@ -292,6 +338,9 @@ export class GameScene extends Phaser.Scene {
 
     const propColliders = this.props?.getColliderGroup?.() ?? null;
     const enemyGroup = this.enemyPools.getAllGroup();
+    // Shared neighbour index for targeting, AoE and crowd steering; rebuilt
+    // at the top of every stepSimulation tick.
+    this.enemyIndex = new EnemySpatialIndex(this, { enemyGroup });
     // Ensure bounded maps keep enemy bodies inside world bounds as they spawn.
     if (this.mapRuntime?.isBounded?.()) {
       enemyGroup.children?.iterate?.((enemy) => {
@@ -379,7 +428,11 @@ export class GameScene extends Phaser.Scene {
     });
 
     // Centralise enemy AI updates so GameScene.update can stay declarative.
-    this.enemyAI = new EnemyBehaviorSystem(this, { enemyGroup, hero: this.hero.sprite });
+    this.enemyAI = new EnemyBehaviorSystem(this, {
+      enemyGroup,
+      hero: this.hero.sprite,
+      spatialIndex: this.enemyIndex
+    });
 
     this.enemyProjectiles = new EnemyProjectileSystem(this, {
       hero: this.hero.sprite,
@@ -393,18 +446,32 @@ export class GameScene extends Phaser.Scene {
       maxSize: 250,
     });
 
+    // Telegraphed ground attacks (mob `groundAttack` blocks and boss slams).
+    this.dangerZones = new DangerZoneSystem(this);
+    this.runModifiers.attach(this);
+
     // SpawnDirector drives enemy spawn pacing; DropSpawner feeds deaths into
     // the pickup pool, and DamagePipeline routes damage events through FX.
     const spawnTimelineKey = this.mapConfig?.spawnTimelineKey ?? DEFAULT_SPAWN_TIMELINE_KEY;
     const resolvedTimeline = SpawnTimelineRegistry[spawnTimelineKey] ?? SpawnTimeline;
     const spawnConfig = { ...SpawnRegistry, timeline: resolvedTimeline };
     this.spawnDirector = new SpawnDirector(this, this.enemyPools, spawnConfig);
-    this.dropSpawner = new DropSpawner(this, this.dropManager, DropTables);
+    this.spawnDirector.setPace({
+      ...SpawnRegistry.pace,
+      pressure: (SpawnRegistry.pace?.pressure ?? 1) * this.difficulty.spawnPressure
+    });
+    this.runModifiers.applyToSpawnDirector(this.spawnDirector);
+    this.dropSpawner = new DropSpawner(this, this.dropManager, this.runModifiers.applyToDropTables(DropTables));
     this.damagePipeline = new DamagePipeline(this, {
       enemyPools: this.enemyPools,
       dropSpawner: this.dropSpawner,
       fxSystem: this.fx
     });
+    // Burn/poison/bleed/slow/freeze/stun applied via weapon `damage.status`.
+    this.statusEffects = new StatusEffectSystem(this, {
+      damagePipeline: this.damagePipeline,
+      events: this.events
+    });
 
     this.passiveManager = new PassiveManager(this, { hero: this.hero, events: this.events });
     const passiveAllowed = Array.isArray(this.heroEntry?.passives?.allowed)
@@ -413,6 +480,7 @@ export class GameScene extends Phaser.Scene {
     const passiveStarter = Array.isArray(this.heroEntry?.passives?.starter)
       ? this.heroEntry.passives.starter
       : [];
+    this.passiveManager.setPermanentBonuses(this.metaBonuses);
     this.passiveManager.setWhitelist(passiveAllowed);
     this.passiveManager.setLoadout(passiveStarter);
     this.derivedStats = new PlayerDerivedStatsApplier(this, {
@@ -444,7 +512,8 @@ export class GameScene extends Phaser.Scene {
     });
 
     const allRegistered = Object.keys(WeaponRegistry);
-    const allowed = (this.heroEntry?.weapons?.allowed ?? allRegistered)
+    // Evolutions of allowed weapons are equippable too (granted by evolving).
+    const allowed = withEvolutions(this.heroEntry?.weapons?.allowed ?? allRegistered)
       .filter((key) => WeaponRegistry[key]);
     const starter = (this.heroEntry?.weapons?.starter ?? LEGACY_DEFAULT_STARTER_LOADOUT)
       .filter((key) => allowed.includes(key) && WeaponRegistry[key]);
@@ -452,6 +521,7 @@ export class GameScene extends Phaser.Scene {
     this.defaultLoadout = starter;
     this.weaponWhitelist = allowed;
     this.weaponManager.setWhitelist(allowed);
+    this.runModifiers.applyToWeaponManager(this.weaponManager);
     this.weaponManager.setLoadout(starter);
   }
 
@@ -466,7 +536,87 @@ export class GameScene extends Phaser.Scene {
       depthBase: this.mapRender?.uiBaseDepth
     });
 
-    this.hero?.controller?.setMoveVectorProvider(() => this.hud?.getMoveVector?.() ?? { x: 0, y: 0 });
+    // Touch joystick and controller stick share the analog slot; whichever is
+    // pushed further wins, and WASD takes over when both are idle.
+    const gamepad = getGamepadInput(this);
+    this.hero?.controller?.setMoveVectorProvider(() => {
+      const touch = this.hud?.getMoveVector?.() ?? { x: 0, y: 0 };
+      const stick = gamepad?.getMoveVector?.() ?? { x: 0, y: 0 };
+      return Math.hypot(stick.x, stick.y) > Math.hypot(touch.x, touch.y) ? stick : touch;
+    });
+  }
+
+  /** Handle _setupReplay so this system stays coordinated. */
+  _setupReplay() {
+    this.replayRecorder = null;
+    this.replayPlayer = null;
+    this._savedReplay = null;
+
+    // Live runs are always recorded; the file is saved when the run ends.
+    if (!this.replay) {
+      this.replayRecorder = new ReplayRecorder(this, {
+        seed: this.runSeed,
+        stepMs: SIM_STEP_MS,
+        heroKey: this.heroEntry?.key,
+        mapKey: this.mapKey,
+        difficultyKey: this.difficulty?.key,
+        runModifiers: this.runModifiers.keys,
+        metaUpgrades: this.metaUpgrades
+      });
+      return;
+    }
+
+    // Playback: keyboard/joystick are detached and the recording drives the hero.
+    this.replayPlayer = new ReplayPlayer(this, this.replay);
+    this.hero?.controller?.setInputSources({});
+    this.hero?.controller?.setMoveVectorProvider(() => this.replayPlayer?.getMoveVector?.() ?? { x: 0, y: 0 });
+
+    const label = this.add.text(16, 64, 'REPLAY', {
+      font: '14px monospace',
+      color: '#9fd3ff'
+    }).setScrollFactor(0).setDepth((this.mapRender?.uiBaseDepth ?? 0) + 40);
+
+    // A desync means the rest of the playback no longer matches the run.
+    this._onReplayDesynced = ({ atMs } = {}) => {
+      label.setText(`REPLAY - DESYNCED AT ${Math.floor((atMs ?? 0) / 1000)}s`).setColor('#ff6b6b');
+    };
+    this.events.once('replay:desynced', this._onReplayDesynced);
+
+    if (this.replay.stepMs !== SIM_STEP_MS) {
+      this.replayPlayer.reportDesync(`recorded with ${this.replay.stepMs}ms steps, playing with ${SIM_STEP_MS}ms`);
+    }
+  }
+
+  /** Track achievement conditions for live runs (playback never unlocks anything). */
+  _setupAchievements() {
+    this.achievementToast = new AchievementToast(this, {
+      events: this.events,
+      depthBase: this.mapRender?.uiBaseDepth
+    });
+    this.achievements = this.replayPlayer
+      ? null
+      : new AchievementTracker(this, {
+        events: this.events,
+        heroKey: this.heroEntry?.key,
+        mapKey: this.mapKey
+      });
+  }
+
+  /**
+   * Finish the recording and persist it as the last replay. Returns the replay
+   * being shown (recorded or played back) so the end-run menu can export it.
+   */
+  _saveReplay(outcome = null) {
+    if (this.replayPlayer) return this.replay;
+    if (this._savedReplay) return this._savedReplay;
+
+    const replay = this.replayRecorder?.finish?.({ outcome }) ?? null;
+    // Runs that never reached a simulation step have nothing worth replaying.
+    if (replay?.moves?.length) {
+      ReplayStore.save(replay);
+      this._savedReplay = replay;
+    }
+    return replay;
   }
 
   /** Handle _setupAudio so this system stays coordinated. */
@@ -474,17 +624,23 @@ export class GameScene extends Phaser.Scene {
     this.soundManager = getOrCreateSoundManager(this);
     this.soundManager?.loadFromStorage();
     setupAudioSystem(this, this.soundManager);
+
+    // Map track + intensity layers; boss encounters and endRun also drive it.
+    this.runMusic = new RunMusicController(this, this.soundManager?.musicDirector);
+    this.runMusic.start();
   }
 
 
   /** Handle _handleSpawnControl so this system stays coordinated. */
   _handleSpawnControl(payload) {
-    if (payload?.disableWeightedSpawns) {
-      this.spawnDirector?.setWeightedEnabled?.(false);
+    // Registered encounters own their spawn suppression, arena and music.
+    if (payload?.encounter) {
+      if ((payload.phase ?? 'start') === 'start') this.encounters?.start(payload);
+      return;
     }
 
-    if (payload?.encounter === 'werewolf' && payload?.phase === 'start') {
-      this.werewolfEncounter?.start(payload);
+    if (payload?.disableWeightedSpawns) {
+      this.spawnDirector?.setWeightedEnabled?.(false);
     }
 
     if (payload?.arena) {
@@ -504,11 +660,23 @@ export class GameScene extends Phaser.Scene {
         kills: snapshot.kills,
         xpEarned: snapshot.xpEarned,
         damageDealt: snapshot.damageDealt,
+        goldCollected: snapshot.goldCollected,
+        weapons: snapshot.weapons,
+        difficulty: this.difficulty?.label,
+        runModifiers: this.runModifiers?.labels,
+        rewardMult: this.runModifiers?.rewardMult,
+        seed: this.runSeed,
       };
     }
 
     const elapsedMs = this.getRunElapsedMs();
-    return { timeSurvived: elapsedMs / 1000 };
+    return {
+      timeSurvived: elapsedMs / 1000,
+      difficulty: this.difficulty?.label,
+      runModifiers: this.runModifiers?.labels,
+      rewardMult: this.runModifiers?.rewardMult,
+      seed: this.runSeed,
+    };
   }
 
   /** Handle endRun so this system stays coordinated. */
@@ -530,16 +698,29 @@ export class GameScene extends Phaser.Scene {
 
     const baseStats = this._collectRunStats();
     const stats = { ...baseStats, ...(statsOverride ?? {}) };
+    const replay = this._saveReplay(outcome);
+    this.achievements?.finishRun?.({ outcome });
+    this.runMusic?.finish(outcome);
+
+    // Playback never pays out; the original run already did.
+    if (!this.replayPlayer) {
+      stats.currencyEarned = computeRunReward(stats, { outcome, rewardMult: this.runModifiers?.rewardMult });
+      MetaProgressStore.award(stats.currencyEarned);
+    }
 
     const isWin = outcome === 'win';
     const title = isWin ? 'YOU WIN' : 'YOU DIED';
-    const primaryLabel = isWin ? 'Play Again' : 'Retry';
+    const primaryLabel = this.replayPlayer ? 'Watch Again' : (isWin ? 'Play Again' : 'Retry');
 
     this.endRunMenu = new EndRunMenu(this, {
       stats,
       title,
       primaryLabel,
+      subtitle: this.replayPlayer
+        ? (this.replayPlayer.desynced ? 'Replay (desynced - differs from the recorded run)' : 'Replay')
+        : undefined,
       depthBase: this.mapRender?.uiBaseDepth,
+      onExportReplay: replay ? () => ReplayStore.download(replay) : null,
       onPrimary: () => {
         this.time.timeScale = 1;
         this.endRunMenu?.destroy();
@@ -588,17 +769,29 @@ export class GameScene extends Phaser.Scene {
   update(time, dt) {
     // 🔑 Once game over, stop advancing the world. HUD timer is already baked into stats.
     if (this.isGameOver) {
+      this.simLoop?.idle(dt, { physics: true });
       return;
     }
 
-    updateArenaLock(this);
+    // Recorded level-up / treasure decisions land between steps, like a click.
+    this.replayPlayer?.applyPendingDecisions?.();
 
-    // 🔑 Shared pause (level-up, pause menu, etc.)
-    if (this.pause?.isPaused?.()) {
-      return;
-    }
+    this.simLoop?.advance(dt, {
+      canStep: () => this._canStepSimulation(),
+      step: (stepMs) => this._stepSimulation(stepMs),
+    });
+  }
 
+  /** False once the run is over or paused (level-up, pause menu, etc.). */
+  _canStepSimulation() {
+    return !this.isGameOver && !this.pause?.isPaused?.();
+  }
+
+  /** One fixed simulation step (SimulationLoop owns the timing). */
+  _stepSimulation(dt) {
+    updateArenaLock(this);
     this._bossControllers?.forEach?.((controller) => controller.update(dt));
+    this.encounters?.update?.(dt);
 
     // Lazily mark run start when the hero is actually spawned into the world
     if (this._runStartedAt == null && this.hero?.sprite?.body) {
@@ -1,5 +1,10 @@
 import Phaser from 'phaser';
 import { DEFAULT_HERO_KEY, listHeroes } from '../hero/HeroRegistry.js';
+import { AchievementStore } from '../achievements/AchievementStore.js';
+import { getUnlockHint } from '../achievements/AchievementRegistry.js';
+import { getOrCreateSoundManager } from '../audio/SoundManager.js';
+import { bindGamepad } from '../input/GamepadInput.js';
+import { bindInputActions, describeAction } from '../input/InputBindings.js';
 
 // --- Layout constants ------------------------------------------------------
 // Card dimensions were tuned against the base 960×540 resolution.  Keeping
@@ -48,9 +53,15 @@ export class HeroSelectScene extends Phaser.Scene {
 
   /** Handle create so this system stays coordinated. */
   create() {
+    getOrCreateSoundManager(this)?.musicDirector?.playSceneMusic(this);
+
     // Pull hero data once.  This stays stable for the lifetime of the scene.
+    // Hidden heroes with an `unlockedBy` achievement show up as secret locked cards.
     const registeredHeroes = listHeroes();
-    this.heroes = registeredHeroes.filter((hero) => !hero.hidden);
+    this.heroes = registeredHeroes.filter((hero) => !hero.hidden || hero.unlockedBy);
+    this.lockedKeys = new Set(
+      this.heroes.filter((hero) => !AchievementStore.isContentUnlocked(hero)).map((hero) => hero.key)
+    );
 
     if (!this.heroes.length) {
       console.warn('[HeroSelectScene] No visible heroes registered; skipping select screen.');
@@ -61,7 +72,11 @@ export class HeroSelectScene extends Phaser.Scene {
     this.cols = Math.min(MAX_COLUMNS, Math.max(1, this.heroes.length));
 
     const desiredKey = this.initialHeroKey ?? this._getLastHeroKey() ?? DEFAULT_HERO_KEY;
-    const initialIndex = Math.max(0, this.heroes.findIndex(hero => hero.key === desiredKey));
+    const isPickable = (hero) => !this._isLocked(hero);
+    let initialIndex = this.heroes.findIndex(hero => hero.key === desiredKey && isPickable(hero));
+    if (initialIndex < 0) {
+      initialIndex = Math.max(0, this.heroes.findIndex(isPickable));
+    }
     this.focusIndex = initialIndex >= 0 ? initialIndex : 0;
 
     // Scene content is split into small helpers for clarity/testability.
@@ -106,7 +121,7 @@ export class HeroSelectScene extends Phaser.Scene {
     }).setOrigin(0.5).setDepth(5);
 
     this.hintText = this.add.text(this.scale.width / 2, this.scale.height - 32,
-      'Arrows / WASD to move · Enter/Space to confirm · Esc to return',
+      `Move keys to browse · ${describeAction('confirm')} to confirm · ${describeAction('back')} to return`,
       {
         fontFamily: 'monospace',
         fontSize: '16px',
@@ -151,18 +166,23 @@ export class HeroSelectScene extends Phaser.Scene {
     this._handleConfirm = () => this._confirmSelection();
     this._handleBack = () => this._returnToMenu();
 
-    const keyboard = this.input.keyboard;
-    keyboard.on('keydown-LEFT', this._handleLeft);
-    keyboard.on('keydown-A', this._handleLeft);
-    keyboard.on('keydown-RIGHT', this._handleRight);
-    keyboard.on('keydown-D', this._handleRight);
-    keyboard.on('keydown-UP', this._handleUp);
-    keyboard.on('keydown-W', this._handleUp);
-    keyboard.on('keydown-DOWN', this._handleDown);
-    keyboard.on('keydown-S', this._handleDown);
-    keyboard.on('keydown-ENTER', this._handleConfirm);
-    keyboard.on('keydown-SPACE', this._handleConfirm);
-    keyboard.on('keydown-ESC', this._handleBack);
+    this._unbindKeys = bindInputActions(this, {
+      moveLeft: this._handleLeft,
+      moveRight: this._handleRight,
+      moveUp: this._handleUp,
+      moveDown: this._handleDown,
+      confirm: this._handleConfirm,
+      back: this._handleBack
+    });
+
+    this._unbindGamepad = bindGamepad(this, {
+      left: this._handleLeft,
+      right: this._handleRight,
+      up: this._handleUp,
+      down: this._handleDown,
+      confirm: this._handleConfirm,
+      back: this._handleBack
+    });
   }
 
   /**
@@ -170,19 +190,11 @@ export class HeroSelectScene extends Phaser.Scene {
    * the scene shuts down to avoid duplicate handlers on restart.
    */
   _unbindInput() {
-    const keyboard = this.input.keyboard;
-    if (!keyboard) return;
-    keyboard.off('keydown-LEFT', this._handleLeft);
-    keyboard.off('keydown-A', this._handleLeft);
-    keyboard.off('keydown-RIGHT', this._handleRight);
-    keyboard.off('keydown-D', this._handleRight);
-    keyboard.off('keydown-UP', this._handleUp);
-    keyboard.off('keydown-W', this._handleUp);
-    keyboard.off('keydown-DOWN', this._handleDown);
-    keyboard.off('keydown-S', this._handleDown);
-    keyboard.off('keydown-ENTER', this._handleConfirm);
-    keyboard.off('keydown-SPACE', this._handleConfirm);
-    keyboard.off('keydown-ESC', this._handleBack);
+    this._unbindGamepad?.();
+    this._unbindGamepad = null;
+
+    this._unbindKeys?.();
+    this._unbindKeys = null;
   }
 
   /**
@@ -198,18 +210,31 @@ export class HeroSelectScene extends Phaser.Scene {
 
     const iconElements = this._buildCardIcon(hero);
 
-    const nameText = this.add.text(0, CARD_HEIGHT / 2 - 10, hero.ui?.name ?? uppercaseFirst(hero.key ?? 'Hero'), {
+    const nameText = this.add.text(0, CARD_HEIGHT / 2 - 10, this._displayName(hero), {
       fontFamily: 'monospace',
       fontSize: '18px',
       color: '#e9e2ff'
     }).setOrigin(0.5);
 
+    // Locked heroes are dimmed behind a label; they can be inspected but not picked.
+    const lockNodes = [];
+    if (this._isLocked(hero)) {
+      lockNodes.push(
+        this.add.rectangle(0, 0, CARD_WIDTH, CARD_HEIGHT, 0x05070d, 0.65),
+        this.add.text(0, -10, 'LOCKED', {
+          fontFamily: 'monospace',
+          fontSize: '18px',
+          color: '#ff9fb3'
+        }).setOrigin(0.5)
+      );
+    }
+
     const highlight = this.add.rectangle(0, 0, CARD_WIDTH + 12, CARD_HEIGHT + 12)
       .setStrokeStyle(3, 0xffc857, 1)
       .setFillStyle(0x000000, 0)
       .setVisible(false);
 
-    const children = [background, ...iconElements.nodes, nameText, highlight];
+    const children = [background, ...iconElements.nodes, ...lockNodes, nameText, highlight];
     container.add(children);
 
     container.on('pointerover', () => {
@@ -290,7 +315,7 @@ export class HeroSelectScene extends Phaser.Scene {
     const label = this.add.text(
       0,
       -24,
-      hero.ui?.name ?? uppercaseFirst(hero.key ?? 'Hero'),
+      this._displayName(hero),
       {
         fontFamily: 'monospace',
         fontSize: '16px',
@@ -414,9 +439,10 @@ export class HeroSelectScene extends Phaser.Scene {
    * straight from the registry so the menu always reflects gameplay tuning.
    */
   _updateDetailPanel(hero) {
-    const displayName = hero.ui?.name ?? uppercaseFirst(hero.key ?? 'Hero');
+    const displayName = this._displayName(hero);
+    const locked = this._isLocked(hero);
     this.detailName.setText(displayName);
-    this.detailBlurb.setText(hero.ui?.blurb ?? 'Ready for battle.');
+    this.detailBlurb.setText(locked ? getUnlockHint(hero) : (hero.ui?.blurb ?? 'Ready for battle.'));
 
     const stats = hero.stats ?? {};
     const statLines = [];
@@ -436,6 +462,8 @@ export class HeroSelectScene extends Phaser.Scene {
       ? this.textures.getFrame(iconKey, frameVal)
       : null;
 
+    this.detailIcon.setTint(locked ? 0x303850 : 0xffffff);
+
     if (frame) {
       this.detailIcon.setTexture(iconKey, frameVal);
 
@@ -527,6 +555,10 @@ export class HeroSelectScene extends Phaser.Scene {
     if (!hero) {
       return;
     }
+    if (this._isLocked(hero)) {
+      this.cameras.main.shake(120, 0.004);
+      return;
+    }
 
     this._transitioning = true;
 
@@ -544,6 +576,17 @@ export class HeroSelectScene extends Phaser.Scene {
     });
   }
 
+  /** True while the hero's `unlockedBy` achievement has not been earned. */
+  _isLocked(hero) {
+    return this.lockedKeys?.has(hero?.key) ?? false;
+  }
+
+  /** Card/detail label; secret (hidden) heroes stay anonymous until unlocked. */
+  _displayName(hero) {
+    if (hero.hidden && this._isLocked(hero)) return '???';
+    return hero.ui?.name ?? uppercaseFirst(hero.key ?? 'Hero');
+  }
+
   /**
    * Return to the menu screen.  Guarded by `_transitioning` so Esc cannot be
    * spammed and interrupt the scene switch.
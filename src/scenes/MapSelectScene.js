@@ -1,5 +1,12 @@
 import Phaser from 'phaser';
 import { DEFAULT_MAP_KEY, listMaps } from '../maps/MapRegistry.js';
+import { AchievementStore } from '../achievements/AchievementStore.js';
+import { getUnlockHint } from '../achievements/AchievementRegistry.js';
+import { getOrCreateSoundManager } from '../audio/SoundManager.js';
+import { DEFAULT_DIFFICULTY_KEY, listDifficulties } from '../run/DifficultyRegistry.js';
+import { getRunModifierRewardMult, listRunModifiers, normalizeRunModifierKeys } from '../run/RunModifierRegistry.js';
+import { bindGamepad } from '../input/GamepadInput.js';
+import { bindInputActions, describeAction } from '../input/InputBindings.js';
 
 // --- Layout constants ------------------------------------------------------
 const CARD_WIDTH = 170;
@@ -22,6 +29,10 @@ function uppercaseFirst(value) {
  * Interactive grid that lets the player choose a map before gameplay.
  * Supports keyboard navigation, pointer hover/click, and persists the last
  * choice via localStorage so the menu can default to the previous map.
+ * A difficulty selector sits under the grid (move down from the last row);
+ * the chosen DifficultyRegistry tier is remembered the same way.
+ * Below that, a curse row browses RunModifierRegistry entries; confirm toggles
+ * the highlighted one and the active set is remembered too.
  */
 export class MapSelectScene extends Phaser.Scene {
   /** Initialize MapSelectScene state so runtime dependencies are ready. */
@@ -33,6 +44,13 @@ export class MapSelectScene extends Phaser.Scene {
     this.focusIndex = 0;
     this.heroKey = null;
     this.initialMapKey = null;
+    this.difficulties = [];
+    this.difficultyIndex = 0;
+    this.difficultyFocused = false;
+    this.runModifiers = [];
+    this.activeModifiers = new Set();
+    this.modifierIndex = 0;
+    this.modifiersFocused = false;
     this._transitioning = false;
   }
 
@@ -44,12 +62,22 @@ export class MapSelectScene extends Phaser.Scene {
     this._transitioning = false;
     this.heroKey = data?.heroKey ?? null;
     this.initialMapKey = data?.mapKey ?? null;
+    this.initialDifficultyKey = data?.difficultyKey ?? null;
+    this.initialRunModifiers = data?.runModifiers ?? null;
+    this.difficultyFocused = false;
+    this.modifiersFocused = false;
   }
 
   /** Handle create so this system stays coordinated. */
   create() {
+    getOrCreateSoundManager(this)?.musicDirector?.playSceneMusic(this);
+
+    // Hidden maps with an `unlockedBy` achievement show up as secret locked cards.
     const registeredMaps = listMaps();
-    this.maps = registeredMaps.filter((mapEntry) => !mapEntry.hidden);
+    this.maps = registeredMaps.filter((mapEntry) => !mapEntry.hidden || mapEntry.unlockedBy);
+    this.lockedKeys = new Set(
+      this.maps.filter((mapEntry) => !AchievementStore.isContentUnlocked(mapEntry)).map((mapEntry) => mapEntry.key)
+    );
 
     if (!this.maps.length) {
       console.warn('[MapSelectScene] No visible maps registered; skipping select screen.');
@@ -63,9 +91,21 @@ export class MapSelectScene extends Phaser.Scene {
     this.cols = Math.min(MAX_COLUMNS, Math.max(1, this.maps.length));
 
     const desiredKey = this.initialMapKey ?? this._getLastMapKey() ?? DEFAULT_MAP_KEY;
-    const initialIndex = Math.max(0, this.maps.findIndex(mapEntry => mapEntry.key === desiredKey));
+    const isPickable = (mapEntry) => !this._isLocked(mapEntry);
+    let initialIndex = this.maps.findIndex(mapEntry => mapEntry.key === desiredKey && isPickable(mapEntry));
+    if (initialIndex < 0) {
+      initialIndex = Math.max(0, this.maps.findIndex(isPickable));
+    }
     this.focusIndex = initialIndex >= 0 ? initialIndex : 0;
 
+    this.difficulties = listDifficulties();
+    const desiredDifficulty = this.initialDifficultyKey ?? this._getLastDifficultyKey() ?? DEFAULT_DIFFICULTY_KEY;
+    this.difficultyIndex = Math.max(0, this.difficulties.findIndex((tier) => tier.key === desiredDifficulty));
+
+    this.runModifiers = listRunModifiers();
+    this.activeModifiers = new Set(normalizeRunModifierKeys(this.initialRunModifiers ?? this._getLastRunModifiers()));
+    this.modifierIndex = 0;
+
     this._buildBackground();
     this._buildLayout();
     this._bindInput();
@@ -107,7 +147,7 @@ export class MapSelectScene extends Phaser.Scene {
     }).setOrigin(0.5).setDepth(5);
 
     this.hintText = this.add.text(this.scale.width / 2, this.scale.height - 32,
-      'Arrows / WASD to move · Enter/Space to confirm · Esc to return',
+      `Move keys to browse · ${describeAction('confirm')} to confirm · ${describeAction('back')} to return`,
       {
         fontFamily: 'monospace',
         fontSize: '16px',
@@ -123,6 +163,8 @@ export class MapSelectScene extends Phaser.Scene {
     this.cards = this.maps.map((mapEntry, index) => this._createMapCard(mapEntry, index));
 
     this.detailPanel = this._createDetailPanel();
+    this.difficultySelector = this._createDifficultySelector();
+    this.modifierSelector = this._createModifierSelector();
 
     this._onResize = (gameSize) => {
       const width = gameSize.width;
@@ -145,25 +187,35 @@ export class MapSelectScene extends Phaser.Scene {
    * Pointer interactivity is wired directly on the card containers.
    */
   _bindInput() {
-    this._handleLeft = () => this._moveFocusHorizontal(-1);
-    this._handleRight = () => this._moveFocusHorizontal(1);
+    const horizontal = (delta) => {
+      if (this.modifiersFocused) this._cycleModifier(delta);
+      else if (this.difficultyFocused) this._cycleDifficulty(delta);
+      else this._moveFocusHorizontal(delta);
+    };
+    this._handleLeft = () => horizontal(-1);
+    this._handleRight = () => horizontal(1);
     this._handleUp = () => this._moveFocusVertical(-1);
     this._handleDown = () => this._moveFocusVertical(1);
-    this._handleConfirm = () => this._confirmSelection();
+    this._handleConfirm = () => (this.modifiersFocused ? this._toggleModifier() : this._confirmSelection());
     this._handleBack = () => this._returnToHeroSelect();
 
-    const keyboard = this.input.keyboard;
-    keyboard.on('keydown-LEFT', this._handleLeft);
-    keyboard.on('keydown-A', this._handleLeft);
-    keyboard.on('keydown-RIGHT', this._handleRight);
-    keyboard.on('keydown-D', this._handleRight);
-    keyboard.on('keydown-UP', this._handleUp);
-    keyboard.on('keydown-W', this._handleUp);
-    keyboard.on('keydown-DOWN', this._handleDown);
-    keyboard.on('keydown-S', this._handleDown);
-    keyboard.on('keydown-ENTER', this._handleConfirm);
-    keyboard.on('keydown-SPACE', this._handleConfirm);
-    keyboard.on('keydown-ESC', this._handleBack);
+    this._unbindKeys = bindInputActions(this, {
+      moveLeft: this._handleLeft,
+      moveRight: this._handleRight,
+      moveUp: this._handleUp,
+      moveDown: this._handleDown,
+      confirm: this._handleConfirm,
+      back: this._handleBack
+    });
+
+    this._unbindGamepad = bindGamepad(this, {
+      left: this._handleLeft,
+      right: this._handleRight,
+      up: this._handleUp,
+      down: this._handleDown,
+      confirm: this._handleConfirm,
+      back: this._handleBack
+    });
   }
 
   /**
@@ -171,19 +223,11 @@ export class MapSelectScene extends Phaser.Scene {
    * the scene shuts down to avoid duplicate handlers on restart.
    */
   _unbindInput() {
-    const keyboard = this.input.keyboard;
-    if (!keyboard) return;
-    keyboard.off('keydown-LEFT', this._handleLeft);
-    keyboard.off('keydown-A', this._handleLeft);
-    keyboard.off('keydown-RIGHT', this._handleRight);
-    keyboard.off('keydown-D', this._handleRight);
-    keyboard.off('keydown-UP', this._handleUp);
-    keyboard.off('keydown-W', this._handleUp);
-    keyboard.off('keydown-DOWN', this._handleDown);
-    keyboard.off('keydown-S', this._handleDown);
-    keyboard.off('keydown-ENTER', this._handleConfirm);
-    keyboard.off('keydown-SPACE', this._handleConfirm);
-    keyboard.off('keydown-ESC', this._handleBack);
+    this._unbindGamepad?.();
+    this._unbindGamepad = null;
+
+    this._unbindKeys?.();
+    this._unbindKeys = null;
   }
 
   /**
@@ -199,7 +243,7 @@ export class MapSelectScene extends Phaser.Scene {
     const previewElements = this._buildCardPreview(mapEntry);
 
     const nameText = this.add.text(0, CARD_HEIGHT / 2 - 18,
-      mapEntry.ui?.name ?? uppercaseFirst(mapEntry.key ?? 'Map'),
+      this._displayName(mapEntry),
       {
         fontFamily: 'monospace',
         fontSize: '16px',
@@ -214,7 +258,20 @@ export class MapSelectScene extends Phaser.Scene {
       .setFillStyle(0x000000, 0)
       .setVisible(false);
 
-    const children = [background, ...previewElements.nodes, nameText, highlight];
+    // Locked maps are dimmed behind a label; they can be inspected but not picked.
+    const lockNodes = [];
+    if (this._isLocked(mapEntry)) {
+      lockNodes.push(
+        this.add.rectangle(0, 0, CARD_WIDTH, CARD_HEIGHT, 0x05070d, 0.65),
+        this.add.text(0, -8, 'LOCKED', {
+          fontFamily: 'monospace',
+          fontSize: '18px',
+          color: '#ff9fb3'
+        }).setOrigin(0.5)
+      );
+    }
+
+    const children = [background, ...previewElements.nodes, ...lockNodes, nameText, highlight];
     container.add(children);
 
     container.on('pointerover', () => {
@@ -257,7 +314,7 @@ export class MapSelectScene extends Phaser.Scene {
 
     const fallbackRect = this.add.rectangle(0, -8, CARD_WIDTH - 24, CARD_HEIGHT - 60, 0x20283a, 0.95)
       .setStrokeStyle(1, 0x39425a, 1);
-    const fallbackText = this.add.text(0, -8, mapEntry.ui?.name ?? 'Map', {
+    const fallbackText = this.add.text(0, -8, this._displayName(mapEntry), {
       fontFamily: 'monospace',
       fontSize: '14px',
       color: '#c8d0ff',
@@ -333,6 +390,176 @@ export class MapSelectScene extends Phaser.Scene {
     return container;
   }
 
+  /**
+   * Difficulty row under the map grid: arrows cycle tiers, the blurb explains them.
+   */
+  _createDifficultySelector() {
+    const container = this.add.container(0, 0).setDepth(5);
+
+    const makeArrow = (label, x, delta) => {
+      const arrow = this.add.text(x, 0, label, {
+        fontFamily: 'monospace',
+        fontSize: '20px',
+        color: '#c8d0ff'
+      }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+      arrow.on('pointerup', () => {
+        this._setDifficultyFocused(true);
+        this._cycleDifficulty(delta);
+      });
+      return arrow;
+    };
+
+    this.difficultyLeft = makeArrow('◀', -150, -1);
+    this.difficultyRight = makeArrow('▶', 150, 1);
+
+    this.difficultyName = this.add.text(0, 0, '', {
+      fontFamily: 'monospace',
+      fontSize: '18px',
+      color: '#e9e2ff'
+    }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+    this.difficultyName.on('pointerover', () => this._setDifficultyFocused(true));
+
+    this.difficultyBlurb = this.add.text(0, 22, '', {
+      fontFamily: 'monospace',
+      fontSize: '13px',
+      color: '#9fb2ff',
+      align: 'center'
+    }).setOrigin(0.5);
+
+    container.add([this.difficultyLeft, this.difficultyName, this.difficultyRight, this.difficultyBlurb]);
+    this._refreshDifficulty();
+    return container;
+  }
+
+  /** Step through DifficultyRegistry tiers, wrapping at either end. */
+  _cycleDifficulty(delta) {
+    const count = this.difficulties.length;
+    if (!count) return;
+    this.difficultyIndex = (this.difficultyIndex + delta + count) % count;
+    this._refreshDifficulty();
+  }
+
+  _setDifficultyFocused(focused) {
+    if (this.difficultyFocused === focused && !this.modifiersFocused) return;
+    this.difficultyFocused = focused;
+    this.modifiersFocused = false;
+    this._updateFocus();
+  }
+
+  _refreshDifficulty() {
+    const tier = this.difficulties[this.difficultyIndex];
+    if (!tier || !this.difficultyName) return;
+
+    const focused = this.difficultyFocused;
+    this.difficultyName
+      .setText(`Difficulty: ${tier.ui?.name ?? tier.key}`)
+      .setColor(tier.ui?.color ?? '#e9e2ff')
+      .setStroke('#ffc857', focused ? 2 : 0);
+    this.difficultyBlurb.setText(tier.ui?.blurb ?? '');
+    const arrowColor = focused ? '#ffc857' : '#c8d0ff';
+    this.difficultyLeft.setColor(arrowColor);
+    this.difficultyRight.setColor(arrowColor);
+  }
+
+  /**
+   * Curse row under the detail panel: arrows browse RunModifierRegistry,
+   * confirm (or clicking the name) toggles the highlighted modifier.
+   */
+  _createModifierSelector() {
+    const container = this.add.container(0, 0).setDepth(5);
+
+    const makeArrow = (label, x, delta) => {
+      const arrow = this.add.text(x, 0, label, {
+        fontFamily: 'monospace',
+        fontSize: '20px',
+        color: '#c8d0ff'
+      }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+      arrow.on('pointerup', () => {
+        this._setModifiersFocused(true);
+        this._cycleModifier(delta);
+      });
+      return arrow;
+    };
+
+    this.modifierLeft = makeArrow('◀', -140, -1);
+    this.modifierRight = makeArrow('▶', 140, 1);
+
+    this.modifierSummary = this.add.text(0, -26, '', {
+      fontFamily: 'monospace',
+      fontSize: '14px',
+      color: '#9fb2ff'
+    }).setOrigin(0.5);
+
+    this.modifierName = this.add.text(0, 0, '', {
+      fontFamily: 'monospace',
+      fontSize: '16px',
+      color: '#e9e2ff'
+    }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+    this.modifierName.on('pointerover', () => this._setModifiersFocused(true));
+    this.modifierName.on('pointerup', () => this._toggleModifier());
+
+    this.modifierBlurb = this.add.text(0, 22, '', {
+      fontFamily: 'monospace',
+      fontSize: '13px',
+      color: '#9fb2ff',
+      align: 'center',
+      wordWrap: { width: 280 }
+    }).setOrigin(0.5, 0);
+
+    container.add([this.modifierSummary, this.modifierLeft, this.modifierName, this.modifierRight, this.modifierBlurb]);
+    this._refreshModifiers();
+    return container;
+  }
+
+  /** Browse RunModifierRegistry entries, wrapping at either end. */
+  _cycleModifier(delta) {
+    const count = this.runModifiers.length;
+    if (!count) return;
+    this.modifierIndex = (this.modifierIndex + delta + count) % count;
+    this._refreshModifiers();
+  }
+
+  _toggleModifier() {
+    const modifier = this.runModifiers[this.modifierIndex];
+    if (!modifier || this._transitioning) return;
+    if (this.activeModifiers.has(modifier.key)) {
+      this.activeModifiers.delete(modifier.key);
+    } else {
+      this.activeModifiers.add(modifier.key);
+    }
+    this._refreshModifiers();
+  }
+
+  _setModifiersFocused(focused) {
+    if (this.modifiersFocused === focused) return;
+    this.modifiersFocused = focused;
+    if (focused) this.difficultyFocused = false;
+    this._updateFocus();
+  }
+
+  _refreshModifiers() {
+    const modifier = this.runModifiers[this.modifierIndex];
+    if (!modifier || !this.modifierName) return;
+
+    const keys = [...this.activeModifiers];
+    const count = keys.length;
+    this.modifierSummary.setText(count
+      ? `Curses: ${count} active · Moonstones x${getRunModifierRewardMult(keys).toFixed(2)}`
+      : 'Curses: none');
+
+    const active = this.activeModifiers.has(modifier.key);
+    const focused = this.modifiersFocused;
+    const bonus = Math.round(((modifier.rewardMult ?? 1) - 1) * 100);
+    this.modifierName
+      .setText(`[${active ? 'x' : ' '}] ${modifier.ui?.name ?? modifier.key} +${bonus}%`)
+      .setColor(active ? '#ff8a9e' : '#e9e2ff')
+      .setStroke('#ffc857', focused ? 2 : 0);
+    this.modifierBlurb.setText(modifier.ui?.blurb ?? '');
+    const arrowColor = focused ? '#ffc857' : '#c8d0ff';
+    this.modifierLeft.setColor(arrowColor);
+    this.modifierRight.setColor(arrowColor);
+  }
+
   /**
    * Positions cards into a centred grid and keeps HUD text anchored to the
    * viewport so resizing or fullscreen transitions look correct.
@@ -357,6 +584,8 @@ export class MapSelectScene extends Phaser.Scene {
     });
 
     this.detailPanel.setPosition(width * 0.78, height * 0.55 + 4);
+    this.difficultySelector.setPosition(width * 0.5 - 120, height - 74);
+    this.modifierSelector.setPosition(width * 0.78, height - 74);
     this.title.setPosition(width / 2, height * 0.18);
     this.hintText.setPosition(width / 2, height - 32);
   }
@@ -367,7 +596,7 @@ export class MapSelectScene extends Phaser.Scene {
    */
   _updateFocus() {
     this.cards.forEach((card, index) => {
-      const active = index === this.focusIndex;
+      const active = index === this.focusIndex && !this.difficultyFocused && !this.modifiersFocused;
       card.highlight.setVisible(active);
       card.background.setFillStyle(active ? 0x181f33 : 0x111522, active ? 1 : 0.92);
       card.name.setColor(active ? '#ffffff' : '#e9e2ff');
@@ -378,15 +607,18 @@ export class MapSelectScene extends Phaser.Scene {
     if (mapEntry) {
       this._updateDetailPanel(mapEntry);
     }
+    this._refreshDifficulty();
+    this._refreshModifiers();
   }
 
   /**
    * Populate the detail panel widgets for the current map.
    */
   _updateDetailPanel(mapEntry) {
-    const displayName = mapEntry.ui?.name ?? uppercaseFirst(mapEntry.key ?? 'Map');
+    const displayName = this._displayName(mapEntry);
+    const locked = this._isLocked(mapEntry);
     this.detailName.setText(displayName);
-    this.detailBlurb.setText(mapEntry.ui?.blurb ?? 'Survive the night.');
+    this.detailBlurb.setText(locked ? getUnlockHint(mapEntry) : (mapEntry.ui?.blurb ?? 'Survive the night.'));
 
     const typeLabel = mapEntry.ui?.typeLabel ?? (mapEntry.type === 'bounded' ? 'Bounded' : 'Endless');
     this.detailType.setText(`Type: ${typeLabel}`);
@@ -398,6 +630,7 @@ export class MapSelectScene extends Phaser.Scene {
 
     if (frame) {
       this.detailThumbnail.setTexture(thumbnailKey);
+      this.detailThumbnail.setTint(locked ? 0x303850 : 0xffffff);
       const maxWidth = 180;
       const maxHeight = 120;
       const scale = Math.min(maxWidth / frame.width, maxHeight / frame.height);
@@ -419,10 +652,12 @@ export class MapSelectScene extends Phaser.Scene {
     if (index < 0 || index >= this.maps.length) {
       return;
     }
-    if (this.focusIndex === index) {
+    if (this.focusIndex === index && !this.difficultyFocused && !this.modifiersFocused) {
       return;
     }
     this.focusIndex = index;
+    this.difficultyFocused = false;
+    this.modifiersFocused = false;
     this._updateFocus();
   }
 
@@ -453,10 +688,24 @@ export class MapSelectScene extends Phaser.Scene {
     if (!this.maps.length) {
       return;
     }
+    // The difficulty row sits below the last row of cards, the curse row below that.
+    if (this.modifiersFocused) {
+      if (delta < 0) this._setDifficultyFocused(true);
+      return;
+    }
+    if (this.difficultyFocused) {
+      if (delta < 0) this._setDifficultyFocused(false);
+      else this._setModifiersFocused(true);
+      return;
+    }
     const currentRow = Math.floor(this.focusIndex / this.cols);
     const targetRow = currentRow + delta;
     const maxRow = Math.floor((this.maps.length - 1) / this.cols);
-    if (targetRow < 0 || targetRow > maxRow) {
+    if (targetRow > maxRow) {
+      this._setDifficultyFocused(true);
+      return;
+    }
+    if (targetRow < 0) {
       return;
     }
     const col = this.focusIndex % this.cols;
@@ -478,25 +727,46 @@ export class MapSelectScene extends Phaser.Scene {
     if (!mapEntry) {
       return;
     }
+    if (this._isLocked(mapEntry)) {
+      this.cameras.main.shake(120, 0.004);
+      return;
+    }
 
     this._transitioning = true;
+    const difficultyKey = this.difficulties[this.difficultyIndex]?.key ?? DEFAULT_DIFFICULTY_KEY;
+    const runModifiers = normalizeRunModifierKeys([...this.activeModifiers]);
 
     if (typeof window !== 'undefined') {
       try {
         window.localStorage?.setItem('NOTBM:lastMap', mapEntry.key);
+        window.localStorage?.setItem('NOTBM:lastDifficulty', difficultyKey);
+        window.localStorage?.setItem('NOTBM:lastRunModifiers', JSON.stringify(runModifiers));
       } catch (err) {
-        console.warn('[MapSelectScene] Failed to persist map key:', err);
+        console.warn('[MapSelectScene] Failed to persist map selection:', err);
       }
     }
 
     this.time.delayedCall(150, () => {
       this.scene.start('game', {
         heroKey: this.heroKey ?? undefined,
-        mapKey: mapEntry.key
+        mapKey: mapEntry.key,
+        difficultyKey,
+        runModifiers
       });
     });
   }
 
+  /** True while the map's `unlockedBy` achievement has not been earned. */
+  _isLocked(mapEntry) {
+    return this.lockedKeys?.has(mapEntry?.key) ?? false;
+  }
+
+  /** Card/detail label; secret (hidden) maps stay anonymous until unlocked. */
+  _displayName(mapEntry) {
+    if (mapEntry.hidden && this._isLocked(mapEntry)) return '???';
+    return mapEntry.ui?.name ?? uppercaseFirst(mapEntry.key ?? 'Map');
+  }
+
   /**
    * Return to the hero selection screen.
    */
@@ -522,4 +792,31 @@ export class MapSelectScene extends Phaser.Scene {
       return null;
     }
   }
+
+  /** Last DifficultyRegistry key confirmed on this screen, if any. */
+  _getLastDifficultyKey() {
+    if (typeof window === 'undefined') {
+      return null;
+    }
+    try {
+      return window.localStorage?.getItem('NOTBM:lastDifficulty');
+    } catch (err) {
+      console.warn('[MapSelectScene] Failed to read stored difficulty key:', err);
+      return null;
+    }
+  }
+
+  /** Last confirmed RunModifierRegistry keys (stored as a JSON array). */
+  _getLastRunModifiers() {
+    if (typeof window === 'undefined') {
+      return [];
+    }
+    try {
+      const parsed = JSON.parse(window.localStorage?.getItem('NOTBM:lastRunModifiers') ?? '[]');
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+      console.warn('[MapSelectScene] Failed to read stored run modifiers:', err);
+      return [];
+    }
+  }
 }
@@ -2,6 +2,9 @@ import Phaser from 'phaser';
 import { getOrCreateSoundManager } from '../audio/SoundManager.js';
 import { AUDIO_MANIFEST } from '../audio/audioManifest.js';
 import { SettingsMenu } from '../ui/SettingsMenu.js';
+import { ReplayStore } from '../run/ReplayStore.js';
+import { bindGamepad } from '../input/GamepadInput.js';
+import { bindInputActions, describeAction } from '../input/InputBindings.js';
 
 export class MenuScene extends Phaser.Scene {
   /** Initialize MenuScene state so runtime dependencies are ready. */
@@ -37,7 +40,8 @@ export class MenuScene extends Phaser.Scene {
 
     const startMusicIfReady = () => {
       this.soundManager?.loadFromStorage();
-      this.soundManager?.playMusic('music.game.loop', { bus: 'music', volume: 1.0 });
+      // Cross-fades in from the run track when returning from GameScene.
+      this.soundManager?.musicDirector?.playSceneMusic(this);
     };
 
     // ------- Audio unlock -------
@@ -108,8 +112,8 @@ export class MenuScene extends Phaser.Scene {
 
 
     // ------- Buttons -------
-    const btnsY = this.scale.height * 0.6;
-    const spacing = 60;
+    const btnsY = this.scale.height * 0.56;
+    const spacing = 52;
 
     this.activeModal = null;
 
@@ -127,15 +131,24 @@ export class MenuScene extends Phaser.Scene {
       this.scene.start('hero-select', { heroKey: lastHero });
     }, 6);
 
-    const howBtn = this._makeButton(this.scale.width/2, btnsY + 1 * spacing, 'How to Play', () => {
+    const shopBtn = this._makeButton(this.scale.width/2, btnsY + 1 * spacing, 'Upgrades', () => {
+      if (this.activeModal) {
+        return;
+      }
+      this.scene.start('meta-shop');
+    }, 6);
+
+    const howBtn = this._makeButton(this.scale.width/2, btnsY + 2 * spacing, 'How to Play', () => {
       if (this.activeModal) {
         return;
       }
       this._openModal('How to Play', [
         'Controls:',
-        '• Desktop: Move with WASD or Arrow Keys',
+        '• Desktop: Move with WASD or Arrow Keys (rebind under Settings → Controls)',
         '• Mobile: Use the on-screen joystick',
-        '• Pause: Press Esc or tap the button in the top-right corner',
+        '• Controller: Left stick or d-pad to move, A to confirm, B to go back',
+        `• Pause: Press ${describeAction('pause')} or Start, or tap the button in the top-right corner`,
+        `• Replay: Press ${describeAction('watchReplay')} here to watch your last run, or drop a replay file on the game`,
         '',
         'Combat:',
         '• Your weapon fires automatically at nearby enemies',
@@ -152,14 +165,14 @@ export class MenuScene extends Phaser.Scene {
       ]);
     }, 6);
 
-    const settingsBtn = this._makeButton(this.scale.width/2, btnsY + 2 * spacing, 'Settings', () => {
+    const settingsBtn = this._makeButton(this.scale.width/2, btnsY + 3 * spacing, 'Settings', () => {
       if (this.activeModal) {
         return;
       }
       this._openSettingsModal();
     }, 6);
 
-    const aboutBtn = this._makeButton(this.scale.width/2, btnsY + 3 * spacing, 'About', () => {
+    const aboutBtn = this._makeButton(this.scale.width/2, btnsY + 4 * spacing, 'About', () => {
       if (this.activeModal) {
         return;
       }
@@ -175,33 +188,93 @@ export class MenuScene extends Phaser.Scene {
       ]);
     }, 6);
 
-    // Keyboard shortcuts (simulate click)
-    this.input.keyboard.on('keydown-ENTER', () => {
+    // Keyboard shortcuts (simulate click) come from the rebindable action map.
+    const unlessModal = (handler) => () => {
       if (this.activeModal) {
         return;
       }
-      startBtn.emit('click');
+      handler();
+    };
+    const unbindShortcuts = bindInputActions(this, {
+      confirm: unlessModal(() => startBtn.emit('click')),
+      openHowToPlay: unlessModal(() => howBtn.emit('click')),
+      openUpgrades: unlessModal(() => shopBtn.emit('click')),
+      openAbout: unlessModal(() => aboutBtn.emit('click')),
+      watchReplay: unlessModal(() => this._startReplay(ReplayStore.load()))
     });
-    this.input.keyboard.on('keydown-SPACE', () => {
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, unbindShortcuts);
+
+    // Controller: d-pad/stick walks the button column, A clicks, B closes modals.
+    // The settings modal binds its own controller handlers while open.
+    this.menuButtons = [startBtn, shopBtn, howBtn, settingsBtn, aboutBtn];
+    this.menuFocusIndex = 0;
+    this._setMenuFocus(0);
+
+    const moveMenuFocus = (delta) => {
       if (this.activeModal) {
         return;
       }
-      startBtn.emit('click');
-    });
-    this.input.keyboard.on('keydown-H', () => {
-      if (this.activeModal) {
-        return;
+      const count = this.menuButtons.length;
+      this._setMenuFocus((this.menuFocusIndex + delta + count) % count);
+    };
+    bindGamepad(this, {
+      up: () => moveMenuFocus(-1),
+      down: () => moveMenuFocus(1),
+      confirm: () => {
+        if (this.settingsMenu) {
+          return;
+        }
+        if (this.activeModal) {
+          this.activeModal.dismiss();
+          return;
+        }
+        this.menuButtons[this.menuFocusIndex]?.emit('click');
+      },
+      back: () => {
+        if (this.activeModal && !this.settingsMenu) {
+          this.activeModal.dismiss();
+        }
       }
-      howBtn.emit('click');
     });
-    this.input.keyboard.on('keydown-A', () => {
-      if (this.activeModal) {
+
+    // Replay files exported from the end-run menu can be dropped onto the canvas.
+    const canvas = this.game.canvas;
+    const onDragOver = (event) => event.preventDefault();
+    const onDrop = (event) => {
+      event.preventDefault();
+      const file = event.dataTransfer?.files?.[0];
+      if (!file || this.activeModal) {
         return;
       }
-      aboutBtn.emit('click');
+      file.text().then((text) => {
+        if (!this.sys.isActive()) {
+          return;
+        }
+        this._startReplay(ReplayStore.parse(text));
+      });
+    };
+    canvas?.addEventListener('dragover', onDragOver);
+    canvas?.addEventListener('drop', onDrop);
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
+      canvas?.removeEventListener('dragover', onDragOver);
+      canvas?.removeEventListener('drop', onDrop);
     });
   }
 
+  /** Start GameScene in playback mode, or explain why there is nothing to play. */
+  _startReplay(replay) {
+    if (!replay) {
+      this._openModal('Replay', [
+        'No replay available.',
+        '',
+        'Every run is recorded automatically. Finish a run, then press R',
+        'here to watch it, or drop an exported replay file on the game.'
+      ]);
+      return;
+    }
+    this.scene.start('game', { replay });
+  }
+
   /**
    * Button as a Container. The CONTAINER is interactive (most reliable).
    * - container.setSize(w,h).setInteractive({ useHandCursor:true })
@@ -229,16 +302,18 @@ export class MenuScene extends Phaser.Scene {
 
     container.add([glow, bg, txt]);
 
+    // Hover and controller focus share one look; pointerout falls back to the focus state.
+    const setHighlight = (active) => {
+      bg.setFillStyle(active ? 0x171c2b : 0x111522, active ? 1 : 0.9);
+      txt.setColor(active ? '#ffffff' : '#e9e2ff');
+      glow.setAlpha(active ? 0.45 : 0.0);
+    };
+    container.setData('setHighlight', setHighlight);
+
     container
-      .on('pointerover', () => {
-        bg.setFillStyle(0x171c2b, 1);
-        txt.setColor('#ffffff');
-        glow.setAlpha(0.45);
-      })
+      .on('pointerover', () => setHighlight(true))
       .on('pointerout', () => {
-        bg.setFillStyle(0x111522, 0.9);
-        txt.setColor('#e9e2ff');
-        glow.setAlpha(0.0);
+        setHighlight(Boolean(container.getData('focused')));
         container.setScale(1);
       })
       .on('pointerdown', () => {
@@ -254,6 +329,16 @@ export class MenuScene extends Phaser.Scene {
     return container;
   }
 
+  /** Move controller focus to the main button at `index`. */
+  _setMenuFocus(index) {
+    this.menuFocusIndex = index;
+    this.menuButtons.forEach((button, idx) => {
+      const active = idx === index;
+      button.setData('focused', active);
+      button.getData('setHighlight')?.(active);
+    });
+  }
+
   /** Handle _openModal so this system stays coordinated. */
   _openModal(title, lines) {
     // Modal depths
@@ -289,9 +374,7 @@ export class MenuScene extends Phaser.Scene {
     let closeBtn;
     const dismiss = () => {
       [block, panel, head, body, closeBtn].forEach(o => o?.destroy());
-      this.input.keyboard.off('keydown-ESC', onEsc);
-      this.input.keyboard.off('keydown-ENTER', onEsc);
-      this.input.keyboard.off('keydown-SPACE', onEsc);
+      unbindKeys?.();
       if (this.activeModal?.dismiss === dismiss) {
         this.activeModal = null;
       }
@@ -299,12 +382,10 @@ export class MenuScene extends Phaser.Scene {
 
     const onEsc = () => dismiss();
 
-    closeBtn = this._makeButton(x, y + h/2 - 32, 'Close (Esc)', () => dismiss(), D_BTN);
+    closeBtn = this._makeButton(x, y + h/2 - 32, `Close (${describeAction('back')})`, () => dismiss(), D_BTN);
 
-    // One-shot listeners; backdrop also dismisses
-    this.input.keyboard.once('keydown-ESC', onEsc);
-    this.input.keyboard.once('keydown-ENTER', onEsc);
-    this.input.keyboard.once('keydown-SPACE', onEsc);
+    // Confirm/back close the modal (removed again in dismiss); backdrop also dismisses
+    const unbindKeys = bindInputActions(this, { confirm: onEsc, back: onEsc });
     block.once('pointerup', onEsc);
 
     this.activeModal = { dismiss };
@@ -0,0 +1,272 @@
+import Phaser from 'phaser';
+import { listMetaUpgrades, getNextRankCost } from '../meta/MetaUpgradeRegistry.js';
+import { MetaProgressStore } from '../meta/MetaProgressStore.js';
+import { getOrCreateSoundManager } from '../audio/SoundManager.js';
+import { bindGamepad } from '../input/GamepadInput.js';
+import { bindInputActions, describeAction } from '../input/InputBindings.js';
+
+// --- Layout constants ------------------------------------------------------
+// Rows were tuned against the base 960×540 resolution; six upgrades fit
+// between the wallet line and the hint text.
+const ROW_WIDTH = 620;
+const ROW_HEIGHT = 48;
+const ROW_SPACING = 6;
+const LIST_TOP = 148;
+
+// How long purchase feedback stays on screen (ms).
+const MESSAGE_DURATION_MS = 1600;
+
+/**
+ * Permanent upgrade shop reached from the main menu. Lists every
+ * MetaUpgradeRegistry entry with its rank and next price, and spends the
+ * meta-currency stored by MetaProgressStore. Keyboard + pointer navigation
+ * mirror HeroSelectScene.
+ */
+export class MetaShopScene extends Phaser.Scene {
+  /** Initialize MetaShopScene state so runtime dependencies are ready. */
+  constructor() {
+    super('meta-shop');
+    this.upgrades = [];
+    this.rows = [];
+    this.focusIndex = 0;
+    this._transitioning = false;
+  }
+
+  /** Reset transient state so returning from the menu yields a clean scene. */
+  init() {
+    this._transitioning = false;
+    this.focusIndex = 0;
+    this._messageTimer = null;
+  }
+
+  /** Handle create so this system stays coordinated. */
+  create() {
+    getOrCreateSoundManager(this)?.musicDirector?.playSceneMusic(this);
+
+    this.upgrades = listMetaUpgrades();
+    this.progress = MetaProgressStore.load();
+
+    this._buildBackground();
+    this.rows = this.upgrades.map((upgrade, index) => this._createRow(upgrade, index));
+    this._bindInput();
+
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
+      this._unbindInput();
+      this._messageTimer?.remove?.();
+      this._messageTimer = null;
+    });
+
+    this._refresh();
+  }
+
+  /** Animated backdrop, title, wallet line, and static instructions. */
+  _buildBackground() {
+    const { width, height } = this.scale;
+
+    this.ground = this.add.tileSprite(0, 0, 4096, 4096, 'ground')
+      .setOrigin(0.5)
+      .setDepth(0)
+      .setScrollFactor(0);
+
+    this.time.addEvent({
+      delay: 16,
+      loop: true,
+      callback: () => {
+        this.ground.tilePositionX += 0.15;
+        this.ground.tilePositionY += 0.10;
+      }
+    });
+
+    this.add.rectangle(0, 0, 4000, 4000, 0x8a143a, 0.10)
+      .setScrollFactor(0)
+      .setDepth(1)
+      .setBlendMode(Phaser.BlendModes.MULTIPLY);
+
+    this.add.text(width / 2, height * 0.14, 'Upgrades', {
+      fontFamily: 'monospace',
+      fontSize: '36px',
+      color: '#e9e2ff',
+      stroke: '#8a143a',
+      strokeThickness: 4
+    }).setOrigin(0.5).setDepth(5);
+
+    this.walletText = this.add.text(width / 2, height * 0.14 + 42, '', {
+      fontFamily: 'monospace',
+      fontSize: '18px',
+      color: '#ffd6e7'
+    }).setOrigin(0.5).setDepth(5);
+
+    this.messageText = this.add.text(width / 2, height - 60, '', {
+      fontFamily: 'monospace',
+      fontSize: '16px',
+      color: '#ff9fb3'
+    }).setOrigin(0.5).setDepth(5);
+
+    this.add.text(width / 2, height - 32,
+      `Up/Down to move · ${describeAction('confirm')} to buy · ${describeAction('back')} to return`,
+      {
+        fontFamily: 'monospace',
+        fontSize: '16px',
+        color: '#c8d0ff'
+      }
+    ).setOrigin(0.5).setDepth(5);
+  }
+
+  /** Build one upgrade row (name, description, rank, price, focus ring). */
+  _createRow(upgrade, index) {
+    const x = this.scale.width / 2;
+    const y = LIST_TOP + index * (ROW_HEIGHT + ROW_SPACING) + ROW_HEIGHT / 2;
+
+    const container = this.add.container(x, y).setDepth(5);
+    container.setSize(ROW_WIDTH, ROW_HEIGHT).setInteractive({ useHandCursor: true });
+
+    const background = this.add.rectangle(0, 0, ROW_WIDTH, ROW_HEIGHT, 0x111522, 0.92)
+      .setStrokeStyle(2, 0x303850, 1);
+
+    const name = this.add.text(-ROW_WIDTH / 2 + 16, -ROW_HEIGHT / 2 + 4, upgrade.ui?.name ?? upgrade.key, {
+      fontFamily: 'monospace',
+      fontSize: '18px',
+      color: '#e9e2ff'
+    });
+
+    const description = this.add.text(-ROW_WIDTH / 2 + 16, ROW_HEIGHT / 2 - 19, upgrade.ui?.description ?? '', {
+      fontFamily: 'monospace',
+      fontSize: '13px',
+      color: '#9fb2ff'
+    });
+
+    const rank = this.add.text(ROW_WIDTH / 2 - 150, 0, '', {
+      fontFamily: 'monospace',
+      fontSize: '16px',
+      color: '#c8d0ff'
+    }).setOrigin(0.5);
+
+    const cost = this.add.text(ROW_WIDTH / 2 - 16, 0, '', {
+      fontFamily: 'monospace',
+      fontSize: '16px',
+      color: '#ffc857'
+    }).setOrigin(1, 0.5);
+
+    const highlight = this.add.rectangle(0, 0, ROW_WIDTH + 8, ROW_HEIGHT + 8)
+      .setStrokeStyle(3, 0xffc857, 1)
+      .setFillStyle(0x000000, 0)
+      .setVisible(false);
+
+    container.add([background, name, description, rank, cost, highlight]);
+
+    container.on('pointerover', () => this._setFocus(index));
+    container.on('pointerup', (pointer) => {
+      if (pointer.leftButtonReleased()) {
+        this._purchase(index);
+      }
+    });
+
+    return { container, upgrade, background, name, rank, cost, highlight };
+  }
+
+  /** Register keyboard handlers (removed again on shutdown). */
+  _bindInput() {
+    this._handleUp = () => this._setFocus(this.focusIndex - 1);
+    this._handleDown = () => this._setFocus(this.focusIndex + 1);
+    this._handleConfirm = () => this._purchase(this.focusIndex);
+    this._handleBack = () => this._returnToMenu();
+
+    this._unbindKeys = bindInputActions(this, {
+      moveUp: this._handleUp,
+      moveDown: this._handleDown,
+      confirm: this._handleConfirm,
+      back: this._handleBack
+    });
+
+    this._unbindGamepad = bindGamepad(this, {
+      up: this._handleUp,
+      down: this._handleDown,
+      confirm: this._handleConfirm,
+      back: this._handleBack
+    });
+  }
+
+  /** Phaser does not remove keyboard listeners automatically on restart. */
+  _unbindInput() {
+    this._unbindGamepad?.();
+    this._unbindGamepad = null;
+
+    this._unbindKeys?.();
+    this._unbindKeys = null;
+  }
+
+  /** Apply bounds checking before committing to the new focus index. */
+  _setFocus(index) {
+    if (index < 0 || index >= this.rows.length || index === this.focusIndex) {
+      return;
+    }
+    this.focusIndex = index;
+    this._refresh();
+  }
+
+  /** Redraw wallet, ranks, prices, and focus state from `this.progress`. */
+  _refresh() {
+    const currency = this.progress?.currency ?? 0;
+    this.walletText.setText(`Moonstones: ${currency}`);
+
+    this.rows.forEach((row, index) => {
+      const key = row.upgrade.key;
+      const maxRank = row.upgrade.maxRank ?? 0;
+      const rank = this.progress?.upgrades?.[key] ?? 0;
+      const nextCost = getNextRankCost(key, rank);
+      const active = index === this.focusIndex;
+
+      row.rank.setText(`Rank ${rank}/${maxRank}`);
+      if (nextCost == null) {
+        row.cost.setText('MAX').setColor('#8dff6a');
+      } else {
+        row.cost.setText(`${nextCost}`).setColor(nextCost <= currency ? '#ffc857' : '#6f7590');
+      }
+
+      row.highlight.setVisible(active);
+      row.background.setFillStyle(active ? 0x181f33 : 0x111522, active ? 1 : 0.92);
+      row.name.setColor(active ? '#ffffff' : '#e9e2ff');
+    });
+  }
+
+  /** Try to buy the next rank of the upgrade at `index`. */
+  _purchase(index) {
+    if (this._transitioning) return;
+    const row = this.rows[index];
+    if (!row) return;
+
+    this._setFocus(index);
+    const result = MetaProgressStore.purchase(row.upgrade.key);
+    this.progress = result.progress;
+
+    if (result.ok) {
+      const rank = this.progress.upgrades?.[row.upgrade.key] ?? 0;
+      this._showMessage(`${row.upgrade.ui?.name ?? row.upgrade.key} rank ${rank} unlocked!`, '#8dff6a');
+    } else if (result.reason === 'maxed') {
+      this._showMessage('Already at max rank.');
+    } else if (result.reason === 'funds') {
+      this._showMessage('Not enough Moonstones.');
+    }
+
+    this._refresh();
+  }
+
+  /** Flash a short feedback line above the hint text. */
+  _showMessage(text, color = '#ff9fb3') {
+    this.messageText.setText(text).setColor(color);
+    this._messageTimer?.remove?.();
+    this._messageTimer = this.time.delayedCall(MESSAGE_DURATION_MS, () => {
+      this.messageText?.setText('');
+      this._messageTimer = null;
+    });
+  }
+
+  /** Return to the menu; guarded so Esc cannot interrupt the scene switch. */
+  _returnToMenu() {
+    if (this._transitioning) {
+      return;
+    }
+    this._transitioning = true;
+    this.scene.start('menu');
+  }
+}
@@ -132,7 +132,7 @@ export class PauseController {
         if (!enemy?.active) return;
 
         // Boss death sequences sometimes keep their own motion/FX timing — don't hard-disable them.
-        if (source === 'bossDeath' && (enemy.mobKey === 'werewolf_boss' || enemy._deathSequenceLock)) {
+        if (source === 'bossDeath' && (enemy._encounterKey || enemy._deathSequenceLock)) {
           enemy.body?.setVelocity?.(0, 0);
           enemy.body?.setAcceleration?.(0, 0);
           return;
@@ -0,0 +1,97 @@
+import Phaser from 'phaser';
+
+// One simulation step. Every gameplay system sees exactly this dt, so a run
+// plays out the same at any display refresh rate (replays depend on it).
+export const SIM_STEP_MS = 1000 / 60;
+
+// Frames slower than this many steps drop the backlog instead of spiralling.
+const MAX_STEPS_PER_FRAME = 5;
+
+/**
+ * SimulationLoop
+ *
+ * Runs GameScene's simulation in fixed SIM_STEP_MS steps and owns the clocks
+ * that gameplay code reads:
+ *  - `scene.time` (the Phaser Clock) is detached from the scene UPDATE event
+ *    and advanced here, so `scene.time.now` is simulation time: it starts at 0
+ *    and stops while the run is paused. Timer events tick with the steps.
+ *  - Arcade physics is stepped here too (one variable-delta world update per
+ *    step), so bodies integrate in lockstep with the systems that steer them.
+ *
+ * While the simulation is paused or the run is over, `idle()` keeps timers
+ * that ignore the pause time scale (boss death cinematics, end-run UI) moving
+ * on the frame delta without advancing `now`.
+ */
+export class SimulationLoop {
+  constructor(scene) {
+    this.scene = scene;
+    this.nowMs = 0;
+    this.steps = 0;
+    this._accumulatorMs = 0;
+
+    scene.events.off(Phaser.Scenes.Events.UPDATE, scene.time.update, scene.time);
+    scene.time.now = 0;
+
+    scene.physics.disableUpdate();
+    scene.physics.world.fixedStep = false;
+  }
+
+  /**
+   * Run as many whole steps as the frame delta allows. `canStep()` is checked
+   * before each step so a pause acquired mid-frame stops the remaining steps;
+   * `step(stepMs)` runs the gameplay update for one step.
+   */
+  advance(frameDt, { canStep, step }) {
+    const maxBacklogMs = SIM_STEP_MS * MAX_STEPS_PER_FRAME;
+    this._accumulatorMs = Math.min(this._accumulatorMs + (Number(frameDt) || 0), maxBacklogMs);
+
+    let stepped = false;
+    while (this._accumulatorMs >= SIM_STEP_MS) {
+      if (!canStep()) {
+        this._accumulatorMs = 0;
+        break;
+      }
+      this._accumulatorMs -= SIM_STEP_MS;
+      this._step(step);
+      stepped = true;
+    }
+
+    if (!stepped && !canStep()) this.idle(frameDt);
+  }
+
+  /**
+   * Frame update while no steps run: timers advance by the frame delta (scaled
+   * by the clock's timeScale, 0 for most pauses) and `now` holds still.
+   * `physics` keeps bodies moving after the run is over.
+   */
+  idle(frameDt, { physics = false } = {}) {
+    const { time } = this.scene;
+    time.preUpdate();
+    time.update(this.nowMs, Number(frameDt) || 0);
+
+    if (physics) {
+      const { world } = this.scene.physics;
+      world.update(this.nowMs, Number(frameDt) || 0);
+      world.postUpdate();
+    }
+  }
+
+  _step(step) {
+    const { time } = this.scene;
+    const { world } = this.scene.physics;
+
+    this.nowMs += SIM_STEP_MS;
+    this.steps += 1;
+
+    // Same order Phaser uses per frame: clock, physics, scene update, body sync.
+    time.preUpdate();
+    time.update(this.nowMs, SIM_STEP_MS);
+    world.update(this.nowMs, SIM_STEP_MS);
+    step(SIM_STEP_MS);
+    world.postUpdate();
+  }
+
+  destroy() {
+    this.scene = null;
+  }
+}
@@ -17,6 +17,13 @@ export function updateArenaLock(scene) {
       const arenaWidth = view.width;
       const arenaHeight = view.height;
 
+      // Remember the open-world bounds so a non-final encounter can unlock again.
+      scene._arenaRestore = {
+        cameraBounds: cam.useBounds ? cam.getBounds() : null,
+        worldBounds: Phaser.Geom.Rectangle.Clone(scene.physics.world.bounds),
+        heroCollides: body.collideWorldBounds
+      };
+
       // Constrain both camera and physics world so nothing can move outside the arena.
       cam.setBounds(x, y, arenaWidth, arenaHeight);
       scene.physics.world.setBounds(x, y, arenaWidth, arenaHeight);
@@ -39,3 +46,25 @@ export function updateArenaLock(scene) {
     }
   }
 }
+
+/** Cancel a pending arena lock, or undo an active one (camera, world and hero bounds). */
+export function releaseArenaLock(scene) {
+  scene._finale = null;
+  const restore = scene._arenaRestore;
+  scene._arenaRestore = null;
+  if (!scene._arenaLocked) return;
+  scene._arenaLocked = false;
+  if (!restore) return;
+
+  const cam = scene.cameras?.main;
+  if (restore.cameraBounds) {
+    const { x, y, width, height } = restore.cameraBounds;
+    cam?.setBounds(x, y, width, height);
+  } else {
+    cam?.removeBounds();
+  }
+
+  const { x, y, width, height } = restore.worldBounds;
+  scene.physics?.world?.setBounds(x, y, width, height);
+  scene.hero?.sprite?.body?.setCollideWorldBounds?.(restore.heroCollides);
+}
@@ -16,20 +16,46 @@ export function cleanupGameScene(scene) {
   // Safety unbind in case any system registered extra listeners outside wireGameSceneEvents.
   scene.events.off('enemy:died', scene._onEnemyDied);
 
+  // Quitting from the pause menu skips endRun, so persist the recording here too.
+  scene._saveReplay?.('quit');
+  scene.replayRecorder?.destroy?.();
+  scene.replayRecorder = null;
+  scene.replayPlayer?.destroy?.();
+  scene.replayPlayer = null;
+  scene.events.off('replay:desynced', scene._onReplayDesynced);
+  scene._onReplayDesynced = null;
+  scene.simLoop?.destroy?.();
+  scene.simLoop = null;
+  // Same for lifetime achievement progress (finishRun is a no-op after endRun).
+  scene.achievements?.finishRun?.({ outcome: 'quit' });
+  scene.achievements?.destroy?.();
+  scene.achievements = null;
+  scene.achievementToast?.destroy?.();
+  scene.achievementToast = null;
+
   // Tear down gameplay systems that own timers, tweens, or physics refs.
   scene.derivedStats?.destroy?.();
   scene.derivedStats = null;
   scene.levelFlow?.destroy?.();
   scene.pickups?.destroy?.();
   scene.enemyAI?.destroy?.();
+  scene.enemyIndex?.destroy?.();
+  scene.enemyIndex = null;
+  scene.statusEffects?.destroy?.();
+  scene.statusEffects = null;
+  scene.dangerZones?.destroy?.();
+  scene.dangerZones = null;
+  scene.runModifiers?.destroy?.();
 
   // Boss controllers are manually attached to enemies — must be cleaned or they keep updating.
   scene._bossControllers?.forEach?.((controller) => controller.destroy());
   scene._bossControllers?.clear?.();
 
-  // Encounter controller owns timers, FX, and pause logic during finale.
-  scene.werewolfEncounter?.destroy?.();
-  scene.werewolfEncounter = null;
+  // Encounters own timers, FX, and pause logic during boss fights.
+  scene.encounters?.destroy?.();
+  scene.encounters = null;
+  scene.runMusic?.destroy?.();
+  scene.runMusic = null;
 
   // UI systems often register input + camera listeners — always destroy on shutdown.
   scene.hud?.destroy?.();
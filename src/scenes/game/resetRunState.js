@@ -31,6 +31,7 @@ export function resetRunState(scene) {
   scene._isShuttingDown = false;
   scene._finale = null;
   scene._arenaLocked = false;
+  scene._arenaRestore = null;
 
   // Boss controllers are attached dynamically; must start empty each run.
   scene._bossControllers = new Set();
@@ -2,11 +2,17 @@ import Phaser from 'phaser';
 
 export function stepSimulation(scene, dt) {
   // Fixed update order: keep this sequence stable so gameplay remains deterministic.
+  // Enemy positions are indexed first so weapons, AoE and AI share one snapshot.
+  scene.enemyIndex?.rebuild?.();
   scene.hero?.controller?.update?.(dt);
+  // Replays sample the move vector the hero just applied (or check playback drift).
+  scene.replayRecorder?.sample?.();
+  scene.replayPlayer?.update?.();
   scene.weaponManager?.update?.(dt);
 
   // Dev-only hotkeys for quickly poking weapon behavior without going through level-up flow.
-  if (scene.debugWeaponKeys) {
+  // Skipped during replay playback: the recording never saw these inputs.
+  if (scene.debugWeaponKeys && !scene.replayPlayer) {
     if (Phaser.Input.Keyboard.JustDown(scene.debugWeaponKeys.addBolt)) {
       scene.weaponManager?.addWeapon('bolt');
     }
@@ -48,10 +54,15 @@ export function stepSimulation(scene, dt) {
     }
   }
 
+  // Status effects tick before AI so slows/freezes apply to this frame's steering.
+  scene.statusEffects?.update?.(dt);
   scene.enemyAI?.update?.(dt);
   scene.enemyProjectiles?.update?.(dt);
+  scene.dangerZones?.update?.(dt);
   scene.spawnDirector?.update?.(dt);
+  scene.runMusic?.update?.(dt);
   scene.groundLayer?.update?.();
   scene.bloodMoon?.update?.(dt);
   scene.hud?.update?.();
+  scene.achievements?.update?.();
 }
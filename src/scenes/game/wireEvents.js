@@ -1,5 +1,7 @@
 import Phaser from 'phaser';
-import { WerewolfBossController } from '../../mob/boss/WerewolfBossController.js';
+import { BossBehaviorController, resolveBossBehavior } from '../../mob/boss/BossBehaviorController.js';
+import { bindGamepad } from '../../input/GamepadInput.js';
+import { bindInputActions } from '../../input/InputBindings.js';
 
 export function wireGameSceneEvents(scene) {
   // Debug keys are scene-owned so they're easy to delete later without touching core systems.
@@ -8,9 +10,6 @@ export function wireGameSceneEvents(scene) {
     removeBolt: Phaser.Input.Keyboard.KeyCodes.TWO,
     buffBolt: Phaser.Input.Keyboard.KeyCodes.THREE
   });
-  scene.debugMapKeys = scene.input.keyboard.addKeys({
-    toggleMapDebug: Phaser.Input.Keyboard.KeyCodes.B
-  });
 
   // Player death is handled via an event so the death controller can run its full animation first.
   const onPlayerDeathFinished = () => scene.handlePlayerDeathFinished();
@@ -22,10 +21,14 @@ export function wireGameSceneEvents(scene) {
 
   // Attach per-boss logic at spawn time so pooled enemies stay generic.
   const onEnemySpawned = ({ enemy } = {}) => {
-    if (!enemy || enemy.mobKey !== 'werewolf_boss') return;
-    if (enemy._bossController) return; // Defensive: pooling can re-emit spawn events.
+    if (!enemy || enemy._bossController) return; // Defensive: pooling can re-emit spawn events.
+
+    const behavior = resolveBossBehavior(enemy.mobKey);
+    if (!behavior) return;
+    // Timeline copies of boss mobs (walls, legions) keep their plain AI.
+    if (behavior.attach !== 'always' && !enemy._encounterKey) return;
 
-    const controller = new WerewolfBossController(scene, enemy);
+    const controller = new BossBehaviorController(scene, enemy, behavior);
     enemy._bossController = controller;
     scene._bossControllers.add(controller);
   };
@@ -42,7 +45,7 @@ export function wireGameSceneEvents(scene) {
   };
   scene.events.on('enemy:released', onEnemyReleased);
 
-  // Global pause keys (Esc/P) must stop propagation so UI overlays don't double-handle the same press.
+  // Global pause keys (Esc/P by default) must stop propagation so UI overlays don't double-handle the same press.
   const onPauseKey = (event) => {
     const toggled = scene.pause?.toggleMenu?.() ?? scene.togglePauseMenu?.();
     if (toggled) {
@@ -51,16 +54,20 @@ export function wireGameSceneEvents(scene) {
     }
   };
 
-  scene.input.keyboard.on('keydown-ESC', onPauseKey);
-  scene.input.keyboard.on('keydown-P', onPauseKey);
+  const unbindPauseKeys = bindInputActions(scene, { pause: onPauseKey });
+
+  // Controller Start mirrors the pause keys; the modal guards live in PauseController.toggleMenu.
+  const onPauseButton = () => {
+    scene.pause?.toggleMenu?.() ?? scene.togglePauseMenu?.();
+  };
+  const unbindGamepad = bindGamepad(scene, { pause: onPauseButton });
 
   const onToggleMapDebug = () => {
     scene.mapDebugOverlay?.toggle?.();
   };
-  const hasMapDebugOverlay = Boolean(scene.mapDebugOverlay);
-  if (hasMapDebugOverlay) {
-    scene.input.keyboard.on('keydown-B', onToggleMapDebug);
-  }
+  const unbindMapDebugKey = scene.mapDebugOverlay
+    ? bindInputActions(scene, { toggleMapDebug: onToggleMapDebug })
+    : null;
 
   // Return a disposer so GameScene shutdown can remove listeners in one place.
   return () => {
@@ -69,10 +76,8 @@ export function wireGameSceneEvents(scene) {
     scene.events.off('enemy:spawned', onEnemySpawned);
     scene.events.off('enemy:released', onEnemyReleased);
 
-    scene.input.keyboard?.off('keydown-ESC', onPauseKey);
-    scene.input.keyboard?.off('keydown-P', onPauseKey);
-    if (hasMapDebugOverlay) {
-      scene.input.keyboard?.off('keydown-B', onToggleMapDebug);
-    }
+    unbindPauseKeys();
+    unbindGamepad();
+    unbindMapDebugKey?.();
   };
 }
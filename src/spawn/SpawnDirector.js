@@ -1,6 +1,7 @@
 import Phaser from 'phaser';
 import { evaluateWeight, weightedPick } from './utils.js';
 import { SpawnerRegistry } from './spawners/index.js';
+import { getRunStream, RNG_STREAMS } from '../core/RunRng.js';
 
 /**
  * SpawnDirector
@@ -66,6 +67,9 @@ export class SpawnDirector {
     // Map of mobKey → weight (value or function(t)).
     this.weightOverrides = new Map();
 
+    // Map of mobKey → factor applied on top of the (possibly overridden) weight.
+    this.weightMultipliers = new Map();
+
     // Track per-mode cooldown and active counts for mode-aware spawns.
     this._modeCooldowns = new Map();
     this._modeActiveCounts = new Map();
@@ -73,6 +77,10 @@ export class SpawnDirector {
     // Lookup table that maps customSpawner names to actual spawn functions.
     this.spawners = SpawnerRegistry;
 
+    // Seeded spawn stream: candidate picks, spawn points and spawner jitter all
+    // draw from it so a run seed reproduces the same waves.
+    this.rng = getRunStream(scene, RNG_STREAMS.SPAWN);
+
     // ---- Pace mapping (runtime seconds -> design seconds) ----
     this._pace = this._createPace(this.spawnConfig?.pace);
 
@@ -222,6 +230,7 @@ export class SpawnDirector {
       modeKey: null,
       spawnKeyDefault: isBounded ? 'timeline' : null,
       spawnReason: 'timeline',
+      rng: this.rng,
 
       // Helpful for spawners/debugging:
       tRun: tRunSeconds,
@@ -411,6 +420,20 @@ export class SpawnDirector {
     this.weightOverrides.set(mobKey, weight);
   }
 
+  /**
+   * Scale a mob's spawn weight (every mode) without replacing its curve,
+   * e.g. run modifiers that make elites more common. 1 clears it.
+   */
+  setWeightMultiplier(mobKey, mult) {
+    if (!mobKey) return;
+    const value = Math.max(0, Number(mult));
+    if (!Number.isFinite(value) || value === 1) {
+      this.weightMultipliers.delete(mobKey);
+      return;
+    }
+    this.weightMultipliers.set(mobKey, value);
+  }
+
   /**
    * Update the per-mob active cap at runtime.
    */
@@ -423,6 +446,44 @@ export class SpawnDirector {
     this._weightedEnabled = !!enabled;
   }
 
+  /**
+   * Spawn up to `count` of `mobKey` evenly around `origin` at `radius` (boss
+   * summons). Pool caps apply and blocked points are skipped; returns the
+   * spawned enemies.
+   */
+  spawnAround(mobKey, origin, { count = 1, radius = 96, overrides = null } = {}) {
+    const spawned = [];
+    const pool = this.enemyPools?.getPool?.(mobKey);
+    if (!pool || !origin) return spawned;
+
+    const total = Math.max(1, Math.floor(count));
+    const step = (Math.PI * 2) / total;
+    const start = this.rng.angle();
+
+    for (let i = 0; i < total; i += 1) {
+      if (!this.enemyPools?.canSpawn?.(mobKey)) break;
+
+      const angle = start + step * i;
+      const x = origin.x + Math.cos(angle) * radius;
+      const y = origin.y + Math.sin(angle) * radius;
+      if (this.isPointBlocked(x, y)) continue;
+
+      const enemy = pool.get(x, y);
+      if (!enemy) break;
+
+      enemy.reset(x, y, mobKey, overrides ?? {});
+      enemy._spawnModeKey = null;
+      spawned.push(enemy);
+    }
+
+    return spawned;
+  }
+
+  /** True while the weighted (ambient) spawner is running. */
+  isWeightedEnabled() {
+    return this._weightedEnabled;
+  }
+
   /**
    * Main spawn loop.
    * Runs every `delayMs` and may spawn multiple mobs depending on spawnsPerTick.
@@ -451,6 +512,12 @@ export class SpawnDirector {
           this._activeEvent = nextEvt;
           this._activeEventEndAt = tRun + (nextEvt.duration ?? 0);
           this._consumeTimelineEvent(nextEvt);
+          // Listeners such as RunMusicController react to the schedule, not to spawns.
+          this.scene?.events?.emit('spawn:timeline', {
+            id: this._getEventId(nextEvt),
+            duration: nextEvt.duration ?? 0,
+            intensity: nextEvt.intensity,
+          });
         }
       }
 
@@ -487,6 +554,7 @@ export class SpawnDirector {
     Object.entries(this.spawnConfig?.byMob ?? {}).forEach(([mobKey, mobEntry = {}]) => {
       const modes = Array.isArray(mobEntry.modes) ? mobEntry.modes : null;
       const weightOverride = this.weightOverrides.get(mobKey);
+      const weightMult = this.weightMultipliers.get(mobKey) ?? 1;
 
       if (modes && modes.length > 0) {
         modes.forEach((modeEntry) => {
@@ -500,7 +568,7 @@ export class SpawnDirector {
           if (tDesign < from || tDesign >= to) return;
 
           const weightSource = weightOverride ?? modeEntry.weight ?? mobEntry.weight;
-          const weight = Math.max(0, evaluateWeight(weightSource, tDesign));
+          const weight = Math.max(0, evaluateWeight(weightSource, tDesign)) * weightMult;
           if (weight <= 0) return;
           if (!this.enemyPools?.canSpawn?.(mobKey)) return;
 
@@ -523,7 +591,7 @@ export class SpawnDirector {
         });
       } else {
         const weightSource = weightOverride ?? mobEntry.weight;
-        const weight = Math.max(0, evaluateWeight(weightSource, tDesign));
+        const weight = Math.max(0, evaluateWeight(weightSource, tDesign)) * weightMult;
         if (weight <= 0) return;
         if (!this.enemyPools?.canSpawn?.(mobKey)) return;
 
@@ -545,6 +613,7 @@ export class SpawnDirector {
       enemyPools: this.enemyPools,
       heroSprite,
       modeKey: null,
+      rng: this.rng,
 
       // Provide both clocks (spawners can opt into whichever they want).
       tRun,
@@ -554,7 +623,7 @@ export class SpawnDirector {
 
     // Perform spawn attempts (each may spawn multiple mobs depending on spawner)
     for (let i = 0; i < attempts; i++) {
-      const candidate = weightedPick(candidates);
+      const candidate = weightedPick(candidates, this.rng.next);
       if (!candidate) break;
 
       const { mobKey, modeKey, mobEntry, modeEntry } = candidate;
@@ -656,7 +725,7 @@ export class SpawnDirector {
       : null;
 
     if (keyedPoints?.length) {
-      const point = Phaser.Utils.Array.GetRandom(keyedPoints);
+      const point = this.rng.pick(keyedPoints);
       if (point) {
         return { x: point.x, y: point.y };
       }
@@ -685,8 +754,8 @@ export class SpawnDirector {
       const maxY = bounds.bottom - margin;
 
       for (let i = 0; i < attempts; i += 1) {
-        const x = Phaser.Math.FloatBetween(minX, maxX);
-        const y = Phaser.Math.FloatBetween(minY, maxY);
+        const x = this.rng.float(minX, maxX);
+        const y = this.rng.float(minY, maxY);
         const mapQuery = this.scene?.mapQuery;
         if (!mapQuery || mapQuery.isWalkableWorldXY(x, y)) {
           return { x, y };
@@ -701,7 +770,7 @@ export class SpawnDirector {
     }
 
     if (heroSprite && Number.isFinite(radius) && radius > 0) {
-      const angle = Math.random() * Math.PI * 2;
+      const angle = this.rng.angle();
       return {
         x: heroSprite.x + Math.cos(angle) * radius,
         y: heroSprite.y + Math.sin(angle) * radius
@@ -736,7 +805,7 @@ export class SpawnDirector {
     if (!Number.isFinite(totalWeight) || totalWeight <= 0) return null;
 
     const pickArea = () => {
-      let roll = Math.random() * totalWeight;
+      let roll = this.rng.next() * totalWeight;
       for (const area of validAreas) {
         roll -= area.width * area.height;
         if (roll <= 0) return area;
@@ -748,8 +817,8 @@ export class SpawnDirector {
       const area = pickArea();
       if (!area) return null;
 
-      const x = Phaser.Math.FloatBetween(area.x, area.x + area.width);
-      const y = Phaser.Math.FloatBetween(area.y, area.y + area.height);
+      const x = this.rng.float(area.x, area.x + area.width);
+      const y = this.rng.float(area.y, area.y + area.height);
       const mapQuery = this.scene?.mapQuery;
       if (!mapQuery || mapQuery.isWalkableWorldXY(x, y)) {
         return { x, y };
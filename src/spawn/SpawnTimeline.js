@@ -110,6 +110,7 @@ const timelineEvent = ({
   once = true,
   spawns,
   control,
+  intensity,
 }) => ({
   id,
   at: mins(atMin),
@@ -118,6 +119,8 @@ const timelineEvent = ({
   once,
   ...(spawns ? { spawns } : {}),
   ...(control ? { control } : {}),
+  // Optional music intensity (0..1) held while the event runs; see RunMusicController.
+  ...(Number.isFinite(intensity) ? { intensity } : {}),
 });
 
 // ---------------------------
@@ -439,6 +442,7 @@ export const SpawnTimelineDefault = [
   // 13: Boss chaos — repaced
   timelineEvent({
     id: 'all_bosses_everywhere_13min',
+    intensity: 1,
     atMin: paceMin(13),
     duration: 22,
     behavior: 'suspendWeighted',
@@ -484,6 +488,7 @@ export const SpawnTimelineDefault = [
   // 14: Final gauntlet — repaced
   timelineEvent({
     id: 'final_boss_overload_14min',
+    intensity: 1,
     atMin: paceMin(14),
     duration: 25,
     behavior: 'suspendWeighted',
@@ -528,7 +533,8 @@ export const SpawnTimelineDefault = [
     ],
   }),
 
-  // 15: Werewolf finale (control-only). Encounter module will handle lead-in + spawn.
+  // 15: Werewolf finale (control-only). EncounterRegistry.werewolf supplies the
+  // telegraph, lead-in/out, arena lock and win outcome; fields set here override it.
   timelineEvent({
     id: 'werewolf_finale_control',
     atMin: TARGET_RUN_MINUTES,
@@ -536,19 +542,6 @@ export const SpawnTimelineDefault = [
     control: {
       encounter: 'werewolf',
       phase: 'start',
-
-      // telegraph lead-in
-      leadInMs: 10000,
-      telegraphSfx: { key: 'sfx.boss.howl', bus: 'sfx', volume: 5.5, maxSimultaneous: 1, minIntervalMs: 2000 },
-
-      //Boss death
-      winSfx: 'sfx.boss.death', 
-      leadOutMs: 5000, 
-
-      // your existing finale controls
-      disableWeightedSpawns: true,
-      cleanupMs: 10000,
-      arena: { width: 1800, height: 1000 },
     },
   }),
 ];
@@ -1,6 +1,5 @@
-import Phaser from 'phaser';
 import { getBodySpawnBuffer, resolveMobConfig } from '../../mob/MobRegistry.js';
-import { pickOne, resolveAttempt, resolveValue } from '../utils.js';
+import { pickOne, resolveAttempt, resolveSpawnRng, resolveValue } from '../utils.js';
 import { resolveSpawnKey } from './spawnKey.js';
 
 /**
@@ -17,6 +16,7 @@ import { resolveSpawnKey } from './spawnKey.js';
  */
 export function batWave(ctx, mobKey, t, mobEntry = {}) {
   const { scene, enemyPools, heroSprite, modeKey = null } = ctx ?? {};
+  const rng = resolveSpawnRng(ctx);
   if (!scene) return false;
 
   // Acquire the pool for this mob type; if missing, we can't spawn.
@@ -66,7 +66,7 @@ export function batWave(ctx, mobKey, t, mobEntry = {}) {
     const isFlyingAi = ai === 'flyStraight' || ai === 'flySine';
     for (let i = 0; i < totalCount; i += 1) {
       if (!enemyPools?.canSpawn?.(mobKey)) break;
-      const direction = pickOne(directions) ?? 'L2R';
+      const direction = pickOne(directions, rng.next) ?? 'L2R';
       const velocityX = direction === 'R2L' ? -speed : direction === 'L2R' ? speed : 0;
       const velocityY = direction === 'T2B' ? speed : direction === 'B2T' ? -speed : 0;
 
@@ -129,7 +129,7 @@ export function batWave(ctx, mobKey, t, mobEntry = {}) {
     if (!enemyPools?.canSpawn?.(mobKey)) break;
 
     // Choose an edge travel direction for this group.
-    const direction = pickOne(directions) ?? 'L2R';
+    const direction = pickOne(directions, rng.next) ?? 'L2R';
 
     // Base spawn anchor + travel velocity for the group,
     // and which axis is perpendicular for stacking the formation.
@@ -144,20 +144,20 @@ export function batWave(ctx, mobKey, t, mobEntry = {}) {
     switch (direction) {
       case 'R2L':
         baseX = view.x + view.width + margin;
-        baseY = Phaser.Math.FloatBetween(view.y - margin * 0.5, view.y + view.height + margin * 0.5);
+        baseY = rng.float(view.y - margin * 0.5, view.y + view.height + margin * 0.5);
         velocityX = -speed;
         velocityY = 0;
         axis = 'vertical';   // stack bats vertically for a horizontal travel line
         break;
       case 'T2B':
-        baseX = Phaser.Math.FloatBetween(view.x - margin * 0.5, view.x + view.width + margin * 0.5);
+        baseX = rng.float(view.x - margin * 0.5, view.x + view.width + margin * 0.5);
         baseY = view.y - margin;
         velocityX = 0;
         velocityY =  speed;
         axis = 'horizontal'; // stack bats horizontally for a vertical travel line
         break;
       case 'B2T':
-        baseX = Phaser.Math.FloatBetween(view.x - margin * 0.5, view.x + view.width + margin * 0.5);
+        baseX = rng.float(view.x - margin * 0.5, view.x + view.width + margin * 0.5);
         baseY = view.y + view.height + margin;
         velocityX = 0;
         velocityY = -speed;
@@ -166,7 +166,7 @@ export function batWave(ctx, mobKey, t, mobEntry = {}) {
       case 'L2R':
       default:
         baseX = view.x - margin;
-        baseY = Phaser.Math.FloatBetween(view.y - margin * 0.5, view.y + view.height + margin * 0.5);
+        baseY = rng.float(view.y - margin * 0.5, view.y + view.height + margin * 0.5);
         velocityX =  speed;
         velocityY = 0;
         axis = 'vertical';
@@ -1,5 +1,4 @@
-import Phaser from 'phaser';
-import { resolveAttempt, resolveValue } from '../utils.js';
+import { resolveAttempt, resolveSpawnRng, resolveValue } from '../utils.js';
 import { resolveMobConfig } from '../../mob/MobRegistry.js';
 import { resolveSpawnKey } from './spawnKey.js';
 
@@ -20,6 +19,7 @@ const lastLegionByScene = new WeakMap();
 export function boneLegion(ctx, mobKey, t, mobEntry = {}) {
   // Spawner context gives us the active scene and pooled enemies.
   const { scene, enemyPools, modeKey = null } = ctx ?? {};
+  const rng = resolveSpawnRng(ctx);
   if (!scene || !enemyPools) return false;
 
   // Pull the pool for this mob type; if it's missing we cannot spawn anything.
@@ -150,12 +150,12 @@ export function boneLegion(ctx, mobKey, t, mobEntry = {}) {
     ];
   } else {
     // Infinite map behavior: single legion enters from a random camera edge.
-    const side = Math.floor(Math.random() * 4);
+    const side = rng.between(0, 3);
     switch (side) {
       case 0: {
         centerPoints = [
           {
-            x: Phaser.Math.Between(view.left + resolvedRadius, view.right - resolvedRadius),
+            x: rng.between(view.left + resolvedRadius, view.right - resolvedRadius),
             y: view.top - resolvedRadius - margin,
           },
         ];
@@ -164,7 +164,7 @@ export function boneLegion(ctx, mobKey, t, mobEntry = {}) {
       case 1: {
         centerPoints = [
           {
-            x: Phaser.Math.Between(view.left + resolvedRadius, view.right - resolvedRadius),
+            x: rng.between(view.left + resolvedRadius, view.right - resolvedRadius),
             y: view.bottom + resolvedRadius + margin,
           },
         ];
@@ -174,7 +174,7 @@ export function boneLegion(ctx, mobKey, t, mobEntry = {}) {
         centerPoints = [
           {
             x: view.left - resolvedRadius - margin,
-            y: Phaser.Math.Between(view.top + resolvedRadius, view.bottom - resolvedRadius),
+            y: rng.between(view.top + resolvedRadius, view.bottom - resolvedRadius),
           },
         ];
         break;
@@ -183,7 +183,7 @@ export function boneLegion(ctx, mobKey, t, mobEntry = {}) {
         centerPoints = [
           {
             x: view.right + resolvedRadius + margin,
-            y: Phaser.Math.Between(view.top + resolvedRadius, view.bottom - resolvedRadius),
+            y: rng.between(view.top + resolvedRadius, view.bottom - resolvedRadius),
           },
         ];
         break;
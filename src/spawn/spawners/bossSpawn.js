@@ -1,5 +1,6 @@
 import { getBodySpawnBuffer, resolveMobConfig } from '../../mob/MobRegistry.js';
 import { resolveSpawnKey } from './spawnKey.js';
+import { resolveSpawnRng } from '../utils.js';
 
 /**
  * Spawns bosses (Evil Wizard, Werewolf, etc.) off-screen once their appearAt
@@ -92,7 +93,7 @@ export function bossSpawn(ctx, mobKey, t, mobEntry = {}) {
         spawnKey,
       })
     : null;
-  const angle = Math.random() * Math.PI * 2;
+  const angle = resolveSpawnRng(ctx).angle();
   const x = spawnPoint?.x ?? (heroSprite.x + Math.cos(angle) * spawnRadius);
   const y = spawnPoint?.y ?? (heroSprite.y + Math.sin(angle) * spawnRadius);
 
@@ -1,4 +1,4 @@
-import { resolveAttempt, resolveValue } from '../utils.js';
+import { resolveAttempt, resolveSpawnRng, resolveValue } from '../utils.js';
 import { resolveSpawnKey } from './spawnKey.js';
 import { getBodySpawnBuffer, resolveMobConfig } from '../../mob/MobRegistry.js';
 
@@ -28,6 +28,7 @@ const lastWallByScene = new WeakMap();
  */
 export function wallLine(ctx, mobKey, t, mobEntry = {}) {
   const { scene, enemyPools, heroSprite, modeKey = null } = ctx ?? {};
+  const rng = resolveSpawnRng(ctx);
   if (!scene) return false;
 
   // Acquire pool for mob type; bail if unavailable.
@@ -81,7 +82,7 @@ export function wallLine(ctx, mobKey, t, mobEntry = {}) {
   // Orientation can be a single value or an array to randomize each wall.
   const orientationValue = resolveValue(wallConfig.orientation, t, 'vertical');
   const orientationOptions = Array.isArray(orientationValue) ? orientationValue : [orientationValue];
-  const orientation = orientationOptions[Math.floor(Math.random() * orientationOptions.length)] || 'vertical';
+  const orientation = rng.pick(orientationOptions) || 'vertical';
 
   // Formation geometry: spacing along the wall, thickness (# parallel rows), and distance between rows.
   const spacingValue = Number(resolveValue(wallConfig.spacing, t, 22));
@@ -193,8 +194,8 @@ export function wallLine(ctx, mobKey, t, mobEntry = {}) {
     }
   } else {
     fixed = horizontal
-      ? (Math.random() < 0.5 ? (view.top + inset) : (view.bottom - inset))
-      : (Math.random() < 0.5 ? (view.left + inset) : (view.right - inset));
+      ? (rng.chance(0.5) ? (view.top + inset) : (view.bottom - inset))
+      : (rng.chance(0.5) ? (view.left + inset) : (view.right - inset));
   }
 
   buildWall(horizontal, fixed);
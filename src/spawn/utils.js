@@ -1,3 +1,15 @@
+import { getRunStream, RNG_STREAMS } from '../core/RunRng.js';
+
+/**
+ * Resolve the seeded spawn stream for a spawner context.
+ *
+ * SpawnDirector passes its stream as `ctx.rng`; spawners invoked directly
+ * (debug tools, encounters) fall back to the scene's spawn stream.
+ */
+export function resolveSpawnRng(ctx) {
+  return ctx?.rng ?? getRunStream(ctx?.scene, RNG_STREAMS.SPAWN);
+}
+
 /**
  * Safely evaluate a mob spawn weight.
  *
@@ -32,14 +44,15 @@ export function evaluateWeight(weight, t) {
  *   • `null` if no valid entries are selectable
  *
  * This is the standard "roulette wheel" selection pattern.
+ * Pass the run's spawn stream as `rng` so picks replay with the run seed.
  */
-export function weightedPick(entries) {
+export function weightedPick(entries, rng = Math.random) {
   // Compute total weight across all entries.
   const total = entries.reduce((sum, entry) => sum + Math.max(0, entry.weight), 0);
   if (total <= 0) return null;
 
   // Random roll within the total weight range.
-  let roll = Math.random() * total;
+  let roll = rng() * total;
 
   // Subtract weights in sequence until selection threshold is passed.
   for (const entry of entries) {
@@ -124,8 +137,8 @@ export function resolveValue(value, t, fallback) {
  *   - A random allowed direction (e.g., L2R / R2L / T2B / B2T)
  *   - Random movement style options
  */
-export function pickOne(options) {
+export function pickOne(options, rng = Math.random) {
   if (!Array.isArray(options) || options.length === 0) return undefined;
-  const index = Math.floor(Math.random() * options.length);
+  const index = Math.floor(rng() * options.length);
   return options[index];
 }
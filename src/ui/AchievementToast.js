@@ -0,0 +1,91 @@
+// Toast sizing/timing tuned against the 960×540 base resolution.
+const TOAST_WIDTH = 320;
+const TOAST_HEIGHT = 56;
+const TOAST_DEPTH = 300;
+const FADE_MS = 180;
+const HOLD_MS = 2400;
+
+/**
+ * Screen-space banner announcing `achievement:unlocked` events. Unlocks that
+ * arrive while a toast is visible are queued and shown one after another.
+ * Tweens keep running while the simulation is paused, so a toast never gets
+ * stuck behind the level-up modal.
+ */
+export class AchievementToast {
+  constructor(scene, { events, depthBase = 0 } = {}) {
+    this.scene = scene;
+    this.events = events ?? scene?.events ?? null;
+    this.depth = (Number.isFinite(depthBase) ? depthBase : 0) + TOAST_DEPTH;
+
+    this._queue = [];
+    this._active = null;
+
+    this._onUnlocked = ({ achievement } = {}) => {
+      if (!achievement) return;
+      this._queue.push(achievement);
+      if (!this._active) this._showNext();
+    };
+
+    this.events?.on?.('achievement:unlocked', this._onUnlocked);
+  }
+
+  /** Build and animate the next queued toast. */
+  _showNext() {
+    const achievement = this._queue.shift();
+    if (!achievement || !this.scene) {
+      this._active = null;
+      return;
+    }
+
+    const x = this.scene.scale.width / 2;
+    const y = 48;
+    const container = this.scene.add.container(x, y)
+      .setScrollFactor(0)
+      .setDepth(this.depth)
+      .setAlpha(0);
+
+    const bg = this.scene.add.rectangle(0, 0, TOAST_WIDTH, TOAST_HEIGHT, 0x1a0c1f, 0.94)
+      .setStrokeStyle(2, 0xffc857, 0.95);
+
+    const heading = this.scene.add.text(0, -12, `Achievement: ${achievement.ui?.name ?? achievement.key}`, {
+      font: '16px monospace',
+      color: '#ffc857'
+    }).setOrigin(0.5);
+
+    const detail = this.scene.add.text(0, 12, achievement.ui?.description ?? '', {
+      font: '13px monospace',
+      color: '#f7cfe3'
+    }).setOrigin(0.5);
+
+    container.add([bg, heading, detail]);
+    this._active = container;
+
+    this.scene.tweens.add({
+      targets: container,
+      alpha: 1,
+      duration: FADE_MS,
+      hold: HOLD_MS,
+      yoyo: true,
+      ease: 'Sine.easeOut',
+      onComplete: () => {
+        container.destroy(true);
+        if (this._active === container) {
+          this._active = null;
+          this._showNext();
+        }
+      }
+    });
+  }
+
+  destroy() {
+    this.events?.off?.('achievement:unlocked', this._onUnlocked);
+    this._onUnlocked = null;
+
+    this._queue.length = 0;
+    this._active?.destroy?.(true);
+    this._active = null;
+
+    this.scene = null;
+    this.events = null;
+  }
+}
@@ -0,0 +1,128 @@
+// src/ui/BossHealthBar.js
+import Phaser from 'phaser';
+
+/**
+ * BossHealthBar
+ * Top-center HP bar for scripted boss encounters, plus a short banner line
+ * for telegraph / phase callouts.
+ *
+ * Notes:
+ *  - Screen-space (scrollFactor 0); position is the bar's top-center
+ *  - Dumb view: HUDManager pushes data via show() / setProgress() / showBanner()
+ *  - Phase thresholds render as tick marks across the bar
+ */
+export class BossHealthBar {
+  /** Initialize BossHealthBar state so runtime dependencies are ready. */
+  constructor(scene, { width = 360, height = 12, depth = 70 } = {}) {
+    this.scene = scene;
+    this.width = width;
+    this.height = height;
+    this.color = 0xc83a5a;
+    this._fraction = 1;
+    this._bannerTween = null;
+
+    this.container = scene.add.container(0, 0)
+      .setScrollFactor(0)
+      .setDepth(depth)
+      .setVisible(false);
+
+    this.label = scene.add.text(0, 0, '', { font: '13px monospace', color: '#ffe9f2' })
+      .setOrigin(0.5, 0);
+
+    // Bar graphics are redrawn on change; everything is drawn relative to the top-center.
+    this.frame = scene.add.graphics();
+    this.fill = scene.add.graphics();
+    this.ticks = scene.add.graphics();
+    this.container.add([this.frame, this.fill, this.ticks, this.label]);
+
+    this.banner = scene.add.text(0, 0, '', {
+      font: '16px monospace',
+      color: '#ffdc7a',
+      stroke: '#1a0c1f',
+      strokeThickness: 4
+    })
+      .setOrigin(0.5, 0)
+      .setScrollFactor(0)
+      .setDepth(depth)
+      .setAlpha(0);
+  }
+
+  /** Show the bar for a boss; `phases` are `{ hpPct }` thresholds to mark. */
+  show({ label = '', color, phases = [] } = {}) {
+    if (!this.container) return;
+    if (Number.isFinite(color)) this.color = color;
+
+    this.label.setText(label.toUpperCase());
+    this._drawFrame(phases);
+    this.setProgress(1);
+    this.container.setVisible(true);
+  }
+
+  hide() {
+    this.container?.setVisible(false);
+  }
+
+  /** Fill fraction in [0, 1]. */
+  setProgress(fraction) {
+    if (!this.container) return;
+    const clamped = Phaser.Math.Clamp(Number(fraction) || 0, 0, 1);
+    if (clamped === this._fraction && this.container.visible) return;
+    this._fraction = clamped;
+
+    const barY = this.label.height + 4;
+    this.fill.clear();
+    this.fill.fillStyle(this.color, 1);
+    this.fill.fillRect(-this.width / 2, barY, this.width * clamped, this.height);
+  }
+
+  /** Fade a one-line callout in under the bar, then out again. */
+  showBanner(text, holdMs = 2200) {
+    if (!this.banner || !text) return;
+
+    this._bannerTween?.remove?.();
+    this.banner.setText(text).setAlpha(0);
+    this._bannerTween = this.scene.tweens.add({
+      targets: this.banner,
+      alpha: 1,
+      duration: 250,
+      yoyo: true,
+      hold: holdMs,
+      onComplete: () => { this._bannerTween = null; }
+    });
+  }
+
+  _drawFrame(phases) {
+    const barY = this.label.height + 4;
+    const left = -this.width / 2;
+
+    this.frame.clear();
+    this.frame.fillStyle(0x1a0c1f, 0.9);
+    this.frame.fillRect(left - 2, barY - 2, this.width + 4, this.height + 4);
+    this.frame.lineStyle(2, 0xff5d88, 0.88);
+    this.frame.strokeRect(left - 2, barY - 2, this.width + 4, this.height + 4);
+
+    this.ticks.clear();
+    this.ticks.lineStyle(1, 0xffe9f2, 0.7);
+    phases.forEach(({ hpPct }) => {
+      if (!(hpPct > 0 && hpPct < 1)) return;
+      const x = left + this.width * hpPct;
+      this.ticks.lineBetween(x, barY, x, barY + this.height);
+    });
+  }
+
+  /** Position is the top-center of the bar; the banner sits just under it. */
+  setPosition(x, y) {
+    this.container?.setPosition(x, y);
+    this.banner?.setPosition(x, y + this.label.height + this.height + 12);
+  }
+
+  destroy() {
+    this._bannerTween?.remove?.();
+    this._bannerTween = null;
+    this.container?.destroy(true);
+    this.banner?.destroy();
+    this.container = null;
+    this.banner = null;
+    this.scene = null;
+  }
+}
@@ -0,0 +1,252 @@
+import {
+  INPUT_ACTIONS,
+  MAX_KEYS_PER_ACTION,
+  InputBindingsStore,
+  captureNextKey,
+  formatKeyName
+} from '../input/InputBindings.js';
+
+// Layout tuned against the 960×540 base resolution; INPUT_ACTIONS rows are
+// split over two columns so every row fits without scrolling.
+const PAGE_WIDTH = 760;
+const PAGE_HEIGHT = 480;
+const COLUMNS = 2;
+const ROW_HEIGHT = 22;
+const SLOT_WIDTH = 84;
+const SLOT_HEIGHT = 19;
+const SLOT_SPACING = 10;
+const BUTTON_WIDTH = 170;
+const BUTTON_HEIGHT = 34;
+
+const FOCUS_STROKE = 0xffdc7a;
+const IDLE_STROKE = 0xff759b;
+const DEFAULT_HINT = 'Select a key to rebind it';
+const CAPTURE_HINT = 'Press a key · Backspace clears · select again to cancel';
+
+/**
+ * Keyboard rebinding page shown inside SettingsMenu. Lists every
+ * INPUT_ACTIONS entry with a primary and alternate key slot; selecting a slot
+ * captures the next keypress and persists it through InputBindingsStore.
+ *
+ * SettingsMenu forwards keyboard/controller navigation through
+ * moveFocus / moveSlot / confirm / back.
+ */
+export class ControlsPage {
+  constructor(scene, { parent, onBack, depth = 0 } = {}) {
+    this.scene = scene;
+    this.onBack = onBack;
+    this.depth = depth;
+
+    this.rows = [];
+    this.buttons = [];
+    this.focusIndex = 0;
+    this.slotIndex = 0;
+    this._capture = null;
+    this._cancelCapture = null;
+
+    this.container = scene.add.container(0, 0).setDepth(depth);
+    parent?.add?.(this.container);
+    this._build();
+    this._refresh();
+  }
+
+  _build() {
+    const top = -PAGE_HEIGHT / 2;
+
+    const bg = this.scene.add.rectangle(0, 0, PAGE_WIDTH, PAGE_HEIGHT, 0x0f1424, 0.98)
+      .setStrokeStyle(2, 0xff5d88, 0.9)
+      .setInteractive({ cursor: 'default' });
+
+    const title = this.scene.add.text(0, top + 22, 'CONTROLS', {
+      font: '22px monospace',
+      color: '#ffbed8'
+    }).setOrigin(0.5);
+
+    this.container.add([bg, title]);
+
+    const actions = Object.entries(INPUT_ACTIONS);
+    const rowsPerColumn = Math.ceil(actions.length / COLUMNS);
+    const columnWidth = PAGE_WIDTH / COLUMNS;
+    const slotsWidth = SLOT_WIDTH * MAX_KEYS_PER_ACTION + SLOT_SPACING * (MAX_KEYS_PER_ACTION - 1);
+    actions.forEach(([action, entry], index) => {
+      const columnLeft = -PAGE_WIDTH / 2 + Math.floor(index / rowsPerColumn) * columnWidth;
+      const slotsStartX = columnLeft + columnWidth - 16 - slotsWidth;
+      const y = top + 56 + (index % rowsPerColumn) * ROW_HEIGHT;
+      const label = this.scene.add.text(columnLeft + 20, y, entry.label, {
+        font: '14px monospace',
+        color: '#ffe7f5'
+      }).setOrigin(0, 0.5);
+      this.container.add(label);
+
+      const slots = [];
+      for (let slot = 0; slot < MAX_KEYS_PER_ACTION; slot += 1) {
+        const x = slotsStartX + slot * (SLOT_WIDTH + SLOT_SPACING) + SLOT_WIDTH / 2;
+        slots.push(this._createSlot(x, y, index, slot));
+      }
+      this.rows.push({ action, label, slots });
+    });
+
+    this.hint = this.scene.add.text(0, PAGE_HEIGHT / 2 - 64, DEFAULT_HINT, {
+      font: '13px monospace',
+      color: '#c4c9f5'
+    }).setOrigin(0.5);
+    this.container.add(this.hint);
+
+    const buttonY = PAGE_HEIGHT / 2 - BUTTON_HEIGHT / 2 - 12;
+    this.buttons = [
+      this._createButton('Reset Defaults', -BUTTON_WIDTH / 2 - 8, buttonY, () => this._resetDefaults()),
+      this._createButton('Back', BUTTON_WIDTH / 2 + 8, buttonY, () => this.back())
+    ];
+  }
+
+  /** One clickable key slot; selecting it starts (or cancels) a capture. */
+  _createSlot(x, y, rowIndex, slot) {
+    const container = this.scene.add.container(x, y)
+      .setSize(SLOT_WIDTH, SLOT_HEIGHT)
+      .setInteractive({ useHandCursor: true });
+
+    const bg = this.scene.add.rectangle(0, 0, SLOT_WIDTH, SLOT_HEIGHT, 0x2c112d, 0.94)
+      .setStrokeStyle(1, IDLE_STROKE, 0.7);
+
+    const text = this.scene.add.text(0, 0, '', {
+      font: '13px monospace',
+      color: '#ffe9f2'
+    }).setOrigin(0.5);
+
+    container.add([bg, text]);
+    container.on('pointerup', () => {
+      this.focusIndex = rowIndex;
+      this.slotIndex = slot;
+      this.confirm();
+    });
+
+    this.container.add(container);
+    return { container, bg, text };
+  }
+
+  _createButton(label, x, y, handler) {
+    const container = this.scene.add.container(x, y)
+      .setSize(BUTTON_WIDTH, BUTTON_HEIGHT)
+      .setInteractive({ useHandCursor: true });
+
+    const bg = this.scene.add.rectangle(0, 0, BUTTON_WIDTH, BUTTON_HEIGHT, 0x2c112d, 0.94)
+      .setStrokeStyle(2, IDLE_STROKE, 0.92);
+
+    const text = this.scene.add.text(0, 0, label, {
+      font: '16px monospace',
+      color: '#ffe9f2'
+    }).setOrigin(0.5);
+
+    container.on('pointerover', () => bg.setFillStyle(0x3b1a42, 0.98));
+    container.on('pointerout', () => bg.setFillStyle(0x2c112d, 0.94));
+    container.on('pointerup', () => handler());
+
+    container.add([bg, text]);
+    this.container.add(container);
+    return { container, bg, handler };
+  }
+
+  /** Move focus between rows, then the bottom buttons; wraps at either end. */
+  moveFocus(delta) {
+    if (this._capture) return;
+    const count = this.rows.length + this.buttons.length;
+    this.focusIndex = (this.focusIndex + delta + count) % count;
+    this._refresh();
+  }
+
+  /** Left/right: switch key slot on a row, or between the bottom buttons. */
+  moveSlot(delta) {
+    if (this._capture) return;
+    if (this.focusIndex < this.rows.length) {
+      this.slotIndex = (this.slotIndex + delta + MAX_KEYS_PER_ACTION) % MAX_KEYS_PER_ACTION;
+    } else {
+      const buttonIndex = this.focusIndex - this.rows.length;
+      this.focusIndex = this.rows.length + (buttonIndex + delta + this.buttons.length) % this.buttons.length;
+    }
+    this._refresh();
+  }
+
+  /** Start capturing for the focused slot, cancel a running capture, or press a button. */
+  confirm() {
+    if (this.focusIndex >= this.rows.length) {
+      this.buttons[this.focusIndex - this.rows.length]?.handler?.();
+      return;
+    }
+
+    const row = this.rows[this.focusIndex];
+    const same = this._capture?.action === row.action && this._capture?.slot === this.slotIndex;
+    this._stopCapture();
+    if (same) {
+      this._refresh();
+      return;
+    }
+
+    const slot = this.slotIndex;
+    this._capture = { action: row.action, slot };
+    this._cancelCapture = captureNextKey(this.scene, (keyName) => {
+      this._cancelCapture = null;
+      this._capture = null;
+      InputBindingsStore.setKey(row.action, slot, keyName === 'BACKSPACE' ? null : keyName);
+      this._refresh();
+    });
+    this._refresh();
+  }
+
+  /** Cancel a running capture first; otherwise leave the page. */
+  back() {
+    if (this._capture) {
+      this._stopCapture();
+      this._refresh();
+      return;
+    }
+    this.onBack?.();
+  }
+
+  _resetDefaults() {
+    this._stopCapture();
+    InputBindingsStore.resetDefaults();
+    this._refresh();
+  }
+
+  _stopCapture() {
+    this._cancelCapture?.();
+    this._cancelCapture = null;
+    this._capture = null;
+  }
+
+  /** Sync slot labels and focus/capture highlights with the stored bindings. */
+  _refresh() {
+    const bindings = InputBindingsStore.load();
+
+    this.rows.forEach((row, rowIndex) => {
+      const keys = bindings[row.action] ?? [];
+      const rowFocused = rowIndex === this.focusIndex;
+      row.label.setColor(rowFocused ? '#ffdc7a' : '#ffe7f5');
+
+      row.slots.forEach(({ bg, text }, slot) => {
+        const capturing = this._capture?.action === row.action && this._capture?.slot === slot;
+        const focused = rowFocused && slot === this.slotIndex;
+        text.setText(capturing ? '...' : formatKeyName(keys[slot]));
+        text.setColor(keys[slot] || capturing ? '#ffe9f2' : '#6f7590');
+        bg.setFillStyle(capturing ? 0x3b1a42 : 0x2c112d, 0.94);
+        bg.setStrokeStyle(focused ? 2 : 1, focused ? FOCUS_STROKE : IDLE_STROKE, focused ? 1 : 0.7);
+      });
+    });
+
+    this.buttons.forEach(({ bg }, index) => {
+      const focused = this.focusIndex === this.rows.length + index;
+      bg.setStrokeStyle(focused ? 3 : 2, focused ? FOCUS_STROKE : IDLE_STROKE, focused ? 1 : 0.92);
+    });
+
+    this.hint.setText(this._capture ? CAPTURE_HINT : DEFAULT_HINT);
+  }
+
+  destroy() {
+    this._stopCapture();
+    this.container?.destroy(true);
+    this.container = null;
+    this.rows = [];
+    this.buttons = [];
+    this.scene = null;
+  }
+}
@@ -1,3 +1,7 @@
+import { bindGamepad } from '../input/GamepadInput.js';
+import { bindInputActions } from '../input/InputBindings.js';
+import { WeaponBreakdownTable } from './WeaponBreakdownTable.js';
+
 // Tunable layout constants that roughly mirror the main menu styling.  The
 // height value acts as a minimum; the panel expands when content requires
 // additional vertical space to keep the buttons from overlapping the stats.
@@ -9,11 +13,18 @@ const BUTTON_HEIGHT = 48;
 const PANEL_PADDING = 24;
 const BUTTON_SPACING = 16;
 const MIN_CONTENT_BUTTON_GAP = 12;
+const FOCUS_STROKE = 0xffdc7a;
+const IDLE_STROKE = 0xff759b;
+// With a weapon breakdown the stats move into a left column and the table
+// sits beside them, widening the panel instead of stacking it taller.
+const STATS_COLUMN_WIDTH = 280;
+const TABLE_GAP = 20;
+const TABLE_MAX_ROWS = 8;
 
 /**
  * Simple overlay presented after the end-of-run flow wraps.  Blocks all
  * gameplay input, displays the run stats, and exposes callbacks for the
- * supported actions (primary + main menu).
+ * supported actions (primary, main menu, optional replay export).
  */
 export class EndRunMenu {
   /**
@@ -24,6 +35,13 @@ export class EndRunMenu {
    *     kills?: number,
    *     xpEarned?: number,
    *     damageDealt?: number,
+   *     seed?: number,                    // RunRng seed, shown so runs can be reproduced
+   *     difficulty?: string,              // DifficultyRegistry tier label
+   *     runModifiers?: string[],          // active RunModifierRegistry names
+   *     rewardMult?: number,              // meta payout multiplier from run modifiers
+   *     goldCollected?: number,           // gold coins picked up (part of currencyEarned)
+   *     currencyEarned?: number,          // meta-currency paid out for this run
+   *     weapons?: object[],               // RunStatsTracker per-weapon rows (breakdown table)
    *     // or RunStatsTracker snapshot shape:
    *     timeSurvivedSeconds?: number,
    *     timeSurvivedMs?: number,
@@ -33,7 +51,8 @@ export class EndRunMenu {
    *   primaryLabel?: string,
    *   onPrimary?: Function,
    *   onRetry?: Function,
-   *   onMainMenu?: Function
+   *   onMainMenu?: Function,
+   *   onExportReplay?: Function         // adds an "Export Replay" button when provided
    * }} [config]
    */
   constructor(scene, {
@@ -44,7 +63,8 @@ export class EndRunMenu {
     depthBase = 0,
     onPrimary,
     onRetry,
-    onMainMenu
+    onMainMenu,
+    onExportReplay
   } = {}) {
     this.scene = scene;
     this.stats = stats ?? {};
@@ -54,8 +74,13 @@ export class EndRunMenu {
     this.depthBase = depthBase;
     this.onPrimary = onPrimary ?? onRetry;
     this.onMainMenu = onMainMenu;
+    this.onExportReplay = typeof onExportReplay === 'function' ? onExportReplay : null;
     this.destroyed = false;
-    this.keyListeners = [];
+    this.buttons = [];
+    this.focusIndex = 0;
+    this._unbindGamepad = null;
+    this._unbindActions = null;
+    this.weaponTable = null;
 
     this.build();
   }
@@ -88,8 +113,19 @@ export class EndRunMenu {
       .setScrollFactor(0)
       .setAlpha(0);
 
+    const { weapons } = this._normalizeStats();
+    this.weaponTable = weapons.length
+      ? new WeaponBreakdownTable(this.scene, { rows: weapons, maxRows: TABLE_MAX_ROWS })
+      : null;
+    const table = this.weaponTable;
+    const panelWidth = table
+      ? PANEL_PADDING * 2 + STATS_COLUMN_WIDTH + TABLE_GAP + table.width
+      : PANEL_WIDTH;
+    const statsWidth = table ? STATS_COLUMN_WIDTH : PANEL_WIDTH - PANEL_PADDING * 2;
+    const statsX = table ? -(panelWidth / 2) + PANEL_PADDING + STATS_COLUMN_WIDTH / 2 : 0;
+
     let panelHeight = PANEL_HEIGHT;
-    const panelBg = this.scene.add.rectangle(0, 0, PANEL_WIDTH, panelHeight, 0x1a0c1f, 0.94)
+    const panelBg = this.scene.add.rectangle(0, 0, panelWidth, panelHeight, 0x1a0c1f, 0.94)
       .setOrigin(0.5)
       .setStrokeStyle(2, 0xff5d88, 0.9);
 
@@ -109,12 +145,12 @@ export class EndRunMenu {
     }).setOrigin(0.5);
 
     const statsLines = this.composeStats();
-    const statsText = this.scene.add.text(0, 0, statsLines.join('\n'), {
+    const statsText = this.scene.add.text(statsX, 0, statsLines.join('\n'), {
       font: '16px monospace',
       color: '#cfd6ff',
       align: 'center',
       wordWrap: {
-        width: PANEL_WIDTH - PANEL_PADDING * 2,
+        width: statsWidth,
         useAdvancedWrap: true
       }
     }).setOrigin(0.5);
@@ -123,6 +159,9 @@ export class EndRunMenu {
     // the behaviour feels identical between start and game-over menus.
     const menuButton = this.createButton('Main Menu', 0, () => this.handleMainMenu());
     const primaryButton = this.createButton(this.primaryLabel, 0, () => this.handlePrimary());
+    const exportButton = this.onExportReplay
+      ? this.createButton('Export Replay', 0, () => this.handleExportReplay())
+      : null;
 
     const layoutPanel = () => {
       // Cursor begins at the top inside edge of the panel.  Each text element
@@ -138,15 +177,25 @@ export class EndRunMenu {
 
       placeText(title, 8);
       placeText(subtitle, 12);
-      placeText(statsText, 0);
+      if (table) {
+        // Stats and table share a row, both top-aligned.
+        const rowTop = cursorY;
+        statsText.setY(rowTop + statsText.height / 2);
+        table.container.setPosition(statsX + STATS_COLUMN_WIDTH / 2 + TABLE_GAP, rowTop);
+        cursorY += Math.max(statsText.height, table.height);
+      } else {
+        placeText(statsText, 0);
+      }
 
       // Buttons anchor from the panel bottom upward to guarantee a consistent
       // stack regardless of how tall the panel grows.
       const bottomY = (panelHeight / 2) - PANEL_PADDING - (BUTTON_HEIGHT / 2);
       menuButton.setY(bottomY);
       primaryButton.setY(bottomY - (BUTTON_HEIGHT + BUTTON_SPACING));
+      exportButton?.setY(primaryButton.y - (BUTTON_HEIGHT + BUTTON_SPACING));
 
-      const buttonsTopY = primaryButton.y - (BUTTON_HEIGHT / 2);
+      const topButton = exportButton ?? primaryButton;
+      const buttonsTopY = topButton.y - (BUTTON_HEIGHT / 2);
       return { cursorY, buttonsTopY };
     };
 
@@ -158,11 +207,25 @@ export class EndRunMenu {
     if (cursorY + MIN_CONTENT_BUTTON_GAP > buttonsTopY) {
       const needed = (cursorY + MIN_CONTENT_BUTTON_GAP) - buttonsTopY;
       panelHeight += needed;
-      panelBg.setSize(PANEL_WIDTH, panelHeight);
+      panelBg.setSize(panelWidth, panelHeight);
       ({ cursorY, buttonsTopY } = layoutPanel());
     }
 
     this.panel.add([panelBg, title, subtitle, statsText, primaryButton, menuButton]);
+    if (table) {
+      this.panel.add(table.container);
+    }
+    if (exportButton) {
+      this.panel.add(exportButton);
+    }
+
+    // Controller focus runs top to bottom and starts on the primary action.
+    this.buttons = [
+      exportButton && { container: exportButton, handler: () => this.handleExportReplay() },
+      { container: primaryButton, handler: () => this.handlePrimary() },
+      { container: menuButton, handler: () => this.handleMainMenu() }
+    ].filter(Boolean);
+    this._setFocus(this.buttons.findIndex(({ container }) => container === primaryButton));
 
     // Alpha-only ease-in so the panel feels responsive without meddling with
     // container scale (important for reliable pointer hit testing).
@@ -198,12 +261,26 @@ export class EndRunMenu {
     const kills = Number.isFinite(Number(s.kills)) ? Number(s.kills) : null;
     const xpEarned = Number.isFinite(Number(s.xpEarned)) ? Number(s.xpEarned) : null;
     const damageDealt = Number.isFinite(Number(s.damageDealt)) ? Number(s.damageDealt) : null;
+    const goldCollected = Number.isFinite(Number(s.goldCollected)) ? Number(s.goldCollected) : null;
+    const seed = Number.isFinite(Number(s.seed)) ? (Number(s.seed) >>> 0) : null;
+    const currencyEarned = s.currencyEarned == null ? null : Number(s.currencyEarned);
+    const difficulty = typeof s.difficulty === 'string' && s.difficulty ? s.difficulty : null;
+    const runModifiers = Array.isArray(s.runModifiers) ? s.runModifiers.filter(Boolean) : [];
+    const rewardMult = Number(s.rewardMult);
+    const weapons = Array.isArray(s.weapons) ? s.weapons.filter((row) => row?.key) : [];
 
     return {
       timeSurvivedSeconds: Math.max(0, timeSurvivedSeconds || 0),
       kills: kills == null ? null : Math.max(0, kills),
       xpEarned: xpEarned == null ? null : Math.max(0, xpEarned),
       damageDealt: damageDealt == null ? null : Math.max(0, damageDealt),
+      goldCollected: goldCollected == null ? null : Math.max(0, goldCollected),
+      seed,
+      difficulty,
+      runModifiers,
+      rewardMult: Number.isFinite(rewardMult) && rewardMult > 0 ? rewardMult : 1,
+      currencyEarned: Number.isFinite(currencyEarned) ? Math.max(0, currencyEarned) : null,
+      weapons,
     };
   }
 
@@ -223,6 +300,14 @@ export class EndRunMenu {
       ? `${minutes}m ${seconds.toFixed(1)}s`
       : `${seconds.toFixed(1)}s`;
 
+    if (s.difficulty) {
+      lines.push(`Difficulty: ${s.difficulty}`);
+    }
+
+    if (s.runModifiers.length) {
+      lines.push(`Curses: ${s.runModifiers.join(', ')} (x${s.rewardMult.toFixed(2)} reward)`);
+    }
+
     lines.push(`Time Survived: ${formatted}`);
 
     if (typeof s.kills === 'number') {
@@ -238,6 +323,20 @@ export class EndRunMenu {
       lines.push(`Damage Dealt: ${Math.round(s.damageDealt)}`);
     }
 
+    if (s.goldCollected > 0) {
+      lines.push(`Gold Collected: ${s.goldCollected}`);
+    }
+
+    // Meta-currency banked for the upgrade shop.
+    if (typeof s.currencyEarned === 'number') {
+      lines.push(`Moonstones Earned: +${s.currencyEarned}`);
+    }
+
+    // Run seed lets players quote a reproducible run in bug reports.
+    if (typeof s.seed === 'number') {
+      lines.push(`Seed: ${s.seed}`);
+    }
+
     return lines;
   }
 
@@ -255,7 +354,7 @@ export class EndRunMenu {
 
     const bg = this.scene.add.rectangle(0, 0, BUTTON_WIDTH, BUTTON_HEIGHT, 0x2c112d, 0.92)
       .setOrigin(0.5)
-      .setStrokeStyle(2, 0xff759b, 0.9);
+      .setStrokeStyle(2, IDLE_STROKE, 0.9);
 
     const text = this.scene.add.text(0, 0, label, {
       font: '20px monospace',
@@ -292,12 +391,14 @@ export class EndRunMenu {
     });
 
     container.add([bg, text]);
+    container.setData('bg', bg);
     return container;
   }
 
   /**
-   * Mirrors the button callbacks with keyboard shortcuts so the menu is fully
-   * operable via mouse, keyboard, or controller (mapped to key events).
+   * Mirrors the button callbacks with keyboard shortcuts and controller
+   * focus navigation so the menu is fully operable via mouse, keyboard, or
+   * gamepad.
    */
   bindKeys() {
     const keyboard = this.scene.input.keyboard;
@@ -314,14 +415,53 @@ export class EndRunMenu {
       this.handleMainMenu();
     };
 
-    const primaryEvents = ['keydown-R', 'keydown-ENTER', 'keydown-SPACE'];
-    primaryEvents.forEach(evt => {
-      keyboard.on(evt, primaryHandler);
-      this.keyListeners.push({ evt, handler: primaryHandler });
+    const exportHandler = (event) => {
+      event?.stopPropagation?.();
+      event?.preventDefault?.();
+      this.handleExportReplay();
+    };
+
+    // Retry (R), main menu (M) and export (E) are dedicated shortcuts;
+    // confirm (Enter/Space by default) activates the focused button, which
+    // starts on the primary action.
+    this._unbindActions = bindInputActions(this.scene, {
+      retry: primaryHandler,
+      mainMenu: mainMenuHandler,
+      exportReplay: this.onExportReplay ? exportHandler : null,
+      moveUp: () => this._moveFocus(-1),
+      moveDown: () => this._moveFocus(1),
+      // Left/right re-sort the weapon breakdown by the previous/next column.
+      moveLeft: () => !this.destroyed && this.weaponTable?.cycleSort(-1),
+      moveRight: () => !this.destroyed && this.weaponTable?.cycleSort(1),
+      confirm: (event) => {
+        event?.preventDefault?.();
+        if (!this.destroyed) this.buttons[this.focusIndex]?.handler?.();
+      }
+    });
+
+    this._unbindGamepad = bindGamepad(this.scene, {
+      up: () => this._moveFocus(-1),
+      down: () => this._moveFocus(1),
+      left: () => !this.destroyed && this.weaponTable?.cycleSort(-1),
+      right: () => !this.destroyed && this.weaponTable?.cycleSort(1),
+      confirm: () => !this.destroyed && this.buttons[this.focusIndex]?.handler?.()
     });
+  }
 
-    keyboard.on('keydown-M', mainMenuHandler);
-    this.keyListeners.push({ evt: 'keydown-M', handler: mainMenuHandler });
+  /** Step keyboard/controller focus through the buttons, wrapping at either end. */
+  _moveFocus(delta) {
+    if (this.destroyed || !this.buttons.length) return;
+    const count = this.buttons.length;
+    this._setFocus((this.focusIndex + delta + count) % count);
+  }
+
+  /** Outline the focused button; hover fill stays pointer-driven. */
+  _setFocus(index) {
+    this.focusIndex = Math.max(0, index);
+    this.buttons.forEach(({ container }, idx) => {
+      const active = idx === this.focusIndex;
+      container.getData('bg')?.setStrokeStyle(active ? 3 : 2, active ? FOCUS_STROKE : IDLE_STROKE, active ? 1 : 0.9);
+    });
   }
 
   /** Forward the primary action if the overlay is still active. */
@@ -336,6 +476,12 @@ export class EndRunMenu {
     this.onMainMenu?.();
   }
 
+  /** Forward the replay export request; the menu stays open afterwards. */
+  handleExportReplay() {
+    if (this.destroyed) return;
+    this.onExportReplay?.();
+  }
+
   /**
    * Cleans up overlay objects and key listeners.  Safe to call multiple times
    * and automatically invoked by the owning scene during shutdown.
@@ -344,15 +490,15 @@ export class EndRunMenu {
     if (this.destroyed) return;
     this.destroyed = true;
 
-    const keyboard = this.scene?.input?.keyboard;
-    if (keyboard) {
-      this.keyListeners.forEach(({ evt, handler }) => {
-        keyboard.off(evt, handler);
-      });
-    }
-    this.keyListeners.length = 0;
+    this._unbindActions?.();
+    this._unbindActions = null;
+    this._unbindGamepad?.();
+    this._unbindGamepad = null;
+    this.buttons = [];
 
     this.backdrop?.destroy();
+    this.weaponTable?.destroy();
+    this.weaponTable = null;
     this.panel?.destroy(true);
 
     this.scene = null;
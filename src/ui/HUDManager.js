@@ -5,8 +5,11 @@ import { VirtualJoystick } from './VirtualJoystick.js';
 import { PauseButton } from './PauseButton.js';
 import { DebugOverlay } from './DebugOverlay.js';
 import { PlayerHUD } from './PlayerHUD.js';
+import { BossHealthBar } from './BossHealthBar.js';
+import { PickupEffectHUD } from './PickupEffectHUD.js';
 import { DEV_RUN } from '../config/gameConfig.js';
 import { RunStatsTracker } from '../run/RunStatsTracker.js';
+import { bindInputActions } from '../input/InputBindings.js';
 
 /** Provide shouldUseTouchUI so callers can reuse shared logic safely. */
 export function shouldUseTouchUI() {
@@ -78,6 +81,19 @@ export class HUDManager {
     this.playerHUD = new PlayerHUD(scene, { depth: uiDepthBase + 70 });
     this.playerHUD.setVisible(true);
 
+    // -----------------------------
+    // Boss encounter HP bar (hidden until an encounter boss spawns)
+    // -----------------------------
+    this.bossBar = new BossHealthBar(scene, { depth: uiDepthBase + 70 });
+    this._bossTarget = null;
+    this._bossEncounterKey = null;
+    this._bindEncounterEvents();
+
+    // -----------------------------
+    // Gold counter + vacuum/bomb/clock callouts
+    // -----------------------------
+    this.pickupEffects = new PickupEffectHUD(scene, { events: this.events, depth: uiDepthBase + 70 });
+
     // -----------------------------
     // Debug overlay (existing, kept separate)
     // -----------------------------
@@ -125,8 +141,7 @@ export class HUDManager {
       this.debugOverlay?.setVisible(this.isDebugVisible);
     };
 
-    this.scene.input?.keyboard?.on('keydown-F3', this._onToggleDebug);
-    this.scene.input?.keyboard?.on('keydown-BACKTICK', this._onToggleDebug);
+    this._unbindDebugKeys = bindInputActions(this.scene, { toggleDebug: this._onToggleDebug });
 
     // -----------------------------
     // Layout helper (run now + on real resizes)
@@ -166,6 +181,13 @@ export class HUDManager {
 
       // Top-left overlays
       this.playerHUD?.setPosition(padding, padding);
+      this.bossBar?.setPosition(width / 2, padding);
+      this.pickupEffects?.setLayout({
+        width,
+        height,
+        goldX: padding,
+        goldY: padding + (this.playerHUD?.height ?? 0) + 6
+      });
 
       // Keep debug separate (slightly lower) so both can coexist when debug is enabled
       const debugOffsetY = 64; // enough to clear PlayerHUD height
@@ -200,6 +222,36 @@ export class HUDManager {
     this.runStats?.setStartTime?.(startTime);
   }
 
+  /** Follow encounter events to drive the boss HP bar and callout banner. */
+  _bindEncounterEvents() {
+    this._onEncounterStarted = ({ text } = {}) => this.bossBar?.showBanner(text);
+    this._onEncounterSpawned = ({ encounter, enemy, label, hpBar, phases } = {}) => {
+      if (!hpBar || !enemy) return;
+      this._bossTarget = enemy;
+      this._bossEncounterKey = encounter;
+      this.bossBar?.show({ label, color: hpBar.color, phases });
+    };
+    this._onEncounterPhase = ({ phase } = {}) => this.bossBar?.showBanner(phase?.text);
+    this._onEncounterEnded = ({ encounter } = {}) => {
+      if (encounter !== this._bossEncounterKey) return;
+      this._bossTarget = null;
+      this._bossEncounterKey = null;
+      this.bossBar?.hide();
+    };
+
+    this.events?.on?.('encounter:started', this._onEncounterStarted);
+    this.events?.on?.('encounter:spawned', this._onEncounterSpawned);
+    this.events?.on?.('encounter:phase', this._onEncounterPhase);
+    this.events?.on?.('encounter:ended', this._onEncounterEnded);
+  }
+
+  _unbindEncounterEvents() {
+    this.events?.off?.('encounter:started', this._onEncounterStarted);
+    this.events?.off?.('encounter:spawned', this._onEncounterSpawned);
+    this.events?.off?.('encounter:phase', this._onEncounterPhase);
+    this.events?.off?.('encounter:ended', this._onEncounterEnded);
+  }
+
   /** Compute run elapsed ms using the scene helper if available. */
   _getElapsedMs(now) {
     if (typeof this.scene.getRunElapsedMs === 'function') {
@@ -216,6 +268,13 @@ export class HUDManager {
   update() {
     const now = this.scene?.time?.now ?? 0;
 
+    // Boss HP tracks every frame; the stat panels below refresh at a coarse cadence.
+    const boss = this._bossTarget;
+    if (boss) {
+      this.bossBar?.setProgress(boss.maxHp > 0 ? Math.max(0, boss.hp) / boss.maxHp : 0);
+    }
+    this.pickupEffects?.update();
+
     // ~4 times per second, stable cadence
     if (now < (this._nextStatsAt ?? 0)) return;
     this._nextStatsAt = now + 250;
@@ -263,8 +322,9 @@ export class HUDManager {
       this._onHybridTouchStart = null;
     }
 
-    this.scene.input?.keyboard?.off('keydown-F3', this._onToggleDebug);
-    this.scene.input?.keyboard?.off('keydown-BACKTICK', this._onToggleDebug);
+    this._unbindDebugKeys?.();
+    this._unbindDebugKeys = null;
+    this._unbindEncounterEvents();
 
     this.runStats?.destroy?.();
     this.runStats = null;
@@ -272,6 +332,8 @@ export class HUDManager {
     this.loadoutBar?.destroy();
     this.passiveBar?.destroy();
     this.playerHUD?.destroy();
+    this.bossBar?.destroy();
+    this.pickupEffects?.destroy();
     this.debugOverlay?.destroy();
     this.joystick?.destroy();
     this.pauseButton?.destroy();
@@ -283,6 +345,9 @@ export class HUDManager {
     this.loadoutBar = null;
     this.passiveBar = null;
     this.playerHUD = null;
+    this.bossBar = null;
+    this.pickupEffects = null;
+    this._bossTarget = null;
     this.debugOverlay = null;
     this.joystick = null;
     this.pauseButton = null;
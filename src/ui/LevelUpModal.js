@@ -1,4 +1,6 @@
 import Phaser from 'phaser';
+import { bindGamepad } from '../input/GamepadInput.js';
+import { describeAction, matchesAction, InputBindingsStore } from '../input/InputBindings.js';
 
 // Modal panel dimensions + depth layering
 const PANEL_WIDTH = 680;
@@ -7,34 +9,59 @@ const PANEL_DEPTH = 50;
 const CARD_WIDTH = 150;
 const CARD_HEIGHT = 260;
 const CARD_SPACING = 18;
+const ACTION_WIDTH = 160;
+const ACTION_HEIGHT = 26;
+const ACTION_SPACING = 14;
+
+// Level-up actions with their InputBindings action and controller action
+// (see GamepadInput); both share the action key.
+const ACTIONS = [
+  { key: 'reroll', label: 'Reroll', padAction: 'action1' },
+  { key: 'banish', label: 'Banish', padAction: 'action2' },
+  { key: 'skip', label: 'Skip', padAction: 'select' }
+];
+
+// Direct-pick actions for the first four cards.
+const CHOICE_ACTIONS = ['choice1', 'choice2', 'choice3', 'choice4'];
+
+const choosePrompt = () => `Choose a reward (${describeAction('confirm')} to confirm)`;
+const banishPrompt = () => `Banish which reward? (${describeAction('banish')} to cancel)`;
 
 export class LevelUpModal {
   /**
    * Displays a blocking "Level Up" modal that pauses gameplay visually and
    * lets the player choose between weapon unlocks or a health restore.
+   * When `onAction` is provided, Reroll / Banish / Skip buttons spend the
+   * `actionCharges` LevelUpFlow tracks; the flow answers with setChoices().
    */
-  constructor(scene, { level = 1, choices = null, onSelect, onClose, depthBase = 0 } = {}) {
+  constructor(scene, {
+    level = 1,
+    choices = null,
+    actionCharges = null,
+    onSelect,
+    onAction,
+    onClose,
+    depthBase = 0
+  } = {}) {
     this.scene = scene;
     this.level = level;
     this.onSelect = onSelect;
+    this.onAction = onAction;
     this.onClose = onClose;
     this._closed = false;
     this.choices = Array.isArray(choices) ? choices.slice() : null;
     this.choiceCards = [];
     this.focusIndex = 0;
+    this.actionCharges = { ...(actionCharges ?? {}) };
+    this.actionButtons = [];
+    this._banishMode = false;
 
-    this._capturedKeys = [
-      Phaser.Input.Keyboard.KeyCodes.ENTER,
-      Phaser.Input.Keyboard.KeyCodes.SPACE,
-      Phaser.Input.Keyboard.KeyCodes.LEFT,
-      Phaser.Input.Keyboard.KeyCodes.RIGHT,
-      Phaser.Input.Keyboard.KeyCodes.A,
-      Phaser.Input.Keyboard.KeyCodes.D,
-      Phaser.Input.Keyboard.KeyCodes.UP,
-      Phaser.Input.Keyboard.KeyCodes.DOWN,
-      Phaser.Input.Keyboard.KeyCodes.W,
-      Phaser.Input.Keyboard.KeyCodes.S
-    ];
+    // Capture whatever confirm/move keys are currently bound so the browser
+    // does not scroll or activate focused elements while the modal is open.
+    this._capturedKeys = ['confirm', 'moveLeft', 'moveRight', 'moveUp', 'moveDown']
+      .flatMap((action) => InputBindingsStore.getKeys(action))
+      .map((name) => Phaser.Input.Keyboard.KeyCodes[name])
+      .filter((code) => code != null);
 
     const { width, height } = scene.scale;
     const baseDepth = Number.isFinite(depthBase) ? depthBase : 0;
@@ -70,6 +97,8 @@ export class LevelUpModal {
       this.scene.input.keyboard.addCapture(code);
     });
 
+    this._unbindGamepad = bindGamepad(scene, this._buildGamepadHandlers());
+
     if (this.choiceCards.length > 0) {
       this._setFocus(Math.min(this.focusIndex, this.choiceCards.length - 1));
     }
@@ -102,7 +131,7 @@ export class LevelUpModal {
     this.container.add([panel, title, subtitle]);
 
     if (!hasChoices) {
-      const prompt = this.scene.add.text(0, 28, 'Press Enter to continue', {
+      const prompt = this.scene.add.text(0, 28, `Press ${describeAction('confirm')} to continue`, {
         font: '14px monospace',
         color: '#c4c9f5',
         align: 'center'
@@ -111,17 +140,109 @@ export class LevelUpModal {
       return;
     }
 
-    const prompt = this.scene.add.text(0, panelHeight / 2 - 34, 'Choose a reward (Enter to confirm)', {
+    const prompt = this.scene.add.text(0, panelHeight / 2 - 34, choosePrompt(), {
       font: '14px monospace',
       color: '#c4c9f5',
       align: 'center'
     }).setOrigin(0.5);
 
     this.container.add(prompt);
+    this.prompt = prompt;
+
+    if (typeof this.onAction === 'function') {
+      this._buildActionBar(-panelHeight / 2 + 108);
+    }
 
     this._buildChoiceGrid();
   }
 
+  /** Reroll / Banish / Skip buttons between the subtitle and the cards. */
+  _buildActionBar(y) {
+    const total = ACTIONS.length;
+    const usableWidth = (ACTION_WIDTH + ACTION_SPACING) * total - ACTION_SPACING;
+    const startX = -usableWidth / 2 + ACTION_WIDTH / 2;
+
+    this.actionButtons = ACTIONS.map((action, index) => {
+      const button = this.scene.add.container(startX + index * (ACTION_WIDTH + ACTION_SPACING), y)
+        .setScrollFactor(0)
+        .setSize(ACTION_WIDTH, ACTION_HEIGHT)
+        .setInteractive({ useHandCursor: true });
+
+      const bg = this.scene.add.rectangle(0, 0, ACTION_WIDTH, ACTION_HEIGHT, 0x24122a, 0.94)
+        .setStrokeStyle(1, 0x6be3ff, 0.6)
+        .setScrollFactor(0);
+
+      const label = this.scene.add.text(0, 0, '', {
+        font: '13px monospace',
+        color: '#c4c9f5',
+        align: 'center'
+      }).setOrigin(0.5)
+        .setScrollFactor(0);
+
+      button.add([bg, label]);
+      button.on('pointerdown', () => this._triggerAction(action.key));
+      this.container.add(button);
+
+      return { action, button, bg, label };
+    });
+
+    this._refreshActionBar();
+  }
+
+  /** Sync button labels/colours with remaining charges and banish mode. */
+  _refreshActionBar() {
+    this.actionButtons.forEach(({ action, bg, label }) => {
+      const charges = this.actionCharges[action.key] ?? 0;
+      const armed = action.key === 'banish' && this._banishMode;
+      label.setText(`${action.label} [${describeAction(action.key)}] x${charges}`);
+      label.setColor(charges > 0 ? (armed ? '#ff9fb3' : '#f0f4ff') : '#5c6080');
+      bg.setStrokeStyle(armed ? 2 : 1, armed ? 0xff5c7a : 0x6be3ff, charges > 0 ? 0.9 : 0.3);
+    });
+
+    this.prompt?.setText(this._banishMode ? banishPrompt() : choosePrompt());
+    this.prompt?.setColor(this._banishMode ? '#ff9fb3' : '#c4c9f5');
+  }
+
+  /**
+   * Run an action: Banish toggles target selection, Reroll asks the flow for a
+   * new offer, Skip closes the modal once the flow accepts it.
+   */
+  _triggerAction(actionKey) {
+    if (this._closed || typeof this.onAction !== 'function') return;
+    if (!((this.actionCharges[actionKey] ?? 0) > 0)) return;
+
+    if (actionKey === 'banish') {
+      this._banishMode = !this._banishMode;
+      this._refreshActionBar();
+      return;
+    }
+
+    this._banishMode = false;
+    const accepted = this.onAction(actionKey, null);
+    if (accepted && actionKey === 'skip') {
+      this.close();
+    }
+  }
+
+  /**
+   * Replace the offered cards (after a reroll or banish) and refresh charges.
+   */
+  setChoices(choices, actionCharges = null) {
+    if (this._closed) return;
+
+    this.choiceCards.forEach((card) => card.destroy(true));
+    this.choiceCards = [];
+    this.choices = Array.isArray(choices) ? choices.slice() : [];
+    if (actionCharges) this.actionCharges = { ...actionCharges };
+    this._banishMode = false;
+
+    this._buildChoiceGrid();
+    this._refreshActionBar();
+    if (this.choiceCards.length > 0) {
+      this._setFocus(Math.min(this.focusIndex, this.choiceCards.length - 1));
+    }
+  }
+
   /** Handle _buildChoiceGrid so this system stays coordinated. */
   _buildChoiceGrid() {
     const total = this.choices.length;
@@ -151,10 +272,13 @@ export class LevelUpModal {
       useHandCursor: true
     });
 
+    // Evolution cards keep a gold border while unfocused.
+    const idleStroke = choice.subtype === 'evolution' ? 0xffcc4d : 0x6be3ff;
+
     const bg = this.scene.add.rectangle(0, 0, CARD_WIDTH, CARD_HEIGHT, 0x24122a, 0.94)
       .setOrigin(0.5)
       .setScrollFactor(0)
-      .setStrokeStyle(2, 0x6be3ff, 0.7);
+      .setStrokeStyle(2, idleStroke, 0.7);
 
     bg.setInteractive({ useHandCursor: true });
 
@@ -164,7 +288,11 @@ export class LevelUpModal {
       ? (choice.name ?? choice.key)
       : 'Restore Health';
 
-    const rarityLabel = isItem
+    const isEvolution = choice.subtype === 'evolution';
+
+    const rarityLabel = isEvolution
+      ? 'EVOLUTION'
+      : isItem
       ? `Rarity: ${(choice.rarity ?? 'unknown').toUpperCase()}`
       : this._formatRestoreLabel(choice.amount);
 
@@ -235,13 +363,26 @@ export class LevelUpModal {
         .setScrollFactor(0);
     }
 
+    // Evolution requirement / source line along the bottom edge
+    let hint = null;
+    if (isItem && choice.hint) {
+      hint = this.scene.add.text(0, 108, choice.hint, {
+        font: '11px monospace',
+        color: '#ffcc4d',
+        align: 'center',
+        wordWrap: { width: CARD_WIDTH - 16 }
+      }).setOrigin(0.5)
+        .setScrollFactor(0);
+    }
+
     // Add all children in one go; filter out nulls
-    const children = [bg, iconImg, title, description, subtitle].filter(Boolean);
+    const children = [bg, iconImg, title, description, subtitle, hint].filter(Boolean);
     card.add(children);
 
     // keep references if you want focus tinting later
     card.bg = bg;
     card.iconImg = iconImg || null;
+    card.idleStroke = idleStroke;
 
     card.on('pointerover', () => {
       if (this._closed) return;
@@ -285,44 +426,44 @@ export class LevelUpModal {
     return 'Restore health';
   }
 
-  /** Handle _handleKeyDown so this system stays coordinated. */
+  /** Route keydown events through the rebindable InputBindings actions. */
   _handleKeyDown(event) {
     if (this._closed) return;
 
-    const code = event.keyCode;
-
-    const leftCodes = [
-      Phaser.Input.Keyboard.KeyCodes.LEFT,
-      Phaser.Input.Keyboard.KeyCodes.A
-    ];
-    const rightCodes = [
-      Phaser.Input.Keyboard.KeyCodes.RIGHT,
-      Phaser.Input.Keyboard.KeyCodes.D
-    ];
-
-    if (leftCodes.includes(code)) {
+    if (matchesAction(event, 'moveLeft')) {
       event.stopPropagation();
       this._moveFocus(-1);
       return;
     }
 
-    if (rightCodes.includes(code)) {
+    if (matchesAction(event, 'moveRight')) {
       event.stopPropagation();
       this._moveFocus(1);
       return;
     }
 
-    if (code === Phaser.Input.Keyboard.KeyCodes.UP || code === Phaser.Input.Keyboard.KeyCodes.W) {
+    if (matchesAction(event, 'moveUp') || matchesAction(event, 'moveDown')) {
       event.stopPropagation();
       return;
     }
 
-    if (code === Phaser.Input.Keyboard.KeyCodes.DOWN || code === Phaser.Input.Keyboard.KeyCodes.S) {
+    const action = ACTIONS.find((entry) => matchesAction(event, entry.key));
+    if (action && this.actionButtons.length) {
       event.stopPropagation();
+      this._triggerAction(action.key);
       return;
     }
 
-    if (code === Phaser.Input.Keyboard.KeyCodes.ENTER || code === Phaser.Input.Keyboard.KeyCodes.SPACE) {
+    // Number keys pick (or, in banish mode, target) a card directly.
+    const choiceIndex = CHOICE_ACTIONS.findIndex((choiceAction) => matchesAction(event, choiceAction));
+    if (choiceIndex >= 0 && choiceIndex < this.choiceCards.length) {
+      event.stopPropagation();
+      this._setFocus(choiceIndex);
+      this._selectFocusedChoice();
+      return;
+    }
+
+    if (matchesAction(event, 'confirm')) {
       event.stopPropagation();
       if (this.choiceCards.length > 0) {
         this._selectFocusedChoice();
@@ -332,6 +473,38 @@ export class LevelUpModal {
     }
   }
 
+  /**
+   * Controller mapping: left/right move between cards, A confirms, B cancels
+   * banish targeting, and X / Y / Select trigger Reroll / Banish / Skip.
+   */
+  _buildGamepadHandlers() {
+    const handlers = {
+      left: () => !this._closed && this._moveFocus(-1),
+      right: () => !this._closed && this._moveFocus(1),
+      confirm: () => {
+        if (this._closed) return;
+        if (this.choiceCards.length > 0) {
+          this._selectFocusedChoice();
+        } else {
+          this.close();
+        }
+      },
+      back: () => {
+        if (this._closed || !this._banishMode) return;
+        this._banishMode = false;
+        this._refreshActionBar();
+      }
+    };
+
+    ACTIONS.forEach((action) => {
+      handlers[action.padAction] = () => {
+        if (this.actionButtons.length) this._triggerAction(action.key);
+      };
+    });
+
+    return handlers;
+  }
+
   /** Handle _moveFocus so this system stays coordinated. */
   _moveFocus(delta) {
     if (!this.choiceCards.length) return;
@@ -344,7 +517,7 @@ export class LevelUpModal {
     if (!this.choiceCards.length) return;
     this.choiceCards.forEach((card, idx) => {
       const isActive = idx === index;
-      card.bg.setStrokeStyle(2, isActive ? 0xffdc7a : 0x6be3ff, isActive ? 1 : 0.7);
+      card.bg.setStrokeStyle(2, isActive ? 0xffdc7a : (card.idleStroke ?? 0x6be3ff), isActive ? 1 : 0.7);
       card.bg.setFillStyle(isActive ? 0x35203b : 0x24122a, isActive ? 0.98 : 0.94);
     });
     this.focusIndex = Phaser.Math.Clamp(index, 0, this.choiceCards.length - 1);
@@ -355,6 +528,13 @@ export class LevelUpModal {
     const card = this.choiceCards[this.focusIndex];
     if (!card) return;
     const choice = card.choice;
+
+    // In banish mode the focused card is removed from the run instead of taken.
+    if (this._banishMode) {
+      if (!choice?.key) return;
+      this.onAction?.('banish', choice);
+      return;
+    }
     if (typeof this.onSelect === 'function') {
       this.onSelect(choice);
     }
@@ -369,6 +549,7 @@ export class LevelUpModal {
     this._closed = true;
 
     this.scene.input.keyboard.off('keydown', this._onKeyDown);
+    this._unbindGamepad?.();
     this.scene.scale.off('resize', this._onResize);
     this._capturedKeys.forEach((code) => {
       this.scene.input.keyboard.removeCapture(code);
@@ -392,6 +573,7 @@ export class LevelUpModal {
       return;
     }
     this.scene.input.keyboard.off('keydown', this._onKeyDown);
+    this._unbindGamepad?.();
     this.scene.scale.off('resize', this._onResize);
     this._capturedKeys.forEach((code) => {
       this.scene.input.keyboard.removeCapture(code);
@@ -1,4 +1,5 @@
 import { WeaponRegistry } from '../weapons/WeaponRegistry.js';
+import { getEvolutionStatus } from '../weapons/WeaponEvolutions.js';
 
 /**
  * Simple fixed-position bar that shows the player's current weapon loadout.
@@ -10,6 +11,7 @@ import { WeaponRegistry } from '../weapons/WeaponRegistry.js';
  * - Adds optional per-icon nudges via `ui.icon.offsetX` / `ui.icon.offsetY`.
  * - Right-anchored layout — as weapons are added, existing slots shift left so the newest stays on the right.
  * - NEW: true fixed right anchor — newest slot’s RIGHT EDGE is fixed (respects rightInset), no drift when bar fills.
+ * - Maxed weapons with an evolution show an "EVO" tag: dim while the passive is missing, gold once ready.
  */
 export class LoadoutBar {
   /** Initialize LoadoutBar state so runtime dependencies are ready. */
@@ -55,6 +57,10 @@ export class LoadoutBar {
     this._onWeaponsChanged = (loadout) => this.render(loadout);
     this.events.on('weapons:changed', this._onWeaponsChanged);
 
+    // Passive pickups can complete an evolution, so refresh the tags
+    this._onPassivesChanged = () => this.render();
+    this.events.on('passives:changed', this._onPassivesChanged);
+
     // Cooldown tracking for individual slots
     this._onWeaponTriggered = ({ key, delayMs, nextFireAt }) => {
       const slot = this.slotState[key];
@@ -177,6 +183,21 @@ export class LoadoutBar {
       this.container.add(overlay);
       this.icons.push(rect, icon, overlay);
 
+      // Evolution tag above the slot once the weapon side is complete
+      const evolution = getEvolutionStatus(this.scene, weaponKey);
+      if (evolution?.levelMet) {
+        const tag = this.scene.add
+          .text(slotCenterX, slotCenterY - h * 0.5 - 2, 'EVO', {
+            font: `${Math.round(10 * this.scale)}px monospace`,
+            color: evolution.ready ? '#ffcc4d' : '#9aa1bf'
+          })
+          .setOrigin(0.5, 1)
+          .setAlpha(evolution.ready ? 1 : 0.6)
+          .setScrollFactor(0);
+        this.container.add(tag);
+        this.icons.push(tag);
+      }
+
       this.slotState[weaponKey] = {
         overlay,
         delayMs: 0,
@@ -202,6 +223,7 @@ export class LoadoutBar {
   /** Clean up listeners and display objects. */
   destroy() {
     this.events.off('weapons:changed', this._onWeaponsChanged);
+    this.events.off('passives:changed', this._onPassivesChanged);
     this.events.off('weapon:triggered', this._onWeaponTriggered);
     this.scene.events.off('update', this._onSceneUpdate);
     this.icons.forEach((icon) => icon.destroy());
@@ -1,3 +1,6 @@
+import { bindGamepad } from '../input/GamepadInput.js';
+import { bindInputActions } from '../input/InputBindings.js';
+
 const PANEL_WIDTH = 320;
 const PANEL_HEIGHT = 300;
 const PANEL_DEPTH = 240;
@@ -5,6 +8,8 @@ const BUTTON_WIDTH = 200;
 const BUTTON_HEIGHT = 48;
 const PANEL_PADDING = 24;
 const BUTTON_SPACING = 16;
+const FOCUS_STROKE = 0xffdc7a;
+const IDLE_STROKE = 0xff759b;
 
 export class PauseMenu {
   /**
@@ -18,7 +23,10 @@ export class PauseMenu {
     this.onSettings = onSettings;
     this.depthBase = depthBase;
     this.destroyed = false;
-    this.keyListeners = [];
+    this.buttons = [];
+    this.focusIndex = 0;
+    this._unbindGamepad = null;
+    this._unbindActions = null;
 
     this.build();
   }
@@ -91,6 +99,14 @@ export class PauseMenu {
 
     this.panel.add([panelBg, title, subtitle, resumeButton, settingsButton, menuButton]);
 
+    // Controller focus order; keyboard shortcuts are InputBindings actions.
+    this.buttons = [
+      { container: resumeButton, handler: () => this.handleResume() },
+      { container: settingsButton, handler: () => this.handleSettings() },
+      { container: menuButton, handler: () => this.handleMainMenu() }
+    ];
+    this._setFocus(0);
+
     this.scene.tweens.add({
       targets: this.panel,
       alpha: 1,
@@ -111,7 +127,7 @@ export class PauseMenu {
 
     const bg = this.scene.add.rectangle(0, 0, BUTTON_WIDTH, BUTTON_HEIGHT, 0x2c112d, 0.92)
       .setOrigin(0.5)
-      .setStrokeStyle(2, 0xff759b, 0.9);
+      .setStrokeStyle(2, IDLE_STROKE, 0.9);
 
     const text = this.scene.add.text(0, 0, label, {
       font: '20px monospace',
@@ -138,6 +154,7 @@ export class PauseMenu {
     container.on('pointerupoutside', reset);
 
     container.add([bg, text]);
+    container.setData('bg', bg);
     return container;
   }
 
@@ -158,15 +175,50 @@ export class PauseMenu {
       this.handleMainMenu();
     };
 
-    // Resume: Esc, P, Enter, Space
-    ['keydown-ESC', 'keydown-P', 'keydown-ENTER', 'keydown-SPACE'].forEach((evt) => {
-      keyboard.on(evt, resumeHandler);
-      this.keyListeners.push({ evt, handler: resumeHandler });
+    // Resume: pause/back actions (Esc, P); move keys walk the buttons,
+    // confirm activates the focused one (Resume by default) and the main
+    // menu action (M) leaves the run.
+    this._unbindActions = bindInputActions(this.scene, {
+      pause: resumeHandler,
+      back: resumeHandler,
+      moveUp: () => this._moveFocus(-1),
+      moveDown: () => this._moveFocus(1),
+      confirm: (event) => {
+        event?.preventDefault?.();
+        this._activateFocused();
+      },
+      mainMenu: mainMenuHandler
+    });
+
+    // Controller: d-pad/stick moves focus, A activates it, B resumes.
+    this._unbindGamepad = bindGamepad(this.scene, {
+      up: () => this._moveFocus(-1),
+      down: () => this._moveFocus(1),
+      confirm: () => this._activateFocused(),
+      back: () => this.handleResume()
     });
+  }
 
-    // Main menu: M
-    keyboard.on('keydown-M', mainMenuHandler);
-    this.keyListeners.push({ evt: 'keydown-M', handler: mainMenuHandler });
+  /** Step keyboard/controller focus through the buttons, wrapping at either end. */
+  _moveFocus(delta) {
+    if (this.destroyed || this.scene?.settingsMenu || !this.buttons.length) return;
+    const count = this.buttons.length;
+    this._setFocus((this.focusIndex + delta + count) % count);
+  }
+
+  /** Outline the focused button so keyboard/controller players can see the cursor. */
+  _setFocus(index) {
+    this.focusIndex = index;
+    this.buttons.forEach(({ container }, idx) => {
+      const active = idx === index;
+      container.getData('bg')?.setStrokeStyle(active ? 3 : 2, active ? FOCUS_STROKE : IDLE_STROKE, active ? 1 : 0.9);
+    });
+  }
+
+  /** Run the focused button's handler (same guards as pointer input). */
+  _activateFocused() {
+    if (this.destroyed || this.scene?.settingsMenu) return;
+    this.buttons[this.focusIndex]?.handler?.();
   }
 
   /** Handle handleResume so this system stays coordinated. */
@@ -192,13 +244,11 @@ export class PauseMenu {
     if (this.destroyed) return;
     this.destroyed = true;
 
-    const keyboard = this.scene?.input?.keyboard;
-    if (keyboard) {
-      this.keyListeners.forEach(({ evt, handler }) => {
-        keyboard.off(evt, handler);
-      });
-    }
-    this.keyListeners.length = 0;
+    this._unbindActions?.();
+    this._unbindActions = null;
+    this._unbindGamepad?.();
+    this._unbindGamepad = null;
+    this.buttons = [];
 
     this.backdrop?.destroy();
     this.panel?.destroy(true);
@@ -0,0 +1,156 @@
+// src/ui/PickupEffectHUD.js
+import Phaser from 'phaser';
+
+/**
+ * PickupEffectHUD
+ * Feedback for gold and instant-effect pickups:
+ *  - a gold counter chip (hidden until the first coin) that pops on pickup;
+ *  - a centred callout banner per effect (PickupEffectRegistry `ui.banner`);
+ *  - a cold screen tint plus countdown while the clock's time-stop runs.
+ *
+ * Notes:
+ *  - Screen-space (scrollFactor 0)
+ *  - Listens to 'pickup:gold' / 'pickup:effect'; the time-stop countdown is
+ *    read from EnemyBehaviorSystem each update so it follows the simulation.
+ */
+export class PickupEffectHUD {
+  /** Initialize PickupEffectHUD state so runtime dependencies are ready. */
+  constructor(scene, { events, depth = 70 } = {}) {
+    this.scene = scene;
+    this.events = events ?? scene.events;
+    this.gold = 0;
+    this._bannerTween = null;
+    this._goldTween = null;
+
+    this.freezeOverlay = scene.add.rectangle(0, 0, scene.scale.width, scene.scale.height, 0x8fbcff, 0.12)
+      .setOrigin(0, 0)
+      .setScrollFactor(0)
+      .setDepth(depth - 1)
+      .setVisible(false);
+
+    this.freezeText = scene.add.text(0, 0, '', {
+      font: '14px monospace',
+      color: '#c8d0ff',
+      stroke: '#1a0c1f',
+      strokeThickness: 4
+    })
+      .setOrigin(0.5, 0)
+      .setScrollFactor(0)
+      .setDepth(depth)
+      .setVisible(false);
+
+    this.banner = scene.add.text(0, 0, '', {
+      font: '22px monospace',
+      color: '#ffdc7a',
+      stroke: '#1a0c1f',
+      strokeThickness: 5
+    })
+      .setOrigin(0.5)
+      .setScrollFactor(0)
+      .setDepth(depth)
+      .setAlpha(0);
+
+    this.goldChip = scene.add.container(0, 0)
+      .setScrollFactor(0)
+      .setDepth(depth)
+      .setVisible(false);
+    const chipBg = scene.add.graphics();
+    chipBg.fillStyle(0x1a0c1f, 0.9);
+    chipBg.lineStyle(2, 0xffd166, 0.8);
+    chipBg.fillRoundedRect(0, 0, 100, 26, 8);
+    chipBg.strokeRoundedRect(0, 0, 100, 26, 8);
+    this.goldIcon = scene.add.image(16, 13, 'pickup_gold').setScale(1.1);
+    this.goldText = scene.add.text(88, 13, '0', { font: '15px monospace', color: '#ffe9a8' })
+      .setOrigin(1, 0.5);
+    this.goldChip.add([chipBg, this.goldIcon, this.goldText]);
+
+    this._onGold = ({ amount } = {}) => this._addGold(amount);
+    this._onEffect = ({ config } = {}) => this._showBanner(config?.ui);
+    this.events?.on?.('pickup:gold', this._onGold);
+    this.events?.on?.('pickup:effect', this._onEffect);
+  }
+
+  /** Place the gold chip (top-left) and re-centre the banner + tint. */
+  setLayout({ width, height, goldX, goldY }) {
+    this.goldChip?.setPosition(goldX, goldY);
+    this.banner?.setPosition(width / 2, height * 0.32);
+    this.freezeText?.setPosition(width / 2, height * 0.32 + 22);
+    this.freezeOverlay?.setSize(width, height);
+  }
+
+  /** Refresh the time-stop tint/countdown; called every frame by HUDManager. */
+  update() {
+    if (!this.freezeOverlay) return;
+    const remainingMs = this.scene?.enemyAI?.getFreezeRemainingMs?.() ?? 0;
+    const frozen = remainingMs > 0;
+
+    this.freezeOverlay.setVisible(frozen);
+    this.freezeText.setVisible(frozen);
+    if (frozen) this.freezeText.setText(`TIME STOP ${(remainingMs / 1000).toFixed(1)}s`);
+  }
+
+  _addGold(amount) {
+    const value = Math.max(0, Number(amount) || 0);
+    if (!value || !this.goldChip) return;
+
+    this.gold += value;
+    this.goldText.setText(String(this.gold));
+    this.goldChip.setVisible(true);
+
+    this._goldTween?.remove?.();
+    this.goldIcon.setScale(1.1);
+    this._goldTween = this.scene.tweens.add({
+      targets: this.goldIcon,
+      scale: 1.5,
+      duration: 90,
+      yoyo: true,
+      onComplete: () => { this._goldTween = null; }
+    });
+  }
+
+  _showBanner(ui) {
+    if (!this.banner || !ui?.banner) return;
+
+    this._bannerTween?.remove?.();
+    this.banner
+      .setText(ui.banner)
+      .setColor(ui.color ?? '#ffdc7a')
+      .setAlpha(0)
+      .setScale(0.8);
+    this._bannerTween = this.scene.tweens.add({
+      targets: this.banner,
+      alpha: 1,
+      scale: 1,
+      duration: 160,
+      ease: Phaser.Math.Easing.Back.Out,
+      yoyo: true,
+      hold: 900,
+      onComplete: () => { this._bannerTween = null; }
+    });
+  }
+
+  /** Handle destroy so this system stays coordinated. */
+  destroy() {
+    this.events?.off?.('pickup:gold', this._onGold);
+    this.events?.off?.('pickup:effect', this._onEffect);
+
+    this._bannerTween?.remove?.();
+    this._goldTween?.remove?.();
+    this._bannerTween = null;
+    this._goldTween = null;
+
+    this.freezeOverlay?.destroy();
+    this.freezeText?.destroy();
+    this.banner?.destroy();
+    this.goldChip?.destroy(true);
+
+    this.freezeOverlay = null;
+    this.freezeText = null;
+    this.banner = null;
+    this.goldChip = null;
+    this.goldIcon = null;
+    this.goldText = null;
+    this.scene = null;
+    this.events = null;
+  }
+}
@@ -1,28 +1,104 @@
 import Phaser from 'phaser';
+import { bindGamepad } from '../input/GamepadInput.js';
+import { bindInputActions, describeAction } from '../input/InputBindings.js';
+import { ControlsPage } from './ControlsPage.js';
 
-const PANEL_WIDTH = 360;
-const PANEL_HEIGHT = 200;
+const PANEL_WIDTH = 400;
+const PANEL_HEIGHT = 336;
 const PANEL_DEPTH = 360;
 const BUTTON_WIDTH = 160;
 const BUTTON_HEIGHT = 42;
 const BUTTON_SPACING = 16;
+const TAB_WIDTH = 116;
+const TAB_HEIGHT = 30;
+const ROW_HEIGHT = 44;
+const VISIBLE_ROWS = 4;
+const ROW_LEFT = -PANEL_WIDTH / 2 + 28;
+const SMALL_WIDTH = 36;
+const SMALL_HEIGHT = 30;
+const VOLUME_STEP = 0.1;
+const FOCUS_STROKE = 0xffdc7a;
+const IDLE_STROKE = 0xff759b;
+const FOCUS_LABEL_COLOR = '#ffdc7a';
+const IDLE_LABEL_COLOR = '#ffe7f5';
+
+const volumeRow = (bus, label) => ({
+  type: 'volume',
+  label,
+  get: ({ soundManager }) => soundManager?.getBusVolume?.(bus) ?? 1.0,
+  set: ({ soundManager }, value) => {
+    soundManager?.setBusVolume?.(bus, value);
+    soundManager?.saveToStorage?.();
+  }
+});
+
+const audioToggle = (label, field, setter) => ({
+  type: 'toggle',
+  label,
+  get: ({ soundManager }) => Boolean(soundManager?.[field]),
+  set: ({ soundManager }, value) => {
+    soundManager?.[setter]?.(value);
+    soundManager?.saveToStorage?.();
+  }
+});
+
+/**
+ * Tabs and rows shown by SettingsMenu, in display order. Row types:
+ *  - volume: 0..1 value stepped by −/+ (or left/right); `get(ctx)` / `set(ctx, value)`.
+ *  - toggle: on/off switch flipped by confirm, click or left/right; same `get` / `set`.
+ *  - action: a button; `run(ctx)` on confirm.
+ * `ctx` is `{ scene, soundManager, menu }`. Setters persist their own values.
+ * A tab with more than VISIBLE_ROWS rows scrolls.
+ */
+export const SETTINGS_TABS = [
+  {
+    id: 'audio',
+    label: 'Audio',
+    rows: [
+      volumeRow('master', 'Master'),
+      volumeRow('music', 'Music'),
+      volumeRow('sfx', 'SFX'),
+      volumeRow('ui', 'UI'),
+      audioToggle('Mute when unfocused', 'muteOnFocusLoss', 'setMuteOnFocusLoss'),
+      audioToggle('Reduce hit spam', 'reduceHitSpam', 'setReduceHitSpam')
+    ]
+  },
+  {
+    id: 'controls',
+    label: 'Controls',
+    rows: [
+      { type: 'action', label: 'Rebind Keys', run: ({ menu }) => menu._openControls() }
+    ]
+  }
+];
 
 export class SettingsMenu {
   /** Initialize SettingsMenu state so runtime dependencies are ready. */
-  constructor(scene, { soundManager, onClose, depthBase = 0 } = {}) {
+  constructor(scene, { soundManager, onClose, depthBase = 0, tabs = SETTINGS_TABS } = {}) {
     this.scene = scene;
     this.soundManager = soundManager;
     this.onClose = onClose;
     this.depthBase = depthBase;
+    this.tabs = tabs;
     this.destroyed = false;
-    this.keyListeners = [];
-
-    this.sfxVolume = Phaser.Math.Clamp(this.soundManager?.getBusVolume?.('sfx') ?? 1.0, 0, 1);
-    this.musicVolume = Phaser.Math.Clamp(this.soundManager?.getBusVolume?.('music') ?? 1.0, 0, 1);
+    this.focusItems = [];
+    this.focusIndex = 0;
+    this.tabIndex = 0;
+    this.rows = [];
+    this.scrollIndex = 0;
+    this.controlsPage = null;
+    this._unbindGamepad = null;
+    this._unbindActions = null;
+    this._onWheel = null;
 
     this._build();
   }
 
+  /** Context handed to row getters, setters and actions. */
+  get context() {
+    return { scene: this.scene, soundManager: this.soundManager, menu: this };
+  }
+
   /** Handle _build so this system stays coordinated. */
   _build() {
     const { width, height } = this.scene.scale;
@@ -41,66 +117,69 @@ export class SettingsMenu {
       .setDepth(panelDepth + 1)
       .setScrollFactor(0)
       .setAlpha(0);
+    this.panelDepth = panelDepth;
+
+    // Tabs and rows live on the main page; ControlsPage swaps in over it.
+    this.mainPage = this.scene.add.container(0, 0);
 
     const panelBg = this.scene.add.rectangle(0, 0, PANEL_WIDTH, PANEL_HEIGHT, 0x0f1424, 0.96)
       .setOrigin(0.5)
       .setStrokeStyle(2, 0xff5d88, 0.9)
       .setInteractive({ cursor: 'default' });
 
-    // ---------------------------
-    // Title (top anchored)
-    // ---------------------------
-    const titleY = -PANEL_HEIGHT / 2 + 28;
-    const title = this.scene.add.text(0, titleY, 'SETTINGS', {
+    const top = -PANEL_HEIGHT / 2;
+    const title = this.scene.add.text(0, top + 26, 'SETTINGS', {
       font: '24px monospace',
       color: '#ffbed8',
       align: 'center'
     }).setOrigin(0.5);
 
-    // ---------------------------
-    // Volume Rows (top anchored)
-    // ---------------------------
-    const sfxRowY = -PANEL_HEIGHT / 2 + 72;   // relative-to-top placement
-    const musicRowY = sfxRowY + 48;
-
-    const sfxRowParts = this._createVolumeRow({
-      y: sfxRowY,
-      labelText: this._formatSfxLabel(),
-      onMinus: () => this._bumpSfx(-0.1),
-      onPlus: () => this._bumpSfx(0.1),
-      panelDepth
-    });
-    const { container: sfxRow, label: sfxLabel } = sfxRowParts;
-    this.sfxLabel = sfxLabel;
-    this.sfxRowParts = sfxRowParts;
-
-    const musicRowParts = this._createVolumeRow({
-      y: musicRowY,
-      labelText: this._formatMusicLabel(),
-      onMinus: () => this._bumpMusic(-0.1),
-      onPlus: () => this._bumpMusic(0.1),
+    // Tab strip, then the scrolling row viewport under it.
+    const tabY = top + 64;
+    const tabsStartX = -((this.tabs.length - 1) * (TAB_WIDTH + 8)) / 2;
+    this.tabButtons = this.tabs.map((tab, index) => this._createButton(
+      tab.label,
+      tabsStartX + index * (TAB_WIDTH + 8),
+      tabY,
+      () => this._selectTab(index),
+      TAB_WIDTH,
+      TAB_HEIGHT,
       panelDepth
-    });
-    const { container: musicRow, label: musicLabel } = musicRowParts;
-    this.musicLabel = musicLabel;
-    this.musicRowParts = musicRowParts;
+    ));
 
-    // ---------------------------
-    // Back button (bottom anchored)
-    // ---------------------------
-    const backButtonY = PANEL_HEIGHT / 2 - BUTTON_HEIGHT / 2 - BUTTON_SPACING;
+    this.viewportTop = tabY + TAB_HEIGHT / 2 + 12;
+    this.viewportHeight = VISIBLE_ROWS * ROW_HEIGHT;
+    this.content = this.scene.add.container(0, this.viewportTop);
+
+    const trackX = PANEL_WIDTH / 2 - 12;
+    this.scrollTrack = this.scene.add.rectangle(trackX, this.viewportTop, 4, this.viewportHeight, 0xffffff, 0.08)
+      .setOrigin(0.5, 0);
+    this.scrollThumb = this.scene.add.rectangle(trackX, this.viewportTop, 4, this.viewportHeight, 0xff759b, 0.8)
+      .setOrigin(0.5, 0);
 
     const backButton = this._createButton(
-      'Back (Esc)',
+      `Back (${describeAction('back')})`,
       0,
-      backButtonY,
+      PANEL_HEIGHT / 2 - BUTTON_HEIGHT / 2 - BUTTON_SPACING,
       () => this.close(),
       BUTTON_WIDTH,
       BUTTON_HEIGHT,
       panelDepth
     );
+    this.backButton = backButton;
+
+    this.mainPage.add([
+      panelBg,
+      title,
+      ...this.tabButtons,
+      this.content,
+      this.scrollTrack,
+      this.scrollThumb,
+      backButton
+    ]);
+    this.panel.add(this.mainPage);
 
-    this.panel.add([panelBg, title, sfxRow, musicRow, backButton]);
+    this._selectTab(0);
 
     this.scene.tweens.add({
       targets: this.panel,
@@ -112,8 +191,151 @@ export class SettingsMenu {
     this.backdrop.once('pointerup', () => this.close());
 
     this._bindKeys();
+    this._bindWheel(centerX, centerY);
+  }
+
+  /**
+   * Show the rows of tab `index` and focus the tab strip. Focus order is: tab
+   * strip (left/right switches tabs), the tab's rows (left/right adjusts), then Back.
+   */
+  _selectTab(index) {
+    const count = this.tabs.length;
+    if (!count) return;
+    this.tabIndex = (index + count) % count;
+
+    this.rows.forEach((row) => row.container.destroy(true));
+    this.rows = (this.tabs[this.tabIndex].rows ?? [])
+      .map((def) => this._createRow(def))
+      .filter(Boolean);
+    this.content.add(this.rows.map((row) => row.container));
+    this.scrollIndex = 0;
+
+    // Hover resets the fill, so the selected tab is marked by its label color.
+    this.tabButtons.forEach((button, idx) => {
+      button.getData('text')?.setColor(idx === this.tabIndex ? FOCUS_LABEL_COLOR : '#ffe9f2');
+    });
+
+    const focusButton = (button) => (active) => button.getData('bg')
+      ?.setStrokeStyle(active ? 3 : 2, active ? FOCUS_STROKE : IDLE_STROKE, active ? 1 : 0.92);
+    this.focusItems = [
+      {
+        onLeft: () => this._selectTab(this.tabIndex - 1),
+        onRight: () => this._selectTab(this.tabIndex + 1),
+        setFocused: focusButton(this.tabButtons[this.tabIndex])
+      },
+      ...this.rows.map((row) => row.focus),
+      {
+        onConfirm: () => this.close(),
+        setFocused: focusButton(this.backButton)
+      }
+    ];
+
+    this.tabButtons.forEach((button) => focusButton(button)(false));
+    this._layoutRows();
+    this._setFocus(0);
+  }
+
+  /** Build one row from its SETTINGS_TABS definition. */
+  _createRow(def) {
+    const container = this.scene.add.container(0, 0);
+    const label = this.scene.add.text(ROW_LEFT, 0, def.label, {
+      font: '18px monospace',
+      color: IDLE_LABEL_COLOR
+    }).setOrigin(0, 0.5);
+    container.add(label);
+
+    const setLabelFocus = (active) => label.setColor(active ? FOCUS_LABEL_COLOR : IDLE_LABEL_COLOR);
+    const ctx = this.context;
+
+    if (def.type === 'volume') {
+      const valueText = this.scene.add.text(96, 0, '', {
+        font: '18px monospace',
+        color: IDLE_LABEL_COLOR
+      }).setOrigin(0.5);
+      const refresh = () => valueText.setText(`${Math.round(def.get(ctx) * 100)}%`);
+      const bump = (delta) => {
+        // Round so repeated steps land on whole percents.
+        const next = Math.round(Phaser.Math.Clamp(def.get(ctx) + delta, 0, 1) * 100) / 100;
+        def.set(ctx, next);
+        refresh();
+      };
+      const minus = this._createButton('−', 44, 0, () => bump(-VOLUME_STEP), SMALL_WIDTH, SMALL_HEIGHT, this.panelDepth);
+      const plus = this._createButton('+', 148, 0, () => bump(VOLUME_STEP), SMALL_WIDTH, SMALL_HEIGHT, this.panelDepth);
+      container.add([minus, valueText, plus]);
+      refresh();
+      return {
+        container,
+        focus: {
+          onLeft: () => bump(-VOLUME_STEP),
+          onRight: () => bump(VOLUME_STEP),
+          setFocused: setLabelFocus
+        }
+      };
+    }
+
+    if (def.type === 'toggle') {
+      let toggle = null;
+      const refresh = () => toggle.getData('text')?.setText(def.get(ctx) ? 'On' : 'Off');
+      const flip = () => {
+        def.set(ctx, !def.get(ctx));
+        refresh();
+      };
+      toggle = this._createButton('', 132, 0, flip, 80, SMALL_HEIGHT, this.panelDepth);
+      container.add(toggle);
+      refresh();
+      return {
+        container,
+        focus: { onLeft: flip, onRight: flip, onConfirm: flip, setFocused: setLabelFocus }
+      };
+    }
+
+    if (def.type === 'action') {
+      label.setVisible(false);
+      const run = () => def.run?.(ctx);
+      const button = this._createButton(def.label, 0, 0, run, 200, 36, this.panelDepth);
+      container.add(button);
+      return {
+        container,
+        focus: {
+          onConfirm: run,
+          setFocused: (active) => button.getData('bg')
+            ?.setStrokeStyle(active ? 3 : 2, active ? FOCUS_STROKE : IDLE_STROKE, active ? 1 : 0.92)
+        }
+      };
+    }
+
+    console.warn(`[SettingsMenu] Unknown settings row type "${def.type}"`);
+    container.destroy(true);
+    return null;
+  }
+
+  /** Position the rows for the current scroll offset; rows outside the viewport are hidden. */
+  _layoutRows() {
+    const total = this.rows.length;
+    const maxScroll = Math.max(0, total - VISIBLE_ROWS);
+    this.scrollIndex = Phaser.Math.Clamp(this.scrollIndex, 0, maxScroll);
+
+    this.rows.forEach((row, index) => {
+      const slot = index - this.scrollIndex;
+      row.container.setY(slot * ROW_HEIGHT + ROW_HEIGHT / 2);
+      row.container.setVisible(slot >= 0 && slot < VISIBLE_ROWS);
+    });
+
+    const scrollable = maxScroll > 0;
+    this.scrollTrack.setVisible(scrollable);
+    this.scrollThumb.setVisible(scrollable);
+    if (scrollable) {
+      const thumbHeight = this.viewportHeight * (VISIBLE_ROWS / total);
+      this.scrollThumb.setSize(4, thumbHeight);
+      this.scrollThumb.setY(this.viewportTop + (this.viewportHeight - thumbHeight) * (this.scrollIndex / maxScroll));
+    }
   }
 
+  /** Scroll by whole rows; focus stays where it is. */
+  _scrollBy(delta) {
+    this.scrollIndex += delta;
+    this._layoutRows();
+  }
 
   /** Handle _createButton so this system stays coordinated. */
   _createButton(label, x, y, handler, widthOverride = BUTTON_WIDTH, heightOverride = BUTTON_HEIGHT, panelDepth = PANEL_DEPTH) {
@@ -125,7 +347,7 @@ export class SettingsMenu {
 
     const bg = this.scene.add.rectangle(0, 0, widthOverride, heightOverride, 0x2c112d, 0.94)
       .setOrigin(0.5)
-      .setStrokeStyle(2, 0xff759b, 0.92);
+      .setStrokeStyle(2, IDLE_STROKE, 0.92);
 
     const text = this.scene.add.text(0, 0, label, {
       font: '18px monospace',
@@ -152,112 +374,98 @@ export class SettingsMenu {
     container.on('pointerupoutside', reset);
 
     container.add([bg, text]);
+    container.setData('bg', bg);
+    container.setData('text', text);
     return container;
   }
 
-  /** Handle _createVolumeRow so this system stays coordinated. */
-  _createVolumeRow({ y, labelText, onMinus, onPlus, panelDepth = PANEL_DEPTH }) {
-    const container = this.scene.add.container(0, y).setDepth(panelDepth + 2);
-
-    const label = this.scene.add.text(0, 0, labelText, {
-      font: '18px monospace',
-      color: '#ffe7f5',
-      align: 'left'
-    }).setOrigin(0.5);
-
-    const SMALL_WIDTH = 40;
-    const SMALL_HEIGHT = 32;
-    const INNER_SPACING = 8;
-
-    const minusButton = this._createButton(
-      '−',
-      0,
-      0,
-      onMinus,
-      SMALL_WIDTH,
-      SMALL_HEIGHT,
-      panelDepth
-    );
-
-    const plusButton = this._createButton(
-      '+',
-      0,
-      0,
-      onPlus,
-      SMALL_WIDTH,
-      SMALL_HEIGHT,
-      panelDepth
-    );
-
-    container.add([label, minusButton, plusButton]);
-
-    const row = { container, label, minusButton, plusButton, innerSpacing: INNER_SPACING, smallWidth: SMALL_WIDTH };
-    this._layoutVolumeRow(row);
-    return row;
-  }
-
-  /** Handle _layoutVolumeRow so this system stays coordinated. */
-  _layoutVolumeRow(row) {
-    if (!row?.label || !row.minusButton || !row.plusButton) return;
-
-    const labelWidth = row.label.width;
-    const totalWidth = labelWidth + row.innerSpacing + row.smallWidth + row.innerSpacing + row.smallWidth;
-    const startX = -totalWidth / 2;
+  /** Handle _bindKeys so this system stays coordinated. */
+  _bindKeys() {
+    // One set of navigation handlers serves both pages; the controls page
+    // takes over while it is open.
+    const nav = {
+      up: () => (this.controlsPage ? this.controlsPage.moveFocus(-1) : this._moveFocus(-1)),
+      down: () => (this.controlsPage ? this.controlsPage.moveFocus(1) : this._moveFocus(1)),
+      left: () => (this.controlsPage ? this.controlsPage.moveSlot(-1) : this.focusItems[this.focusIndex]?.onLeft?.()),
+      right: () => (this.controlsPage ? this.controlsPage.moveSlot(1) : this.focusItems[this.focusIndex]?.onRight?.()),
+      confirm: () => (this.controlsPage ? this.controlsPage.confirm() : this.focusItems[this.focusIndex]?.onConfirm?.()),
+      back: () => (this.controlsPage ? this.controlsPage.back() : this.close())
+    };
 
-    const labelX = startX + labelWidth / 2;
-    const minusX = labelX + labelWidth / 2 + row.innerSpacing + row.smallWidth / 2;
-    const plusX = minusX + row.smallWidth + row.innerSpacing;
+    this._unbindActions = bindInputActions(this.scene, {
+      moveUp: nav.up,
+      moveDown: nav.down,
+      moveLeft: nav.left,
+      moveRight: nav.right,
+      confirm: (event) => {
+        event?.preventDefault?.();
+        nav.confirm();
+      },
+      back: (event) => {
+        event?.preventDefault?.();
+        nav.back();
+      }
+    });
 
-    row.label.setPosition(labelX, 0);
-    row.minusButton.setPosition(minusX, 0);
-    row.plusButton.setPosition(plusX, 0);
+    this._unbindGamepad = bindGamepad(this.scene, nav);
   }
 
-  /** Handle _bindKeys so this system stays coordinated. */
-  _bindKeys() {
-    const keyboard = this.scene.input.keyboard;
-    if (!keyboard) return;
-
-    const escHandler = (event) => {
-      event?.stopPropagation?.();
-      event?.preventDefault?.();
-      this.close();
+  /** Mouse wheel scrolls the rows while the pointer is over the panel. */
+  _bindWheel(centerX, centerY) {
+    this._onWheel = (pointer, _objects, _dx, dy) => {
+      if (this.destroyed || this.controlsPage || !dy) return;
+      const inside = Math.abs(pointer.x - centerX) <= PANEL_WIDTH / 2
+        && Math.abs(pointer.y - centerY) <= PANEL_HEIGHT / 2;
+      if (inside) this._scrollBy(Math.sign(dy));
     };
-
-    keyboard.on('keydown-ESC', escHandler);
-    this.keyListeners.push({ evt: 'keydown-ESC', handler: escHandler });
+    this.scene.input?.on('wheel', this._onWheel);
   }
 
-  /** Handle _bumpSfx so this system stays coordinated. */
-  _bumpSfx(delta) {
-    if (!this.soundManager) return;
-    this.sfxVolume = Phaser.Math.Clamp(this.sfxVolume + delta, 0, 1);
-    this.soundManager.setBusVolume('sfx', this.sfxVolume);
-    this.soundManager.saveToStorage();
-    this.sfxLabel.setText(this._formatSfxLabel());
-    this._layoutVolumeRow(this.sfxRowParts);
+  /** Step keyboard/controller focus through the rows, wrapping at either end. */
+  _moveFocus(delta) {
+    const count = this.focusItems.length;
+    if (!count) return;
+    this._setFocus((this.focusIndex + delta + count) % count);
   }
 
-  /** Handle _formatSfxLabel so this system stays coordinated. */
-  _formatSfxLabel() {
-    const pct = Math.round(this.sfxVolume * 100);
-    return `SFX Volume: ${pct}%`;
+  /** Swap the tabs and rows for the key rebinding page. */
+  _openControls() {
+    if (this.destroyed || this.controlsPage) return;
+    this._controlsReturnFocus = this.focusIndex;
+    this.mainPage.setVisible(false);
+    this.controlsPage = new ControlsPage(this.scene, {
+      parent: this.panel,
+      depth: this.panelDepth + 2,
+      onBack: () => this._closeControls()
+    });
   }
 
-  /** Handle _bumpMusic so this system stays coordinated. */
-  _bumpMusic(delta) {
-    if (!this.soundManager) return;
-    this.musicVolume = Phaser.Math.Clamp(this.musicVolume + delta, 0, 1);
-    this.soundManager.setBusVolume('music', this.musicVolume);
-    this.soundManager.saveToStorage();
-    this.musicLabel.setText(this._formatMusicLabel());
-    this._layoutVolumeRow(this.musicRowParts);
+  /** Return from the rebinding page with focus back on the row that opened it. */
+  _closeControls() {
+    if (!this.controlsPage) return;
+    this.controlsPage.destroy();
+    this.controlsPage = null;
+    this.mainPage.setVisible(true);
+    this._setFocus(this._controlsReturnFocus ?? 0);
   }
 
-  /** Handle _formatMusicLabel so this system stays coordinated. */
-  _formatMusicLabel() {
-    const pct = Math.round(this.musicVolume * 100);
-    return `Music Volume: ${pct}%`;
+  /**
+   * Highlight the focused item and clear the rest; a focused row outside the
+   * viewport scrolls into view.
+   */
+  _setFocus(index) {
+    this.focusIndex = index;
+    const rowIndex = index - 1;
+    if (rowIndex >= 0 && rowIndex < this.rows.length) {
+      if (rowIndex < this.scrollIndex) {
+        this.scrollIndex = rowIndex;
+        this._layoutRows();
+      } else if (rowIndex >= this.scrollIndex + VISIBLE_ROWS) {
+        this.scrollIndex = rowIndex - VISIBLE_ROWS + 1;
+        this._layoutRows();
+      }
+    }
+    this.focusItems.forEach((item, idx) => item.setFocused?.(idx === index));
   }
 
   /** Handle close so this system stays coordinated. */
@@ -272,13 +480,16 @@ export class SettingsMenu {
     if (this.destroyed) return;
     this.destroyed = true;
 
-    const keyboard = this.scene?.input?.keyboard;
-    if (keyboard) {
-      this.keyListeners.forEach(({ evt, handler }) => {
-        keyboard.off(evt, handler);
-      });
-    }
-    this.keyListeners.length = 0;
+    this._unbindActions?.();
+    this._unbindActions = null;
+    this._unbindGamepad?.();
+    this._unbindGamepad = null;
+    if (this._onWheel) this.scene.input?.off('wheel', this._onWheel);
+    this._onWheel = null;
+    this.controlsPage?.destroy();
+    this.controlsPage = null;
+    this.focusItems = [];
+    this.rows = [];
 
     this.backdrop?.destroy();
     this.panel?.destroy(true);
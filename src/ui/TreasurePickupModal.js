@@ -1,18 +1,29 @@
 import Phaser from 'phaser';
 import { TreasureModalFx } from '../fx/index.js';
+import { bindGamepad } from '../input/GamepadInput.js';
+import { bindInputActions } from '../input/InputBindings.js';
 
 const PANEL_WIDTH = 520;
 const PANEL_HEIGHT = 250;
 const PANEL_DEPTH = 50;
 const BUTTON_WIDTH = 180;
 const BUTTON_HEIGHT = 56;
+const ROW_WIDTH = 400;
+const ROW_HEIGHT = 30;
+const ICON_SIZE = 24;
+
+const RESULT_COLORS = {
+  EVOLVED: '#ffcc4d',
+  NEW: '#8dff6a'
+};
 
 export class TreasurePickupModal {
-  constructor(scene, { onClose, depthBase = 0, treasureType = 'default' } = {}) {
+  constructor(scene, { onClose, depthBase = 0, treasureType = 'default', rewards = [] } = {}) {
     this.scene = scene;
     this.onClose = onClose;
     this._closed = false;
-    this._keyListeners = [];
+    this._unbindActions = null;
+    this._unbindGamepad = null;
     this._pauseSource = 'treasurePickupModal';
 
     // ✅ IMPORTANT: actually pause the simulation (what LevelUpFlow does)
@@ -34,14 +45,20 @@ export class TreasurePickupModal {
       .setDepth(panelDepth + 1)
       .setScrollFactor(0);
 
+    // Panel grows with the reward list (chests hold one to five rewards).
+    const rows = Array.isArray(rewards) ? rewards : [];
+    const listHeight = Math.max(1, rows.length) * ROW_HEIGHT;
+    const panelHeight = Math.max(PANEL_HEIGHT, 190 + listHeight);
+    const top = -panelHeight / 2;
+
     const panel = scene.add
-      .rectangle(0, 0, PANEL_WIDTH, PANEL_HEIGHT, 0x1a0c1f, 0.96)
+      .rectangle(0, 0, PANEL_WIDTH, panelHeight, 0x1a0c1f, 0.96)
       .setOrigin(0.5)
       .setScrollFactor(0)
       .setStrokeStyle(2, 0xffd166, 0.95);
 
     const title = scene.add
-      .text(0, -62, 'TREASURE FOUND', {
+      .text(0, top + 42, 'TREASURE FOUND', {
         font: '28px monospace',
         color: '#ffe599',
         align: 'center'
@@ -49,19 +66,24 @@ export class TreasurePickupModal {
       .setOrigin(0.5)
       .setScrollFactor(0);
 
-    const body = scene.add
-      .text(0, -12, 'A mysterious chest has been opened.', {
-        font: '17px monospace',
-        color: '#f4e8ff',
-        align: 'center'
-      })
-      .setOrigin(0.5)
-      .setScrollFactor(0);
+    const listTop = top + 84;
+    const rewardRows = rows.length
+      ? rows.map((reward, index) => this._createRewardRow(reward, listTop + index * ROW_HEIGHT + ROW_HEIGHT / 2))
+      : [
+          scene.add
+            .text(0, listTop + ROW_HEIGHT / 2, 'The chest was empty.', {
+              font: '17px monospace',
+              color: '#f4e8ff',
+              align: 'center'
+            })
+            .setOrigin(0.5)
+            .setScrollFactor(0)
+        ];
 
     this.okButton = this._createOkButton(panelDepth + 2);
-    this.okButton.setPosition(0, 70);
+    this.okButton.setPosition(0, panelHeight / 2 - BUTTON_HEIGHT / 2 - 20);
 
-    this.container.add([panel, title, body, this.okButton]);
+    this.container.add([panel, title, ...rewardRows, this.okButton]);
 
     this.treasureFx = new TreasureModalFx();
     this.treasureFx.attach({
@@ -82,6 +104,43 @@ export class TreasurePickupModal {
     this._bindKeys();
   }
 
+  /** One reward line: icon, name, and what the chest did (NEW / Lv N / xN / EVOLVED). */
+  _createRewardRow(reward, y) {
+    const row = this.scene.add.container(0, y).setScrollFactor(0);
+    const left = -ROW_WIDTH / 2;
+
+    const iconMeta = reward.ui?.icon ?? {};
+    const textureKey = iconMeta.atlas || iconMeta.key || null;
+    if (textureKey && this.scene.textures.exists(textureKey)) {
+      const icon = this.scene.add
+        .image(left + ICON_SIZE / 2, 0, textureKey, iconMeta.frame ?? undefined)
+        .setOrigin(0.5)
+        .setScrollFactor(0);
+      const largest = Math.max(icon.width, icon.height);
+      if (largest > 0) icon.setScale(ICON_SIZE / largest);
+      row.add(icon);
+    }
+
+    const name = this.scene.add
+      .text(left + ICON_SIZE + 12, 0, reward.name ?? reward.key ?? '', {
+        font: '17px monospace',
+        color: '#f4e8ff'
+      })
+      .setOrigin(0, 0.5)
+      .setScrollFactor(0);
+
+    const result = this.scene.add
+      .text(ROW_WIDTH / 2, 0, reward.result ?? '', {
+        font: '16px monospace',
+        color: RESULT_COLORS[reward.result] ?? '#9fd6ff'
+      })
+      .setOrigin(1, 0.5)
+      .setScrollFactor(0);
+
+    row.add([name, result]);
+    return row;
+  }
+
   _createOkButton(depth) {
     const root = this.scene.add
       .container(0, 0)
@@ -126,18 +185,17 @@ export class TreasurePickupModal {
   }
 
   _bindKeys() {
-    const keyboard = this.scene.input.keyboard;
-    if (!keyboard) return;
-
     const closeHandler = (event) => {
       event?.stopPropagation?.();
       event?.preventDefault?.();
       this.close();
     };
 
-    ['keydown-ENTER', 'keydown-SPACE', 'keydown-ESC'].forEach((evt) => {
-      keyboard.on(evt, closeHandler);
-      this._keyListeners.push({ evt, handler: closeHandler });
+    this._unbindActions = bindInputActions(this.scene, { confirm: closeHandler, back: closeHandler });
+
+    this._unbindGamepad = bindGamepad(this.scene, {
+      confirm: () => this.close(),
+      back: () => this.close()
     });
   }
 
@@ -153,11 +211,10 @@ export class TreasurePickupModal {
   }
 
   destroy() {
-    const keyboard = this.scene?.input?.keyboard;
-    if (keyboard) {
-      this._keyListeners.forEach(({ evt, handler }) => keyboard.off(evt, handler));
-    }
-    this._keyListeners.length = 0;
+    this._unbindActions?.();
+    this._unbindActions = null;
+    this._unbindGamepad?.();
+    this._unbindGamepad = null;
 
     this.scene?.scale?.off?.('resize', this._onResize);
 
@@ -0,0 +1,246 @@
+// src/ui/WeaponBreakdownTable.js
+import { WeaponRegistry } from '../weapons/WeaponRegistry.js';
+
+const FONT = '12px monospace';
+const ROW_HEIGHT = 18;
+const HEADER_HEIGHT = 20;
+const ICON_WIDTH = 20;
+const ICON_SIZE = 14;
+const SPARK_WIDTH = 64;
+const COLUMN_GAP = 6;
+const NAME_CHARS = 12;
+const HEADER_COLOR = '#f7cfe3';
+const HEADER_ACTIVE_COLOR = '#ffdc7a';
+const HEADER_HOVER_COLOR = '#ffe9f2';
+const ROW_COLOR = '#cfd6ff';
+const SPARK_COLOR = 0xff8fb1;
+
+const formatAmount = (value) => (value >= 10000 ? `${(value / 1000).toFixed(1)}k` : String(Math.round(value)));
+const formatDuration = (ms) => {
+  const totalSeconds = Math.floor(Math.max(0, ms) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  return `${minutes}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+// Sortable columns, left to right. Text columns sort ascending by default, numbers descending.
+const COLUMNS = [
+  { key: 'name', label: 'Weapon', width: 92, align: 'left', format: (v) => v },
+  { key: 'damage', label: 'Damage', width: 50, format: formatAmount },
+  { key: 'dps', label: 'DPS', width: 44, format: (v) => (v >= 100 ? formatAmount(v) : v.toFixed(1)) },
+  { key: 'kills', label: 'Kills', width: 40, format: formatAmount },
+  { key: 'hits', label: 'Hits', width: 44, format: formatAmount },
+  { key: 'critRate', label: 'Crit', width: 36, format: (v) => `${Math.round(v * 100)}%` },
+  { key: 'equippedMs', label: 'Time', width: 40, format: formatDuration },
+];
+
+/**
+ * WeaponBreakdownTable
+ * End-of-run per-weapon stats (RunStatsTracker `weapons` snapshot rows):
+ * icon, name, damage, DPS, kills, hits, crit rate, time equipped and a
+ * per-minute DPS sparkline.
+ *
+ * Notes:
+ *  - `container` is positioned by its top-left corner; the owner adds it to
+ *    its own panel and reads `width` / `height` for layout
+ *  - Headers are clickable; clicking the active one flips the direction.
+ *    `cycleSort()` steps through the columns for keyboard / controller
+ *  - Sparklines share one vertical scale so weapons compare at a glance
+ */
+export class WeaponBreakdownTable {
+  /** Initialize WeaponBreakdownTable state so runtime dependencies are ready. */
+  constructor(scene, { rows = [], maxRows = 8 } = {}) {
+    this.scene = scene;
+    this.rows = (Array.isArray(rows) ? rows : []).filter((row) => row?.key).map(normalizeRow);
+    this.maxRows = Math.max(1, maxRows | 0);
+    this.sortKey = 'damage';
+    this.sortDir = -1;
+
+    const columnsWidth = COLUMNS.reduce((sum, column) => sum + column.width + COLUMN_GAP, 0);
+    this.width = ICON_WIDTH + COLUMN_GAP + columnsWidth + SPARK_WIDTH;
+
+    const visibleRows = Math.min(this.rows.length, this.maxRows);
+    const hasOverflow = this.rows.length > this.maxRows;
+    this.height = HEADER_HEIGHT + visibleRows * ROW_HEIGHT + (hasOverflow ? ROW_HEIGHT : 0);
+
+    this.sparkMax = this.rows.reduce(
+      (max, row) => Math.max(max, ...row.dpsByMinute),
+      0
+    );
+
+    this.container = scene.add.container(0, 0);
+    this._rowObjects = [];
+    this._headers = [];
+    this._buildHeaders();
+
+    this.overflowText = hasOverflow
+      ? scene.add.text(0, HEADER_HEIGHT + visibleRows * ROW_HEIGHT + ROW_HEIGHT / 2, `+${this.rows.length - this.maxRows} more`, {
+        font: FONT,
+        color: HEADER_COLOR
+      }).setOrigin(0, 0.5)
+      : null;
+    if (this.overflowText) this.container.add(this.overflowText);
+
+    this._render();
+  }
+
+  get isEmpty() {
+    return this.rows.length === 0;
+  }
+
+  /** Sort by a column key; re-selecting the active column flips the direction. */
+  setSort(key) {
+    const column = COLUMNS.find((col) => col.key === key);
+    if (!column || !this.container) return;
+
+    if (this.sortKey === key) {
+      this.sortDir = -this.sortDir;
+    } else {
+      this.sortKey = key;
+      this.sortDir = column.align === 'left' ? 1 : -1;
+    }
+    this._render();
+  }
+
+  /** Move the sort to the previous / next column, wrapping at either end. */
+  cycleSort(delta) {
+    const count = COLUMNS.length;
+    const index = COLUMNS.findIndex((col) => col.key === this.sortKey);
+    this.setSort(COLUMNS[(index + delta + count) % count].key);
+  }
+
+  _buildHeaders() {
+    let x = ICON_WIDTH + COLUMN_GAP;
+    COLUMNS.forEach((column) => {
+      const left = column.align === 'left';
+      const header = this.scene.add.text(left ? x : x + column.width, HEADER_HEIGHT / 2, column.label, {
+        font: FONT,
+        color: HEADER_COLOR
+      })
+        .setOrigin(left ? 0 : 1, 0.5)
+        .setInteractive({ useHandCursor: true });
+
+      header.on('pointerover', () => header.setColor(HEADER_HOVER_COLOR));
+      header.on('pointerout', () => this._refreshHeaders());
+      header.on('pointerup', () => this.setSort(column.key));
+
+      this._headers.push({ column, text: header });
+      x += column.width + COLUMN_GAP;
+    });
+
+    const trend = this.scene.add.text(x, HEADER_HEIGHT / 2, 'DPS/min', { font: FONT, color: HEADER_COLOR })
+      .setOrigin(0, 0.5);
+    this.container.add([...this._headers.map(({ text }) => text), trend]);
+  }
+
+  _refreshHeaders() {
+    this._headers.forEach(({ column, text }) => {
+      const active = column.key === this.sortKey;
+      const arrow = this.sortDir > 0 ? '▲' : '▼';
+      text
+        .setText(active ? `${column.label}${arrow}` : column.label)
+        .setColor(active ? HEADER_ACTIVE_COLOR : HEADER_COLOR);
+    });
+  }
+
+  _render() {
+    this._refreshHeaders();
+
+    this._rowObjects.forEach((obj) => obj.destroy());
+    this._rowObjects = [];
+
+    const { sortKey, sortDir } = this;
+    const sorted = [...this.rows].sort((a, b) => {
+      const av = a[sortKey];
+      const bv = b[sortKey];
+      const cmp = typeof av === 'string' ? av.localeCompare(bv) : av - bv;
+      return cmp * sortDir || b.damage - a.damage;
+    });
+
+    sorted.slice(0, this.maxRows).forEach((row, index) => {
+      const y = HEADER_HEIGHT + index * ROW_HEIGHT + ROW_HEIGHT / 2;
+      this._rowObjects.push(...this._buildRow(row, y));
+    });
+    this.container.add(this._rowObjects);
+  }
+
+  _buildRow(row, y) {
+    const objects = [];
+
+    if (this.scene.textures.exists(row.iconKey)) {
+      const icon = this.scene.add.image(ICON_WIDTH / 2, y, row.iconKey, row.iconFrame);
+      const size = Math.max(icon.width, icon.height) || ICON_SIZE;
+      icon.setScale(ICON_SIZE / size);
+      objects.push(icon);
+    }
+
+    let x = ICON_WIDTH + COLUMN_GAP;
+    COLUMNS.forEach((column) => {
+      const left = column.align === 'left';
+      const text = this.scene.add.text(left ? x : x + column.width, y, column.format(row[column.key]), {
+        font: FONT,
+        color: ROW_COLOR
+      }).setOrigin(left ? 0 : 1, 0.5);
+      objects.push(text);
+      x += column.width + COLUMN_GAP;
+    });
+
+    objects.push(this._buildSparkline(row.dpsByMinute, x, y));
+    return objects;
+  }
+
+  /** Polyline of per-minute DPS, scaled against the busiest minute of any weapon. */
+  _buildSparkline(values, x, y) {
+    const g = this.scene.add.graphics();
+    const h = ROW_HEIGHT - 6;
+    const bottom = y + h / 2;
+
+    g.lineStyle(1, 0xffffff, 0.15);
+    g.lineBetween(x, bottom, x + SPARK_WIDTH, bottom);
+    if (!values.length || this.sparkMax <= 0) return g;
+
+    const step = values.length > 1 ? SPARK_WIDTH / (values.length - 1) : SPARK_WIDTH;
+    const points = values.map((value, index) => ({
+      x: x + index * step,
+      y: bottom - (value / this.sparkMax) * h,
+    }));
+    // A single minute still gets a visible level line.
+    if (points.length === 1) points.push({ x: x + SPARK_WIDTH, y: points[0].y });
+
+    g.lineStyle(1, SPARK_COLOR, 1);
+    g.strokePoints(points, false, false);
+    return g;
+  }
+
+  /** Handle destroy so this system stays coordinated. */
+  destroy() {
+    this.container?.destroy(true);
+    this.container = null;
+    this._rowObjects = [];
+    this._headers = [];
+    this.overflowText = null;
+    this.rows = [];
+    this.scene = null;
+  }
+}
+
+/** Snapshot row → display row with registry name / icon and derived crit rate. */
+function normalizeRow(row) {
+  const ui = WeaponRegistry[row.key]?.ui ?? {};
+  const name = ui.name ?? row.key;
+  const hits = Math.max(0, Number(row.hits) || 0);
+  const crits = Math.max(0, Number(row.crits) || 0);
+
+  return {
+    key: row.key,
+    name: name.length > NAME_CHARS ? `${name.slice(0, NAME_CHARS - 1)}.` : name,
+    iconKey: ui.icon?.atlas || ui.icon?.key || 'bolt',
+    iconFrame: ui.icon?.frame ?? undefined,
+    damage: Math.max(0, Number(row.damage) || 0),
+    dps: Math.max(0, Number(row.dps) || 0),
+    kills: Math.max(0, Number(row.kills) || 0),
+    hits,
+    critRate: hits > 0 ? crits / hits : 0,
+    equippedMs: Math.max(0, Number(row.equippedMs) || 0),
+    dpsByMinute: (Array.isArray(row.dpsByMinute) ? row.dpsByMinute : []).map((v) => Math.max(0, Number(v) || 0)),
+  };
+}
@@ -1,3 +1,5 @@
+import { TargetingService } from './TargetingService.js';
+
 /** Provide runAoe so callers can reuse shared logic safely. */
 export function runAoe({
   scene,
@@ -58,13 +60,18 @@ export function runAoe({
         sourceKey
       };
 
-  enemyGroup.children?.iterate?.((enemy) => {
-    if (!enemy || !enemy.active || enemy === exclude) return;
+  // Spatial-index radius query; the cone test below keeps its own slack rules.
+  const candidates = TargetingService.enemiesInRadius(enemyGroup, origin, radius, { exclude });
+
+  for (let i = 0; i < candidates.length; i += 1) {
+    const enemy = candidates[i];
+    // An earlier hit in this loop may have killed/released the enemy.
+    if (!enemy.active) continue;
 
     const dx = enemy.x - origin.x;
     const dy = enemy.y - origin.y;
     const distSq = dx * dx + dy * dy;
-    if (distSq > radiusSq) return;
+    if (distSq > radiusSq) continue;
 
     const distance = Math.sqrt(distSq);
 
@@ -74,7 +81,7 @@ export function runAoe({
         const normX = dx / distance;
         const normY = dy / distance;
         const dot = normX * facingVec.x + normY * facingVec.y;
-        if (dot < minDot) return;
+        if (dot < minDot) continue;
       }
     }
 
@@ -94,12 +101,10 @@ export function runAoe({
 
       hitCount += 1;
       if (hitCount >= maxTargets) {
-        return false; // stop iterating further enemies
+        break; // stop iterating further enemies
       }
     }
-
-    return undefined;
-  });
+  }
 
   scene?.events?.emit?.('weapons:aoe', {
     key: sourceKey,
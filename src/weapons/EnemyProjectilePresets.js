@@ -37,3 +37,88 @@ export function getEnemyProjectileConfigFromWeaponKey(key, overrides = null) {
   };
 }
 
+
+/**
+ * Named enemy bullet patterns, run by BulletPatternRunner (combat/BulletPatterns.js)
+ * through `enemyProjectiles.firePattern(key, { source, target })`.
+ *
+ * Each entry picks a pattern `type` (ring, spiral, fan, burst, homing; see
+ * BULLET_PATTERN_TYPES for every field and its default) plus the shot look:
+ * `weaponKey` borrows a WeaponRegistry projectile as above, and `projectile`
+ * overrides its fields (speed, lifetimeMs, damage, ...). Steps are spaced by
+ * `intervalMs` of simulation time, so pauses hold a pattern mid-way.
+ *
+ * Mobs opt in with `aiParams.attackPatterns` (cycled per attack); bosses use
+ * the `pattern` attack type. Keep shots slow and gaps wide enough to dodge.
+ */
+export const EnemyBulletPatterns = {
+  // Evil wizard: fireblast orbs.
+  wizardFan: {
+    type: 'fan',
+    weaponKey: 'fireblast',
+    projectile: { speed: 190, lifetimeMs: 2600 },
+    count: 5,
+    spreadDeg: 60,
+    volleys: 3,
+    intervalMs: 320,
+  },
+  wizardRing: {
+    type: 'ring',
+    weaponKey: 'fireblast',
+    projectile: { speed: 150, lifetimeMs: 3200 },
+    count: 14,
+    waves: 2,
+    intervalMs: 500,
+    // Half a gap per wave so the second ring covers the first one's holes.
+    rotateDeg: 360 / 28,
+  },
+  wizardSpiral: {
+    type: 'spiral',
+    weaponKey: 'fireblast',
+    projectile: { speed: 170, lifetimeMs: 3000 },
+    arms: 3,
+    steps: 18,
+    intervalMs: 90,
+    turnDeg: 13,
+  },
+  wizardHoming: {
+    type: 'homing',
+    weaponKey: 'fireblast',
+    projectile: { speed: 150, lifetimeMs: 3200 },
+    shots: 3,
+    intervalMs: 260,
+    spreadDeg: 50,
+    turnRateDeg: 80,
+    homingMs: 1400,
+  },
+
+  // Dark wizard: purple tornadoes.
+  darkBurst: {
+    type: 'burst',
+    weaponKey: 'purplenado',
+    projectile: { speed: 140, lifetimeMs: 2400, rotateToVelocity: false },
+    seeds: 2,
+    intervalMs: 450,
+    delayMs: 900,
+    count: 10,
+    fragment: { speed: 170, lifetimeMs: 2200 },
+  },
+  darkRing: {
+    type: 'ring',
+    weaponKey: 'purplenado',
+    projectile: { speed: 130, lifetimeMs: 3400, rotateToVelocity: false },
+    count: 12,
+    waves: 3,
+    intervalMs: 600,
+    rotateDeg: 15,
+  },
+  darkSpiral: {
+    type: 'spiral',
+    weaponKey: 'purplenado',
+    projectile: { speed: 150, lifetimeMs: 3000, rotateToVelocity: false },
+    arms: 2,
+    steps: 24,
+    intervalMs: 80,
+    turnDeg: -15,
+  },
+};
@@ -1,3 +1,41 @@
+import { TargetingService } from './TargetingService.js';
+
+/**
+ * Declarative `targeting.mode` values understood by rankTargets(). Weapons set
+ * the mode on their registry entry and may switch it per level through
+ * `progression[level].targeting.mode`.
+ *  • nearest   – closest enemy (default; also used for 'self' and unknown modes)
+ *  • strongest – highest max HP, so elites and bosses get focused
+ *  • lowestHp  – lowest current HP, to finish off wounded enemies
+ *  • farthest  – farthest enemy still in range
+ *  • random    – seeded pick from everything in range (replay-safe)
+ *  • cluster   – enemy with the most neighbours within `targeting.clusterRadius`
+ */
+export const TARGETING_MODES = Object.freeze({
+  NEAREST: 'nearest',
+  STRONGEST: 'strongest',
+  LOWEST_HP: 'lowestHp',
+  FARTHEST: 'farthest',
+  RANDOM: 'random',
+  CLUSTER: 'cluster'
+});
+
+const KNOWN_MODES = new Set(Object.values(TARGETING_MODES));
+
+// Cluster scoring runs one radius query per candidate; larger candidate sets
+// are sampled at an even stride so busy screens stay cheap.
+const DEFAULT_CLUSTER_RADIUS = 64;
+const MAX_CLUSTER_SAMPLES = 24;
+
+/** Current / max HP with the same fallbacks the overkill scoring uses. */
+function currentHp(enemy) {
+  return Number.isFinite(enemy?.hp) ? enemy.hp : enemy?.maxHp ?? 0;
+}
+
+function maxHp(enemy) {
+  return Number.isFinite(enemy?.maxHp) ? enemy.maxHp : currentHp(enemy);
+}
+
 const FALLBACK_NOW = () => {
   if (typeof performance !== 'undefined' && typeof performance.now === 'function') {
     return performance.now();
@@ -174,6 +212,78 @@ export class TargetingCoordinator {
     return true;
   }
 
+  /**
+   * Rank enemies in range by a weapon's `targeting` block (see TARGETING_MODES).
+   * Ties fall back to distance so results stay deterministic.
+   *
+   * @param {Phaser.Physics.Arcade.Group} enemyGroup
+   * @param {{x:number,y:number}} origin
+   * @param {Object} targeting - `{ mode, range, clusterRadius }`
+   * @param {Object} [options]
+   * @param {number} [options.count=1] - Maximum number of results.
+   * @param {Object} [options.rng] - Seeded RngStream used by 'random'.
+   * @param {Object} [options.exclude] - Enemy to skip.
+   * @param {Function} [options.filter] - Extra candidate predicate.
+   * @returns {Array} Enemies in preference order.
+   */
+  rankTargets(enemyGroup, origin, targeting = {}, { count = 1, rng = null, exclude = null, filter = null } = {}) {
+    if (!enemyGroup || !origin || count <= 0) return [];
+
+    const mode = KNOWN_MODES.has(targeting?.mode) ? targeting.mode : TARGETING_MODES.NEAREST;
+    const range = targeting?.range;
+    const queryOptions = { exclude, filter };
+
+    if (mode === TARGETING_MODES.NEAREST) {
+      return TargetingService.kNearestEnemies(enemyGroup, origin, count, range, queryOptions)
+        .map((entry) => entry.enemy);
+    }
+
+    const inRange = TargetingService.enemiesInRadius(
+      enemyGroup,
+      origin,
+      Number.isFinite(range) ? range : Infinity,
+      queryOptions
+    );
+    if (!inRange.length) return [];
+
+    if (mode === TARGETING_MODES.RANDOM) {
+      if (!rng) return inRange.slice(0, count);
+      return count === 1 ? [rng.pick(inRange)] : rng.shuffle(inRange).slice(0, count);
+    }
+
+    let entries = inRange.map((enemy) => {
+      const dx = enemy.x - origin.x;
+      const dy = enemy.y - origin.y;
+      return { enemy, distSq: dx * dx + dy * dy, score: 0 };
+    });
+
+    if (mode === TARGETING_MODES.CLUSTER) {
+      if (entries.length > MAX_CLUSTER_SAMPLES) {
+        const stride = entries.length / MAX_CLUSTER_SAMPLES;
+        entries = Array.from({ length: MAX_CLUSTER_SAMPLES }, (_, i) => entries[Math.floor(i * stride)]);
+      }
+      const clusterRadius = Number.isFinite(targeting?.clusterRadius) ? targeting.clusterRadius : DEFAULT_CLUSTER_RADIUS;
+      entries.forEach((entry) => {
+        entry.score = TargetingService.enemiesInRadius(enemyGroup, entry.enemy, clusterRadius).length;
+      });
+    } else if (mode === TARGETING_MODES.STRONGEST) {
+      entries.forEach((entry) => { entry.score = maxHp(entry.enemy); });
+    } else if (mode === TARGETING_MODES.LOWEST_HP) {
+      entries.forEach((entry) => { entry.score = -currentHp(entry.enemy); });
+    } else if (mode === TARGETING_MODES.FARTHEST) {
+      entries.forEach((entry) => { entry.score = entry.distSq; });
+    }
+
+    // Highest score first; nearer enemies win ties.
+    entries.sort((a, b) => (b.score - a.score) || (a.distSq - b.distSq));
+    return entries.slice(0, count).map((entry) => entry.enemy);
+  }
+
+  /** Best single target for a weapon's `targeting` block, or null. */
+  selectTarget(enemyGroup, origin, targeting = {}, options = {}) {
+    return this.rankTargets(enemyGroup, origin, targeting, { ...options, count: 1 })[0] ?? null;
+  }
+
   /**
    * Helper to expose the heuristic tuning knobs to consumers without allowing mutation.
    * External callers (like the weapon controller) can inspect current values without risking
@@ -1,20 +1,12 @@
-import Phaser from 'phaser';
-
-/**
- * Iterates over all active enemies in a group and executes a callback for each.
- * Safely guards against missing groups or inactive children.
- */
-function forEachEnemy(enemyGroup, cb) {
-  if (!enemyGroup) return;
-  enemyGroup.children?.iterate?.((child) => {
-    if (!child || !child.active) return;
-    cb(child);
-  });
-}
+import { EnemySpatialIndex } from '../combat/EnemySpatialIndex.js';
 
 /**
  * TargetingService provides common enemy-selection utilities.
  * Useful for weapons, skills, homing projectiles, etc.
+ *
+ * Queries go through the scene's EnemySpatialIndex (rebuilt once per
+ * simulation tick); groups without one are indexed on the fly. Every query
+ * accepts optional `{ exclude, filter }` options.
  */
 export const TargetingService = {
   /**
@@ -22,30 +14,39 @@ export const TargetingService = {
    * @param {Phaser.Physics.Arcade.Group} enemyGroup - Group of enemies to search.
    * @param {Phaser.Math.Vector2|{x:number,y:number}} origin - Position to test from.
    * @param {number} range - Maximum allowed distance (optional).
+   * @param {Object} [options] - `{ exclude, filter }` candidate restrictions.
    * @returns {Phaser.GameObjects.Sprite|null} The closest enemy or null if none found.
    */
-  nearestEnemy(enemyGroup, origin, range) {
+  nearestEnemy(enemyGroup, origin, range, options) {
     if (!enemyGroup || !origin) return null;
+    return EnemySpatialIndex.resolve(enemyGroup)?.nearest(origin, range, options) ?? null;
+  },
 
-    // Convert to squared range for faster comparison
-    const maxRange = Number.isFinite(range) ? range : Infinity;
-    const maxRangeSq = maxRange * maxRange;
-
-    let best = Infinity; // best (smallest) squared distance found
-    let target = null;
-
-    forEachEnemy(enemyGroup, (enemy) => {
-      const dx = enemy.x - origin.x;
-      const dy = enemy.y - origin.y;
-      const d2 = dx * dx + dy * dy;
-      // Check if within range and closer than previous best
-      if (d2 < best && d2 <= maxRangeSq) {
-        best = d2;
-        target = enemy;
-      }
-    });
+  /**
+   * The `count` closest enemies within range, nearest first.
+   * @param {Phaser.Physics.Arcade.Group} enemyGroup
+   * @param {Phaser.Math.Vector2|{x:number,y:number}} origin
+   * @param {number} count - Maximum number of results.
+   * @param {number} range - Maximum allowed distance (optional).
+   * @param {Object} [options] - `{ exclude, filter }` candidate restrictions.
+   * @returns {Array<{enemy:Object, distSq:number}>}
+   */
+  kNearestEnemies(enemyGroup, origin, count, range, options) {
+    if (!enemyGroup || !origin) return [];
+    return EnemySpatialIndex.resolve(enemyGroup)?.kNearest(origin, count, range, options) ?? [];
+  },
 
-    return target;
+  /**
+   * Every enemy within `radius` of an origin.
+   * @param {Phaser.Physics.Arcade.Group} enemyGroup
+   * @param {Phaser.Math.Vector2|{x:number,y:number}} origin
+   * @param {number} radius
+   * @param {Object} [options] - `{ exclude, filter }` candidate restrictions.
+   * @returns {Array} Enemies inside the circle.
+   */
+  enemiesInRadius(enemyGroup, origin, radius, options) {
+    if (!enemyGroup || !origin) return [];
+    return EnemySpatialIndex.resolve(enemyGroup)?.withinRadius(origin, radius, options) ?? [];
   },
 
   /**
@@ -55,46 +56,27 @@ export const TargetingService = {
    * @param {number} facing - Facing angle in radians (direction of the cone).
    * @param {number} angleDeg - Total cone angle in degrees.
    * @param {number} range - Maximum cone distance.
+   * @param {Object} [options] - `{ exclude, filter }` candidate restrictions.
    * @returns {Array} List of enemies inside the cone.
    */
-  coneEnemies(enemyGroup, origin, facing, angleDeg, range) {
+  coneEnemies(enemyGroup, origin, facing, angleDeg, range, options) {
     if (!enemyGroup || !origin) return [];
+    return EnemySpatialIndex.resolve(enemyGroup)?.cone(origin, facing, angleDeg, range, options) ?? [];
+  },
 
-    // Convert half-angle to radians for comparison
-    const half = Phaser.Math.DegToRad(Math.max(0, angleDeg ?? 0) / 2);
-
-    // Direction vector based on facing angle
-    const dir = facing
-      ? new Phaser.Math.Vector2(Math.cos(facing), Math.sin(facing)).normalize()
-      : null;
-
-    const results = [];
-
-    forEachEnemy(enemyGroup, (enemy) => {
-      const dx = enemy.x - origin.x;
-      const dy = enemy.y - origin.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-
-      // Skip enemies outside max distance
-      if (dist > range) return;
-
-      // If no direction specified, just include any enemy in range
-      if (!dir) {
-        results.push(enemy);
-        return;
-      }
-
-      // Determine angle between facing direction and vector to enemy
-      const dot = dir.dot(new Phaser.Math.Vector2(dx, dy).normalize());
-      const angle = Math.acos(Phaser.Math.Clamp(dot, -1, 1));
-
-      // Enemy is inside the cone if its angle difference is small enough
-      if (angle <= half) {
-        results.push(enemy);
-      }
-    });
-
-    return results;
+  /**
+   * Enemies touching a thick line segment, ordered from `from` to `to`
+   * (beams, piercing shots).
+   * @param {Phaser.Physics.Arcade.Group} enemyGroup
+   * @param {{x:number,y:number}} from - Segment start.
+   * @param {{x:number,y:number}} to - Segment end.
+   * @param {number} width - Full beam width in px.
+   * @param {Object} [options] - `{ exclude, filter }` candidate restrictions.
+   * @returns {Array} Enemies along the segment, first hit first.
+   */
+  enemiesAlongLine(enemyGroup, from, to, width, options) {
+    if (!enemyGroup || !from || !to) return [];
+    return EnemySpatialIndex.resolve(enemyGroup)?.line(from, to, width, options) ?? [];
   },
 
   /**
@@ -119,15 +101,13 @@ export const TargetingService = {
       results.push(current);
       visited.add(current);
 
-      // Find next nearest enemy from current
+      // Find next nearest enemy from current that is not already linked
       current = TargetingService.nearestEnemy(
         enemyGroup,
         { x: current.x, y: current.y },
-        radius
+        radius,
+        { filter: (enemy) => !visited.has(enemy) }
       );
-
-      // Stop chain if next target was already included (prevents loops)
-      if (visited.has(current)) break;
     }
 
     return results;
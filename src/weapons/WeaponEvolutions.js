@@ -0,0 +1,111 @@
+import { CONFIG } from '../config/gameConfig.js';
+import { WeaponRegistry } from './WeaponRegistry.js';
+import { PassiveRegistry } from '../passives/PassiveRegistry.js';
+
+/**
+ * Declarative evolution table. A weapon that reaches `level` (defaults to
+ * CONFIG.WEAPONS.MAX_LEVEL) while the hero holds `passive` can evolve into the
+ * `into` registry entry. LevelUpRewards offers ready evolutions as level-up
+ * choices; entries flagged `autoGrant` evolve as soon as they become ready.
+ *
+ * Each entry defines:
+ *  • from       – base weapon key
+ *  • passive    – PassiveRegistry key the hero must own
+ *  • into       – evolved WeaponRegistry key (granted at max level)
+ *  • level      – optional minimum weapon level (defaults to max level)
+ *  • autoGrant  – evolve without taking a level-up slot
+ */
+export const WeaponEvolutions = [
+  { from: 'bolt', passive: 'multiShot', into: 'stormbolt' },
+  { from: 'bow', passive: 'multiShot', into: 'moonvolley' },
+  { from: 'cleaver', passive: 'might', into: 'wrathcleaver' },
+  { from: 'fireblast', passive: 'bloodrush', into: 'infernoblast', autoGrant: true },
+];
+
+const EVOLVED_KEYS = new Set(WeaponEvolutions.map((evolution) => evolution.into));
+
+/** Weapon level an evolution requires before its passive counts. */
+export function getEvolutionLevel(evolution) {
+  return evolution?.level ?? CONFIG.WEAPONS.MAX_LEVEL ?? 5;
+}
+
+/** Evolution that starts from `weaponKey`, or null. */
+export function getEvolutionFor(weaponKey) {
+  return WeaponEvolutions.find((evolution) => evolution.from === weaponKey) ?? null;
+}
+
+/** True for registry entries that only exist as evolution results. */
+export function isEvolvedWeapon(weaponKey) {
+  return EVOLVED_KEYS.has(weaponKey);
+}
+
+/**
+ * Extend a weapon allowlist with the evolutions of its members, so a hero can
+ * equip an evolved weapon only if they could equip its base weapon.
+ */
+export function withEvolutions(allowedKeys = []) {
+  const keys = Array.isArray(allowedKeys) ? allowedKeys.slice() : [];
+  WeaponEvolutions.forEach((evolution) => {
+    if (!keys.includes(evolution.from) || keys.includes(evolution.into)) return;
+    if (WeaponRegistry[evolution.into]) keys.push(evolution.into);
+  });
+  return keys;
+}
+
+/**
+ * Where a weapon stands on its evolution path:
+ *  - null when the weapon has no evolution
+ *  - { evolution, levelMet, passiveMet, ready }
+ */
+export function getEvolutionStatus(scene, weaponKey) {
+  const evolution = getEvolutionFor(weaponKey);
+  if (!evolution || !WeaponRegistry[evolution.into]) return null;
+
+  const weaponManager = scene?.weaponManager ?? null;
+  const owned = weaponManager?.hasWeapon?.(weaponKey) ?? false;
+  const level = weaponManager?.getWeaponLevel?.(weaponKey) ?? 0;
+  const levelMet = owned && level >= getEvolutionLevel(evolution);
+  const passiveMet = (scene?.passiveManager?.getStackCount?.(evolution.passive) ?? 0) > 0;
+  const blocked = weaponManager?.hasWeapon?.(evolution.into) || !weaponManager?.canEquip?.(evolution.into);
+
+  return { evolution, levelMet, passiveMet, ready: levelMet && passiveMet && !blocked };
+}
+
+/** Every evolution the current loadout can perform right now. */
+export function getReadyEvolutions(scene) {
+  const loadout = scene?.weaponManager?.getLoadout?.() ?? [];
+  return loadout
+    .map((key) => getEvolutionStatus(scene, key))
+    .filter((status) => status?.ready)
+    .map((status) => status.evolution);
+}
+
+/** Short requirement line shown on level-up cards and the loadout bar. */
+export function describeEvolutionHint(weaponKey) {
+  const evolution = getEvolutionFor(weaponKey);
+  const into = WeaponRegistry[evolution?.into];
+  if (!into) return null;
+
+  const passiveName = PassiveRegistry[evolution.passive]?.ui?.name ?? evolution.passive;
+  return `Lv ${getEvolutionLevel(evolution)} + ${passiveName} → ${into.ui?.name ?? evolution.into}`;
+}
+
+/**
+ * Swap the base weapon for its evolution in the same loadout slot. Evolved
+ * weapons start at max level so they never compete for upgrade picks.
+ */
+export function applyEvolution(scene, evolution) {
+  const weaponManager = scene?.weaponManager;
+  if (!weaponManager || !evolution) return false;
+
+  const evolved = weaponManager.replaceWeapon(evolution.from, evolution.into, {
+    level: CONFIG.WEAPONS.MAX_LEVEL ?? 5
+  });
+  if (!evolved) {
+    console.warn(`[WeaponEvolutions] Could not evolve ${evolution.from} into ${evolution.into}`);
+    return false;
+  }
+
+  scene.events?.emit?.('weapon:evolved', { from: evolution.from, into: evolution.into });
+  return true;
+}
@@ -59,6 +59,10 @@ export class WeaponManager {
     // Modifiers applied to *all* weapons (e.g., global buffs)
     this.globalModifiers = [];
 
+    // Level new weapons start at and the upgrade cap (run modifiers may change both).
+    this.startLevel = CONFIG.WEAPONS.DEFAULT_LEVEL;
+    this.maxLevel = CONFIG.WEAPONS.MAX_LEVEL ?? 5;
+
     // Optional allowlist for which weapons can be equipped.
     this._whitelist = null;
 
@@ -150,7 +154,7 @@ export class WeaponManager {
       return false;
     }
 
-    const level = opts.level ?? CONFIG.WEAPONS.DEFAULT_LEVEL;
+    const level = opts.level ?? this.startLevel;
     const entry = WeaponRegistry[key];
 
     const baseModifiers = [...(entry?.modifiers ?? [])];
@@ -257,12 +261,27 @@ export class WeaponManager {
     return inst?.level ?? 0;
   }
 
+  /**
+   * Change the starting level and upgrade cap for weapons added from now on.
+   * Call before setLoadout so the starter loadout picks it up.
+   */
+  setLevelRange({ startLevel, maxLevel } = {}) {
+    if (Number.isFinite(maxLevel)) this.maxLevel = Math.max(1, Math.floor(maxLevel));
+    if (Number.isFinite(startLevel)) this.startLevel = Math.max(1, Math.floor(startLevel));
+    this.startLevel = Math.min(this.startLevel, this.maxLevel);
+  }
+
+  /** Highest level upgradeWeapon will reach. */
+  getMaxLevel() {
+    return this.maxLevel;
+  }
+
   /** Handle upgradeWeapon so this system stays coordinated. */
   upgradeWeapon(key) {
     const inst = this.weapons.get(key);
     if (!inst) return false;
 
-    const maxLevel = CONFIG.WEAPONS.MAX_LEVEL ?? 5;
+    const maxLevel = this.maxLevel;
     const current = inst.level ?? CONFIG.WEAPONS.DEFAULT_LEVEL;
     if (current >= maxLevel) return false;
 
@@ -354,9 +373,19 @@ export class WeaponManager {
       return false;
     }
 
+    const slotIndex = this.getLoadout().indexOf(oldKey);
     this.removeWeapon(oldKey);
     const added = this.addWeapon(newKey, opts);
     if (!added) return false;
+
+    // addWeapon appends; move the new weapon back into the old weapon's slot.
+    if (slotIndex >= 0 && slotIndex < this.weapons.size - 1) {
+      const entries = Array.from(this.weapons.entries());
+      entries.splice(slotIndex, 0, entries.pop());
+      this.weapons = new Map(entries);
+      this.events?.emit('weapons:changed', this.getLoadout());
+    }
+
     this.events?.emit('weapons:loadout:set', this.getLoadout());
     return true;
   }
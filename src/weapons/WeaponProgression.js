@@ -102,6 +102,16 @@ export function getLevelModifiers(entry, level) {
     pushModifier(mods, 'add', 'burst.spreadDeg', spec.burst.spreadDegAdd);
   }
 
+  if (spec.targeting?.mode !== undefined) {
+    pushModifier(mods, 'set', 'targeting.mode', spec.targeting.mode);
+  }
+  if (spec.targeting?.clusterRadius !== undefined) {
+    pushModifier(mods, 'set', 'targeting.clusterRadius', spec.targeting.clusterRadius);
+  }
+  if (spec.targeting?.rangeAdd !== undefined) {
+    pushModifier(mods, 'add', 'targeting.range', spec.targeting.rangeAdd);
+  }
+
   if (spec.cross?.stepPxPerFrameAdd !== undefined) {
     pushModifier(mods, 'add', 'archetype.cross.stepPxPerFrame', spec.cross.stepPxPerFrameAdd);
   }
@@ -143,6 +153,16 @@ function describeDelta(changes, label, prevVal, nextVal, { type = 'add', unit =
   if (text) changes.push(text.trim());
 }
 
+// Level-up card wording for progression steps that switch targeting.mode.
+const TARGETING_MODE_LABELS = {
+  nearest: 'nearest enemy',
+  strongest: 'strongest enemy',
+  lowestHp: 'weakest enemy',
+  farthest: 'farthest enemy',
+  random: 'random enemy',
+  cluster: 'densest pack'
+};
+
 /** Provide describeLevelUpgrade so callers can reuse shared logic safely. */
 export function describeLevelUpgrade(entry, currentLevel, nextLevel) {
   const specCurrent = accumulateLevelSpec(entry, currentLevel);
@@ -175,6 +195,12 @@ export function describeLevelUpgrade(entry, currentLevel, nextLevel) {
   describeDelta(changes, 'burst count', getPath(specCurrent, 'burst.countAdd', 0), getPath(specNext, 'burst.countAdd', 0));
   describeDelta(changes, 'burst spread', getPath(specCurrent, 'burst.spreadDegAdd', 0), getPath(specNext, 'burst.spreadDegAdd', 0), { unit: 'deg' });
 
+  describeDelta(changes, 'targeting range', getPath(specCurrent, 'targeting.rangeAdd', 0), getPath(specNext, 'targeting.rangeAdd', 0), { unit: 'px' });
+  const nextMode = getPath(specNext, 'targeting.mode', null);
+  if (nextMode && nextMode !== getPath(specCurrent, 'targeting.mode', null)) {
+    changes.push(`Targets ${TARGETING_MODE_LABELS[nextMode] ?? nextMode}`);
+  }
+
   describeDelta(changes, 'cross stride', getPath(specCurrent, 'cross.stepPxPerFrameAdd', 0), getPath(specNext, 'cross.stepPxPerFrameAdd', 0), { unit: 'px/frame' });
 
   if (!changes.length) return 'No additional bonuses';
@@ -1,3 +1,5 @@
+import { deepClone } from '../core/clone.js';
+
 /**
  * WeaponRegistry holds the base configuration for each weapon type.
  * Entries here define the *default* stats and visuals for a weapon
@@ -20,7 +22,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -37,7 +38,7 @@ export const WeaponRegistry = {
 
     // Target acquisition behavior
     targeting: {
-      mode: 'nearest', // Chooses nearest enemy in range
+      mode: 'nearest', // Chooses nearest enemy in range (see TARGETING_MODES)
       range: 420       // Max distance to acquire a target
     },
 
@@ -145,7 +146,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.common.daggerthrow.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -153,7 +153,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -268,7 +267,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.common.daggerthrow.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -276,7 +274,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -391,7 +388,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.ak47.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -399,7 +395,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -511,7 +506,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.holyhammer.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05,
@@ -520,7 +514,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -623,7 +616,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.common.daggerthrow.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -631,7 +623,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -753,7 +744,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.common.daggerthrow.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -761,7 +751,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -883,7 +872,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.sword.slash',
         volume: 0.5,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -891,7 +879,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -1024,7 +1011,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.sword.slash',
         volume: 0.5,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -1032,7 +1018,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -1156,7 +1141,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.sword.slash',
         volume: 0.5,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -1164,7 +1148,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -1288,7 +1271,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.sword.slash',
         volume: 0.5,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -1296,7 +1278,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -1420,7 +1401,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.sword.slash',
         volume: 0.5,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -1428,7 +1408,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -1552,7 +1531,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.sword.slash',
         volume: 0.5,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -1560,7 +1538,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -1594,7 +1571,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.sword.slash',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -1602,7 +1578,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -1706,7 +1681,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.bow.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -1714,7 +1688,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -1834,7 +1807,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.bow.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -1842,7 +1814,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -1958,7 +1929,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.deathray.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -1966,7 +1936,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -2082,7 +2051,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.ragnarok.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -2090,7 +2058,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -2206,7 +2173,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.common.cluster',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -2214,7 +2180,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -2228,13 +2193,15 @@ export const WeaponRegistry = {
       warmupMs: 0
     },
 
+    // Balance change: used to fire along the hero's facing. It now aims at the
+    // densest pack in range and only falls back to facing when nothing is near.
     targeting: {
-      mode: 'nearest',
+      mode: 'cluster',
       range: 420
     },
 
     archetype: {
-      aim: 'facing',
+      aim: 'auto',
       trajectory: 'straight',
       bazooka: {
         detonateSeconds: 1.5,
@@ -2284,7 +2251,7 @@ export const WeaponRegistry = {
         frame: 'bazookaicon.png'
       },
       name: 'Bazooka',
-      description: 'Fires directional rocket. Triggers clustered explosions.',
+      description: 'Fires a rocket at the densest enemy pack. Triggers clustered explosions.',
       rarity: 'rare'
     },
 
@@ -2340,7 +2307,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.icebow.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -2348,7 +2314,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -2404,7 +2369,10 @@ export const WeaponRegistry = {
     damage: {
       base: 12,
       crit: { chance: 0.08, mult: 1.6 },
-      status: []
+      status: [
+        { type: 'slow', chance: 1 },            // every explosion pulse chills
+        { type: 'freeze', chance: 0.1 }         // occasional hard freeze (bosses immune)
+      ]
     },
 
     aoe: {
@@ -2422,7 +2390,7 @@ export const WeaponRegistry = {
         frame: 'icebowicon.png'
       },
       name: 'Ice Bow',
-      description: 'Fires directional rocket. Triggers clustered explosions.',
+      description: 'Fires a frost rocket. Explosions chill and can freeze enemies.',
       rarity: 'rare'
     },
 
@@ -2478,7 +2446,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.icebow.explode',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -2486,7 +2453,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -2616,7 +2582,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.fireblast.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -2624,7 +2589,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -2680,7 +2644,9 @@ export const WeaponRegistry = {
     damage: {
       base: 15,
       crit: { chance: 0.08, mult: 1.6 },
-      status: []
+      status: [
+        { type: 'burn', chance: 1 }             // refreshes while enemies stand in the blast
+      ]
     },
 
     aoe: {
@@ -2754,7 +2720,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.firebomb.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -2762,7 +2727,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -2875,7 +2839,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -3006,7 +2969,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -3118,7 +3080,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.common.cluster',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -3126,7 +3087,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -3253,7 +3213,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -3392,7 +3351,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.common.magicclusterexplosion',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -3400,7 +3358,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -3514,7 +3471,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -3633,7 +3589,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.vikinghammer.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -3641,7 +3596,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -3763,7 +3717,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -3878,7 +3831,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.common.wind',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -3886,7 +3838,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -4007,7 +3958,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.common.wind',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -4015,7 +3965,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -4136,7 +4085,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.common.wind',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -4144,7 +4092,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -4263,7 +4210,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -4376,7 +4322,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.lightning.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -4384,7 +4329,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -4495,7 +4439,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.lightning.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -4503,7 +4446,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -4617,7 +4559,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.common.magicclusterexplosion',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -4625,7 +4566,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -4739,7 +4679,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.common.explosion',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -4747,7 +4686,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -4861,7 +4799,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.common.magicclusterexplosion',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -4869,7 +4806,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -4983,7 +4919,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.chainlightning.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -4991,7 +4926,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -5111,7 +5045,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -5124,8 +5057,10 @@ export const WeaponRegistry = {
       warmupMs: 0
     },
 
+    // Balance change: the patch used to land on the nearest enemy. It now
+    // drops on the densest pack in range.
     targeting: {
-      mode: 'self',
+      mode: 'cluster',
       range: 120
     },
 
@@ -5223,7 +5158,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.common.magicclusterexplosion',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -5231,7 +5165,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -5273,7 +5206,9 @@ export const WeaponRegistry = {
     damage: {
       base: 20,
       crit: { chance: 0, mult: 1.5 },
-      status: []
+      status: [
+        { type: 'poison', chance: 0.6 }         // stacks up to 5 across overlapping clusters
+      ]
     },
 
     aoe: {
@@ -5346,7 +5281,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.sparkcross.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -5354,7 +5288,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -5487,7 +5420,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.sparkcross.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -5495,7 +5427,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -5611,7 +5542,6 @@ export const WeaponRegistry = {
       fire: {
         key: 'sfx.weapon.lifeeraser.fire',
         volume: 0.9,
-        maxSimultaneous: 4,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.05
@@ -5619,7 +5549,6 @@ export const WeaponRegistry = {
       hit: {
         key: 'sfx.weapon.common.hit',
         volume: 0.3,
-        maxSimultaneous: 3,
         minIntervalMs: 0,
         bus: 'sfx',
         pitchJitter: 0.03
@@ -5727,3 +5656,91 @@ export const WeaponRegistry = {
     }
   },
 };
+
+/**
+ * Build a registry entry on top of an existing one. Plain objects merge
+ * recursively; arrays and scalars in `overrides` replace the base value.
+ */
+function deriveWeapon(baseKey, overrides) {
+  const merge = (target, source) => {
+    Object.entries(source).forEach(([key, value]) => {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        target[key] = merge(target[key] && typeof target[key] === 'object' ? target[key] : {}, value);
+      } else {
+        target[key] = value;
+      }
+    });
+    return target;
+  };
+  return merge(deepClone(WeaponRegistry[baseKey]), overrides);
+}
+
+/**
+ * Evolved weapons (see WeaponEvolutions). They reuse their base weapon's
+ * assets and progression table; WeaponEvolutions grants them at max level, so
+ * the inherited max-level scaling applies on top of the stronger base stats.
+ */
+Object.assign(WeaponRegistry, {
+  stormbolt: deriveWeapon('bolt', {
+    key: 'stormbolt',
+    cadence: { delayMs: 480, salvo: 3, spreadDeg: 18 },
+    projectile: { pierce: 8, lifetimeMs: 1200 },
+    damage: {
+      base: 16,
+      crit: { chance: 0.1, mult: 1.75 },
+      status: [{ type: 'stun', chance: 0.15 }]
+    },
+    ui: {
+      name: 'Storm Bolt',
+      description: 'Triple bolts that can stun on hit.',
+      rarity: 'legendary'
+    }
+  }),
+
+  moonvolley: deriveWeapon('bow', {
+    key: 'moonvolley',
+    cadence: { delayMs: 420, salvo: 5, spreadDeg: 30 },
+    projectile: { pierce: 8, speed: 600 },
+    damage: {
+      base: 16,
+      crit: { chance: 0.12, mult: 1.75 },
+      status: [{ type: 'bleed', chance: 0.35 }]
+    },
+    ui: {
+      name: 'Moon Volley',
+      description: 'Fans of arrows that open bleeding wounds.',
+      rarity: 'legendary'
+    }
+  }),
+
+  wrathcleaver: deriveWeapon('cleaver', {
+    key: 'wrathcleaver',
+    cadence: { delayMs: 700 },
+    damage: {
+      base: 18,
+      crit: { chance: 0.15, mult: 2.0 },
+      status: [{ type: 'bleed', chance: 0.5 }]
+    },
+    aoe: { radius: 120 },
+    ui: {
+      name: 'Wrath Cleaver',
+      description: 'Wide cleaves that leave enemies bleeding.',
+      rarity: 'legendary'
+    }
+  }),
+
+  infernoblast: deriveWeapon('fireblast', {
+    key: 'infernoblast',
+    cadence: { delayMs: 1500 },
+    damage: {
+      base: 22,
+      status: [{ type: 'burn', chance: 1, damageMult: 0.3 }]
+    },
+    aoe: { radius: 132 },
+    ui: {
+      name: 'Inferno Blast',
+      description: 'Colossal blast that leaves enemies ablaze.',
+      rarity: 'legendary'
+    }
+  }),
+});
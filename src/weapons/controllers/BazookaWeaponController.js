@@ -8,6 +8,8 @@ import { spawnExplosionFxAndAoe } from '../ExplosionFx.js';
  * BazookaWeaponController
  * ----------------------
  * Fires a projectile that detonates either on impact or when its lifetime expires.
+ * `archetype.aim` picks the direction: 'facing' (default) or 'auto' (toward the
+ * enemy chosen by `targeting.mode`, falling back to the facing when none is in range).
  * Detonation can optionally "pulse" (spawn repeated explosion sprites) for a duration,
  * applying AoE damage via runAoe() on a timing strategy (AoeTiming).
  *
@@ -70,8 +72,15 @@ export class BazookaWeaponController extends WeaponControllerBase {
     // Let the targeting system clean up stale reservations/entries.
     this.targetingCoordinator?.prune?.(now);
 
-    // Resolve the owner’s facing angle (usually based on movement/aim).
-    const angle = Facing.resolve(this.owner);
+    // 'facing' fires along the owner's facing angle (usually based on movement);
+    // 'auto' aims at the target picked by targeting.mode, or along the facing without one.
+    let angle = null;
+    if (this.effectiveConfig?.archetype?.aim === 'auto') {
+      const range = Math.max(0, this.effectiveConfig?.targeting?.range ?? 420);
+      const target = this._acquireTarget(origin, range);
+      if (target) angle = Math.atan2(target.y - origin.y, target.x - origin.x);
+    }
+    angle ??= Facing.resolve(this.owner);
 
     // Spawn and launch the projectile.
     this._fireProjectile(origin, angle);
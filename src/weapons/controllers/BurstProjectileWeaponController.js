@@ -91,7 +91,7 @@ export class BurstProjectileWeaponController extends WeaponControllerBase {
   /**
    * Determine the aiming base angle:
    * - 'facing' → use owner's facing direction
-   * - 'auto' → target nearest enemy in range
+   * - 'auto' → target an enemy in range (targeting.mode, nearest by default)
    * - 'self' (default) → forward/right (0 rad)
    */
   _resolveAimAngle(origin) {
@@ -103,10 +103,10 @@ export class BurstProjectileWeaponController extends WeaponControllerBase {
       return Facing.resolve(this.owner) ?? 0;
     }
 
-    // Auto-target nearest enemy
+    // Auto-target per targeting.mode
     if (aimMode === 'auto') {
       const range = this.effectiveConfig?.targeting?.range ?? 420;
-      const target = TargetSelect.nearest(this.enemyGroup, origin, range);
+      const target = this._acquireTarget(origin, range);
       if (target) {
         return Phaser.Math.Angle.Between(origin.x, origin.y, target.x, target.y);
       }
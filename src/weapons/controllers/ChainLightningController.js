@@ -3,6 +3,7 @@ import { WeaponControllerBase } from './WeaponControllerBase.js';
 import * as Cooldown from '../core/Cooldown.js';
 import * as AnimSafe from '../core/AnimSafe.js';
 import * as TargetSelect from '../targeting/TargetSelect.js';
+import { TargetingService } from '../TargetingService.js';
 
 /**
  * ChainLightningController
@@ -65,7 +66,7 @@ export class ChainLightningController extends WeaponControllerBase {
 
     // Select first hop target
     const range = Math.max(0, this.effectiveConfig?.targeting?.range ?? 0);
-    const start = TargetSelect.nearest(this.enemyGroup, origin, range);
+    const start = this._acquireTarget(origin, range);
     if (!start) return;
 
     // Compute follow-up hop path
@@ -124,29 +125,11 @@ export class ChainLightningController extends WeaponControllerBase {
       path.push(current);
       if (!allowRepeat) visited.add(current);
 
-      const r2 = hopRadius * hopRadius;
-      const candidates = [];
-
-      // 1) Snapshot all eligible enemies with their distance^2 to current
-      this.enemyGroup?.children?.iterate?.((enemy) => {
-        if (!enemy || !enemy.active) return;
-        if (enemy === current) return;
-        if (!allowRepeat && visited.has(enemy)) return;
-
-        const dx = enemy.x - current.x;
-        const dy = enemy.y - current.y;
-        const d2 = dx * dx + dy * dy;
-        if (d2 > r2) return; // outside hop radius
-
-        candidates.push({ enemy, d2 });
+      // Closest eligible enemy within the hop radius (spatial index query).
+      const next = TargetingService.nearestEnemy(this.enemyGroup, current, hopRadius, {
+        exclude: current,
+        filter: allowRepeat ? null : (enemy) => !visited.has(enemy)
       });
-
-      // 2) Sort strictly by distance^2 (deterministic)
-      if (candidates.length === 0) break;
-      candidates.sort((a, b) => a.d2 - b.d2);
-
-      // 3) Pick the closest; optional tiny epsilon tie-break is inherent in sort order
-      const next = candidates[0].enemy;
       if (!next) break;
 
       current = next;
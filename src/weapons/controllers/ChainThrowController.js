@@ -51,7 +51,7 @@ export class ChainThrowController extends WeaponControllerBase {
     if (!origin) return;
 
     const range = Math.max(0, this.effectiveConfig?.targeting?.range ?? 0);
-    const start = TargetSelect.nearest(this.enemyGroup, origin, range);
+    const start = this._acquireTarget(origin, range);
     if (!start) return;
 
     const path = this._buildChainPath(start);
@@ -1,4 +1,3 @@
-import Phaser from 'phaser';
 import { WeaponControllerBase } from './WeaponControllerBase.js';
 import * as Cooldown from '../core/Cooldown.js';
 import * as AnimSafe from '../core/AnimSafe.js';
@@ -9,7 +8,8 @@ import { runAoe } from '../AoeUtils.js';
 /**
  * ClusterBombWeaponController
  *
- * This controller now targets the **nearest enemy within range**, and creates a
+ * This controller targets an enemy within range (per `targeting.mode`; the
+ * clusterbomb uses 'cluster' to hit the densest pack), and creates a
  * "patch" centered on that enemy. Several clusterbomb explosions are spawned
  * within that patch (scattered around the target).
  *
@@ -18,7 +18,7 @@ import { runAoe } from '../AoeUtils.js';
  *
  * Things controlled here:
  *  - Cooldown timing
- *  - Nearest-enemy targeting within range
+ *  - Mode-driven targeting within range
  *  - Number, spacing, and stagger timing of explosions
  *  - AoE damage application timing (via AoeTiming + AnimSafe helpers)
  */
@@ -63,9 +63,9 @@ export class ClusterBombWeaponController extends WeaponControllerBase {
     const origin = this.owner?.getPos?.();
     if (!origin) return;
 
-    // Acquire nearest valid target within range
+    // Acquire a target within range (targeting.mode)
     const range = Math.max(0, this.effectiveConfig?.targeting?.range ?? 480);
-    const target = TargetSelect.nearest(this.enemyGroup, origin, range);
+    const target = this._acquireTarget(origin, range);
     if (!target) return; // no enemy in range → do not consume cooldown
 
     // Spawn the actual clusterbomb patch centered on the target
@@ -81,7 +81,7 @@ export class ClusterBombWeaponController extends WeaponControllerBase {
   }
 
   /**
-   * Creates a "patch" centered on a provided location (usually the nearest enemy),
+   * Creates a "patch" centered on a provided location (usually the selected target),
    * then spawns several clusterbomb explosions inside that patch,
    * optionally staggered over time.
    */
@@ -100,8 +100,8 @@ export class ClusterBombWeaponController extends WeaponControllerBase {
     // Spawn each bomb, scattered around the patch center
     for (let i = 0; i < count; i += 1) {
       // Random offset inside the spread radius
-      const bombAngle = Phaser.Math.FloatBetween(0, Math.PI * 2);
-      const dist = Phaser.Math.FloatBetween(0, spread);
+      const bombAngle = this.rng.angle();
+      const dist = this.rng.float(0, spread);
       const x = patch.x + Math.cos(bombAngle) * dist;
       const y = patch.y + Math.sin(bombAngle) * dist;
       const delay = i * stagger;
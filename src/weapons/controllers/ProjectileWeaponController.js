@@ -5,6 +5,7 @@ import * as Facing from '../core/Facing.js';
 import * as Salvo from '../core/Salvo.js';
 import { runAoe } from '../AoeUtils.js';
 import * as TargetSelect from '../targeting/TargetSelect.js';
+import { TargetingService } from '../TargetingService.js';
 import { attachSpinWhileFlying } from '../core/SpinWhileFlying.js';
 
 /**
@@ -249,7 +250,8 @@ export class ProjectileWeaponController extends WeaponControllerBase {
   /**
    * Selects the best target:
    * - If no TargetingCoordinator: choose nearest enemy in range
-   * - If coordinator is active: choose best predicted kill opportunity
+   * - Non-nearest targeting modes: best-ranked enemy not already doomed by in-flight shots
+   * - Otherwise: choose best predicted kill opportunity
    */
   _selectTarget(origin, now) {
     const range = this.effectiveConfig?.targeting?.range ?? 0;
@@ -270,27 +272,48 @@ export class ProjectileWeaponController extends WeaponControllerBase {
       };
     }
 
-    // Advanced mode: scoring model to avoid overkill
     const config = this.targetingCoordinator.getConfig?.() ?? {};
-    const rangeSq = Number.isFinite(range) && range > 0 ? range * range : Infinity;
-    const entries = [];
-
-    // Collect eligible enemies
-    this.enemyGroup?.children?.iterate?.((enemy) => {
-      if (!enemy || !enemy.active) return;
-      const dx = enemy.x - origin.x;
-      const dy = enemy.y - origin.y;
-      const distSq = dx * dx + dy * dy;
-      if (distSq > rangeSq) return;
-      entries.push({ enemy, distSq });
-    });
+    const candidateCount = Math.max(1, config.candidateCount ?? 6);
 
-    if (entries.length === 0) return null;
+    // Declarative modes (strongest, lowestHp, ...): keep the mode's ordering and
+    // only skip candidates other shots are already predicted to kill.
+    const mode = this.effectiveConfig?.targeting?.mode;
+    if (mode && mode !== 'nearest' && mode !== 'self') {
+      const ranked = this.targetingCoordinator.rankTargets(
+        this.enemyGroup,
+        origin,
+        { ...this.effectiveConfig.targeting, range: Number.isFinite(range) && range > 0 ? range : Infinity },
+        { count: candidateCount, rng: this.rng }
+      );
+      if (!ranked.length) return null;
 
-    // Sort by nearest first
-    entries.sort((a, b) => a.distSq - b.distSq);
+      const etaTolerance = config.etaToleranceMs ?? 120;
+      const infoFor = (enemy) => {
+        const distance = Phaser.Math.Distance.Between(origin.x, origin.y, enemy.x, enemy.y);
+        const etaMs = speed > 1 ? (distance / speed) * 1000 : 0;
+        return { target: enemy, distance, etaMs, impactTime: now + etaMs, salvoSpacingMs: Salvo.spacingMs(this.effectiveConfig) };
+      };
+
+      for (let i = 0; i < ranked.length; i += 1) {
+        const info = infoFor(ranked[i]);
+        const hp = Number.isFinite(ranked[i].hp) ? ranked[i].hp : ranked[i].maxHp ?? 0;
+        if (this.targetingCoordinator.predictedHpAtImpact(ranked[i], hp, info.impactTime, etaTolerance) > 0) return info;
+      }
+      return infoFor(ranked[0]);
+    }
+
+    // Advanced mode: scoring model to avoid overkill
+
+    // Nearest candidates first (spatial index k-nearest query)
+    const entries = TargetingService.kNearestEnemies(
+      this.enemyGroup,
+      origin,
+      candidateCount,
+      Number.isFinite(range) && range > 0 ? range : Infinity
+    );
+
+    if (entries.length === 0) return null;
 
-    const candidateCount = Math.max(1, config.candidateCount ?? 6);
     const etaTolerance = config.etaToleranceMs ?? 120;
     const overkillTolerance = config.overkillTolerance ?? 0;
     const overkillWeight = config.overkillPenaltyWeight ?? 40;
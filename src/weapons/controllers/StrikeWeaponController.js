@@ -37,7 +37,7 @@ export class StrikeWeaponController extends WeaponControllerBase {
    * Called every frame:
    *  - Check whether it's time to fire
    *  - Ensure the owner is allowed to fire
-   *  - Acquire a target via nearest-enemy targeting
+   *  - Acquire a target via the weapon's targeting mode (nearest by default)
    *  - Execute the strike + AoE trigger workflow
    */
   update(_dt) {
@@ -58,9 +58,9 @@ export class StrikeWeaponController extends WeaponControllerBase {
     const origin = this.owner?.getPos?.();
     if (!origin) return;
 
-    // Acquire nearest valid target within range
+    // Acquire a target within range (targeting.mode, nearest by default)
     const range = this.effectiveConfig?.targeting?.range ?? 0;
-    const target = TargetSelect.nearest(this.enemyGroup, origin, range);
+    const target = this._acquireTarget(origin, range);
     if (!target) return;
 
     // Execute the actual strike logic
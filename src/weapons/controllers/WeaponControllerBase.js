@@ -3,6 +3,11 @@ import { CONFIG } from '../../config/gameConfig.js';
 import { computeEffective } from '../core/Config.js';
 import * as Cooldown from '../core/Cooldown.js';
 import * as DamagePayload from '../core/DamagePayload.js';
+import { getRunStream, RNG_STREAMS } from '../../core/RunRng.js';
+import * as TargetSelect from '../targeting/TargetSelect.js';
+
+// Weapon keys already warned about a targeting mode falling back to nearest.
+const warnedTargetingFallback = new Set();
 
 /**
  * Base class for all weapon controllers.
@@ -56,6 +61,9 @@ export class WeaponControllerBase {
 
     // Combine base config + modifiers to produce the final live configuration
     this.effectiveConfig = computeEffective(this.baseConfig, this.modifiers);
+
+    // Seeded combat stream shared by every weapon (crit rolls, cadence jitter, scatter)
+    this.rng = getRunStream(scene, RNG_STREAMS.COMBAT);
   }
 
   /** Handle setLevel so this system stays coordinated. */
@@ -119,7 +127,7 @@ export class WeaponControllerBase {
       damage = result?.damage ?? damage;
     }
 
-    const diffMult = CONFIG.DIFFICULTY?.playerDamageMult ?? 1;
+    const diffMult = this.scene?.difficulty?.playerDamageMult ?? CONFIG.DIFFICULTY?.playerDamageMult ?? 1;
     return damage * diffMult;
   }
 
@@ -135,7 +143,7 @@ export class WeaponControllerBase {
     const critMult = Math.max(1, Number(cfgDamage?.crit?.mult ?? 1.5) || 1.5);
 
     // Roll crit once per "attack instance" (per strike, per projectile fired, etc.)
-    const isCrit = critChance > 0 ? (Math.random() < critChance) : false;
+    const isCrit = critChance > 0 ? this.rng.chance(critChance) : false;
 
     // Apply crit multiplier to the already-computed base damage
     const finalDamage = isCrit ? (baseDamage * critMult) : baseDamage;
@@ -159,11 +167,37 @@ export class WeaponControllerBase {
     };
   }
 
+  /**
+   * Pick a target for this shot following `effectiveConfig.targeting.mode`
+   * (see TARGETING_MODES). `range` is the controller's resolved range so each
+   * controller keeps its own default. Falls back to nearest when no
+   * coordinator is wired in, warning once per weapon whose mode is lost.
+   */
+  _acquireTarget(origin, range, options = {}) {
+    if (!origin) return null;
+    if (!this.targetingCoordinator?.selectTarget) {
+      const mode = this.effectiveConfig?.targeting?.mode;
+      const weaponKey = this.baseConfig?.key ?? 'unknown';
+      if (mode && mode !== 'nearest' && mode !== 'self' && !warnedTargetingFallback.has(weaponKey)) {
+        warnedTargetingFallback.add(weaponKey);
+        console.warn(`[WeaponControllerBase] No TargetingCoordinator; "${weaponKey}" targeting mode "${mode}" falls back to nearest`);
+      }
+      return TargetSelect.nearest(this.enemyGroup, origin, range);
+    }
+
+    return this.targetingCoordinator.selectTarget(
+      this.enemyGroup,
+      origin,
+      { ...(this.effectiveConfig?.targeting ?? {}), range },
+      { rng: this.rng, ...options }
+    );
+  }
+
   /**
    * Compute first fire timestamp using cooldown jitter/spread rules.
    */
   _scheduleInitial(now, delayMs) {
-    return Cooldown.scheduleInitial(now, delayMs);
+    return Cooldown.scheduleInitial(now, delayMs, this.rng.next);
   }
 
   /**
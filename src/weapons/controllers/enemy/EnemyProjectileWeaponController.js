@@ -18,6 +18,11 @@ export class EnemyProjectileWeaponController {
     this.spreadDeg = Number.isFinite(options.spreadDeg) ? options.spreadDeg : 0;
 
     this.aimMode = options.aimMode || 'atTarget';
+
+    // Optional EnemyBulletPatterns key(s); a list is cycled one pattern per attack.
+    const pattern = options.pattern ?? null;
+    this.patterns = Array.isArray(pattern) ? pattern.filter(Boolean) : (pattern ? [pattern] : []);
+    this._patternIndex = 0;
     this.enemyProjectiles = options.enemyProjectiles ?? scene?.enemyProjectiles ?? null;
 
     this._config = null;
@@ -130,6 +135,21 @@ export class EnemyProjectileWeaponController {
     return fired;
   }
 
+  /**
+   * Start the next configured bullet pattern at `target`.
+   * False when none is configured or the projectile system refuses it (pattern cap).
+   */
+  _firePattern(target) {
+    if (!this.patterns.length || !this.enemyProjectiles?.firePattern) return false;
+
+    const pattern = this.patterns[this._patternIndex % this.patterns.length];
+    const run = this.enemyProjectiles.firePattern(pattern, { source: this.enemy, target });
+    if (!run) return false;
+
+    this._patternIndex += 1;
+    return true;
+  }
+
   /** Handle tryFireAt so this system stays coordinated. */
   tryFireAt(target, nowMs = 0) {
     if (!this.canFire(nowMs)) return false;
@@ -140,7 +160,8 @@ export class EnemyProjectileWeaponController {
     const angle = this._getAimAngle(target);
     if (!Number.isFinite(angle)) return false;
 
-    const fired = this._fireSalvo(angle, cfg);
+    // Patterns fall back to the plain salvo while the screen is at its pattern cap.
+    const fired = this._firePattern(target) || this._fireSalvo(angle, cfg);
     if (fired) {
       this.scene?.events?.emit('weapon:fired', { weaponKey: this.weaponKey });
       this._nextFireAt = nowMs + this.cooldownMs;
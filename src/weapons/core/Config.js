@@ -44,6 +44,13 @@ export function computeEffective(baseConfig = {}, modifiers = []) {
     }
 
     const leaf = segments[segments.length - 1];
+
+    // 'set' replaces the value outright (e.g. progression switching targeting.mode).
+    if (op === 'set') {
+      if (target && typeof target === 'object') target[leaf] = value;
+      return true;
+    }
+
     const current = target?.[leaf];
     if (!Number.isFinite(current)) return true;
 
@@ -1,5 +1,3 @@
-import Phaser from 'phaser';
-
 /**
  * scheduleInitial(now, delayMs)
  *
@@ -9,16 +7,17 @@ import Phaser from 'phaser';
  *
  * @param {number} now - Current timestamp (ms), usually scene.time.now.
  * @param {number} delayMs - Desired cooldown length in ms.
+ * @param {() => number} [rng=Math.random] - RNG source; weapons pass the run's combat stream.
  * @returns {number} - Timestamp when the first fire should occur.
  */
-export function scheduleInitial(now, delayMs) {
+export function scheduleInitial(now, delayMs, rng = Math.random) {
   // If delay is invalid or effectively zero, fire immediately.
   if (!Number.isFinite(delayMs) || delayMs <= 1) {
     return now;
   }
 
   // Add a random 0..(delayMs-1) jitter to desynchronize weapons.
-  const jitter = Phaser.Math.Between(0, Math.max(0, Math.floor(delayMs) - 1));
+  const jitter = Math.floor(rng() * Math.max(1, Math.floor(delayMs)));
   return now + jitter;
 }
 